@@ -1,6 +1,6 @@
 import axios from 'axios';
-import { API_BASE_URL } from '../constants/index'; 
-import AsyncStorage from '@react-native-async-storage/async-storage'; 
+import { API_BASE_URL } from '../constants/index';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
@@ -9,6 +9,15 @@ const apiClient = axios.create({
   },
 });
 
+// Called when the session can't be refreshed any more (set by AuthContext to sign the user out)
+let onSessionExpired = null;
+export const setSessionExpiredHandler = (handler) => {
+  onSessionExpired = handler;
+};
+
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
 // Request interceptor to attach JWT token for authenticated requests
 apiClient.interceptors.request.use(
   async (config) => {
@@ -28,4 +37,52 @@ apiClient.interceptors.request.use(
   }
 );
 
-export default apiClient;
\ No newline at end of file
+// One refresh at a time: requests failing together all wait for the same new token,
+// since each refresh token can only be used once
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = await AsyncStorage.getItem('refreshToken');
+  if (!refreshToken) throw new Error('No refresh token stored.');
+
+  // Plain axios, so this request doesn't go through the interceptors
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+  const { token, refreshToken: newRefreshToken } = response.data;
+  await AsyncStorage.multiSet([['userToken', token], ['refreshToken', newRefreshToken]]);
+  return token;
+};
+
+// Response interceptor: on a 401, refresh the access token once and retry the request
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+    const isRefreshable = error.response?.status === 401
+      && originalRequest
+      && !originalRequest._retry
+      && !NO_REFRESH_PATHS.some((path) => originalRequest.url?.startsWith(path));
+
+    if (!isRefreshable) {
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+    try {
+      if (!refreshPromise) {
+        refreshPromise = refreshAccessToken().finally(() => {
+          refreshPromise = null;
+        });
+      }
+      const token = await refreshPromise;
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return apiClient(originalRequest);
+    } catch (refreshError) {
+      console.log('Session expired, signing out:', refreshError.response?.data?.message || refreshError.message);
+      await AsyncStorage.multiRemove(['userToken', 'refreshToken']);
+      if (onSessionExpired) onSessionExpired();
+      return Promise.reject(error);
+    }
+  }
+);
+
+export default apiClient;
@@ -28,4 +28,10 @@ export const FONTS = {
     secondary: 'Lato_400Regular', // For body text, descriptions
     logo: 'Poppins_600SemiBold',  // For logo text (KIMELIA Omnia)
     // You can add more specific weights if needed, e.g., 'Poppins_400Regular_Text'
-};
\ No newline at end of file
+};
+// Relative reminder presets, in minutes before a task's due date or an event's start
+export const REMINDER_OFFSETS = [
+  { minutes: 15, label: '15 min' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 1440, label: '1 day' },
+];
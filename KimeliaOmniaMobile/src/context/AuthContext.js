@@ -1,6 +1,7 @@
 import React, { createContext, useState, useEffect } from 'react';
+import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import apiClient from '../api/apiClient';
+import apiClient, { setSessionExpiredHandler } from '../api/apiClient';
 
 export const AuthContext = createContext();
 
@@ -9,17 +10,30 @@ export const AuthProvider = ({ children }) => {
   const [userToken, setUserToken] = useState(null);
   const [user, setUser] = useState(null);
 
+  const deviceName = `Kimelia Omnia (${Platform.OS})`;
+
+  const startSession = async (data) => {
+    const { token, refreshToken, sessionId, message, ...userData } = data;
+    await AsyncStorage.multiSet([['userToken', token], ['refreshToken', refreshToken]]);
+    setUserToken(token);
+    setUser(userData);
+  };
+
+  // Resolves to { twoFactorRequired, challengeToken } when the account needs a 2FA code (see verifyTwoFactor).
+  // The login screen shows its own spinner: toggling isLoading here would unmount it between the two steps.
   const login = async (email, password) => {
-    try {
-      setIsLoading(true);
-      const response = await apiClient.post('/auth/login', { email, password });
-      const { token, user: userData } = response.data;
-      await AsyncStorage.setItem('userToken', token);
-      setUserToken(token);
-      setUser(userData);
-    } finally {
-      setIsLoading(false);
+    const response = await apiClient.post('/auth/login', { email, password, deviceName });
+    if (response.data.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: response.data.challengeToken };
     }
+    await startSession(response.data);
+    return { twoFactorRequired: false };
+  };
+
+  // Second login step: an authenticator code or a backup code
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const response = await apiClient.post('/auth/login/2fa', { challengeToken, code, deviceName });
+    await startSession(response.data);
   };
 
   const register = async (name, email, password) => {
@@ -33,14 +47,34 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = async () => {
-    setIsLoading(true);
-    await AsyncStorage.removeItem('userToken');
+  const clearSession = async () => {
+    await AsyncStorage.multiRemove(['userToken', 'refreshToken']);
     setUserToken(null);
     setUser(null);
+  };
+
+  const logout = async () => {
+    setIsLoading(true);
+    try {
+      await apiClient.post('/auth/logout'); // Revoke the session on the server too
+    } catch (e) {
+      console.log('Error revoking session on logout:', e.response?.data || e.message);
+    }
+    await clearSession();
     setIsLoading(false);
   };
 
+  // Log out everywhere: revokes every session, including this one
+  const logoutAll = async () => {
+    setIsLoading(true);
+    try {
+      await apiClient.post('/auth/logout-all');
+    } finally {
+      await clearSession();
+      setIsLoading(false);
+    }
+  };
+
   const checkLoggedInUser = async () => {
     try {
       const token = await AsyncStorage.getItem('userToken');
@@ -52,20 +86,25 @@ export const AuthProvider = ({ children }) => {
       }
     } catch (e) {
       console.log('Error checking user session:', e);
-      await AsyncStorage.removeItem('userToken'); // Clear invalid token
-      setUserToken(null);
-      setUser(null);
+      await clearSession(); // Clear invalid tokens
+
     } finally {
       setIsLoading(false);
     }
   };
 
   useEffect(() => {
+    // The API client signs the user out when the session can no longer be refreshed
+    setSessionExpiredHandler(() => {
+      setUserToken(null);
+      setUser(null);
+    });
     checkLoggedInUser();
+    return () => setSessionExpiredHandler(null);
   }, []);
 
   return (
-    <AuthContext.Provider value={{ userToken, user, isLoading, login, register, logout }}>
+    <AuthContext.Provider value={{ userToken, user, isLoading, login, verifyTwoFactor, register, logout, logoutAll }}>
       {children}
     </AuthContext.Provider>
   );
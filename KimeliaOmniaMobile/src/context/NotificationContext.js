@@ -0,0 +1,82 @@
+import React, { createContext, useState, useEffect, useCallback, useContext, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiClient from '../api/apiClient';
+import { API_BASE_URL } from '../constants';
+import { AuthContext } from './AuthContext';
+
+export const NotificationContext = createContext();
+
+const RECONNECT_DELAY_MS = 5000;
+
+// ws(s)://<host>/api/v1/notifications/ws?token=<JWT> (React Native's WebSocket cannot send custom headers reliably)
+const buildSocketUrl = (token) =>
+  `${API_BASE_URL.replace(/^http/, 'ws')}/notifications/ws?token=${encodeURIComponent(token)}`;
+
+export const NotificationProvider = ({ children }) => {
+  const { userToken } = useContext(AuthContext);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [latestNotification, setLatestNotification] = useState(null);
+  const socketRef = useRef(null);
+  const reconnectTimerRef = useRef(null);
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/notifications/unread-count');
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (e) {
+      console.log('Error fetching unread notification count:', e.response?.data || e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!userToken) return undefined;
+
+    let closedByApp = false;
+
+    const connect = async () => {
+      const token = await AsyncStorage.getItem('userToken');
+      if (!token || closedByApp) return;
+
+      const socket = new WebSocket(buildSocketUrl(token));
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        // Catch up on anything that arrived while we were disconnected
+        refreshUnreadCount();
+      };
+
+      socket.onmessage = (event) => {
+        try {
+          const { event: name, data } = JSON.parse(event.data);
+          if (name === 'notification') {
+            setLatestNotification(data.notification);
+            setUnreadCount(data.unreadCount);
+          }
+        } catch (e) {
+          console.log('Invalid notification frame:', e.message);
+        }
+      };
+
+      socket.onclose = () => {
+        socketRef.current = null;
+        if (!closedByApp) {
+          reconnectTimerRef.current = setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      closedByApp = true;
+      clearTimeout(reconnectTimerRef.current);
+      if (socketRef.current) socketRef.current.close();
+    };
+  }, [userToken, refreshUnreadCount]);
+
+  return (
+    <NotificationContext.Provider value={{ unreadCount, setUnreadCount, latestNotification, refreshUnreadCount }}>
+      {children}
+    </NotificationContext.Provider>
+  );
+};
@@ -0,0 +1,89 @@
+import { useState, useCallback, useRef } from 'react';
+import apiClient from '../api/apiClient';
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Loads a list endpoint page by page with the API's cursor pagination, for FlatList infinite scroll:
+ * call `reload` when the screen is focused, `refresh` on pull-to-refresh and `loadMore` from `onEndReached`.
+ *
+ * @param {string} path - The list endpoint (e.g. '/tasks').
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Filters and sort sent with every page (e.g. { sort: '-createdAt' }).
+ * @param {number} [options.pageSize] - Items per page (the API allows up to 100).
+ * @param {string} [options.errorMessage] - Shown when the API error has no message.
+ * @param {Function} [options.onError] - Called with the error message when the first page fails to load.
+ * @param {Function} [options.onPage] - Called with the response body of each loaded page.
+ */
+const usePaginatedList = (path, { params, pageSize = DEFAULT_PAGE_SIZE, errorMessage = 'Failed to load the list.', onError, onPage } = {}) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState('');
+
+  const cursorRef = useRef(null); // nextCursor of the last loaded page, null at the end of the list
+  const requestRef = useRef(0); // Bumped on every reload, so pages of the previous list are ignored
+  const loadingMoreRef = useRef(false);
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onError, onPage };
+
+  // Params are usually an inline object, so compare them by value
+  const paramsKey = JSON.stringify(params || {});
+
+  const fetchPage = useCallback(async (cursor) => {
+    const request = requestRef.current;
+    const response = await apiClient.get(path, {
+      params: { ...JSON.parse(paramsKey), limit: pageSize, ...(cursor ? { cursor } : {}) },
+    });
+    if (request !== requestRef.current) return;
+
+    const { data, pagination } = response.data;
+    setItems((current) => (cursor ? [...current, ...data] : data));
+    cursorRef.current = pagination?.hasMore ? pagination.nextCursor : null;
+    setHasMore(Boolean(cursorRef.current));
+    if (callbacksRef.current.onPage) callbacksRef.current.onPage(response.data);
+  }, [path, paramsKey, pageSize]);
+
+  const reload = useCallback(async () => {
+    requestRef.current += 1;
+    cursorRef.current = null;
+    setError('');
+    try {
+      await fetchPage(null);
+    } catch (e) {
+      console.error(`Failed to fetch ${path}:`, e.response?.data || e.message);
+      const message = e.response?.data?.message || errorMessage;
+      setError(message);
+      if (callbacksRef.current.onError) callbacksRef.current.onError(message);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [fetchPage, path, errorMessage]);
+
+  const refresh = useCallback(() => {
+    setRefreshing(true);
+    reload();
+  }, [reload]);
+
+  const loadMore = useCallback(async () => {
+    if (!cursorRef.current || loadingMoreRef.current) return;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    try {
+      await fetchPage(cursorRef.current);
+    } catch (e) {
+      // The next onEndReached retries from the same cursor
+      console.error(`Failed to fetch more of ${path}:`, e.response?.data || e.message);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
+  }, [fetchPage, path]);
+
+  return { items, setItems, loading, refreshing, loadingMore, hasMore, error, reload, refresh, loadMore };
+};
+
+export default usePaginatedList;
@@ -2,6 +2,7 @@ import React, { useContext } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { AuthContext } from '../context/AuthContext';
+import { NotificationProvider } from '../context/NotificationContext';
 import { LoadingIndicator, GradientBackground } from '../components/StyledComponents';
 import { COLORS, GRADIENTS } from '../constants';
 
@@ -14,6 +15,10 @@ import RegisterScreen from '../screens/Auth/RegisterScreen';
 // Main App Tabs (which includes nested module stacks)
 import MainTabNavigator from './MainTabNavigator';
 
+// Global App Screens
+import NotificationListScreen from '../screens/App/Notifications/NotificationListScreen';
+import SearchScreen from '../screens/App/Search/SearchScreen';
+
 
 const AuthStack = createNativeStackNavigator();
 const AppStack = createNativeStackNavigator();
@@ -30,18 +35,21 @@ const AuthStackScreen = () => (
 );
 
 const AppStackScreen = () => (
-  <AppStack.Navigator screenOptions={{
-    headerStyle: { backgroundColor: COLORS.chocolateBrown },
-    headerTintColor: COLORS.white,
-    headerTitleStyle: { fontWeight: 'bold' },
-    contentStyle: { backgroundColor: COLORS.softCream }
-  }}>
-    {/* MainTabNavigator is the primary content for authenticated users */}
-    <AppStack.Screen name="MainTabs" component={MainTabNavigator} options={{ headerShown: false }} />
+  <NotificationProvider>
+    <AppStack.Navigator screenOptions={{
+      headerStyle: { backgroundColor: COLORS.chocolateBrown },
+      headerTintColor: COLORS.white,
+      headerTitleStyle: { fontWeight: 'bold' },
+      contentStyle: { backgroundColor: COLORS.softCream }
+    }}>
+      {/* MainTabNavigator is the primary content for authenticated users */}
+      <AppStack.Screen name="MainTabs" component={MainTabNavigator} options={{ headerShown: false }} />
 
-    {/* Any other global modals or screens that should *not* be part of the tab bar
-        or any module's stack would go here. For now, we only have the tabs. */}
-  </AppStack.Navigator>
+      {/* Global screens that should *not* be part of the tab bar or any module's stack */}
+      <AppStack.Screen name="Notifications" component={NotificationListScreen} options={{ title: 'Notifications' }} />
+      <AppStack.Screen name="Search" component={SearchScreen} options={{ title: 'Search' }} />
+    </AppStack.Navigator>
+  </NotificationProvider>
 );
 
 const AppNavigator = () => {
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useContext } from 'react';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { getFocusedRouteNameFromRoute } from '@react-navigation/native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
@@ -8,8 +8,9 @@ import HomeScreen from '../screens/App/HomeScreen';
 import PlannerStackScreen from './PlannerStack';
 import CommunicatorStackScreen from './CommunicatorStack';
 import CoachStackScreen from './CoachStack'; // CoachStack now includes LR screens
-// import WorkspaceStackScreen from './WorkspaceStack'; // Still commented out for now
+import WorkspaceStackScreen from './WorkspaceStack';
 
+import { NotificationContext } from '../context/NotificationContext';
 import { COLORS, FONTS } from '../constants';
 
 const Tab = createBottomTabNavigator();
@@ -24,7 +25,7 @@ const getTabBarVisibility = (route) => {
     'GoalForm', 'GoalDetail',
     'LearningResourceForm', 'LearningResourceDetail',
     'LearningResourceAIGenerate', // --- NEW: Add AI Generate screen here ---
-    // 'ProjectForm', 'ProjectDetail', // Still commented out for now
+    'ProjectBoard',
   ];
   if (hideOnScreens.includes(routeName)) {
     return 'none'; // This hides the tab bar
@@ -33,6 +34,8 @@ const getTabBarVisibility = (route) => {
 };
 
 const MainTabNavigator = () => {
+  const { unreadCount } = useContext(NotificationContext);
+
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
@@ -61,6 +64,8 @@ const MainTabNavigator = () => {
           tabBarIcon: ({ color, size }) => (
             <MaterialCommunityIcons name="home" color={color} size={size} />
           ),
+          tabBarBadge: unreadCount > 0 ? unreadCount : undefined, // Unread in-app notifications
+          tabBarBadgeStyle: { backgroundColor: COLORS.copper },
         }}
       />
       <Tab.Screen
@@ -98,13 +103,14 @@ const MainTabNavigator = () => {
       />
       <Tab.Screen
         name="WorkspaceTab"
-        component={HomeScreen} // Placeholder for Workspace module's stack (still)
-        options={{
+        component={WorkspaceStackScreen}
+        options={({ route }) => ({
           title: 'Workspace',
           tabBarIcon: ({ color, size }) => (
             <MaterialCommunityIcons name="briefcase-outline" color={color} size={size} />
           ),
-        }}
+          tabBarStyle: { display: getTabBarVisibility(route) },
+        })}
       />
       <Tab.Screen
         name="FinanceTab"
@@ -0,0 +1,28 @@
+import React from 'react';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { COLORS } from '../constants';
+
+// Workspace Screens
+import ProjectListScreen from '../screens/App/Workspace/ProjectListScreen';
+import ProjectBoardScreen from '../screens/App/Workspace/ProjectBoardScreen';
+
+const WorkspaceStack = createNativeStackNavigator();
+
+const WorkspaceStackScreen = () => {
+  return (
+    <WorkspaceStack.Navigator
+      initialRouteName="ProjectList"
+      screenOptions={{
+        headerStyle: { backgroundColor: COLORS.chocolateBrown },
+        headerTintColor: COLORS.white,
+        headerTitleStyle: { fontWeight: 'bold' },
+        contentStyle: { backgroundColor: COLORS.softCream },
+      }}
+    >
+      <WorkspaceStack.Screen name="ProjectList" component={ProjectListScreen} options={{ headerShown: false }} />
+      <WorkspaceStack.Screen name="ProjectBoard" component={ProjectBoardScreen} options={({ route }) => ({ title: route.params?.projectTitle || 'Project Board' })} />
+    </WorkspaceStack.Navigator>
+  );
+};
+
+export default WorkspaceStackScreen;
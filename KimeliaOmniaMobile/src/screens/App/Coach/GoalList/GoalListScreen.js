@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useEffect, useCallback } from 'react';
 import { FlatList, RefreshControl, Alert, View, StyleSheet, Text } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import {
@@ -21,32 +21,24 @@ import {
   SubTitle,
   DetailText,
 } from '../../../../components/StyledComponents';
-import apiClient from '../../../../api/apiClient';
+import usePaginatedList from '../../../../hooks/usePaginatedList';
 import { COLORS, GRADIENTS, FONTS } from '../../../../constants';
 import { format, isPast, parseISO } from 'date-fns';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 
 const GoalListScreen = ({ navigation }) => {
-  const [goals, setGoals] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
-  const [refreshing, setRefreshing] = useState(false);
-
-  const fetchGoals = useCallback(async () => {
-    setError('');
-    setLoading(true);
-    try {
-      const response = await apiClient.get('/goals');
-      setGoals(response.data.data);
-    } catch (e) {
-      console.error("Failed to fetch goals:", e.response?.data || e.message);
-      setError(e.response?.data?.message || 'Failed to load goals.');
-      Alert.alert('Error', e.response?.data?.message || 'Could not load goals.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  }, []);
+  const {
+    items: goals,
+    refreshing,
+    loadingMore,
+    error,
+    reload: fetchGoals,
+    refresh: onRefresh,
+    loadMore,
+  } = usePaginatedList('/goals', {
+    errorMessage: 'Failed to load goals.',
+    onError: (message) => Alert.alert('Error', message),
+  });
 
   useFocusEffect(
     useCallback(() => {
@@ -55,11 +47,6 @@ const GoalListScreen = ({ navigation }) => {
     }, [fetchGoals])
   );
 
-  const onRefresh = useCallback(() => {
-    setRefreshing(true);
-    fetchGoals();
-  }, [fetchGoals]);
-
   const handleGoalPress = (item) => {
     // Ensuring _id is a string before passing
     const goalIdString = String(item._id); 
@@ -130,6 +117,9 @@ const GoalListScreen = ({ navigation }) => {
               </DetailText>
             </View>
           }
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <LoadingIndicator /> : null}
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
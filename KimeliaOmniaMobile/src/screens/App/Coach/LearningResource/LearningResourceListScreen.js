@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useEffect, useCallback } from 'react';
 import { FlatList, RefreshControl, Alert, View, StyleSheet, Text, Linking, TouchableOpacity } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import {
@@ -21,32 +21,24 @@ import {
   SubTitle,
   DetailText,
 } from '../../../../components/StyledComponents';
-import apiClient from '../../../../api/apiClient';
+import usePaginatedList from '../../../../hooks/usePaginatedList';
 import { COLORS, GRADIENTS, FONTS } from '../../../../constants';
 import { format, parseISO } from 'date-fns';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 
 const LearningResourceListScreen = ({ navigation }) => {
-  const [resources, setResources] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
-  const [refreshing, setRefreshing] = useState(false);
-
-  const fetchResources = useCallback(async () => {
-    setError('');
-    setLoading(true);
-    try {
-      const response = await apiClient.get('/learning-resources');
-      setResources(response.data.data);
-    } catch (e) {
-      console.error("Failed to fetch learning resources:", e.response?.data || e.message);
-      setError(e.response?.data?.message || 'Failed to load learning resources.');
-      Alert.alert('Error', e.response?.data?.message || 'Could not load learning resources.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  }, []);
+  const {
+    items: resources,
+    refreshing,
+    loadingMore,
+    error,
+    reload: fetchResources,
+    refresh: onRefresh,
+    loadMore,
+  } = usePaginatedList('/learning-resources', {
+    errorMessage: 'Failed to load learning resources.',
+    onError: (message) => Alert.alert('Error', message),
+  });
 
   useFocusEffect(
     useCallback(() => {
@@ -55,11 +47,6 @@ const LearningResourceListScreen = ({ navigation }) => {
     }, [fetchResources])
   );
 
-  const onRefresh = useCallback(() => {
-    setRefreshing(true);
-    fetchResources();
-  }, [fetchResources]);
-
   const handleResourcePress = (item) => {
     const resourceIdString = String(item._id);
     if (!resourceIdString || resourceIdString.trim() === '') {
@@ -142,6 +129,9 @@ const LearningResourceListScreen = ({ navigation }) => {
               </DetailText>
             </View>
           }
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <LoadingIndicator /> : null}
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
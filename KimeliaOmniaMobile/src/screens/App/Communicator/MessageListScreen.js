@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useEffect, useCallback } from 'react';
 import { FlatList, RefreshControl, Alert, View } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import {
@@ -21,32 +21,24 @@ import {
   SubTitle, // Added for empty state
   DetailText, // Added for empty state
 } from '../../../components/StyledComponents';
-import apiClient from '../../../api/apiClient';
+import usePaginatedList from '../../../hooks/usePaginatedList';
 import { COLORS, GRADIENTS } from '../../../constants';
 import { format } from 'date-fns';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons'; // Added for icons
 
 const MessageListScreen = ({ navigation }) => {
-  const [messages, setMessages] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
-  const [refreshing, setRefreshing] = useState(false);
-
-  const fetchMessages = useCallback(async () => {
-    setError('');
-    setLoading(true);
-    try {
-      const response = await apiClient.get('/messages');
-      setMessages(response.data.data); // Adjust based on your API response structure
-    } catch (e) {
-      console.error("Failed to fetch messages:", e.response?.data || e.message);
-      setError(e.response?.data?.message || 'Failed to load messages.');
-      Alert.alert('Error', e.response?.data?.message || 'Could not load messages.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  }, []);
+  const {
+    items: messages,
+    refreshing,
+    loadingMore,
+    error,
+    reload: fetchMessages,
+    refresh: onRefresh,
+    loadMore,
+  } = usePaginatedList('/messages', {
+    errorMessage: 'Failed to load messages.',
+    onError: (message) => Alert.alert('Error', message),
+  });
 
   useFocusEffect(
     useCallback(() => {
@@ -55,11 +47,6 @@ const MessageListScreen = ({ navigation }) => {
     }, [fetchMessages])
   );
 
-  const onRefresh = useCallback(() => {
-    setRefreshing(true);
-    fetchMessages();
-  }, [fetchMessages]);
-
   const handleMessagePress = (item) => {
     if (!item._id || typeof item._id !== 'string' || item._id.trim() === '') {
       Alert.alert(
@@ -124,6 +111,9 @@ const MessageListScreen = ({ navigation }) => {
               </DetailText>
             </View>
           }
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <LoadingIndicator /> : null}
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
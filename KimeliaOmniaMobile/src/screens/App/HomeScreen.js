@@ -18,13 +18,14 @@ import {
   Row,
 } from '../../components/StyledComponents';
 import { AuthContext } from '../../context/AuthContext';
+import { NotificationContext } from '../../context/NotificationContext';
 import apiClient from '../../api/apiClient';
 import { COLORS, GRADIENTS, FONTS } from '../../constants';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
-import { isAfter, parseISO } from 'date-fns';
 
 const HomeScreen = ({ navigation }) => {
   const { user, logout } = useContext(AuthContext);
+  const { unreadCount } = useContext(NotificationContext);
   const [profileData, setProfileData] = useState(null);
   const [dashboardData, setDashboardData] = useState({
     pendingTasks: 0,
@@ -46,30 +47,28 @@ const HomeScreen = ({ navigation }) => {
       const profileResponse = await apiClient.get('/auth/profile');
       setProfileData(profileResponse.data);
 
-      // 2. Fetch Tasks and calculate pending
-      const tasksResponse = await apiClient.get('/tasks');
-      const pendingTasksCount = tasksResponse.data.data.filter(task => task.status === 'pending').length;
-
-      // 3. Fetch Events and calculate upcoming
-      const eventsResponse = await apiClient.get('/events');
-      const now = new Date();
-      const upcomingEventsCount = eventsResponse.data.data.filter(event => isAfter(parseISO(event.startTime), now)).length;
-
-      // 4. Fetch Messages and calculate unread
-      const messagesResponse = await apiClient.get('/messages');
-      const unreadMessagesCount = messagesResponse.data.data.filter(message => message.status === 'unread').length;
-
-      // 5. Fetch Goals and count total
-      const goalsResponse = await apiClient.get('/goals');
-      const totalGoalsCount = goalsResponse.data.data.length;
-
-      // 6. --- RE-ENABLED: Fetch Learning Resources and count total ---
-      const learningResourcesResponse = await apiClient.get('/learning-resources');
-      const totalLearningResourcesCount = learningResourcesResponse.data.data.length;
+      // Counts come from the pagination totals, so a single item is requested per list
+      const countItems = async (path, params = {}) => {
+        const response = await apiClient.get(path, { params: { ...params, limit: 1, fields: '_id' } });
+        return response.data.pagination.total;
+      };
 
-      // 7. Fetch Wellness Records and count total
-      const wellnessRecordsResponse = await apiClient.get('/wellness-records');
-      const totalWellnessRecordsCount = wellnessRecordsResponse.data.data.length;
+      // 2-7. Pending tasks, upcoming events, unread messages, goals, learning resources and wellness records
+      const [
+        pendingTasksCount,
+        upcomingEventsCount,
+        unreadMessagesCount,
+        totalGoalsCount,
+        totalLearningResourcesCount,
+        totalWellnessRecordsCount,
+      ] = await Promise.all([
+        countItems('/tasks', { status: 'pending' }),
+        countItems('/events', { startDate: new Date().toISOString() }),
+        countItems('/messages', { status: 'unread' }),
+        countItems('/goals'),
+        countItems('/learning-resources'),
+        countItems('/wellness-records'),
+      ]);
 
       // 8. Projects (still commented out)
       // const projectsResponse = await apiClient.get('/projects');
@@ -122,6 +121,17 @@ const HomeScreen = ({ navigation }) => {
                 <SubTitle style={styles.welcomeSubTitle}>
                   <Text>Your World, Organized Intelligently.</Text>
                 </SubTitle>
+                <Card style={styles.searchButton} onPress={() => navigation.navigate('Search')}>
+                  <MaterialCommunityIcons name="magnify" size={24} color={COLORS.chocolateBrown} />
+                </Card>
+                <Card style={styles.notificationButton} onPress={() => navigation.navigate('Notifications')}>
+                  <MaterialCommunityIcons name={unreadCount > 0 ? 'bell-ring' : 'bell-outline'} size={24} color={COLORS.chocolateBrown} />
+                  {unreadCount > 0 && (
+                    <View style={styles.notificationCount}>
+                      <Text style={styles.notificationCountText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+                    </View>
+                  )}
+                </Card>
               </View>
 
               {/* Quick Overview Cards */}
@@ -255,9 +265,52 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
   },
   headerContainer: {
+    width: '100%',
     alignItems: 'center',
     marginBottom: 40,
   },
+  searchButton: {
+    position: 'absolute',
+    top: -10,
+    right: 54,
+    width: 44,
+    height: 44,
+    padding: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 22,
+    backgroundColor: COLORS.white,
+  },
+  notificationButton: {
+    position: 'absolute',
+    top: -10,
+    right: 0,
+    width: 44,
+    height: 44,
+    padding: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 22,
+    backgroundColor: COLORS.white,
+  },
+  notificationCount: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    minWidth: 18,
+    height: 18,
+    paddingHorizontal: 4,
+    borderRadius: 9,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.copper,
+  },
+  notificationCountText: {
+    color: COLORS.white,
+    fontSize: 10,
+    fontFamily: FONTS.secondary,
+    fontWeight: '700',
+  },
   welcomeTitle: {
     fontSize: 28,
     fontFamily: FONTS.primary,
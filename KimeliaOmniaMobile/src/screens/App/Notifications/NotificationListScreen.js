@@ -0,0 +1,255 @@
+import React, { useCallback, useContext, useEffect } from 'react';
+import { FlatList, RefreshControl, Alert, View, TouchableOpacity, StyleSheet } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  GradientBackground,
+  ContentContainer,
+  Title,
+  LoadingIndicator,
+  ErrorText,
+  Card,
+  CardTitle,
+  CardDescription,
+  Badge,
+  BadgeText,
+  Row,
+  GradientButton,
+  GradientButtonBackground,
+  ButtonText,
+  SubTitle,
+  DetailText,
+} from '../../../components/StyledComponents';
+import apiClient from '../../../api/apiClient';
+import usePaginatedList from '../../../hooks/usePaginatedList';
+import { NotificationContext } from '../../../context/NotificationContext';
+import { COLORS, GRADIENTS, FONTS } from '../../../constants';
+import { format } from 'date-fns';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+
+const SNOOZE_OPTIONS = [
+  { minutes: 10, label: '10 minutes' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 1440, label: 'Tomorrow' },
+];
+
+const NotificationListScreen = ({ navigation }) => {
+  const { latestNotification, setUnreadCount } = useContext(NotificationContext);
+  const {
+    items: notifications,
+    setItems: setNotifications,
+    loading,
+    refreshing,
+    loadingMore,
+    error,
+    reload: fetchNotifications,
+    refresh: onRefresh,
+    loadMore,
+  } = usePaginatedList('/notifications', {
+    errorMessage: 'Failed to load notifications.',
+    onPage: (body) => setUnreadCount(body.unreadCount),
+  });
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchNotifications();
+      return () => {};
+    }, [fetchNotifications])
+  );
+
+  // Show notifications pushed over the WebSocket while this screen is open
+  useEffect(() => {
+    if (latestNotification) {
+      setNotifications((current) => (
+        current.some((n) => n._id === latestNotification._id) ? current : [latestNotification, ...current]
+      ));
+    }
+  }, [latestNotification]);
+
+  const openRelatedItem = (relatedItem) => {
+    if (!relatedItem?.item) return;
+    if (relatedItem.kind === 'Task') {
+      navigation.navigate('MainTabs', { screen: 'PlannerTab', params: { screen: 'TaskDetail', params: { taskId: relatedItem.item } } });
+    } else if (relatedItem.kind === 'Event') {
+      navigation.navigate('MainTabs', { screen: 'PlannerTab', params: { screen: 'EventDetail', params: { eventId: relatedItem.item } } });
+    } else if (relatedItem.kind === 'Goal') {
+      navigation.navigate('MainTabs', { screen: 'CoachTab', params: { screen: 'GoalDetail', params: { goalId: relatedItem.item } } });
+    }
+  };
+
+  const handleNotificationPress = async (item) => {
+    if (!item.isRead) {
+      try {
+        await apiClient.put(`/notifications/${item._id}/read`);
+        setNotifications((current) => current.map((n) => (n._id === item._id ? { ...n, isRead: true } : n)));
+        setUnreadCount((count) => Math.max(0, count - 1));
+      } catch (e) {
+        console.error("Failed to mark notification as read:", e.response?.data || e.message);
+      }
+    }
+    openRelatedItem(item.relatedItem);
+  };
+
+  // Snoozing or dismissing a reminder also marks its notification as read
+  const applyReminderAction = async (item, action, body) => {
+    try {
+      const response = await apiClient.post(`/notifications/${item._id}/${action}`, body);
+      setNotifications((current) => current.map((n) => (n._id === item._id ? response.data.data.notification : n)));
+      if (!item.isRead) setUnreadCount((count) => Math.max(0, count - 1));
+      if (action === 'snooze') Alert.alert('Snoozed', response.data.message);
+    } catch (e) {
+      Alert.alert('Error', e.response?.data?.message || `Could not ${action} the reminder.`);
+    }
+  };
+
+  const handleSnooze = (item) => {
+    Alert.alert(
+      'Snooze Reminder',
+      'Remind me again in:',
+      [
+        ...SNOOZE_OPTIONS.map((option) => ({
+          text: option.label,
+          onPress: () => applyReminderAction(item, 'snooze', { minutes: option.minutes }),
+        })),
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await apiClient.put('/notifications/read-all');
+      setNotifications((current) => current.map((n) => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (e) {
+      Alert.alert('Error', e.response?.data?.message || 'Could not mark notifications as read.');
+    }
+  };
+
+  const handleClearAll = () => {
+    Alert.alert(
+      'Clear Notifications',
+      'Are you sure you want to delete all notifications?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await apiClient.delete('/notifications');
+              setNotifications([]);
+              setUnreadCount(0);
+            } catch (e) {
+              Alert.alert('Error', e.response?.data?.message || 'Could not clear notifications.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderNotificationItem = ({ item }) => (
+    <Card onPress={() => handleNotificationPress(item)} style={item.isRead ? { opacity: 0.7 } : null}>
+      <CardTitle>{item.title}</CardTitle>
+      <CardDescription numberOfLines={3}>{item.message}</CardDescription>
+      <Row>
+        {!item.isRead && (
+          <Badge type="urgent">
+            <BadgeText>new</BadgeText>
+          </Badge>
+        )}
+        <Badge type="info">
+          <BadgeText>{item.type}</BadgeText>
+        </Badge>
+        {item.createdAt && (
+          <Badge type="default">
+            <BadgeText>{format(new Date(item.createdAt), 'MMM d, p')}</BadgeText>
+          </Badge>
+        )}
+      </Row>
+      {item.type === 'reminder' && item.relatedItem?.reminder && (
+        <Row style={styles.reminderActions}>
+          <TouchableOpacity onPress={() => handleSnooze(item)} style={styles.reminderAction}>
+            <MaterialCommunityIcons name="alarm-snooze" size={18} color={COLORS.chocolateBrown} />
+            <BadgeText style={styles.reminderActionText}>Snooze</BadgeText>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => applyReminderAction(item, 'dismiss')} style={styles.reminderAction}>
+            <MaterialCommunityIcons name="bell-off-outline" size={18} color={COLORS.chocolateBrown} />
+            <BadgeText style={styles.reminderActionText}>Dismiss</BadgeText>
+          </TouchableOpacity>
+        </Row>
+      )}
+    </Card>
+  );
+
+  return (
+    <GradientBackground>
+      <ContentContainer style={{ paddingHorizontal: 0 }}>
+        <Title style={{ color: COLORS.deepCoffee }}>Notifications</Title>
+
+        {notifications.length > 0 && (
+          <View style={{ width: '100%', paddingHorizontal: 20, marginBottom: 20 }}>
+            <GradientButton onPress={handleMarkAllRead} style={{ marginBottom: 10 }}>
+              <GradientButtonBackground colors={GRADIENTS.primaryButton}>
+                <ButtonText>Mark All as Read</ButtonText>
+              </GradientButtonBackground>
+            </GradientButton>
+            <GradientButton onPress={handleClearAll}>
+              <GradientButtonBackground colors={GRADIENTS.secondaryButton}>
+                <ButtonText style={{ color: COLORS.deepCoffee }}>Clear All</ButtonText>
+              </GradientButtonBackground>
+            </GradientButton>
+          </View>
+        )}
+
+        {error ? <ErrorText>{error}</ErrorText> : null}
+        <FlatList
+          data={notifications}
+          keyExtractor={(item) => item._id}
+          renderItem={renderNotificationItem}
+          contentContainerStyle={{ paddingHorizontal: 20, width: '100%' }}
+          ListEmptyComponent={
+            !loading && (
+              <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', marginTop: 50 }}>
+                <MaterialCommunityIcons name="bell-outline" size={60} color={COLORS.lightCocoa} style={{ marginBottom: 15 }} />
+                <SubTitle style={{ color: COLORS.deepCoffee, marginBottom: 10 }}>You're All Caught Up</SubTitle>
+                <DetailText style={{ textAlign: 'center', color: COLORS.chocolateBrown, paddingHorizontal: 20 }}>
+                  Reminders set to "App Notification" will show up here.
+                </DetailText>
+              </View>
+            )
+          }
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <LoadingIndicator /> : null}
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={onRefresh}
+              tintColor={COLORS.chocolateBrown}
+              colors={[COLORS.chocolateBrown]}
+            />
+          }
+        />
+      </ContentContainer>
+    </GradientBackground>
+  );
+};
+
+const styles = StyleSheet.create({
+  reminderActions: {
+    marginTop: 8,
+  },
+  reminderAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 20,
+  },
+  reminderActionText: {
+    marginLeft: 4,
+    color: COLORS.chocolateBrown,
+    fontFamily: FONTS.secondary,
+  },
+});
+
+export default NotificationListScreen;
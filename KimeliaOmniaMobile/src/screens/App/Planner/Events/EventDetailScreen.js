@@ -19,7 +19,7 @@ import {
   Section,
 } from '../../../../components/StyledComponents';
 import apiClient from '../../../../api/apiClient';
-import { COLORS, GRADIENTS, FONTS } from '../../../../constants';
+import { COLORS, GRADIENTS, FONTS, REMINDER_OFFSETS } from '../../../../constants';
 import { format } from 'date-fns';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 
@@ -219,11 +219,18 @@ const EventDetailScreen = ({ route, navigation }) => {
                 {event.reminders.map((reminder, index) => (
                   <Row key={index} style={styles.reminderItem}>
                     <Badge type="info" style={styles.reminderBadge}>
-                      <BadgeText>{format(new Date(reminder.time), 'MMM d, p')}</BadgeText>
+                      <BadgeText>{reminder.time ? format(new Date(reminder.time), 'MMM d, p') : 'Not scheduled'}</BadgeText>
                     </Badge>
                     <Badge type="default" style={styles.reminderBadge}>
                       <BadgeText>{reminder.method}</BadgeText>
                     </Badge>
+                    {reminder.offsetMinutes != null && (
+                      <Badge type="default" style={styles.reminderBadge}>
+                        <BadgeText>
+                          {REMINDER_OFFSETS.find((offset) => offset.minutes === reminder.offsetMinutes)?.label || `${reminder.offsetMinutes} min`} before start
+                        </BadgeText>
+                      </Badge>
+                    )}
                   </Row>
                 ))}
               </View>
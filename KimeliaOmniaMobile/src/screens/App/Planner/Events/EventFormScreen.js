@@ -24,7 +24,7 @@ import {
   Row,
 } from '../../../../components/StyledComponents';
 import apiClient from '../../../../api/apiClient';
-import { COLORS, GRADIENTS, FONTS } from '../../../../constants'; // Import FONTS
+import { COLORS, GRADIENTS, FONTS, REMINDER_OFFSETS } from '../../../../constants'; // Import FONTS
 
 const EVENT_CATEGORIES = [
   { value: 'meeting', label: '💼 Meeting' },
@@ -50,7 +50,7 @@ const EventFormScreen = ({ route, navigation }) => {
   const [attendees, setAttendees] = useState(eventToEdit?.attendees ? eventToEdit.attendees.join(', ') : '');
 
   const [reminders, setReminders] = useState(
-    eventToEdit?.reminders?.map(r => ({ ...r, time: new Date(r.time) })) || []
+    eventToEdit?.reminders?.map(r => ({ ...r, time: r.time ? new Date(r.time) : null })) || []
   );
   const [newReminderDate, setNewReminderDate] = useState(new Date());
   const [newReminderMethod, setNewReminderMethod] = useState('app_notification');
@@ -204,6 +204,11 @@ const EventFormScreen = ({ route, navigation }) => {
     setReminders(reminders.filter((_, i) => i !== index));
   };
 
+  // Relative reminders move with the start
+  const handleAddRelativeReminder = (offsetMinutes) => {
+    setReminders([...reminders, { offsetMinutes, method: newReminderMethod }]);
+  };
+
   const handleSubmit = async () => {
     setError('');
     setSuccessMessage('');
@@ -232,10 +237,9 @@ const EventFormScreen = ({ route, navigation }) => {
         allDay: allDay,
         category,
         attendees: attendees ? attendees.split(',').map(email => email.trim()).filter(Boolean) : undefined,
-        reminders: reminders.map(r => ({
-          time: r.time.toISOString(),
-          method: r.method,
-        })),
+        reminders: reminders.map(r => (r.offsetMinutes != null
+          ? { offsetMinutes: r.offsetMinutes, method: r.method }
+          : { time: r.time.toISOString(), method: r.method })),
       };
 
       let response;
@@ -462,11 +466,13 @@ const EventFormScreen = ({ route, navigation }) => {
                     <Row style={styles.reminderTextRow}>
                       <MaterialCommunityIcons name="clock-outline" size={16} color={COLORS.deepCoffee} style={styles.icon} />
                       <BadgeText style={styles.reminderDateText}>
-                        {format(new Date(reminder.time), 'MMM d, yyyy')}
+                        {reminder.offsetMinutes != null
+                          ? `${REMINDER_OFFSETS.find((offset) => offset.minutes === reminder.offsetMinutes)?.label || `${reminder.offsetMinutes} min`} before start`
+                          : format(new Date(reminder.time), 'MMM d, yyyy')}
                       </BadgeText>
                     </Row>
                     <BadgeText style={styles.reminderTimeMethodText}>
-                      {format(new Date(reminder.time), 'h:mm a')} • {reminder.method.replace('_', ' ')}
+                      {reminder.time ? format(new Date(reminder.time), 'h:mm a') : 'No start yet'} • {reminder.method.replace('_', ' ')}
                     </BadgeText>
                   </View>
                   <TouchableOpacity 
@@ -526,6 +532,20 @@ const EventFormScreen = ({ route, navigation }) => {
                 </Row>
               </GradientButtonBackground>
             </GradientButton>
+
+            <Label style={styles.addReminderLabel}>Or Remind Me Before the Start</Label>
+            <Row style={styles.reminderOffsetRow}>
+              {REMINDER_OFFSETS.map((offset) => (
+                <TouchableOpacity
+                  key={offset.minutes}
+                  onPress={() => handleAddRelativeReminder(offset.minutes)}
+                  disabled={loading}
+                  style={styles.reminderOffsetChip}
+                >
+                  <BadgeText style={styles.reminderOffsetText}>{offset.label} before</BadgeText>
+                </TouchableOpacity>
+              ))}
+            </Row>
           </View>
 
           {/* Submit Button */}
@@ -822,6 +842,23 @@ const styles = StyleSheet.create({
     color: COLORS.deepCoffee,
     fontSize: 16,
   },
+  reminderOffsetRow: {
+    flexWrap: 'wrap',
+  },
+  reminderOffsetChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.lightCocoa,
+    backgroundColor: COLORS.white,
+  },
+  reminderOffsetText: {
+    color: COLORS.deepCoffee,
+    fontFamily: FONTS.secondary,
+  },
   submitButton: {
     marginBottom: 30,
     marginTop: 20,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useEffect, useCallback } from 'react';
 import { FlatList, RefreshControl, Alert, View } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import {
@@ -21,32 +21,24 @@ import {
   SubTitle, // Added for empty state
   DetailText, // Added for empty state
 } from '../../../../components/StyledComponents';
-import apiClient from '../../../../api/apiClient';
+import usePaginatedList from '../../../../hooks/usePaginatedList';
 import { COLORS, GRADIENTS } from '../../../../constants';
 import { format } from 'date-fns';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons'; // Added for icons
 
 const EventListScreen = ({ navigation }) => {
-  const [events, setEvents] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
-  const [refreshing, setRefreshing] = useState(false);
-
-  const fetchEvents = useCallback(async () => {
-    setError('');
-    setLoading(true);
-    try {
-      const response = await apiClient.get('/events');
-      setEvents(response.data.data);
-    } catch (e) {
-      console.error("Failed to fetch events:", e.response?.data || e.message);
-      setError(e.response?.data?.message || 'Failed to load events.');
-      Alert.alert('Error', e.response?.data?.message || 'Could not load events.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  }, []);
+  const {
+    items: events,
+    refreshing,
+    loadingMore,
+    error,
+    reload: fetchEvents,
+    refresh: onRefresh,
+    loadMore,
+  } = usePaginatedList('/events', {
+    errorMessage: 'Failed to load events.',
+    onError: (message) => Alert.alert('Error', message),
+  });
 
   useFocusEffect(
     useCallback(() => {
@@ -55,11 +47,6 @@ const EventListScreen = ({ navigation }) => {
     }, [fetchEvents])
   );
 
-  const onRefresh = useCallback(() => {
-    setRefreshing(true);
-    fetchEvents();
-  }, [fetchEvents]);
-
   const handleEventPress = (item) => {
     if (!item._id || typeof item._id !== 'string' || item._id.trim() === '') {
       Alert.alert(
@@ -117,6 +104,9 @@ const EventListScreen = ({ navigation }) => {
               </DetailText>
             </View>
           }
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <LoadingIndicator /> : null}
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
@@ -26,7 +26,7 @@ import {
   BadgeText,
 } from '../../../components/StyledComponents';
 import apiClient from '../../../api/apiClient';
-import { COLORS, GRADIENTS, FONTS } from '../../../constants'; // Import FONTS
+import { COLORS, GRADIENTS, FONTS, REMINDER_OFFSETS } from '../../../constants'; // Import FONTS
 
 const TaskFormScreen = ({ route, navigation }) => {
   const { taskId, taskToEdit } = route.params || {};
@@ -41,7 +41,7 @@ const TaskFormScreen = ({ route, navigation }) => {
   const [tags, setTags] = useState(taskToEdit?.tags ? taskToEdit.tags.join(', ') : '');
   const [selectedProjectId, setSelectedProjectId] = useState(taskToEdit?.project?._id || '');
   const [projects, setProjects] = useState([]);
-  const [reminders, setReminders] = useState(taskToEdit?.reminders?.map(r => ({ ...r, time: new Date(r.time) })) || []);
+  const [reminders, setReminders] = useState(taskToEdit?.reminders?.map(r => ({ ...r, time: r.time ? new Date(r.time) : null })) || []);
   const [newReminderDate, setNewReminderDate] = useState(new Date());
   const [showReminderDatePicker, setShowReminderDatePicker] = useState(false);
   const [showReminderTimePicker, setShowReminderTimePicker] = useState(false);
@@ -54,7 +54,8 @@ const TaskFormScreen = ({ route, navigation }) => {
   useEffect(() => {
     const fetchProjects = async () => {
       try {
-        const response = await apiClient.get('/projects');
+        // The picker shows the first 100 projects by title (the largest page the API returns)
+        const response = await apiClient.get('/projects', { params: { limit: 100, sort: 'title' } });
         setProjects(response.data.data);
       } catch (e) {
         console.error("Failed to fetch projects:", e.response?.data || e.message);
@@ -135,6 +136,15 @@ const TaskFormScreen = ({ route, navigation }) => {
     setReminders(reminders.filter((_, i) => i !== index));
   };
 
+  // Relative reminders move with the due date
+  const handleAddRelativeReminder = (offsetMinutes) => {
+    if (!dueDate) {
+      Alert.alert('Error', 'Set a due date first to add a reminder before it.');
+      return;
+    }
+    setReminders([...reminders, { offsetMinutes, method: newReminderMethod }]);
+  };
+
   const clearDueDate = () => {
     setDueDate(null);
   };
@@ -158,10 +168,9 @@ const TaskFormScreen = ({ route, navigation }) => {
         priority,
         tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
         project: selectedProjectId || undefined,
-        reminders: reminders.map(r => ({
-          time: r.time,
-          method: r.method,
-        })),
+        reminders: reminders.map(r => (r.offsetMinutes != null
+          ? { offsetMinutes: r.offsetMinutes, method: r.method }
+          : { time: r.time, method: r.method })),
       };
 
       let response;
@@ -353,11 +362,13 @@ const TaskFormScreen = ({ route, navigation }) => {
                     <Row style={styles.reminderTextRow}>
                       <MaterialCommunityIcons name="clock-outline" size={16} color={COLORS.deepCoffee} style={styles.icon} />
                       <BadgeText style={styles.reminderDateText}>
-                        {format(new Date(reminder.time), 'MMM d, yyyy')}
+                        {reminder.offsetMinutes != null
+                          ? `${REMINDER_OFFSETS.find((offset) => offset.minutes === reminder.offsetMinutes)?.label || `${reminder.offsetMinutes} min`} before due date`
+                          : format(new Date(reminder.time), 'MMM d, yyyy')}
                       </BadgeText>
                     </Row>
                     <BadgeText style={styles.reminderTimeMethodText}>
-                      {format(new Date(reminder.time), 'h:mm a')} • {reminder.method.replace('_', ' ')}
+                      {reminder.time ? format(new Date(reminder.time), 'h:mm a') : 'No due date yet'} • {reminder.method.replace('_', ' ')}
                     </BadgeText>
                   </View>
                   <TouchableOpacity 
@@ -417,6 +428,20 @@ const TaskFormScreen = ({ route, navigation }) => {
                 </Row>
               </GradientButtonBackground>
             </GradientButton>
+
+            <Label style={styles.addReminderLabel}>Or Remind Me Before the Due Date</Label>
+            <Row style={styles.reminderOffsetRow}>
+              {REMINDER_OFFSETS.map((offset) => (
+                <TouchableOpacity
+                  key={offset.minutes}
+                  onPress={() => handleAddRelativeReminder(offset.minutes)}
+                  disabled={loading}
+                  style={styles.reminderOffsetChip}
+                >
+                  <BadgeText style={styles.reminderOffsetText}>{offset.label} before</BadgeText>
+                </TouchableOpacity>
+              ))}
+            </Row>
           </View>
 
           {/* Submit Button */}
@@ -635,6 +660,23 @@ const styles = StyleSheet.create({
     color: COLORS.deepCoffee,
     fontSize: 16,
   },
+  reminderOffsetRow: {
+    flexWrap: 'wrap',
+  },
+  reminderOffsetChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.lightCocoa,
+    backgroundColor: COLORS.white,
+  },
+  reminderOffsetText: {
+    color: COLORS.deepCoffee,
+    fontFamily: FONTS.secondary,
+  },
   submitButton: {
     marginBottom: 30,
     marginTop: 20, // Add more space before the final submit button
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useEffect, useCallback } from 'react';
 import { FlatList, RefreshControl, Alert, View } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import {
@@ -21,32 +21,24 @@ import {
   SubTitle, // Added for empty state
   DetailText, // Added for empty state
 } from '../../../components/StyledComponents';
-import apiClient from '../../../api/apiClient';
+import usePaginatedList from '../../../hooks/usePaginatedList';
 import { COLORS, GRADIENTS } from '../../../constants';
 import { format } from 'date-fns';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons'; // Added for icons
 
 const TaskListScreen = ({ navigation }) => {
-  const [tasks, setTasks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
-  const [refreshing, setRefreshing] = useState(false);
-
-  const fetchTasks = useCallback(async () => {
-    setError('');
-    setLoading(true);
-    try {
-      const response = await apiClient.get('/tasks');
-      setTasks(response.data.data);
-    } catch (e) {
-      console.error("Failed to fetch tasks:", e.response?.data || e.message);
-      setError(e.response?.data?.message || 'Failed to load tasks.');
-      Alert.alert('Error', e.response?.data?.message || 'Could not load tasks.');
-    } finally {
-      setLoading(false);
-      setRefreshing(false);
-    }
-  }, []);
+  const {
+    items: tasks,
+    refreshing,
+    loadingMore,
+    error,
+    reload: fetchTasks,
+    refresh: onRefresh,
+    loadMore,
+  } = usePaginatedList('/tasks', {
+    errorMessage: 'Failed to load tasks.',
+    onError: (message) => Alert.alert('Error', message),
+  });
 
   useFocusEffect(
     useCallback(() => {
@@ -55,11 +47,6 @@ const TaskListScreen = ({ navigation }) => {
     }, [fetchTasks])
   );
 
-  const onRefresh = useCallback(() => {
-    setRefreshing(true);
-    fetchTasks();
-  }, [fetchTasks]);
-
   const handleTaskPress = (item) => {
     if (!item._id || typeof item._id !== 'string' || item._id.trim() === '') {
       Alert.alert(
@@ -120,6 +107,9 @@ const TaskListScreen = ({ navigation }) => {
               </DetailText>
             </View>
           }
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <LoadingIndicator /> : null}
           refreshControl={
             <RefreshControl
               refreshing={refreshing}
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FlatList, View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import {
+  GradientBackground,
+  ContentContainer,
+  Input,
+  LoadingIndicator,
+  ErrorText,
+  Card,
+  CardTitle,
+  CardDescription,
+  Badge,
+  BadgeText,
+  Row,
+  SubTitle,
+  DetailText,
+} from '../../../components/StyledComponents';
+import apiClient from '../../../api/apiClient';
+import { COLORS, FONTS } from '../../../constants';
+import { format } from 'date-fns';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+
+const SEARCH_DELAY_MS = 350; // Wait for the user to stop typing
+
+const MODULE_FILTERS = [
+  { key: null, label: 'All' },
+  { key: 'tasks', label: 'Tasks' },
+  { key: 'events', label: 'Events' },
+  { key: 'messages', label: 'Messages' },
+  { key: 'goals', label: 'Goals' },
+  { key: 'learningResources', label: 'Resources' },
+  { key: 'projects', label: 'Projects' },
+  { key: 'expenses', label: 'Expenses' },
+];
+
+const RESULT_ICONS = {
+  task: 'clipboard-list-outline',
+  event: 'calendar-check-outline',
+  message: 'message-text-outline',
+  goal: 'target-variant',
+  learningResource: 'book-open-page-variant-outline',
+  project: 'briefcase-outline',
+  expense: 'cash',
+};
+
+// Renders a text with the API's highlight ranges ([start, end]) in bold
+const HighlightedText = ({ text, highlights, style, numberOfLines }) => {
+  const parts = [];
+  let position = 0;
+  (highlights || []).forEach(([start, end]) => {
+    if (start > position) parts.push(<Text key={`t${position}`}>{text.slice(position, start)}</Text>);
+    parts.push(<Text key={`h${start}`} style={styles.highlight}>{text.slice(start, end)}</Text>);
+    position = end;
+  });
+  if (position < text.length) parts.push(<Text key={`t${position}`}>{text.slice(position)}</Text>);
+  return <Text style={style} numberOfLines={numberOfLines}>{parts}</Text>;
+};
+
+const SearchScreen = ({ navigation }) => {
+  const [query, setQuery] = useState('');
+  const [tag, setTag] = useState('');
+  const [module, setModule] = useState(null);
+  const [results, setResults] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const requestRef = useRef(0); // Only the latest search updates the results
+
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < 2) {
+      setResults([]);
+      setCounts({});
+      setError('');
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      const request = ++requestRef.current;
+      setLoading(true);
+      setError('');
+      try {
+        const params = { q: text, limit: 50 };
+        if (module) params.modules = module;
+        if (tag.trim()) params.tag = tag.trim();
+        const response = await apiClient.get('/search', { params });
+        if (request !== requestRef.current) return;
+        setResults(response.data.data);
+        // A module filter only returns that module's count, so the other chips keep theirs
+        setCounts((current) => (module ? { ...current, ...response.data.counts } : response.data.counts));
+      } catch (e) {
+        if (request !== requestRef.current) return;
+        console.error("Failed to search:", e.response?.data || e.message);
+        setError(e.response?.data?.message || 'Search failed.');
+      } finally {
+        if (request === requestRef.current) setLoading(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [query, tag, module]);
+
+  const openResult = (item) => {
+    const id = String(item.id);
+    switch (item.type) {
+      case 'task':
+        navigation.navigate('MainTabs', { screen: 'PlannerTab', params: { screen: 'TaskDetail', params: { taskId: id, taskTitle: item.title } } });
+        break;
+      case 'event':
+        navigation.navigate('MainTabs', { screen: 'PlannerTab', params: { screen: 'EventDetail', params: { eventId: id, eventTitle: item.title } } });
+        break;
+      case 'message':
+        navigation.navigate('MainTabs', { screen: 'CommunicatorTab', params: { screen: 'MessageDetail', params: { messageId: id, messageSubject: item.title } } });
+        break;
+      case 'goal':
+        navigation.navigate('MainTabs', { screen: 'CoachTab', params: { screen: 'GoalDetail', params: { goalId: id, goalTitle: item.title } } });
+        break;
+      case 'learningResource':
+        navigation.navigate('MainTabs', { screen: 'CoachTab', params: { screen: 'LearningResourceDetail', params: { resourceId: id, resourceTitle: item.title } } });
+        break;
+      case 'project':
+        navigation.navigate('MainTabs', { screen: 'WorkspaceTab', params: { screen: 'ProjectBoard', params: { projectId: id, projectTitle: item.title } } });
+        break;
+      default:
+        break; // Expenses have no detail screen yet
+    }
+  };
+
+  const renderResult = ({ item }) => (
+    <Card onPress={() => openResult(item)}>
+      <Row style={styles.resultHeader}>
+        <MaterialCommunityIcons name={RESULT_ICONS[item.type] || 'magnify'} size={20} color={COLORS.chocolateBrown} style={styles.resultIcon} />
+        <CardTitle style={styles.resultTitle}>
+          <HighlightedText text={item.title || '(untitled)'} highlights={item.title ? item.highlights.title : []} numberOfLines={1} />
+        </CardTitle>
+      </Row>
+      {item.snippet ? (
+        <CardDescription>
+          <HighlightedText text={item.snippet} highlights={item.highlights.snippet} numberOfLines={3} />
+        </CardDescription>
+      ) : null}
+      <Row>
+        <Badge type="info">
+          <BadgeText>{item.type}</BadgeText>
+        </Badge>
+        {item.date && (
+          <Badge type="default">
+            <BadgeText>{format(new Date(item.date), 'MMM d, yyyy')}</BadgeText>
+          </Badge>
+        )}
+        {item.tags.slice(0, 2).map((itemTag) => (
+          <Badge key={itemTag} type="default">
+            <BadgeText>#{itemTag}</BadgeText>
+          </Badge>
+        ))}
+      </Row>
+    </Card>
+  );
+
+  const searching = query.trim().length >= 2;
+
+  return (
+    <GradientBackground>
+      <ContentContainer style={styles.contentContainer}>
+        <View style={styles.searchFields}>
+          <Input
+            placeholder="Search tasks, events, messages, goals..."
+            value={query}
+            onChangeText={setQuery}
+            autoFocus
+            autoCorrect={false}
+            returnKeyType="search"
+          />
+          <Input
+            placeholder="Filter by tag (optional)"
+            value={tag}
+            onChangeText={setTag}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+        </View>
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filters} contentContainerStyle={styles.filtersContent}>
+          {MODULE_FILTERS.map((filter) => {
+            const selected = module === filter.key;
+            const count = filter.key ? counts[filter.key] : null;
+            return (
+              <TouchableOpacity
+                key={filter.label}
+                onPress={() => setModule(filter.key)}
+                style={[styles.filterChip, selected && styles.filterChipSelected]}
+              >
+                <Text style={[styles.filterChipText, selected && styles.filterChipTextSelected]}>
+                  {count ? `${filter.label} (${count})` : filter.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+
+        {error ? <ErrorText>{error}</ErrorText> : null}
+        {loading ? <LoadingIndicator /> : null}
+        <FlatList
+          data={results}
+          keyExtractor={(item) => `${item.type}-${item.id}`}
+          renderItem={renderResult}
+          contentContainerStyle={styles.flatListContent}
+          keyboardShouldPersistTaps="handled"
+          ListEmptyComponent={
+            !loading && (
+              <View style={styles.emptyStateContainer}>
+                <MaterialCommunityIcons name="magnify" size={60} color={COLORS.lightCocoa} style={styles.emptyStateIcon} />
+                <SubTitle style={styles.emptyStateTitle}>{searching ? 'No Results' : 'Search Everything'}</SubTitle>
+                <DetailText style={styles.emptyStateDescription}>
+                  <Text>
+                    {searching
+                      ? 'Try other words, another module, or remove the tag filter.'
+                      : 'Find tasks, events, messages, goals, learning resources, projects and expenses in one place.'}
+                  </Text>
+                </DetailText>
+              </View>
+            )
+          }
+        />
+      </ContentContainer>
+    </GradientBackground>
+  );
+};
+
+const styles = StyleSheet.create({
+  contentContainer: {
+    paddingHorizontal: 0,
+    paddingTop: 20,
+  },
+  searchFields: {
+    width: '100%',
+    paddingHorizontal: 20,
+  },
+  filters: {
+    flexGrow: 0,
+    width: '100%',
+    marginBottom: 10,
+  },
+  filtersContent: {
+    paddingHorizontal: 20,
+  },
+  filterChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    marginRight: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.lightCocoa,
+    backgroundColor: COLORS.white,
+  },
+  filterChipSelected: {
+    backgroundColor: COLORS.chocolateBrown,
+    borderColor: COLORS.chocolateBrown,
+  },
+  filterChipText: {
+    fontFamily: FONTS.secondary,
+    fontSize: 13,
+    color: COLORS.deepCoffee,
+  },
+  filterChipTextSelected: {
+    color: COLORS.white,
+  },
+  flatListContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    width: '100%',
+  },
+  resultHeader: {
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  resultIcon: {
+    marginRight: 8,
+  },
+  resultTitle: {
+    flex: 1,
+    marginBottom: 0,
+  },
+  highlight: {
+    fontWeight: 'bold',
+    backgroundColor: COLORS.softCream,
+    color: COLORS.chocolateBrown,
+  },
+  emptyStateContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 50,
+  },
+  emptyStateIcon: {
+    marginBottom: 15,
+  },
+  emptyStateTitle: {
+    color: COLORS.deepCoffee,
+    marginBottom: 10,
+  },
+  emptyStateDescription: {
+    textAlign: 'center',
+    color: COLORS.chocolateBrown,
+    paddingHorizontal: 20,
+  },
+});
+
+export default SearchScreen;
@@ -0,0 +1,282 @@
+import React, { useState, useCallback } from 'react';
+import { ScrollView, RefreshControl, Alert, Modal, View, StyleSheet, Text, TouchableOpacity } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  GradientBackground,
+  LoadingIndicator,
+  ErrorText,
+  Card,
+  CardTitle,
+  Badge,
+  BadgeText,
+  Row,
+  SubTitle,
+  DetailText,
+  ModalBackground,
+  ModalContent,
+} from '../../../components/StyledComponents';
+import apiClient from '../../../api/apiClient';
+import { COLORS, FONTS } from '../../../constants';
+import { format, parseISO } from 'date-fns';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+
+const ProjectBoardScreen = ({ route, navigation }) => {
+  const { projectId } = route.params;
+  const [columns, setColumns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [refreshing, setRefreshing] = useState(false);
+  const [selected, setSelected] = useState(null); // { task, columnKey, index } of the card being moved
+  const [moving, setMoving] = useState(false);
+
+  const fetchBoard = useCallback(async () => {
+    setError('');
+    try {
+      const response = await apiClient.get(`/projects/${projectId}/board`);
+      setColumns(response.data.data.columns);
+    } catch (e) {
+      console.error("Failed to fetch project board:", e.response?.data || e.message);
+      setError(e.response?.data?.message || 'Failed to load the project board.');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [projectId]);
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchBoard();
+      return () => {};
+    }, [fetchBoard])
+  );
+
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    fetchBoard();
+  }, [fetchBoard]);
+
+  // index is counted without the moved task, as the API expects
+  const moveTask = async (columnKey, index) => {
+    if (!selected) return;
+    setMoving(true);
+    try {
+      await apiClient.put(`/projects/${projectId}/board/move`, { taskId: selected.task._id, column: columnKey, index });
+      setSelected(null);
+      await fetchBoard();
+    } catch (e) {
+      console.error("Failed to move task:", e.response?.data || e.message);
+      Alert.alert('Error', e.response?.data?.message || 'Could not move the task.');
+    } finally {
+      setMoving(false);
+    }
+  };
+
+  const openTask = () => {
+    const taskId = selected.task._id;
+    setSelected(null);
+    navigation.navigate('PlannerTab', { screen: 'TaskDetail', params: { taskId } });
+  };
+
+  const renderTaskCard = (task, column, index) => (
+    <Card key={task._id} onPress={() => setSelected({ task, columnKey: column.key, index })} style={styles.taskCard}>
+      <CardTitle style={styles.taskCardTitle} numberOfLines={2}>{task.title}</CardTitle>
+      <Row style={styles.badgesContainer}>
+        <Badge type={task.priority}>
+          <BadgeText>{task.priority}</BadgeText>
+        </Badge>
+        {task.dueDate && (
+          <Badge type="default">
+            <BadgeText>{format(parseISO(task.dueDate), 'MMM d')}</BadgeText>
+          </Badge>
+        )}
+      </Row>
+      {task.assignedTo?.name ? <DetailText style={styles.assignee}>{task.assignedTo.name}</DetailText> : null}
+    </Card>
+  );
+
+  if (loading) {
+    return (
+      <GradientBackground>
+        <LoadingIndicator />
+      </GradientBackground>
+    );
+  }
+
+  const selectedColumn = selected && columns.find((column) => column.key === selected.columnKey);
+
+  return (
+    <GradientBackground>
+      {error ? <ErrorText style={styles.errorText}>{error}</ErrorText> : null}
+      <ScrollView horizontal contentContainerStyle={styles.board} showsHorizontalScrollIndicator={false}>
+        {columns.map((column) => (
+          <View key={column.key} style={styles.column}>
+            <Row style={styles.columnHeader}>
+              <SubTitle style={styles.columnTitle}>{column.name}</SubTitle>
+              <Badge type={column.status}>
+                <BadgeText>{column.tasks.length}</BadgeText>
+              </Badge>
+            </Row>
+            <ScrollView
+              contentContainerStyle={styles.columnContent}
+              refreshControl={
+                <RefreshControl
+                  refreshing={refreshing}
+                  onRefresh={onRefresh}
+                  tintColor={COLORS.chocolateBrown}
+                  colors={[COLORS.chocolateBrown]}
+                />
+              }
+            >
+              {column.tasks.length === 0
+                ? <DetailText style={styles.emptyColumnText}>No tasks</DetailText>
+                : column.tasks.map((task, index) => renderTaskCard(task, column, index))}
+            </ScrollView>
+          </View>
+        ))}
+      </ScrollView>
+
+      <Modal visible={!!selected} transparent animationType="slide" onRequestClose={() => setSelected(null)}>
+        <ModalBackground onPress={() => setSelected(null)}>
+          <ModalContent onStartShouldSetResponder={() => true}>{/* Keep taps inside the sheet from closing it */}
+            {selected && (
+              <>
+                <SubTitle style={styles.modalTitle} numberOfLines={2}>{selected.task.title}</SubTitle>
+                {moving ? <LoadingIndicator /> : (
+                  <>
+                    <Row style={styles.modalRow}>
+                      <TouchableOpacity
+                        style={styles.modalAction}
+                        disabled={selected.index === 0}
+                        onPress={() => moveTask(selected.columnKey, selected.index - 1)}
+                      >
+                        <MaterialCommunityIcons name="arrow-up" size={22} color={selected.index === 0 ? COLORS.lightCocoa : COLORS.chocolateBrown} />
+                        <Text style={styles.modalActionText}>Move up</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={styles.modalAction}
+                        disabled={selected.index >= selectedColumn.tasks.length - 1}
+                        onPress={() => moveTask(selected.columnKey, selected.index + 1)}
+                      >
+                        <MaterialCommunityIcons name="arrow-down" size={22} color={selected.index >= selectedColumn.tasks.length - 1 ? COLORS.lightCocoa : COLORS.chocolateBrown} />
+                        <Text style={styles.modalActionText}>Move down</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.modalAction} onPress={openTask}>
+                        <MaterialCommunityIcons name="open-in-new" size={22} color={COLORS.chocolateBrown} />
+                        <Text style={styles.modalActionText}>Open</Text>
+                      </TouchableOpacity>
+                    </Row>
+                    <DetailText style={styles.modalLabel}>Move to column</DetailText>
+                    {columns.filter((column) => column.key !== selected.columnKey).map((column) => (
+                      <TouchableOpacity key={column.key} style={styles.columnOption} onPress={() => moveTask(column.key, column.tasks.length)}>
+                        <Text style={styles.columnOptionText}>{column.name}</Text>
+                        <MaterialCommunityIcons name="chevron-right" size={20} color={COLORS.copper} />
+                      </TouchableOpacity>
+                    ))}
+                  </>
+                )}
+              </>
+            )}
+          </ModalContent>
+        </ModalBackground>
+      </Modal>
+    </GradientBackground>
+  );
+};
+
+const styles = StyleSheet.create({
+  errorText: {
+    paddingHorizontal: 20,
+    marginTop: 10,
+  },
+  board: {
+    padding: 15,
+  },
+  column: {
+    width: 280,
+    marginRight: 15,
+    backgroundColor: 'rgba(255, 248, 240, 0.7)',
+    borderRadius: 15,
+    padding: 12,
+  },
+  columnHeader: {
+    justifyContent: 'space-between',
+    flexWrap: 'nowrap',
+  },
+  columnTitle: {
+    fontSize: 17,
+    fontFamily: FONTS.primary,
+    color: COLORS.deepCoffee,
+    marginBottom: 0,
+  },
+  columnContent: {
+    paddingBottom: 20,
+  },
+  taskCard: {
+    borderRadius: 12,
+    padding: 14,
+    width: '100%',
+  },
+  taskCardTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.primary,
+    color: COLORS.deepCoffee,
+  },
+  badgesContainer: {
+    marginTop: 6,
+    marginBottom: 0,
+    gap: 6,
+  },
+  assignee: {
+    fontSize: 13,
+    color: COLORS.chocolateBrown,
+    marginTop: 4,
+  },
+  emptyColumnText: {
+    color: COLORS.copper,
+    fontFamily: FONTS.secondary,
+    textAlign: 'center',
+    alignSelf: 'center',
+    marginTop: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontFamily: FONTS.primary,
+    color: COLORS.deepCoffee,
+    marginBottom: 15,
+  },
+  modalRow: {
+    justifyContent: 'space-around',
+    flexWrap: 'nowrap',
+  },
+  modalAction: {
+    alignItems: 'center',
+    padding: 8,
+  },
+  modalActionText: {
+    fontFamily: FONTS.secondary,
+    color: COLORS.deepCoffee,
+    marginTop: 4,
+  },
+  modalLabel: {
+    alignSelf: 'flex-start',
+    fontFamily: FONTS.secondary,
+    color: COLORS.copper,
+    marginTop: 10,
+  },
+  columnOption: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    width: '100%',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.lightCocoa,
+  },
+  columnOptionText: {
+    fontFamily: FONTS.secondary,
+    fontSize: 16,
+    color: COLORS.deepCoffee,
+  },
+});
+
+export default ProjectBoardScreen;
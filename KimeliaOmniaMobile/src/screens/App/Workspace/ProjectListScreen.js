@@ -0,0 +1,172 @@
+import React, { useCallback } from 'react';
+import { FlatList, RefreshControl, Alert, View, StyleSheet, Text } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  GradientBackground,
+  ContentContainer,
+  Title,
+  LoadingIndicator,
+  ErrorText,
+  Card,
+  CardTitle,
+  CardDescription,
+  Badge,
+  BadgeText,
+  Row,
+  SubTitle,
+  DetailText,
+} from '../../../components/StyledComponents';
+import usePaginatedList from '../../../hooks/usePaginatedList';
+import { COLORS, FONTS } from '../../../constants';
+import { format, parseISO } from 'date-fns';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+
+const ProjectListScreen = ({ navigation }) => {
+  const {
+    items: projects,
+    loading,
+    refreshing,
+    loadingMore,
+    error,
+    reload: fetchProjects,
+    refresh: onRefresh,
+    loadMore,
+  } = usePaginatedList('/projects', { errorMessage: 'Failed to load projects.' });
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchProjects();
+      return () => {};
+    }, [fetchProjects])
+  );
+
+  const handleProjectPress = (item) => {
+    if (!item._id) {
+      Alert.alert('Invalid Project', 'This project has no ID. Cannot open its board.');
+      return;
+    }
+    navigation.navigate('ProjectBoard', { projectId: String(item._id), projectTitle: item.title });
+  };
+
+  const renderProjectItem = ({ item }) => (
+    <Card onPress={() => handleProjectPress(item)} style={styles.projectCard}>
+      <CardTitle style={styles.projectCardTitle}>{item.title}</CardTitle>
+      {item.description ? <CardDescription numberOfLines={2}>{item.description}</CardDescription> : null}
+      <Row style={styles.badgesContainer}>
+        <Badge type={item.status === 'completed' ? 'completed' : item.status}>
+          <BadgeText>{item.status}</BadgeText>
+        </Badge>
+        <Badge type={item.priority}>
+          <BadgeText>{item.priority}</BadgeText>
+        </Badge>
+        {item.endDate && (
+          <Badge type="default">
+            <BadgeText>
+              <Text>Ends: </Text>
+              {format(parseISO(item.endDate), 'MMM d, yyyy')}
+            </BadgeText>
+          </Badge>
+        )}
+      </Row>
+    </Card>
+  );
+
+  if (loading) {
+    return (
+      <GradientBackground>
+        <LoadingIndicator />
+      </GradientBackground>
+    );
+  }
+
+  return (
+    <GradientBackground>
+      <ContentContainer style={styles.contentContainer}>
+        <Title style={styles.mainTitle}>Omnia Workspace</Title>
+
+        {error ? <ErrorText>{error}</ErrorText> : null}
+        <FlatList
+          data={projects}
+          keyExtractor={(item) => item._id}
+          renderItem={renderProjectItem}
+          contentContainerStyle={styles.flatListContent}
+          ListEmptyComponent={
+            <View style={styles.emptyStateContainer}>
+              <MaterialCommunityIcons name="briefcase-outline" size={60} color={COLORS.lightCocoa} style={styles.emptyStateIcon} />
+              <SubTitle style={styles.emptyStateTitle}>No Projects Yet</SubTitle>
+              <DetailText style={styles.emptyStateDescription}>
+                <Text>Projects you own or are a member of will show up here with their task boards.</Text>
+              </DetailText>
+            </View>
+          }
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={loadingMore ? <LoadingIndicator /> : null}
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={onRefresh}
+              tintColor={COLORS.chocolateBrown}
+              colors={[COLORS.chocolateBrown]}
+            />
+          }
+        />
+      </ContentContainer>
+    </GradientBackground>
+  );
+};
+
+const styles = StyleSheet.create({
+  contentContainer: {
+    paddingHorizontal: 0,
+  },
+  mainTitle: {
+    fontSize: 28,
+    color: COLORS.deepCoffee,
+    fontFamily: FONTS.primary,
+    marginBottom: 20,
+    paddingHorizontal: 20,
+  },
+  flatListContent: {
+    paddingHorizontal: 20,
+    width: '100%',
+  },
+  projectCard: {
+    borderRadius: 15,
+    padding: 18,
+  },
+  projectCardTitle: {
+    fontSize: 19,
+    fontFamily: FONTS.primary,
+    color: COLORS.deepCoffee,
+  },
+  badgesContainer: {
+    marginTop: 8,
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  emptyStateContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 50,
+    paddingHorizontal: 20,
+  },
+  emptyStateIcon: {
+    marginBottom: 15,
+  },
+  emptyStateTitle: {
+    color: COLORS.deepCoffee,
+    marginBottom: 10,
+    fontSize: 20,
+    fontFamily: FONTS.primary,
+  },
+  emptyStateDescription: {
+    textAlign: 'center',
+    color: COLORS.chocolateBrown,
+    paddingHorizontal: 10,
+    fontFamily: FONTS.secondary,
+  },
+});
+
+export default ProjectListScreen;
@@ -13,6 +13,7 @@ import {
   LoadingIndicator,
   ContentContainer, // Use ContentContainer for consistent padding
   ScrollContainer, // Add ScrollContainer for smaller screens
+  DetailText,
 } from '../../components/StyledComponents';
 import KIMELIAOmniaLogo from '../../components/Logo/KIMELIAOmniaLogo';
 import { AuthContext } from '../../context/AuthContext';
@@ -24,7 +25,9 @@ const LoginScreen = ({ navigation }) => {
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useContext(AuthContext);
+  const [challengeToken, setChallengeToken] = useState(null); // Set when the account needs a 2FA code
+  const [code, setCode] = useState('');
+  const { login, verifyTwoFactor } = useContext(AuthContext);
 
   const handleLogin = async () => {
     setError('');
@@ -36,7 +39,10 @@ const LoginScreen = ({ navigation }) => {
 
     setLoading(true);
     try {
-      await login(email, password);
+      const result = await login(email, password);
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      }
     } catch (e) {
       console.error("Login error:", e.response?.data || e.message);
       const backendMessage = e.response?.data?.message || 'Login failed. Please try again.';
@@ -46,6 +52,67 @@ const LoginScreen = ({ navigation }) => {
     }
   };
 
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setCode('');
+  };
+
+  const handleVerifyCode = async () => {
+    setError('');
+    if (!code.trim()) {
+      setError('Enter the code from your authenticator app or a backup code.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await verifyTwoFactor(challengeToken, code.trim());
+    } catch (e) {
+      console.error("Two-factor error:", e.response?.data || e.message);
+      setError(e.response?.data?.message || 'Verification failed. Please try again.');
+      if (e.response?.status === 401 && e.response?.data?.message?.includes('expired')) {
+        cancelTwoFactor(); // The challenge ran out: start over with the password
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <GradientBackground>
+        <ScrollContainer contentContainerStyle={{ flexGrow: 1, justifyContent: 'center', alignItems: 'center' }}>
+          <ContentContainer>
+            <KIMELIAOmniaLogo iconSize={80} textSize={28} />
+            <Title style={{ marginTop: 30, color: COLORS.deepCoffee }}>Two-Factor Verification</Title>
+            <DetailText style={{ textAlign: 'center', marginBottom: 15 }}>
+              Enter the 6-digit code from your authenticator app, or one of your backup codes.
+            </DetailText>
+            {error && <ErrorText>{error}</ErrorText>}
+            <Input
+              placeholder="Code"
+              autoCapitalize="none"
+              autoCorrect={false}
+              autoFocus
+              textContentType="oneTimeCode"
+              value={code}
+              onChangeText={setCode}
+              style={{ marginBottom: 20 }}
+            />
+            <GradientButton onPress={handleVerifyCode} disabled={loading}>
+              <GradientButtonBackground>
+                {loading ? <LoadingIndicator size="small" color="#fff" /> : <ButtonText>Verify</ButtonText>}
+              </GradientButtonBackground>
+            </GradientButton>
+            <LinkText onPress={cancelTwoFactor}>
+              Back to login
+            </LinkText>
+          </ContentContainer>
+        </ScrollContainer>
+      </GradientBackground>
+    );
+  }
+
   return (
     <GradientBackground>
       <ScrollContainer contentContainerStyle={{ flexGrow: 1, justifyContent: 'center', alignItems: 'center' }}>
@@ -0,0 +1,220 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../../models/User');
+const Task = require('../../models/Task');
+const AuditLog = require('../../models/AuditLog');
+const Job = require('../../models/Job');
+const { startSession } = require('../../services/sessionService');
+
+// Mock SendGrid and Twilio to prevent actual emails/SMS during tests
+jest.mock('../../services/notificationService', () => ({
+  sendVerificationEmail: jest.fn(() => Promise.resolve()),
+  sendEmailNotification: jest.fn(() => Promise.resolve()),
+  sendSmsNotification: jest.fn(() => Promise.resolve()),
+  sendPasswordResetEmail: jest.fn(() => Promise.resolve()),
+}));
+
+// startSession only reads the User-Agent and IP of the request
+const testRequest = { get: () => 'jest', ip: '127.0.0.1' };
+
+describe('Admin API', () => {
+  let testUser;
+  let testUserToken;
+  let adminUser;
+  let adminUserToken;
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123',
+      isVerified: true,
+    });
+    testUserToken = (await startSession(testUser._id, testRequest)).token;
+
+    adminUser = await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'adminpassword',
+      role: 'admin',
+      isVerified: true,
+    });
+    adminUserToken = (await startSession(adminUser._id, testRequest)).token;
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // --- DELETE /api/v1/admin/users/:id ---
+  describe('DELETE /api/v1/admin/users/:id', () => {
+    it('should delete a user and their data right away when an admin deletes them', async () => {
+      await Task.create({ user: testUser._id, title: 'Orphan check' });
+
+      await request(app)
+        .delete(`/api/v1/admin/users/${testUser._id}`)
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(200);
+
+      expect(await User.findById(testUser._id)).toBeNull();
+      expect(await Task.countDocuments({ user: testUser._id })).toBe(0);
+    });
+
+    it('should not let other users delete accounts', async () => {
+      await request(app)
+        .delete(`/api/v1/admin/users/${adminUser._id}`)
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(403);
+
+      expect(await User.findById(adminUser._id)).not.toBeNull();
+    });
+  });
+
+  // --- Audit log ---
+  describe('Audit log', () => {
+    // Entries are written once the response has been sent
+    const findAuditEntry = async (query) => {
+      for (let attempt = 0; attempt < 20; attempt += 1) {
+        const entry = await AuditLog.findOne(query);
+        if (entry) return entry;
+        await new Promise((resolve) => setTimeout(resolve, 25));
+      }
+      return null;
+    };
+
+    it('should record failed logins without the password', async () => {
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'wrongpassword' })
+        .expect(401);
+
+      const entry = await findAuditEntry({ action: 'auth.login_failed' });
+      expect(entry).not.toBeNull();
+      expect(entry.status).toBe('failure');
+      expect(entry.actorEmail).toBe('test@example.com');
+      expect(entry.metadata.reason).toBe('wrong_password');
+      expect(JSON.stringify(entry)).not.toContain('wrongpassword');
+    });
+
+    it('should record role changes by admins and let admins search the log', async () => {
+      await request(app)
+        .put(`/api/v1/admin/users/${testUser._id}`)
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .send({ role: 'startup' })
+        .expect(200);
+
+      const entry = await findAuditEntry({ action: 'user.role_change' });
+      expect(entry.actor.toString()).toBe(adminUser._id.toString());
+      expect(entry.targetId.toString()).toBe(testUser._id.toString());
+      expect(entry.metadata.changes.role).toEqual({ from: 'individual', to: 'startup' });
+
+      const res = await request(app)
+        .get('/api/v1/admin/audit-logs')
+        .query({ action: 'user.role_change', targetId: testUser._id.toString() })
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(200);
+
+      expect(res.body.pagination).toEqual({ limit: 50, sort: '-createdAt', hasMore: false, nextCursor: null, total: 1 });
+      expect(res.body.data[0].actor.email).toBe(adminUser.email);
+
+      await request(app)
+        .get('/api/v1/admin/audit-logs')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(403);
+    });
+  });
+
+  // --- GET /api/v1/admin/analytics ---
+  describe('GET /api/v1/admin/analytics', () => {
+    it('should return daily series covering the whole range', async () => {
+      await Task.create({ user: testUser._id, title: 'Counted task' });
+
+      const today = new Date().toISOString().slice(0, 10);
+      const res = await request(app)
+        .get('/api/v1/admin/analytics')
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(200);
+
+      const { users, modules } = res.body.data;
+      expect(users.signups).toHaveLength(30);
+      expect(users.signups[29]).toEqual({ date: today, count: 2 });
+      expect(modules.tasks.total).toBe(1);
+    });
+
+    it('should reject ranges longer than a year', async () => {
+      await request(app)
+        .get('/api/v1/admin/analytics')
+        .query({ from: '2023-01-01', to: '2024-06-30' })
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(400);
+    });
+  });
+
+  // --- Cursor pagination of lists ---
+  describe('GET /api/v1/admin/users', () => {
+    it('should page through users with a cursor and return only the requested fields', async () => {
+      const first = await request(app)
+        .get('/api/v1/admin/users')
+        .query({ limit: 1, sort: 'email', fields: 'email' })
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(200);
+
+      expect(first.body.data).toEqual([{ _id: adminUser._id.toString(), email: adminUser.email }]);
+      expect(first.body.pagination).toMatchObject({ limit: 1, sort: 'email', hasMore: true, total: 2 });
+
+      const second = await request(app)
+        .get('/api/v1/admin/users')
+        .query({ limit: 1, sort: 'email', fields: 'email', cursor: first.body.pagination.nextCursor })
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(200);
+
+      expect(second.body.data[0].email).toBe('test@example.com');
+      expect(second.body.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+    });
+
+    it('should reject sorting or selecting hidden fields', async () => {
+      await request(app)
+        .get('/api/v1/admin/users')
+        .query({ sort: 'password' })
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(400);
+
+      await request(app)
+        .get('/api/v1/admin/users')
+        .query({ fields: 'name,password' })
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(400);
+    });
+  });
+
+  // --- Job queue ---
+  describe('Admin job queue', () => {
+    it('should list jobs by status and retry dead ones', async () => {
+      const dead = await Job.create({ type: 'reminders.send', status: 'dead', attempts: 5, lastError: 'SMS provider unavailable', failedAt: new Date() });
+      const completed = await Job.create({ type: 'reminders.scan', status: 'completed', attempts: 1, completedAt: new Date() });
+
+      const res = await request(app)
+        .get('/api/v1/admin/jobs')
+        .query({ status: 'dead' })
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(200);
+      expect(res.body.data.map((job) => job._id)).toEqual([dead._id.toString()]);
+      expect(res.body.summary).toEqual({ pending: 0, running: 0, completed: 1, dead: 1 });
+
+      const retried = await request(app)
+        .post(`/api/v1/admin/jobs/${dead._id}/retry`)
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(200);
+      expect(retried.body.data).toMatchObject({ status: 'pending', attempts: 0, failedAt: null });
+
+      await request(app)
+        .post(`/api/v1/admin/jobs/${completed._id}/retry`)
+        .set('Authorization', `Bearer ${adminUserToken}`)
+        .expect(400);
+      await request(app)
+        .get('/api/v1/admin/jobs')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(403);
+    });
+  });
+});
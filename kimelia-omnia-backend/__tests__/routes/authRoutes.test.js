@@ -1,15 +1,21 @@
 const request = require('supertest');
 const app = require('../../server'); // Import the Express app
 const User = require('../../models/User'); // Import the User model
-const jwt = require('jsonwebtoken'); // For manually generating tokens for test users
+const jwt = require('jsonwebtoken'); // For signing tokens that have no session
+const { startSession } = require('../../services/sessionService');
+const { generateTotp } = require('../../utils/totp');
 
 // Mock SendGrid and Twilio to prevent actual emails/SMS during tests
 jest.mock('../../services/notificationService', () => ({
   sendVerificationEmail: jest.fn(() => Promise.resolve()),
   sendEmailNotification: jest.fn(() => Promise.resolve()),
   sendSmsNotification: jest.fn(() => Promise.resolve()),
+  sendPasswordResetEmail: jest.fn(() => Promise.resolve()),
 }));
 
+// startSession only reads the User-Agent and IP of the request
+const testRequest = { get: () => 'jest', ip: '127.0.0.1' };
+
 describe('Auth API', () => {
   let testUser; // To store a user created during tests
   let testUserToken; // To store JWT for authenticated test user
@@ -24,7 +30,7 @@ describe('Auth API', () => {
       password: 'password123', // Mongoose pre-save hook will hash this
       isVerified: true, // Mark as verified for login tests
     });
-    testUserToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE });
+    testUserToken = (await startSession(testUser._id, testRequest)).token;
 
     // Create an admin user for admin tests
     adminUser = await User.create({
@@ -34,7 +40,7 @@ describe('Auth API', () => {
       role: 'admin',
       isVerified: true,
     });
-    adminUserToken = jwt.sign({ id: adminUser._id }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE });
+    adminUserToken = (await startSession(adminUser._id, testRequest)).token;
   });
 
   afterEach(async () => {
@@ -111,6 +117,7 @@ describe('Auth API', () => {
         .expect(200);
 
       expect(res.body).toHaveProperty('token');
+      expect(res.body).toHaveProperty('refreshToken');
       expect(res.body).toHaveProperty('email', 'test@example.com');
       expect(res.body).toHaveProperty('isVerified', true);
     });
@@ -151,6 +158,192 @@ describe('Auth API', () => {
     });
   });
 
+  // --- Password reset and change ---
+  describe('Password reset and change', () => {
+    it('should reset the password with the emailed token and sign out all sessions', async () => {
+      const { body: session } = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      await request(app).post('/api/v1/auth/forgot-password').send({ email: 'test@example.com' }).expect(200);
+      const { sendPasswordResetEmail } = require('../../services/notificationService');
+      const { resetToken } = sendPasswordResetEmail.mock.calls[0][0];
+
+      await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token: resetToken, password: 'brandNewPass1' })
+        .expect(200);
+      await request(app).post('/api/v1/auth/reset-password').send({ token: resetToken, password: 'another1' }).expect(400);
+
+      await request(app).get('/api/v1/auth/profile').set('Authorization', `Bearer ${session.token}`).expect(401);
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'brandNewPass1' })
+        .expect(200);
+    });
+
+    it('should not reveal whether an email is registered', async () => {
+      const res = await request(app).post('/api/v1/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+      expect(res.body.message).toContain('If an account exists');
+
+      // Nor through a failed send for a registered one
+      const { sendPasswordResetEmail } = require('../../services/notificationService');
+      sendPasswordResetEmail.mockRejectedValueOnce(new Error('Provider down'));
+      jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+      const failed = await request(app).post('/api/v1/auth/forgot-password').send({ email: 'test@example.com' }).expect(200);
+      expect(failed.body.message).toBe(res.body.message);
+      expect((await User.findById(testUser._id).select('+passwordResetToken')).passwordResetToken).toBeUndefined();
+    });
+
+    it('should require the current password to change it', async () => {
+      await request(app)
+        .put('/api/v1/auth/change-password')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'brandNewPass1' })
+        .expect(401);
+
+      await request(app)
+        .put('/api/v1/auth/change-password')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'brandNewPass1' })
+        .expect(200);
+    });
+  });
+
+  // --- Sessions and refresh tokens ---
+  describe('Sessions', () => {
+    const login = () => request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'test@example.com', password: 'password123', deviceName: 'Test phone' })
+      .expect(200);
+
+    it('should rotate the refresh token and reject a reused one by revoking the session', async () => {
+      const { body: session } = await login();
+
+      const { body: refreshed } = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+      expect(refreshed.refreshToken).not.toBe(session.refreshToken);
+
+      await request(app).post('/api/v1/auth/refresh').send({ refreshToken: session.refreshToken }).expect(401);
+      // The reuse revoked the session, so its newest tokens stop working too
+      await request(app).post('/api/v1/auth/refresh').send({ refreshToken: refreshed.refreshToken }).expect(401);
+      await request(app).get('/api/v1/auth/profile').set('Authorization', `Bearer ${refreshed.token}`).expect(401);
+    });
+
+    it('should list sessions and log out everywhere', async () => {
+      const { body: phone } = await login();
+      const { body: tablet } = await login();
+
+      const res = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .expect(200);
+      expect(res.body.count).toBe(3); // With the session of testUserToken
+      expect(res.body.data.find((session) => session.current)._id).toBe(phone.sessionId);
+
+      await request(app)
+        .post('/api/v1/auth/logout-all')
+        .set('Authorization', `Bearer ${phone.token}`)
+        .send({ keepCurrent: true })
+        .expect(200);
+
+      await request(app).get('/api/v1/auth/profile').set('Authorization', `Bearer ${tablet.token}`).expect(401);
+      await request(app).get('/api/v1/auth/profile').set('Authorization', `Bearer ${phone.token}`).expect(200);
+    });
+  });
+
+  // --- Two-factor authentication ---
+  describe('Two-factor authentication', () => {
+    const currentStep = () => Math.floor(Date.now() / 30000);
+    const login = () => request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'test@example.com', password: 'password123' })
+      .expect(200);
+    const verifyCode = (challengeToken, code) => request(app).post('/api/v1/auth/login/2fa').send({ challengeToken, code });
+
+    // Enables 2FA for testUser with a code for the current time step; resolves to the secret, that step and the backup codes
+    const enable = async () => {
+      const { body: setup } = await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ currentPassword: 'password123' })
+        .expect(200);
+      const { secret } = setup.data;
+      const step = currentStep();
+
+      const { body: enabled } = await request(app)
+        .post('/api/v1/auth/2fa/enable')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ code: generateTotp(secret, step) })
+        .expect(200);
+      return { secret, step, backupCodes: enabled.data.backupCodes };
+    };
+
+    it('should require the current password to start setup', async () => {
+      await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ currentPassword: 'wrongpassword' })
+        .expect(401);
+    });
+
+    it('should finish a login with an authenticator code, and reject a replayed code or challenge', async () => {
+      const { secret, step } = await enable();
+
+      const first = await login();
+      expect(first.body).toMatchObject({ twoFactorRequired: true });
+      expect(first.body).not.toHaveProperty('token');
+
+      const code = generateTotp(secret, step + 1); // The step used to enable is spent
+      const res = await verifyCode(first.body.challengeToken, code).expect(200);
+      expect(res.body).toHaveProperty('token');
+      expect(res.body).toHaveProperty('refreshToken');
+      await verifyCode(first.body.challengeToken, code).expect(401); // The challenge is used up
+
+      const second = await login();
+      await verifyCode(second.body.challengeToken, code).expect(401); // The code's time step is spent
+    });
+
+    it('should accept each backup code once', async () => {
+      const { backupCodes } = await enable();
+
+      await verifyCode((await login()).body.challengeToken, backupCodes[0]).expect(200);
+      await verifyCode((await login()).body.challengeToken, backupCodes[0]).expect(401);
+    });
+
+    it('should lock a challenge after too many wrong codes', async () => {
+      const { backupCodes } = await enable();
+      const { body: { challengeToken } } = await login();
+
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        await verifyCode(challengeToken, '000000').expect(401);
+      }
+      await verifyCode(challengeToken, backupCodes[0]).expect(401);
+    });
+
+    it('should disable 2FA with the password and a code', async () => {
+      const { backupCodes } = await enable();
+
+      await request(app)
+        .post('/api/v1/auth/2fa/disable')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ password: 'wrongpassword', code: backupCodes[0] })
+        .expect(401);
+      await request(app)
+        .post('/api/v1/auth/2fa/disable')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ password: 'password123', code: backupCodes[0] })
+        .expect(200);
+
+      const res = await login();
+      expect(res.body).toHaveProperty('token');
+      expect(res.body.twoFactorRequired).toBeUndefined();
+    });
+  });
+
   // --- POST /api/v1/auth/verify-email ---
   describe('POST /api/v1/auth/verify-email', () => {
     it('should verify a user with a valid token', async () => {
@@ -217,6 +410,14 @@ describe('Auth API', () => {
         .set('Authorization', `Bearer invalidtoken`)
         .expect(401);
     });
+
+    it('should return 401 for a token without a session, which could not be signed out', async () => {
+      const sessionlessToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE });
+      await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${sessionlessToken}`)
+        .expect(401);
+    });
   });
 
   // --- PUT /api/v1/auth/profile ---
@@ -232,11 +433,21 @@ describe('Auth API', () => {
       expect(res.body).toHaveProperty('name', newName);
       expect(res.body).toHaveProperty('email', testUser.email); // Email unchanged
       expect(res.body).toHaveProperty('isVerified', true); // Still verified if email unchanged
+      expect(res.body).not.toHaveProperty('token'); // Access tokens only come from login and refresh
 
       const updatedUser = await User.findById(testUser._id);
       expect(updatedUser.name).toBe(newName);
     });
 
+    it('should not change the password without the current one', async () => {
+      const res = await request(app)
+        .put('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ password: 'hijacked123' })
+        .expect(400);
+      expect(res.body.message).toMatch(/change-password/);
+    });
+
     it('should re-verify email if email is updated', async () => {
       const newEmail = 'newtest@example.com';
       const res = await request(app)
@@ -288,6 +499,40 @@ describe('Auth API', () => {
     });
   });
 
+  describe('DELETE /api/v1/auth/profile', () => {
+    it('should schedule the deletion, sign out everywhere, and cancel it on the next login', async () => {
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+      await request(app)
+        .delete('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ password: 'wrongpassword' })
+        .expect(401);
+
+      const res = await request(app)
+        .delete('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ password: 'password123' })
+        .expect(200);
+      expect(new Date(res.body.data.deletionScheduledFor).getTime()).toBeGreaterThan(Date.now());
+
+      await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(401);
+
+      const relogin = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+      expect(relogin.body.accountDeletionCancelled).toBe(true);
+      expect((await User.findById(testUser._id)).deletionScheduledFor).toBeUndefined();
+    });
+  });
+
   // --- GET /api/v1/auth/admin-data ---
   describe('GET /api/v1/auth/admin-data', () => {
     it('should allow admin user to access admin data', async () => {
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../../models/User');
+const Task = require('../../models/Task');
+const Notification = require('../../models/Notification');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const { startSession } = require('../../services/sessionService');
+
+// Mock SendGrid and Twilio to prevent actual emails/SMS during tests
+jest.mock('../../services/notificationService', () => ({
+  sendVerificationEmail: jest.fn(() => Promise.resolve()),
+  sendEmailNotification: jest.fn(() => Promise.resolve()),
+  sendSmsNotification: jest.fn(() => Promise.resolve()),
+  sendPasswordResetEmail: jest.fn(() => Promise.resolve()),
+}));
+
+// startSession only reads the User-Agent and IP of the request
+const testRequest = { get: () => 'jest', ip: '127.0.0.1' };
+
+describe('Notification API', () => {
+  let testUser;
+  let testUserToken;
+  let otherUser;
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123',
+      isVerified: true,
+    });
+    testUserToken = (await startSession(testUser._id, testRequest)).token;
+
+    otherUser = await User.create({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'otherpassword',
+      isVerified: true,
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // --- Reminder notifications ---
+  describe('POST /api/v1/notifications/:id/snooze and /dismiss', () => {
+    it('should snooze and dismiss a reminder from its notification', async () => {
+      const task = await Task.create({
+        user: testUser._id,
+        title: 'Pay the rent',
+        dueDate: new Date(Date.now() + 60 * 60 * 1000),
+        reminders: [{ offsetMinutes: 30, isSent: true }],
+      });
+      const reminder = task.reminders[0];
+      const notification = await Notification.create({
+        user: testUser._id,
+        title: 'Reminder: Pay the rent',
+        message: 'Your Task "Pay the rent" is due soon.',
+        relatedItem: { kind: 'Task', item: task._id, reminder: reminder._id },
+      });
+
+      const snoozed = await request(app)
+        .post(`/api/v1/notifications/${notification._id}/snooze`)
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ minutes: 15 })
+        .expect(200);
+      expect(snoozed.body.data.notification.isRead).toBe(true);
+      expect(snoozed.body.data.reminder.isSent).toBe(false);
+      expect(new Date(snoozed.body.data.reminder.snoozedUntil).getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+
+      await request(app)
+        .post(`/api/v1/notifications/${notification._id}/dismiss`)
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(200);
+      const [dismissed] = (await Task.findById(task._id)).reminders;
+      expect(dismissed.snoozedUntil).toBeNull();
+      expect(dismissed.dismissedAt).toBeInstanceOf(Date);
+    });
+
+    it('should only snooze reminder notifications', async () => {
+      const notification = await Notification.create({ user: testUser._id, type: 'system', title: 'Welcome', message: 'Hello!' });
+
+      await request(app)
+        .post(`/api/v1/notifications/${notification._id}/snooze`)
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(400);
+    });
+  });
+
+  // --- GET /api/v1/notifications/deliveries ---
+  describe('GET /api/v1/notifications/deliveries', () => {
+    it('should list only the user\'s own email and SMS deliveries', async () => {
+      const delivery = { messageId: 'message-1', channel: 'email', category: 'task', transport: 'sendgrid', to: testUser.email, subject: 'Reminder' };
+      await NotificationDelivery.create([
+        { ...delivery, user: testUser._id, attempt: 1, status: 'retrying', error: 'Service Unavailable' },
+        { ...delivery, user: testUser._id, attempt: 2, status: 'sent', providerMessageId: 'sg-123' },
+        { ...delivery, messageId: 'message-2', user: otherUser._id, to: otherUser.email, status: 'sent' },
+      ]);
+
+      const res = await request(app)
+        .get('/api/v1/notifications/deliveries')
+        .query({ status: 'sent' })
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0]).toMatchObject({ messageId: 'message-1', attempt: 2, providerMessageId: 'sg-123' });
+
+      await request(app)
+        .get('/api/v1/notifications/deliveries')
+        .query({ status: 'bounced' })
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../../models/User');
+const Task = require('../../models/Task');
+const Project = require('../../models/Project');
+const { startSession } = require('../../services/sessionService');
+
+// startSession only reads the User-Agent and IP of the request
+const testRequest = { get: () => 'jest', ip: '127.0.0.1' };
+
+describe('Search API', () => {
+  let testUser;
+  let testUserToken;
+  let otherUser;
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123',
+      isVerified: true,
+    });
+    testUserToken = (await startSession(testUser._id, testRequest)).token;
+
+    otherUser = await User.create({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'otherpassword',
+      isVerified: true,
+    });
+  });
+
+  // --- GET /api/v1/search ---
+  describe('GET /api/v1/search', () => {
+    it('should rank matches across modules and only search the user\'s own items', async () => {
+      await Promise.all([Task.init(), Project.init()]); // Text indexes
+      await Task.create([
+        { user: testUser._id, title: 'Quarterly budget review', description: 'Collect the numbers', tags: ['finance'] },
+        { user: testUser._id, title: 'Call the bank', description: 'Ask about the budgeting tool' },
+        { user: otherUser._id, title: 'Budget of another user' },
+      ]);
+      await Project.create({ owner: testUser._id, title: 'Office move', description: 'Keep the move within budget' });
+
+      const res = await request(app)
+        .get('/api/v1/search')
+        .query({ q: 'budget', modules: 'tasks,projects' })
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(200);
+
+      expect(res.body.counts).toEqual({ tasks: 2, projects: 1 });
+      expect(res.body.data[0]).toMatchObject({ type: 'task', title: 'Quarterly budget review', highlights: { title: [[10, 16]] } });
+      expect(res.body.data.map((result) => result.type).sort()).toEqual(['project', 'task', 'task']);
+
+      const tagged = await request(app)
+        .get('/api/v1/search')
+        .query({ q: 'budget', modules: 'tasks,projects', tag: 'finance' })
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(200);
+      expect(tagged.body.data.map((result) => result.title)).toEqual(['Quarterly budget review']);
+    });
+
+    it('should require a search text', async () => {
+      await request(app)
+        .get('/api/v1/search')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .expect(400);
+    });
+  });
+});
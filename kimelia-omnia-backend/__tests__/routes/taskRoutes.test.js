@@ -0,0 +1,43 @@
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../../models/User');
+const { startSession } = require('../../services/sessionService');
+
+// startSession only reads the User-Agent and IP of the request
+const testRequest = { get: () => 'jest', ip: '127.0.0.1' };
+
+describe('Task API', () => {
+  let testUser;
+  let testUserToken;
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123',
+      isVerified: true,
+    });
+    testUserToken = (await startSession(testUser._id, testRequest)).token;
+  });
+
+  // --- Reminders ---
+  describe('Reminders', () => {
+    it('should re-anchor relative reminders when the due date moves', async () => {
+      const dueDate = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+      const created = await request(app)
+        .post('/api/v1/tasks')
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ title: 'Renew passport', dueDate, reminders: [{ offsetMinutes: 60 }] })
+        .expect(201);
+      expect(new Date(created.body.data.reminders[0].time)).toEqual(new Date(dueDate.getTime() - 60 * 60 * 1000));
+
+      const newDueDate = new Date(dueDate.getTime() + 24 * 60 * 60 * 1000);
+      const updated = await request(app)
+        .put(`/api/v1/tasks/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${testUserToken}`)
+        .send({ dueDate: newDueDate })
+        .expect(200);
+      expect(new Date(updated.body.data.reminders[0].time)).toEqual(new Date(newDueDate.getTime() - 60 * 60 * 1000));
+    });
+  });
+});
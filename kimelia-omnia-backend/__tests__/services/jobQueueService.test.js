@@ -0,0 +1,97 @@
+const Job = require('../../models/Job');
+const {
+  registerJobHandler,
+  enqueueJob,
+  claimNextJob,
+  renewJobLease,
+  runJob,
+  retryJob,
+} = require('../../services/jobQueueService');
+
+describe('Job queue', () => {
+  const handler = jest.fn();
+
+  beforeAll(() => {
+    registerJobHandler('test.run', handler);
+  });
+
+  beforeEach(() => {
+    handler.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {}); // Failed attempts are logged
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should queue a job with a unique key only once', async () => {
+    const first = await enqueueJob('test.run', { n: 1 }, { uniqueKey: 'test.run@slot' });
+    const second = await enqueueJob('test.run', { n: 2 }, { uniqueKey: 'test.run@slot' });
+
+    expect(second._id.toString()).toBe(first._id.toString());
+    expect(second.payload).toEqual({ n: 1 });
+    expect(await Job.countDocuments({ type: 'test.run' })).toBe(1);
+
+    await enqueueJob('test.run', { n: 3 });
+    expect(await Job.countDocuments({ type: 'test.run' })).toBe(2); // Jobs without a key are never deduplicated
+  });
+
+  it('should only claim due jobs, and take over a job whose lease ran out', async () => {
+    const now = new Date();
+    await enqueueJob('test.run', {}, { runAt: new Date(now.getTime() + 60000) });
+    await Job.create({ type: 'test.run', status: 'running', attempts: 1, lockedBy: 'other-worker', lockedUntil: new Date(now.getTime() + 60000) });
+    const expired = await Job.create({ type: 'test.run', status: 'running', attempts: 1, lockedBy: 'stopped-worker', lockedUntil: new Date(now.getTime() - 1000) });
+
+    const claimed = await claimNextJob(now);
+    expect(claimed._id.toString()).toBe(expired._id.toString());
+    expect(claimed.lockedBy).not.toBe('stopped-worker');
+    expect(claimed.lockedUntil.getTime()).toBeGreaterThan(now.getTime());
+    expect(claimed.attempts).toBe(2);
+
+    expect(await claimNextJob(now)).toBeNull(); // Not yet due, and still leased
+  });
+
+  it('should renew the lease of a running job only while this worker holds it', async () => {
+    await enqueueJob('test.run');
+    const claimed = await claimNextJob();
+
+    expect(await renewJobLease(claimed, new Date(Date.now() + 60000))).toBe(true);
+    expect((await Job.findById(claimed._id).lean()).lockedUntil.getTime()).toBeGreaterThan(claimed.lockedUntil.getTime());
+
+    await Job.updateOne({ _id: claimed._id }, { lockedBy: 'other-worker' }); // Taken over after the lease ran out
+    expect(await renewJobLease(claimed)).toBe(false);
+  });
+
+  it('should retry a failing job with backoff and dead-letter it after its last attempt', async () => {
+    handler.mockRejectedValue(new Error('Provider down'));
+    const job = await enqueueJob('test.run', { n: 1 }, { maxAttempts: 2 });
+
+    const before = Date.now();
+    expect(await runJob(await claimNextJob())).toBe('pending');
+    let stored = await Job.findById(job._id).lean();
+    expect(stored).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Provider down', lockedBy: null });
+    expect(stored.runAt.getTime()).toBeGreaterThanOrEqual(before + 30000); // The first retry waits 30 seconds
+    expect(await claimNextJob()).toBeNull();
+
+    expect(await runJob(await claimNextJob(stored.runAt))).toBe('dead');
+    stored = await Job.findById(job._id).lean();
+    expect(stored).toMatchObject({ status: 'dead', attempts: 2 });
+    expect(stored.failedAt).toBeInstanceOf(Date);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler).toHaveBeenCalledWith({ n: 1 }, expect.objectContaining({ attempts: 2 }));
+  });
+
+  it('should only retry dead or pending jobs', async () => {
+    const dead = await Job.create({ type: 'test.run', status: 'dead', attempts: 5, failedAt: new Date(), lastError: 'Provider down' });
+    const completed = await Job.create({ type: 'test.run', status: 'completed', attempts: 1, completedAt: new Date() });
+    const running = await Job.create({ type: 'test.run', status: 'running', attempts: 1, lockedBy: 'other-worker', lockedUntil: new Date(Date.now() + 60000) });
+
+    const retried = (await retryJob(dead._id)).toObject();
+    expect(retried).toMatchObject({ status: 'pending', attempts: 0, failedAt: null });
+    expect(retried.runAt.getTime()).toBeLessThanOrEqual(Date.now());
+
+    expect(await retryJob(completed._id)).toBeNull();
+    expect(await retryJob(running._id)).toBeNull();
+    expect((await Job.findById(running._id).lean()).lockedBy).toBe('other-worker');
+  });
+});
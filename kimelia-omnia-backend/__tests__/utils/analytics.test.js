@@ -0,0 +1,35 @@
+const { startOfUtcWeek, listBuckets, fillSeries, failureRate } = require('../../utils/analytics');
+
+describe('analytics utils', () => {
+  it('should start weeks on Monday (UTC)', () => {
+    expect(startOfUtcWeek(new Date('2024-07-07T23:30:00.000Z')).toISOString()).toBe('2024-07-01T00:00:00.000Z'); // Sunday
+    expect(startOfUtcWeek(new Date('2024-07-08T00:00:00.000Z')).toISOString()).toBe('2024-07-08T00:00:00.000Z'); // Monday
+  });
+
+  it('should list every day or week of a range, including both ends', () => {
+    const from = new Date('2024-06-29T15:00:00.000Z');
+    const to = new Date('2024-07-02T08:00:00.000Z');
+
+    expect(listBuckets(from, to)).toEqual(['2024-06-29', '2024-06-30', '2024-07-01', '2024-07-02']);
+    expect(listBuckets(from, to, 'week')).toEqual(['2024-06-24', '2024-07-01']);
+  });
+
+  it('should fill buckets without results with zeros', () => {
+    const series = fillSeries(
+      ['2024-07-01', '2024-07-02', '2024-07-03'],
+      [{ _id: '2024-07-02', calls: 4, failures: 1 }],
+      ['calls', 'failures']
+    );
+
+    expect(series).toEqual([
+      { date: '2024-07-01', calls: 0, failures: 0 },
+      { date: '2024-07-02', calls: 4, failures: 1 },
+      { date: '2024-07-03', calls: 0, failures: 0 },
+    ]);
+  });
+
+  it('should compute failure rates without dividing by zero', () => {
+    expect(failureRate(3, 1)).toBe(0.3333);
+    expect(failureRate(0, 0)).toBe(0);
+  });
+});
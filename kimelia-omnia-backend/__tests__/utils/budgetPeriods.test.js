@@ -0,0 +1,49 @@
+const { isRollingPeriod, addPeriods, getPeriodRange, getNextPeriod } = require('../../utils/budgetPeriods');
+
+describe('budget period utils', () => {
+  it('should only roll non-custom period types', () => {
+    expect(isRollingPeriod('monthly')).toBe(true);
+    expect(isRollingPeriod('custom')).toBe(false);
+  });
+
+  it('should compute the calendar period containing a date', () => {
+    const reference = new Date(2024, 10, 13, 15, 30); // Wed Nov 13, 2024
+
+    expect(getPeriodRange('daily', reference)).toEqual({
+      startDate: new Date(2024, 10, 13),
+      endDate: new Date(2024, 10, 13, 23, 59, 59, 999),
+    });
+    expect(getPeriodRange('weekly', reference).startDate).toEqual(new Date(2024, 10, 10)); // Sunday
+    expect(getPeriodRange('monthly', reference)).toEqual({
+      startDate: new Date(2024, 10, 1),
+      endDate: new Date(2024, 10, 30, 23, 59, 59, 999),
+    });
+    expect(getPeriodRange('yearly', reference).endDate).toEqual(new Date(2024, 11, 31, 23, 59, 59, 999));
+  });
+
+  it('should roll over to the next period and clamp month ends', () => {
+    expect(getNextPeriod('monthly', new Date(2024, 10, 1))).toEqual({
+      startDate: new Date(2024, 11, 1),
+      endDate: new Date(2024, 11, 31, 23, 59, 59, 999),
+    });
+    expect(getNextPeriod('weekly', new Date(2024, 11, 29)).startDate).toEqual(new Date(2025, 0, 5));
+    expect(addPeriods(new Date(2024, 0, 31), 'monthly')).toEqual(new Date(2024, 1, 29));
+    expect(addPeriods(new Date(2024, 1, 29), 'yearly')).toEqual(new Date(2025, 1, 28));
+    expect(() => addPeriods(new Date(), 'custom')).toThrow('Unsupported budget period type: custom');
+  });
+
+  it('should follow the user\'s time zone and first day of the week', () => {
+    const reference = new Date('2024-11-13T02:00:00Z'); // Wed 04:00 in Kigali, still Tue 21:00 in New York
+
+    expect(getPeriodRange('daily', reference, { timeZone: 'America/New_York' })).toEqual({
+      startDate: new Date('2024-11-12T05:00:00.000Z'),
+      endDate: new Date('2024-11-13T04:59:59.999Z'),
+    });
+    expect(getPeriodRange('weekly', reference, { timeZone: 'Africa/Kigali', weekStart: 1 }).startDate)
+      .toEqual(new Date('2024-11-10T22:00:00.000Z')); // Monday Nov 11, 00:00 in Kigali
+    expect(getNextPeriod('monthly', new Date('2024-10-01T04:00:00.000Z'), { timeZone: 'America/New_York' })).toEqual({
+      startDate: new Date('2024-11-01T04:00:00.000Z'), // The month spans the end of daylight saving time
+      endDate: new Date('2024-12-01T04:59:59.999Z'),
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { Types } = require('mongoose');
+const { flattenDocument, toCsv } = require('../../utils/csvExport');
+
+describe('csvExport utils', () => {
+  it('should flatten nested objects into dotted columns', () => {
+    const id = new Types.ObjectId();
+    const flat = flattenDocument({
+      _id: id,
+      dueDate: new Date('2024-07-01T09:00:00.000Z'),
+      reminder: { method: 'email', remindAt: new Date('2024-07-01T08:00:00.000Z') },
+      tags: ['work', 'q3'],
+      members: [{ user: id, role: 'editor' }],
+    });
+
+    expect(flat).toEqual({
+      _id: id.toString(),
+      dueDate: '2024-07-01T09:00:00.000Z',
+      'reminder.method': 'email',
+      'reminder.remindAt': '2024-07-01T08:00:00.000Z',
+      tags: '["work","q3"]',
+      members: JSON.stringify([{ user: id.toString(), role: 'editor' }]),
+    });
+  });
+
+  it('should quote cells, merge columns and defuse formulas', () => {
+    const csv = toCsv([
+      { title: 'Lunch, team', amount: -12.5 },
+      { title: '=HYPERLINK("x")', notes: 'line 1\nline 2' },
+    ]);
+
+    expect(csv).toBe([
+      'title,amount,notes',
+      '"Lunch, team",-12.5,',
+      '"\'=HYPERLINK(""x"")",,"line 1\nline 2"',
+      '',
+    ].join('\r\n'));
+    expect(toCsv([])).toBe('');
+  });
+});
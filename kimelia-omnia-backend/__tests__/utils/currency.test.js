@@ -0,0 +1,23 @@
+const { convertAmount, convertTotals } = require('../../utils/currency');
+
+describe('currency utils', () => {
+  const rates = { USD: 1, EUR: 0.9, RWF: 1300 };
+
+  it('should convert through the reference currency', () => {
+    expect(convertAmount(100, 'USD', 'RWF', rates)).toBe(130000);
+    expect(convertAmount(13000, 'RWF', 'EUR', rates)).toBeCloseTo(9);
+    expect(convertAmount(42, 'KES', 'KES', {})).toBe(42);
+    expect(convertAmount(42, 'KES', 'USD', rates)).toBeNull();
+  });
+
+  it('should total amounts in one currency and report those without a rate', () => {
+    const totals = [
+      { currency: 'USD', total: 10 },
+      { currency: 'RWF', total: 6500 },
+      { currency: 'KES', total: 200 },
+    ];
+
+    expect(convertTotals(totals, 'USD', rates)).toEqual({ total: 15, unconvertedCurrencies: ['KES'] });
+    expect(convertTotals([], 'EUR', rates)).toEqual({ total: 0, unconvertedCurrencies: [] });
+  });
+});
@@ -0,0 +1,28 @@
+const { getDigestDate, getDigestDayRange, buildDigestMessage } = require('../../utils/digest');
+
+describe('daily digest utils', () => {
+  const user = { settings: { timezone: 'America/New_York', locale: 'en-US' } };
+
+  it('should pick the local day during the digest hour only', () => {
+    expect(getDigestDate(user, new Date('2025-03-10T11:30:00.000Z'), 7)).toBe('2025-03-10'); // 7:30 EDT
+    expect(getDigestDate(user, new Date('2025-03-10T12:30:00.000Z'), 7)).toBeNull();
+    expect(getDigestDayRange(user, '2025-03-09')).toEqual({ // Clocks spring forward: a 23-hour day
+      start: new Date('2025-03-09T05:00:00.000Z'),
+      end: new Date('2025-03-10T04:00:00.000Z'),
+    });
+  });
+
+  it('should list the day in local time, and skip an empty day', () => {
+    const digest = buildDigestMessage(user, {
+      tasks: [{ title: 'File report', dueDate: new Date('2025-03-10T21:00:00.000Z') }],
+      events: [
+        { title: 'Lunch', startTime: new Date('2025-03-10T16:00:00.000Z') },
+        { title: 'Standup', startTime: new Date('2025-03-10T13:00:00.000Z') },
+      ],
+    });
+
+    expect(digest.title).toBe('Your day: 2 event(s), 1 task(s) due');
+    expect(digest.text.split('\n').slice(1)).toEqual(['9:00 AM Standup', '12:00 PM Lunch', 'Due 5:00 PM: File report']);
+    expect(buildDigestMessage(user, { tasks: [], events: [] })).toBeNull();
+  });
+});
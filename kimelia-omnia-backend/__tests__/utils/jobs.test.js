@@ -0,0 +1,14 @@
+const { getRetryDelay, getScheduleSlotKey } = require('../../utils/jobs');
+
+describe('job utils', () => {
+  it('should back off exponentially between retries, up to an hour', () => {
+    expect([1, 2, 3, 4].map(getRetryDelay)).toEqual([30000, 60000, 120000, 240000]);
+    expect(getRetryDelay(20)).toBe(60 * 60 * 1000);
+  });
+
+  it('should give every instance the same key for a periodic job within a minute', () => {
+    expect(getScheduleSlotKey('reminders.scan', new Date('2024-11-15T10:01:02.345Z')))
+      .toBe(getScheduleSlotKey('reminders.scan', new Date('2024-11-15T10:01:59.999Z')));
+    expect(getScheduleSlotKey('reminders.scan', new Date('2024-11-15T10:02:00.000Z'))).toBe('reminders.scan@2024-11-15T10:02Z');
+  });
+});
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  getSelectableFields,
+  parseListQuery,
+  buildCursorFilter,
+  pickFields,
+} = require('../../utils/listQuery');
+
+describe('listQuery utils', () => {
+  const schema = new mongoose.Schema({
+    title: String,
+    dueDate: Date,
+    secret: { type: String, select: false },
+    integration: { token: { type: String, select: false }, connectedAt: Date },
+    settings: { theme: String },
+  });
+  const options = { schema, sortFields: ['dueDate', 'title'], defaultSort: '-dueDate' };
+
+  it('should round-trip cursors and reject malformed ones', () => {
+    const id = new mongoose.Types.ObjectId();
+    expect(decodeCursor(encodeCursor(new Date('2024-07-01T00:00:00.000Z'), id))).toEqual(['2024-07-01T00:00:00.000Z', id.toString()]);
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('["x","123"]').toString('base64url'))).toBeNull();
+  });
+
+  it('should only let clients pick top-level fields without hidden data', () => {
+    expect(getSelectableFields(schema, ['title'])).toEqual(['dueDate', 'settings', '_id']);
+  });
+
+  it('should apply defaults and parse cursors into the sort field type', () => {
+    expect(parseListQuery({}, options)).toEqual({ limit: 50, sort: { field: 'dueDate', order: -1 }, after: null, fields: null });
+
+    const id = new mongoose.Types.ObjectId();
+    const parsed = parseListQuery({ limit: '10', sort: 'dueDate', cursor: encodeCursor(new Date('2024-07-01'), id), fields: 'title, dueDate' }, options);
+    expect(parsed.limit).toBe(10);
+    expect(parsed.sort).toEqual({ field: 'dueDate', order: 1 });
+    expect(parsed.after.value).toEqual(new Date('2024-07-01'));
+    expect(parsed.after.id.equals(id)).toBe(true);
+    expect(parsed.fields).toEqual(['title', 'dueDate']);
+  });
+
+  it('should reject invalid parameters', () => {
+    expect(() => parseListQuery({ limit: '500' }, options)).toThrow('"limit"');
+    expect(() => parseListQuery({ sort: 'secret' }, options)).toThrow('"sort"');
+    expect(() => parseListQuery({ sort: ['title', 'dueDate'] }, options)).toThrow('"sort"');
+    expect(() => parseListQuery({ cursor: 'abc' }, options)).toThrow('"cursor"');
+    expect(() => parseListQuery({ fields: 'title,secret' }, options)).toThrow('"fields"');
+    expect(() => parseListQuery({ fields: 'integration' }, options)).toThrow('"fields"');
+  });
+
+  it('should continue after the cursor item, placing nulls as MongoDB sorts them', () => {
+    const id = new mongoose.Types.ObjectId();
+    const date = new Date('2024-07-01');
+
+    expect(buildCursorFilter({ field: 'dueDate', order: 1 }, { value: date, id })).toEqual({
+      $or: [{ dueDate: { $gt: date } }, { dueDate: date, _id: { $gt: id } }],
+    });
+    expect(buildCursorFilter({ field: 'dueDate', order: -1 }, { value: date, id })).toEqual({
+      $or: [{ dueDate: { $lt: date } }, { dueDate: date, _id: { $lt: id } }, { dueDate: null }],
+    });
+    expect(buildCursorFilter({ field: 'dueDate', order: 1 }, { value: null, id })).toEqual({
+      $or: [{ dueDate: null, _id: { $gt: id } }, { dueDate: { $ne: null } }],
+    });
+    expect(buildCursorFilter({ field: 'dueDate', order: -1 }, { value: null, id })).toEqual({ dueDate: null, _id: { $lt: id } });
+  });
+
+  it('should pick requested fields of computed items', () => {
+    expect(pickFields({ _id: '1', title: 'a', spent: 3 }, ['spent'])).toEqual({ _id: '1', spent: 3 });
+    expect(pickFields({ _id: '1', title: 'a' }, null)).toEqual({ _id: '1', title: 'a' });
+  });
+});
@@ -0,0 +1,23 @@
+const { isTransientDeliveryError, getProviderErrorResponse } = require('../../utils/notificationDelivery');
+
+describe('notification delivery utils', () => {
+  const providerError = (fields) => Object.assign(new Error('Provider error'), fields);
+
+  it('should retry timeouts, rate limits and provider outages but not rejected messages', () => {
+    expect(isTransientDeliveryError(providerError({ code: 'ETIMEDOUT' }))).toBe(true);
+    expect(isTransientDeliveryError(providerError({ code: 429 }))).toBe(true); // SendGrid
+    expect(isTransientDeliveryError(providerError({ status: 503, code: 20500 }))).toBe(true); // Twilio
+    expect(isTransientDeliveryError(providerError({ responseCode: 421 }))).toBe(true); // SMTP
+    expect(isTransientDeliveryError(providerError({ code: 401 }))).toBe(false);
+    expect(isTransientDeliveryError(providerError({ status: 400, code: 21211 }))).toBe(false); // Invalid 'To' number
+    expect(isTransientDeliveryError(providerError({ responseCode: 550 }))).toBe(false);
+    expect(isTransientDeliveryError(new Error('SendGrid transport needs SENDGRID_API_KEY and SENDER_EMAIL.'))).toBe(false);
+    expect(isTransientDeliveryError(providerError({ code: 503, transient: false }))).toBe(false);
+  });
+
+  it('should keep the provider status and response body of a failure', () => {
+    expect(getProviderErrorResponse(providerError({ code: 429, response: { body: { errors: [{ message: 'Too many requests' }] } } })))
+      .toEqual({ statusCode: 429, code: 429, body: { errors: [{ message: 'Too many requests' }] } });
+    expect(getProviderErrorResponse(new Error('Network down'))).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+const { mergeNotificationPreferences, getQuietHoursEnd, planDelivery } = require('../../utils/notificationPreferences');
+
+describe('notification preference utils', () => {
+  const user = (notifications, timezone = 'America/New_York') => ({ settings: { timezone, notifications } });
+  const quietNights = { enabled: true, start: '22:00', end: '07:00' };
+
+  it('should find the end of quiet hours spanning midnight in the user\'s time zone', () => {
+    const nightOwl = user({ quietHours: quietNights });
+
+    expect(getQuietHoursEnd(nightOwl, new Date('2024-11-15T04:30:00Z'))).toEqual(new Date('2024-11-15T12:00:00Z')); // 23:30 EST
+    expect(getQuietHoursEnd(nightOwl, new Date('2024-11-15T11:59:00Z'))).toEqual(new Date('2024-11-15T12:00:00Z')); // 06:59 EST
+    expect(getQuietHoursEnd(nightOwl, new Date('2024-11-15T12:00:00Z'))).toBeNull(); // 07:00 EST
+    expect(getQuietHoursEnd(user({ quietHours: { ...quietNights, enabled: false } }), new Date('2024-11-15T04:30:00Z'))).toBeNull();
+  });
+
+  it('should send through allowed channels, defer non-urgent messages in quiet hours and skip while paused', () => {
+    const now = new Date('2024-11-15T04:30:00Z'); // 23:30 in New York
+    const preferences = user({ channels: { task: ['email'], budget: [] }, quietHours: quietNights });
+
+    expect(planDelivery(user({}), 'task', 'sms', { now })).toEqual({ action: 'send', method: 'sms' });
+    expect(planDelivery(user({ channels: { task: ['email'] } }), 'task', 'sms', { now })).toEqual({ action: 'send', method: 'email' });
+    expect(planDelivery(preferences, 'budget', 'email', { now })).toEqual({ action: 'skip', reason: 'channel_disabled' });
+    expect(planDelivery(preferences, 'task', 'email', { now })).toEqual({ action: 'defer', until: new Date('2024-11-15T12:00:00Z') });
+    expect(planDelivery(preferences, 'task', 'email', { now, urgent: true })).toEqual({ action: 'send', method: 'email' });
+    expect(planDelivery(preferences, 'task', 'email', { now, deadline: new Date('2024-11-15T06:00:00Z') }))
+      .toEqual({ action: 'send', method: 'email' }); // Due at 01:00, before quiet hours end
+    expect(planDelivery(user({ paused: true }), 'event', 'app_notification', { now })).toEqual({ action: 'skip', reason: 'paused' });
+  });
+
+  it('should keep preferences left out of a partial update', () => {
+    const current = { paused: false, channels: { task: ['email'] }, quietHours: quietNights };
+
+    expect(mergeNotificationPreferences(current, { channels: { goal: ['sms'] }, quietHours: { end: '06:30' } })).toMatchObject({
+      paused: false,
+      channels: { task: ['email'], goal: ['sms'], event: ['app_notification', 'email', 'sms'] },
+      quietHours: { enabled: true, start: '22:00', end: '06:30' },
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { getProjectRole, hasProjectRole, canManageMember, pickSuccessorOwner } = require('../../utils/projectRoles');
+
+describe('project roles utils', () => {
+  const project = {
+    owner: 'owner-id',
+    members: [
+      { user: 'admin-id', role: 'admin' },
+      { user: { _id: 'viewer-id' }, role: 'viewer' }, // Populated member
+    ],
+  };
+
+  it('should resolve the owner, member roles and non-members', () => {
+    expect(getProjectRole(project, 'owner-id')).toBe('owner');
+    expect(getProjectRole(project, 'admin-id')).toBe('admin');
+    expect(getProjectRole(project, { _id: 'viewer-id' })).toBe('viewer');
+    expect(getProjectRole(project, 'someone-else')).toBeNull();
+  });
+
+  it('should rank roles so each includes the ones below it', () => {
+    expect(hasProjectRole('owner', 'admin')).toBe(true);
+    expect(hasProjectRole('editor', 'editor')).toBe(true);
+    expect(hasProjectRole('viewer', 'editor')).toBe(false);
+    expect(hasProjectRole(null, 'viewer')).toBe(false);
+  });
+
+  it('should only let the owner manage admins', () => {
+    expect(canManageMember('owner', 'admin', 'viewer')).toBe(true);
+    expect(canManageMember('admin', 'editor', 'viewer')).toBe(true);
+    expect(canManageMember('admin', 'editor', 'admin')).toBe(false);
+    expect(canManageMember('admin', 'admin')).toBe(false);
+    expect(canManageMember('editor', 'viewer')).toBe(false);
+  });
+
+  it('should hand a project to its highest-ranked, longest-standing member', () => {
+    expect(pickSuccessorOwner(project)).toBe('admin-id');
+    expect(pickSuccessorOwner({
+      members: [
+        { user: 'new-editor', role: 'editor', addedAt: new Date('2024-05-01') },
+        { user: 'old-editor', role: 'editor', addedAt: new Date('2024-01-01') },
+        { user: 'viewer', role: 'viewer', addedAt: new Date('2023-01-01') },
+      ],
+    })).toBe('old-editor');
+    expect(pickSuccessorOwner({ members: [] })).toBeNull();
+  });
+});
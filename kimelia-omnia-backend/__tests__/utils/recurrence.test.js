@@ -0,0 +1,80 @@
+const {
+  normalizeRecurrenceRule,
+  isValidRecurrenceRule,
+  getOccurrences,
+  isOccurrenceOf,
+  countOccurrencesBefore,
+  endRuleBefore,
+  withRemainingCount,
+  expandItemsForWindow,
+} = require('../../utils/recurrence');
+
+describe('recurrence utils', () => {
+  const dtstart = new Date('2024-11-04T09:00:00.000Z'); // A Monday
+
+  it('should normalize and validate RRULE strings', () => {
+    expect(normalizeRecurrenceRule(' RRULE:FREQ=DAILY ')).toBe('FREQ=DAILY');
+    expect(isValidRecurrenceRule('FREQ=WEEKLY;BYDAY=MO,WE')).toBe(true);
+    expect(isValidRecurrenceRule('RRULE:FREQ=MONTHLY;COUNT=3')).toBe(true);
+    expect(isValidRecurrenceRule('BYDAY=MO')).toBe(false); // No frequency
+    expect(isValidRecurrenceRule('FREQ=WEEKLY;BYDAY=XX')).toBe(false);
+    expect(isValidRecurrenceRule('not a rule')).toBe(false);
+  });
+
+  it('should generate occurrences within a window and honour EXDATEs', () => {
+    const recurrence = { rule: 'FREQ=DAILY;COUNT=5', exdates: [new Date('2024-11-06T09:00:00.000Z')] };
+    const occurrences = getOccurrences(recurrence, dtstart, dtstart, new Date('2024-11-30T00:00:00.000Z'));
+
+    expect(occurrences.map((d) => d.toISOString())).toEqual([
+      '2024-11-04T09:00:00.000Z',
+      '2024-11-05T09:00:00.000Z',
+      '2024-11-07T09:00:00.000Z',
+      '2024-11-08T09:00:00.000Z',
+    ]);
+    expect(isOccurrenceOf(recurrence, dtstart, '2024-11-05T09:00:00.000Z')).toBe(true);
+    expect(isOccurrenceOf(recurrence, dtstart, '2024-11-06T09:00:00.000Z')).toBe(false);
+    expect(isOccurrenceOf(recurrence, dtstart, '2024-11-05T10:00:00.000Z')).toBe(false);
+  });
+
+  it('should split a series without losing or duplicating occurrences', () => {
+    const rule = 'FREQ=DAILY;COUNT=5';
+    const splitAt = new Date('2024-11-07T09:00:00.000Z');
+    const consumed = countOccurrencesBefore({ rule }, dtstart, splitAt);
+
+    expect(consumed).toBe(3);
+
+    const before = getOccurrences({ rule: endRuleBefore(rule, splitAt) }, dtstart, dtstart, new Date('2024-12-31T00:00:00.000Z'));
+    const after = getOccurrences({ rule: withRemainingCount(rule, consumed) }, splitAt, splitAt, new Date('2024-12-31T00:00:00.000Z'));
+
+    expect(before).toHaveLength(3);
+    expect(after.map((d) => d.toISOString())).toEqual(['2024-11-07T09:00:00.000Z', '2024-11-08T09:00:00.000Z']);
+  });
+
+  it('should expand recurring items and pass one-off items through', () => {
+    const series = {
+      _id: 'series1',
+      title: 'Standup',
+      startTime: dtstart,
+      endTime: new Date('2024-11-04T09:15:00.000Z'),
+      recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO,WE', exdates: [] },
+      reminders: [{ time: new Date('2024-11-04T08:45:00.000Z'), method: 'email' }],
+    };
+    const oneOff = { _id: 'event1', title: 'Review', startTime: new Date('2024-11-05T12:00:00.000Z'), endTime: new Date('2024-11-05T13:00:00.000Z') };
+
+    const expanded = expandItemsForWindow([series, oneOff], {
+      anchorField: 'startTime',
+      endField: 'endTime',
+      windowStart: new Date('2024-11-04T00:00:00.000Z'),
+      windowEnd: new Date('2024-11-10T23:59:59.999Z'),
+    });
+
+    expect(expanded.map((item) => item.title)).toEqual(['Standup', 'Review', 'Standup']);
+    expect(expanded[2]).toMatchObject({
+      seriesId: 'series1',
+      isOccurrence: true,
+      startTime: new Date('2024-11-06T09:00:00.000Z'),
+      endTime: new Date('2024-11-06T09:15:00.000Z'),
+    });
+    expect(expanded[2].reminders[0].time).toEqual(new Date('2024-11-06T08:45:00.000Z'));
+  });
+});
@@ -0,0 +1,40 @@
+const { anchorReminders, isReminderDue } = require('../../utils/reminders');
+
+describe('reminder utils', () => {
+  const dueDate = new Date('2025-03-10T09:00:00.000Z');
+
+  it('should count relative reminders back from the anchor and leave absolute ones alone', () => {
+    const absolute = { time: new Date('2025-03-01T08:00:00.000Z'), isSent: true };
+    const [relative] = anchorReminders([{ offsetMinutes: 1440 }, absolute], dueDate);
+
+    expect(relative.time).toEqual(new Date('2025-03-09T09:00:00.000Z'));
+    expect(absolute).toEqual({ time: new Date('2025-03-01T08:00:00.000Z'), isSent: true });
+  });
+
+  it('should re-arm a relative reminder when the anchor moves, and keep its state otherwise', () => {
+    const reminder = { offsetMinutes: 15, time: new Date('2025-03-10T08:45:00.000Z'), isSent: true, sentAt: new Date() };
+
+    anchorReminders([reminder], dueDate);
+    expect(reminder.isSent).toBe(true);
+
+    anchorReminders([reminder], new Date('2025-03-11T09:00:00.000Z'));
+    expect(reminder).toMatchObject({ time: new Date('2025-03-11T08:45:00.000Z'), isSent: false, sentAt: null, dismissedAt: null });
+
+    anchorReminders([reminder], null);
+    expect(reminder.time).toBeNull();
+  });
+
+  it('should send reminders within the window, and snoozed ones once the snooze is over', () => {
+    const now = new Date('2025-03-10T08:50:00.000Z');
+    const cutoff = new Date('2025-03-10T09:00:00.000Z');
+
+    expect(isReminderDue({ time: new Date('2025-03-10T08:55:00.000Z') }, now, cutoff)).toBe(true);
+    expect(isReminderDue({ time: new Date('2025-03-10T09:05:00.000Z') }, now, cutoff)).toBe(false);
+    expect(isReminderDue({ time: new Date('2025-03-10T08:55:00.000Z'), isSent: true }, now, cutoff)).toBe(false);
+    expect(isReminderDue({ time: new Date('2025-03-10T08:55:00.000Z'), dismissedAt: now }, now, cutoff)).toBe(false);
+
+    const time = new Date('2025-03-10T08:00:00.000Z'); // Sent an hour ago, then snoozed
+    expect(isReminderDue({ time, snoozedUntil: new Date('2025-03-10T08:45:00.000Z') }, now, cutoff)).toBe(true);
+    expect(isReminderDue({ time, snoozedUntil: new Date('2025-03-10T08:55:00.000Z') }, now, cutoff)).toBe(false);
+  });
+});
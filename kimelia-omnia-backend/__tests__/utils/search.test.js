@@ -0,0 +1,31 @@
+const { parseSearchTerms, findHighlights, buildSnippet } = require('../../utils/search');
+
+describe('search utils', () => {
+  it('should read words and phrases to highlight, without excluded ones', () => {
+    expect(parseSearchTerms('Meetings "Quarterly review" -draft -"old plan" budget, a')).toEqual({
+      words: ['meeting', 'budget'],
+      phrases: ['quarterly review'],
+    });
+  });
+
+  it('should highlight words starting with a term and whole phrases', () => {
+    const terms = parseSearchTerms('budget "quarterly review"');
+    expect(findHighlights('Budget meeting: Quarterly Review of budgets', terms)).toEqual([[0, 6], [16, 32], [36, 43]]);
+  });
+
+  it('should cut long texts around the first match and shift the highlights', () => {
+    const text = `${'word '.repeat(60)}the budget meeting ${'word '.repeat(60)}`;
+    const snippet = buildSnippet(text, parseSearchTerms('budget'), 80);
+
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    expect(snippet.text.length).toBeLessThanOrEqual(82);
+    const [[start, end]] = snippet.highlights;
+    expect(snippet.text.slice(start, end)).toBe('budget');
+  });
+
+  it('should return null for empty texts', () => {
+    expect(buildSnippet('  \n ', parseSearchTerms('budget'))).toBeNull();
+    expect(buildSnippet(undefined, parseSearchTerms('budget'))).toBeNull();
+  });
+});
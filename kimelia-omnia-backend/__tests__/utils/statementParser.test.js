@@ -0,0 +1,47 @@
+const { parseAmount, parseDate, parseCsvStatement, parseOfxStatement } = require('../../utils/statementParser');
+
+describe('statement parser', () => {
+  it('should parse bank amount and date notations', () => {
+    expect(parseAmount('-1,234.56')).toBe(-1234.56);
+    expect(parseAmount('(12.34)')).toBe(-12.34);
+    expect(parseAmount('12.34-')).toBe(-12.34);
+    expect(parseAmount('€1.234,50', ',')).toBe(1234.5);
+    expect(parseAmount('n/a')).toBeNull();
+
+    expect(parseDate('11/20/2024', 'MM/DD/YYYY')).toEqual(new Date('2024-11-20T00:00:00.000Z'));
+    expect(parseDate('20.11.24', 'DD.MM.YYYY')).toEqual(new Date('2024-11-20T00:00:00.000Z'));
+    expect(parseDate('31/02/2024', 'DD/MM/YYYY')).toBeNull();
+  });
+
+  it('should read CSV statements through a column mapping', () => {
+    const csv = 'Date;Details;Debit;Credit\r\n20/11/2024;"CAFE ""JAVA"", NAIROBI";4,50;\r\n21/11/2024;Salary;;1.200,00\r\n22/11/2024;Broken;;\r\n';
+    const transactions = parseCsvStatement(csv, {
+      mapping: { date: 'date', description: 'Details', debit: 'Debit', credit: 'Credit' },
+      delimiter: ';',
+      dateFormat: 'DD/MM/YYYY',
+      decimalSeparator: ',',
+    });
+
+    expect(transactions).toHaveLength(3);
+    expect(transactions[0]).toMatchObject({ rowNumber: 2, amount: -4.5, description: 'CAFE "JAVA", NAIROBI' });
+    expect(transactions[1].amount).toBe(1200);
+    expect(transactions[2].error).toBe('Unreadable amount.');
+    expect(() => parseCsvStatement(csv, { mapping: { date: 'Posted', description: 'Details', amount: 'Amount' }, delimiter: ';' }))
+      .toThrow('Column "Posted" was not found in the CSV header.');
+  });
+
+  it('should read SGML OFX statements', () => {
+    const ofx = [
+      'OFXHEADER:100', '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+      '<STMTTRN>', '<TRNTYPE>POS', '<DTPOSTED>20241120120000[-5:EST]', '<TRNAMT>-12.30', '<FITID>A1', '<NAME>UBER EATS &amp; CO', '<MEMO>Card 1234', '</STMTTRN>',
+      '<STMTTRN>', '<TRNTYPE>ATM', '<DTPOSTED>20241121', '<TRNAMT>-40.00', '<FITID>A2', '<NAME>ATM WITHDRAWAL', '</STMTTRN>',
+      '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+    ].join('\n');
+
+    expect(parseOfxStatement(ofx)).toEqual([
+      { rowNumber: 1, date: new Date('2024-11-20T00:00:00.000Z'), amount: -12.3, description: 'UBER EATS & CO - Card 1234', paymentMethod: 'debit_card', externalId: 'A1' },
+      { rowNumber: 2, date: new Date('2024-11-21T00:00:00.000Z'), amount: -40, description: 'ATM WITHDRAWAL', paymentMethod: 'cash', externalId: 'A2' },
+    ]);
+    expect(() => parseOfxStatement('just some text')).toThrow('The file does not look like an OFX/QFX statement.');
+  });
+});
@@ -0,0 +1,44 @@
+const {
+  DEFAULT_BOARD_COLUMNS,
+  POSITION_STEP,
+  normalizeBoardColumns,
+  groupTasksByColumn,
+  getInsertPosition,
+} = require('../../utils/taskBoard');
+
+describe('task board utils', () => {
+  it('should derive unique column keys from names', () => {
+    expect(normalizeBoardColumns([
+      { name: 'Needs Review', status: 'in-progress' },
+      { name: 'Needs review!', status: 'in-progress' },
+      { key: 'pending', name: 'Backlog', status: 'pending' },
+    ]).map((column) => column.key)).toEqual(['needs-review', 'needs-review-2', 'pending']);
+  });
+
+  it('should place tasks by saved column while it matches their status, otherwise by status', () => {
+    const columns = [
+      ...DEFAULT_BOARD_COLUMNS.slice(0, 2),
+      { key: 'review', name: 'Review', status: 'in-progress' },
+    ];
+    const tasks = [
+      { _id: 'a', status: 'in-progress', boardColumn: 'review', boardPosition: 2048, createdAt: '2024-11-01' },
+      { _id: 'b', status: 'in-progress', boardColumn: 'review', boardPosition: 1024, createdAt: '2024-11-02' },
+      { _id: 'c', status: 'pending', boardColumn: 'review', boardPosition: 1024, createdAt: '2024-11-03' }, // Status changed outside the board
+      { _id: 'd', status: 'pending', createdAt: '2024-11-01' },
+      { _id: 'e', status: 'deferred', boardColumn: 'gone', createdAt: '2024-11-04' }, // No column for its status
+    ];
+
+    const board = groupTasksByColumn(columns, tasks);
+
+    expect(board.map((column) => column.tasks.map((task) => task._id))).toEqual([['c', 'd', 'e'], [], ['b', 'a']]);
+  });
+
+  it('should rank a dropped task between its neighbours', () => {
+    expect(getInsertPosition([], 0)).toBe(POSITION_STEP);
+    expect(getInsertPosition([1024, 2048], 0)).toBe(0);
+    expect(getInsertPosition([1024, 2048], 1)).toBe(1536);
+    expect(getInsertPosition([1024, 2048], 9)).toBe(2048 + POSITION_STEP);
+    expect(getInsertPosition([1024, undefined], 1)).toBeNull(); // Unranked neighbour: renumber first
+    expect(getInsertPosition([1, 1 + 1e-7], 1)).toBeNull(); // No room left
+  });
+});
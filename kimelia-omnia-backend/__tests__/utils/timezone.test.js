@@ -0,0 +1,37 @@
+const {
+  getUserTimeSettings,
+  zonedTimeToUtc,
+  startOfDay,
+  addDays,
+  formatDateTime,
+} = require('../../utils/timezone');
+
+describe('time zone utils', () => {
+  it('should read user settings and fall back to defaults for invalid ones', () => {
+    expect(getUserTimeSettings({ settings: { timezone: 'Africa/Kigali', locale: 'fr-RW', weekStart: 1 } }))
+      .toEqual({ timeZone: 'Africa/Kigali', locale: 'fr-RW', weekStart: 1 });
+    expect(getUserTimeSettings({ settings: { timezone: 'Mars/Olympus', locale: '??' } }))
+      .toEqual({ timeZone: 'UTC', locale: 'en-US', weekStart: 0 });
+  });
+
+  it('should resolve wall-clock times across daylight saving changes', () => {
+    const timeZone = 'America/New_York';
+
+    expect(zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 1 }, timeZone)).toEqual(new Date('2025-03-09T06:00:00.000Z'));
+    expect(zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 3 }, timeZone)).toEqual(new Date('2025-03-09T07:00:00.000Z'));
+    expect(zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, timeZone)) // Skipped, so 3:30 EDT
+      .toEqual(new Date('2025-03-09T07:30:00.000Z'));
+
+    // A calendar day is 23 hours when clocks spring forward
+    const dayStart = startOfDay(new Date('2025-03-09T15:00:00.000Z'), timeZone);
+    expect(dayStart).toEqual(new Date('2025-03-09T05:00:00.000Z'));
+    expect(addDays(dayStart, 1, timeZone)).toEqual(new Date('2025-03-10T04:00:00.000Z'));
+  });
+
+  it('should format times in the user\'s time zone and locale', () => {
+    const date = new Date('2024-11-15T23:00:00.000Z');
+
+    expect(formatDateTime(date, { timeZone: 'America/New_York', locale: 'en-US' })).toBe('Nov 15, 2024, 6:00 PM EST');
+    expect(formatDateTime(date, { timeZone: 'Africa/Kigali', locale: 'en-GB' })).toMatch(/^16 Nov 2024, 01:00/);
+  });
+});
@@ -0,0 +1,39 @@
+const {
+  generateTotpSecret,
+  buildOtpauthUri,
+  generateTotp,
+  verifyTotp,
+  hashBackupCode,
+  generateBackupCodes,
+} = require('../../utils/totp');
+
+// RFC 6238 test secret: the ASCII string '12345678901234567890', base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp utils', () => {
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateTotp(RFC_SECRET, Math.floor(2000000000 / 30))).toBe('279037');
+  });
+
+  it('should accept codes within the drift window once, and reject others', () => {
+    const secret = generateTotpSecret();
+    const time = 1700000000000;
+    const step = Math.floor(time / 30000);
+
+    expect(verifyTotp(secret, generateTotp(secret, step - 1), { time })).toBe(step - 1);
+    expect(verifyTotp(secret, generateTotp(secret, step - 2), { time })).toBeNull();
+    expect(verifyTotp(secret, generateTotp(secret, step), { time, lastUsedStep: step })).toBeNull(); // Replay
+    expect(verifyTotp(secret, 'abcdef', { time })).toBeNull();
+  });
+
+  it('should build an otpauth URI and hash backup codes ignoring case and dashes', () => {
+    expect(buildOtpauthUri({ secret: 'ABC', accountName: 'jane@example.com' }))
+      .toBe('otpauth://totp/KIMELIA%20Omnia%3Ajane%40example.com?secret=ABC&issuer=KIMELIA+Omnia&algorithm=SHA1&digits=6&period=30');
+
+    const [code] = generateBackupCodes(1);
+    expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(hashBackupCode(code.toUpperCase().replace('-', ''))).toBe(hashBackupCode(code));
+  });
+});
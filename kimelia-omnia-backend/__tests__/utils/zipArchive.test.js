@@ -0,0 +1,31 @@
+const zlib = require('zlib');
+const { crc32, createZipArchive } = require('../../utils/zipArchive');
+
+describe('zipArchive utils', () => {
+  it('should compute the standard CRC-32 check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should write local entries, a central directory and an end record', () => {
+    const archive = createZipArchive([
+      { name: 'tasks.json', content: '[{"title":"Plan sprint"}]' },
+      { name: 'notes.csv', content: Buffer.from('a,b\r\n1,2\r\n') },
+    ]);
+
+    expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+    const end = archive.subarray(archive.length - 22);
+    expect(end.readUInt32LE(0)).toBe(0x06054b50);
+    expect(end.readUInt16LE(10)).toBe(2);
+
+    const centralOffset = end.readUInt32LE(16);
+    expect(archive.readUInt32LE(centralOffset)).toBe(0x02014b50);
+
+    // First entry: header, then the name, then the deflated content
+    const nameLength = archive.readUInt16LE(26);
+    const compressedSize = archive.readUInt32LE(18);
+    expect(archive.subarray(30, 30 + nameLength).toString()).toBe('tasks.json');
+    const content = zlib.inflateRawSync(archive.subarray(30 + nameLength, 30 + nameLength + compressedSize));
+    expect(content.toString()).toBe('[{"title":"Plan sprint"}]');
+    expect(archive.readUInt32LE(14)).toBe(crc32(content));
+  });
+});
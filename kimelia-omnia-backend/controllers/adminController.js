@@ -1,8 +1,22 @@
 
 const asyncHandler = require('../utils/asyncHandler');
 const User = require('../models/User');
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditLog = require('../models/AuditLog');
+const Job = require('../models/Job');
+const Goal = require('../models/Goal');
+const UserActivity = require('../models/UserActivity');
+const { REFERENCE_CURRENCY } = require('../utils/currency');
+const { DAY_MS, startOfUtcDay } = require('../utils/analytics');
+const { findPage } = require('../utils/listQuery');
+const { deleteUserAccount } = require('../services/accountDeletionService');
+const { getPlatformAnalytics } = require('../services/analyticsService');
+const { retryJob: requeueJob } = require('../services/jobQueueService');
+const { JOB_STATUSES } = require('../utils/jobs');
 const { Types } = require('mongoose'); // Import Mongoose Types for ObjectId validation
-// const Goal = require('../models/Goal'); // Uncomment if you want to use Goal model for admin data
+
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
 
 // @desc    Access admin-specific data
 // @route   GET /api/v1/auth/admin-data
@@ -11,28 +25,60 @@ const getAdminData = asyncHandler(async (req, res) => {
   // Authorization middleware 'authorizeRoles('admin')' will handle the role check.
   // This controller can now focus on fetching data.
 
-  const totalUsers = await User.countDocuments();
-  // const activeGoals = await Goal.countDocuments({ status: 'active' }); // Example, uncomment if Goal model is used
+  const [totalUsers, verifiedUsers, activeUsersToday, activeGoals] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ isVerified: true }),
+    UserActivity.countDocuments({ date: startOfUtcDay(new Date()) }),
+    Goal.countDocuments({ status: 'active' }),
+  ]);
 
   res.status(200).json({
     success: true,
     data: {
       message: 'Welcome to the Admin Dashboard!',
       totalUsers,
-      // activeGoals, // Uncomment if used
+      verifiedUsers,
+      activeUsersToday,
+      activeGoals,
     },
   });
 });
 
+// @desc    Platform-wide metrics as time series for the admin dashboard
+// @route   GET /api/v1/admin/analytics
+// @access  Private/Admin
+const getAnalytics = asyncHandler(async (req, res) => {
+  const to = req.query.to || new Date();
+  const from = req.query.from || new Date(to.getTime() - (ANALYTICS_DEFAULT_DAYS - 1) * DAY_MS);
+
+  if (from > to) {
+    res.status(400);
+    throw new Error('The start of the analytics range must be before its end.');
+  }
+  if (startOfUtcDay(to) - startOfUtcDay(from) >= ANALYTICS_MAX_DAYS * DAY_MS) {
+    res.status(400);
+    throw new Error(`The analytics range cannot be longer than ${ANALYTICS_MAX_DAYS} days.`);
+  }
+
+  const data = await getPlatformAnalytics(from, to);
+
+  res.status(200).json({
+    success: true,
+    range: { from: startOfUtcDay(from), to: startOfUtcDay(to) },
+    data,
+  });
+});
+
 // @desc    Get all users (Admin Only)
 // @route   GET /api/v1/admin/users
 // @access  Private/Admin
 const getAllUsers = asyncHandler(async (req, res) => {
-  const users = await User.find().select('-password -verificationToken -verificationTokenExpires');
+  const { data: users, pagination } = await findPage(User, {}, req.listQuery, { select: '-password -verificationToken -verificationTokenExpires' });
 
   res.status(200).json({
     success: true,
     count: users.length,
+    pagination,
     data: users,
   });
 });
@@ -91,6 +137,11 @@ const updateUser = asyncHandler(async (req, res) => {
     delete updates.verificationToken;
     delete updates.verificationTokenExpires;
 
+    const previous = await User.findById(req.params.id).select('name email role isVerified settings').lean();
+    if (previous && isVerified !== undefined && isVerified !== previous.isVerified) {
+        updates.verifiedAt = isVerified ? new Date() : null;
+    }
+
     const user = await User.findByIdAndUpdate(req.params.id, updates, {
         new: true,
         runValidators: true,
@@ -101,6 +152,16 @@ const updateUser = asyncHandler(async (req, res) => {
         throw new Error('User not found for update.');
     }
 
+    // Record what actually changed, with old and new values
+    const changes = {};
+    for (const field of ['name', 'email', 'role', 'isVerified']) {
+        if (updates[field] !== undefined && previous[field] !== user[field]) {
+            changes[field] = { from: previous[field], to: user[field] };
+        }
+    }
+    if (updates.settings) changes.settings = { from: previous.settings, to: user.toObject().settings };
+    res.locals.audit = { action: changes.role ? 'user.role_change' : 'user.update', metadata: { changes } };
+
     res.status(200).json({
         success: true,
         message: 'User updated successfully by admin.',
@@ -108,7 +169,7 @@ const updateUser = asyncHandler(async (req, res) => {
     });
 });
 
-// @desc    Delete a user (Admin Only)
+// @desc    Delete a user and all of their data immediately (Admin Only)
 // @route   DELETE /api/v1/admin/users/:id
 // @access  Private/Admin
 const deleteUser = asyncHandler(async (req, res) => {
@@ -131,14 +192,174 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw new Error('Admin cannot delete their own account via this route.');
   }
 
-  await user.deleteOne();
+  // Same cascade as a self-service deletion, without the grace period
+  const summary = await deleteUserAccount(user._id);
+  res.locals.audit = { metadata: { email: user.email, ...summary } };
 
   res.status(200).json({
     success: true,
     message: 'User deleted successfully by admin.',
+    data: summary,
+  });
+});
+
+
+// @desc    Get the exchange-rate table used to convert expenses and budgets
+// @route   GET /api/v1/admin/exchange-rates
+// @access  Private/Admin
+const getExchangeRates = asyncHandler(async (req, res) => {
+  const rates = await ExchangeRate.find().sort({ currency: 1 });
+
+  res.status(200).json({
+    success: true,
+    referenceCurrency: REFERENCE_CURRENCY,
+    count: rates.length,
+    data: rates,
+  });
+});
+
+// @desc    Add or update the exchange rate of a currency (Admin Only)
+// @route   PUT /api/v1/admin/exchange-rates/:currency
+// @access  Private/Admin
+const setExchangeRate = asyncHandler(async (req, res) => {
+  const { currency } = req.params;
+
+  if (currency === REFERENCE_CURRENCY) {
+    res.status(400);
+    throw new Error(`${REFERENCE_CURRENCY} is the reference currency; its rate is always 1.`);
+  }
+
+  const rate = await ExchangeRate.findOneAndUpdate(
+    { currency },
+    { rate: req.body.rate, updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Exchange rate for ${currency} saved.`,
+    data: rate,
+  });
+});
+
+// @desc    Remove the exchange rate of a currency (Admin Only)
+// @route   DELETE /api/v1/admin/exchange-rates/:currency
+// @access  Private/Admin
+const deleteExchangeRate = asyncHandler(async (req, res) => {
+  const rate = await ExchangeRate.findOne({ currency: req.params.currency });
+
+  if (!rate) {
+    res.status(404);
+    throw new Error('Exchange rate not found.');
+  }
+
+  await rate.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: `Exchange rate for ${req.params.currency} removed. Amounts in ${req.params.currency} are left out of converted totals until a rate is set again.`,
+  });
+});
+
+// @desc    Search the audit log (Admin Only)
+// @route   GET /api/v1/admin/audit-logs
+// @access  Private/Admin
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { action, status, actor, targetType, targetId, from, to } = req.query;
+
+  const query = {};
+  if (action) query.action = action;
+  if (status) query.status = status;
+  if (actor) query.actor = actor;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  const { data: entries, pagination } = await findPage(AuditLog, query, req.listQuery, { populate: { path: 'actor', select: 'name email role' } });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    pagination,
+    data: entries,
+  });
+});
+
+// @desc    Inspect the background job queue (Admin Only)
+// @route   GET /api/v1/admin/jobs
+// @access  Private/Admin
+const getJobs = asyncHandler(async (req, res) => {
+  const { status, type } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+
+  const [{ data: jobs, pagination }, statusCounts] = await Promise.all([
+    findPage(Job, query, req.listQuery),
+    Job.aggregate([
+      ...(type ? [{ $match: { type } }] : []),
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  // Jobs per status (of the given type), whatever the status filter
+  const summary = Object.fromEntries(JOB_STATUSES.map((jobStatus) => [jobStatus, 0]));
+  statusCounts.forEach(({ _id, count }) => { summary[_id] = count; });
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    summary,
+    pagination,
+    data: jobs,
   });
 });
 
+// @desc    Get a background job (Admin Only)
+// @route   GET /api/v1/admin/jobs/:id
+// @access  Private/Admin
+const getJobById = asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id);
+
+  if (!job) {
+    res.status(404);
+    throw new Error('Job not found.');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: job,
+  });
+});
+
+// @desc    Run a failed background job again (Admin Only)
+// @route   POST /api/v1/admin/jobs/:id/retry
+// @access  Private/Admin
+const retryJob = asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id).select('status');
+
+  if (!job) {
+    res.status(404);
+    throw new Error('Job not found.');
+  }
+
+  const retried = await requeueJob(job._id);
+  if (!retried) {
+    res.status(400);
+    throw new Error(`Only dead jobs, or pending jobs waiting for a retry, can be retried (this job is ${job.status}).`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Job queued to run again.',
+    data: retried,
+  });
+});
 
 module.exports = {
   getAdminData,
@@ -146,4 +367,12 @@ module.exports = {
   getUserById,
   updateUser,
   deleteUser,
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+  getAuditLogs,
+  getAnalytics,
+  getJobs,
+  getJobById,
+  retryJob,
 };
\ No newline at end of file
@@ -1,7 +1,30 @@
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
 const asyncHandler = require('../utils/asyncHandler');
-const { sendVerificationEmail } = require('../services/notificationService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/notificationService');
+const {
+  startSession,
+  refreshSession,
+  revokeSessions,
+  listActiveSessions,
+} = require('../services/sessionService');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  MAX_LOGIN_CHALLENGE_ATTEMPTS,
+  createLoginChallenge,
+  startLoginChallengeAttempt,
+  endLoginChallenge,
+  verifySecondFactor,
+} = require('../services/twoFactorService');
+const { scheduleAccountDeletion, cancelAccountDeletion } = require('../services/accountDeletionService');
+const { recordAuditEvent } = require('../services/auditLogService');
+const {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  hashBackupCode,
+  generateBackupCodes,
+} = require('../utils/totp');
+const { mergeNotificationPreferences } = require('../utils/notificationPreferences');
 const crypto = require('crypto')
 
 // @desc    Register a new user
@@ -46,6 +69,7 @@ const registerUser = asyncHandler(async (req, res) => {
       name: user.name,
       verificationToken,
       frontendUrl: process.env.FRONTEND_URL,
+      userId: user._id,
     });
 
     res.status(201).json({
@@ -63,7 +87,37 @@ const registerUser = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Authenticate user & get JWT token
+// Starts a session and responds with the user and its tokens (the last step of every login)
+const sendLoginResponse = async (res, req, user, method = 'password') => {
+  // Logging in during the grace period of an account deletion cancels it
+  const deletionCancelled = await cancelAccountDeletion(user);
+  const { token, refreshToken, sessionId } = await startSession(user._id, req, req.body.deviceName);
+  res.locals.audit = {
+    actor: user._id,
+    actorEmail: user.email,
+    targetId: user._id,
+    metadata: { method, sessionId, ...(deletionCancelled && { accountDeletionCancelled: true }) },
+  };
+
+  const userResponse = user.toObject();
+  delete userResponse.password; // Exclude password and 2FA secrets from the response
+  if (userResponse.twoFactor) {
+    userResponse.twoFactor = { enabled: userResponse.twoFactor.enabled, enabledAt: userResponse.twoFactor.enabledAt };
+  }
+
+  res.json({
+    ...userResponse,
+    token,
+    refreshToken,
+    sessionId,
+    ...(deletionCancelled && { accountDeletionCancelled: true }),
+    message: deletionCancelled
+      ? 'Logged in successfully! The scheduled deletion of your account has been cancelled.'
+      : 'Logged in successfully!',
+  });
+};
+
+// @desc    Authenticate user & get an access token and a refresh token (starts a session)
 // @route   POST /api/v1/auth/login
 // @access  Public
 const loginUser = asyncHandler(async (req, res) => {
@@ -80,25 +134,63 @@ const loginUser = asyncHandler(async (req, res) => {
 
   // 3. Validate user existence and password
   if (!user || !(await user.matchPassword(password))) {
+    res.locals.audit = { actor: user?._id, actorEmail: email, metadata: { reason: user ? 'wrong_password' : 'unknown_email' } };
     res.status(401);
     throw new Error('Invalid credentials. Please check your email and password.');
   }
 
   // 4. Check if user is verified
   if (!user.isVerified) {
+    res.locals.audit = { actor: user._id, actorEmail: user.email, metadata: { reason: 'email_not_verified' } };
     res.status(401);
     throw new Error('Your email address is not verified. Please check your inbox for a verification email or request a new one.');
   }
 
-  // 5. Respond with user data and JWT
-  const userResponse = user.toObject();
-  delete userResponse.password; // Exclude password from the response
+  // 5. With 2FA enabled, the password step only earns a challenge token for the code step
+  if (user.twoFactor?.enabled) {
+    res.locals.audit = { skip: true }; // Audited once the code step completes (or fails)
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: await createLoginChallenge(user._id),
+      message: 'Enter the code from your authenticator app (or a backup code) to finish logging in.',
+    });
+  }
 
-  res.json({
-    ...userResponse,
-    token: generateToken(user._id),
-    message: 'Logged in successfully!',
-  });
+  // 6. Start a session for this device and respond with user data and its tokens
+  await sendLoginResponse(res, req, user);
+});
+
+// @desc    Finish a login with a 2FA code (authenticator code or backup code)
+// @route   POST /api/v1/auth/login/2fa
+// @access  Public (requires a login challenge token)
+const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  // Each challenge is good for one login and a few codes
+  const challenge = await startLoginChallengeAttempt(challengeToken);
+  const user = challenge && await User.findById(challenge.user).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!user) {
+    res.status(401);
+    throw new Error('Your login attempt has expired or has been used up. Please log in again.');
+  }
+
+  const method = verifySecondFactor(user, code);
+  if (!method) {
+    const attemptsLeft = MAX_LOGIN_CHALLENGE_ATTEMPTS - challenge.attempts;
+    if (attemptsLeft === 0) await endLoginChallenge(challenge);
+    res.locals.audit = { actor: user._id, actorEmail: user.email, metadata: { reason: 'wrong_2fa_code', attemptsLeft } };
+    res.status(401);
+    throw new Error(attemptsLeft > 0
+      ? `Invalid two-factor code. ${attemptsLeft} attempt(s) left.`
+      : 'Invalid two-factor code. Too many attempts; please log in again.');
+  }
+  if (!(await endLoginChallenge(challenge))) {
+    res.status(401);
+    throw new Error('Your login attempt has expired or has been used up. Please log in again.');
+  }
+  await user.save(); // Records the used time step or backup code
+
+  await sendLoginResponse(res, req, user, method);
 });
 
 // @desc    Verify user email
@@ -128,6 +220,7 @@ const verifyEmail = asyncHandler(async (req, res) => {
 
     // Mark user as verified, clear token fields
     user.isVerified = true;
+    user.verifiedAt = new Date();
     user.verificationToken = undefined;
     user.verificationTokenExpires = undefined;
 
@@ -169,7 +262,7 @@ const getUserProfile = asyncHandler(async (req, res) => {
 // @route   PUT /api/v1/auth/profile
 // @access  Private (requires JWT)
 const updateUserProfile = asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user._id).select('+password');
+    const user = await User.findById(req.user._id);
 
     if (user) {
         user.name = req.body.name || user.name;
@@ -189,6 +282,7 @@ const updateUserProfile = asyncHandler(async (req, res) => {
               name: user.name,
               verificationToken,
               frontendUrl: process.env.FRONTEND_URL,
+              userId: user._id,
             });
             res.status(200).json({
                 message: `Profile updated, and a new verification email has been sent to ${user.email}. Please verify your new email address.`,
@@ -197,6 +291,7 @@ const updateUserProfile = asyncHandler(async (req, res) => {
             return; // Exit early as a new verification process starts
         }
 
+        const previousRole = user.role;
         const allowedRoles = ['individual', 'student', 'startup'];
         if (req.body.role && allowedRoles.includes(req.body.role)) {
             user.role = req.body.role;
@@ -205,22 +300,31 @@ const updateUserProfile = asyncHandler(async (req, res) => {
             throw new Error(`Invalid role '${req.body.role}'. Allowed roles are: ${allowedRoles.join(', ')}.`);
         }
 
-        if (req.body.password) {
-            user.password = req.body.password;
-        }
-
         if (req.body.settings && typeof req.body.settings === 'object') {
-            user.settings = { ...user.settings, ...req.body.settings };
+            const { notifications, ...settings } = req.body.settings;
+            const currentSettings = user.toObject().settings || {};
+            user.settings = { ...currentSettings, ...settings };
+            if (notifications) { // Partial updates of notification preferences keep the rest
+                user.settings.notifications = mergeNotificationPreferences(currentSettings.notifications, notifications);
+            }
         }
 
         const updatedUser = await user.save();
 
+        if (updatedUser.role !== previousRole) {
+            await recordAuditEvent(req, {
+                action: 'user.role_change',
+                targetType: 'User',
+                targetId: updatedUser._id,
+                metadata: { changes: { role: { from: previousRole, to: updatedUser.role } } },
+            });
+        }
+
         const userResponse = updatedUser.toObject();
         delete userResponse.password;
 
         res.json({
             ...userResponse,
-            token: generateToken(updatedUser._id),
             message: 'Profile updated successfully!',
         });
     } else {
@@ -229,6 +333,339 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     }
 });
 
+// @desc    Delete the authenticated user's account after a grace period (requires the password, and a 2FA code if enabled)
+// @route   DELETE /api/v1/auth/profile
+// @access  Private (requires JWT)
+const deleteAccount = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+  if (!(await user.matchPassword(password))) {
+    res.status(401);
+    throw new Error('Password is incorrect.');
+  }
+  if (user.twoFactor?.enabled && !(code && verifySecondFactor(user, code))) {
+    res.status(401);
+    throw new Error('A valid two-factor code is required to delete your account.');
+  }
+
+  const deletionScheduledFor = await scheduleAccountDeletion(user);
+
+  res.status(200).json({
+    success: true,
+    message: `Your account will be deleted on ${deletionScheduledFor.toUTCString()}. You have been signed out everywhere; log in again before then to cancel.`,
+    data: { deletionScheduledFor },
+  });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  // Same response whether or not the email is registered, so it can't be used to discover accounts
+  const responseMessage = 'If an account exists for this email, a password reset link has been sent to it.';
+
+  const user = await User.findOne({ email });
+  if (!user) {
+    return res.status(200).json({ message: responseMessage });
+  }
+
+  const resetToken = user.getPasswordResetToken(); // Generates, hashes, and sets expiry
+  await user.save();
+
+  try {
+    await sendPasswordResetEmail({
+      email: user.email,
+      name: user.name,
+      resetToken,
+      frontendUrl: process.env.FRONTEND_URL,
+      userId: user._id,
+    });
+  } catch (error) {
+    // Don't leave a usable token behind for an email that never arrived. The failure is only logged: an error
+    // response would tell that the email is registered.
+    console.error(`Could not send the password reset email for user ${user._id}:`, error.message);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+  }
+
+  res.status(200).json({ message: responseMessage });
+});
+
+// @desc    Set a new password with a reset token (signs out all sessions)
+// @route   POST /api/v1/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  // Hash the incoming token for comparison with the stored hashed token
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  const user = await User.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() }, // Token must not be expired
+  });
+
+  if (!user) {
+    res.status(400);
+    throw new Error('Invalid or expired password reset token. Please request a new one.');
+  }
+
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  if (!user.isVerified) {
+    user.isVerified = true; // The reset link proves the user owns the email address
+    user.verifiedAt = new Date();
+  }
+  await user.save();
+  res.locals.audit = { actor: user._id, actorEmail: user.email, targetId: user._id };
+
+  // Whoever had access to the old password loses it everywhere
+  await revokeSessions(user._id);
+
+  res.status(200).json({
+    message: 'Password reset successfully! Please log in with your new password.',
+  });
+});
+
+// @desc    Change the password of the authenticated user (requires the current password)
+// @route   PUT /api/v1/auth/change-password
+// @access  Private (requires JWT)
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found.');
+  }
+
+  if (!(await user.matchPassword(currentPassword))) {
+    res.status(401);
+    throw new Error('Current password is incorrect.');
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Keep this device signed in; every other session is signed out
+  const revokedCount = await revokeSessions(user._id, { exceptSessionId: req.sessionId });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully!',
+    revokedSessions: revokedCount,
+  });
+});
+
+// @desc    Start enrolling in two-factor authentication (requires the current password; returns a new TOTP secret)
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private (requires JWT)
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled.');
+  }
+  if (!(await user.matchPassword(req.body.currentPassword))) {
+    res.status(401);
+    throw new Error('Current password is incorrect.');
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret; // Only takes effect once a code from it is verified
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Add this account to your authenticator app, then confirm with a code from it.',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+    },
+  });
+});
+
+// @desc    Confirm enrollment with a code from the authenticator app; enables 2FA and returns backup codes
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private (requires JWT)
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled.');
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    res.status(400);
+    throw new Error('Start two-factor setup first.');
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+  if (step === null) {
+    res.status(400);
+    throw new Error('Invalid code. Check that your device clock is correct and try again.');
+  }
+
+  const backupCodes = generateBackupCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; each works once and they will not be shown again.',
+    data: { backupCodes },
+  });
+});
+
+// @desc    Disable two-factor authentication (requires the password and a 2FA code)
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private (requires JWT)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled.');
+  }
+  if (!(await user.matchPassword(password))) {
+    res.status(401);
+    throw new Error('Password is incorrect.');
+  }
+  if (!verifySecondFactor(user, code)) {
+    res.status(401);
+    throw new Error('Invalid two-factor code.');
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled.',
+  });
+});
+
+// @desc    Replace the backup codes (requires a 2FA code); the old ones stop working
+// @route   POST /api/v1/auth/2fa/backup-codes
+// @access  Private (requires JWT)
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled.');
+  }
+  if (!verifySecondFactor(user, req.body.code)) {
+    res.status(401);
+    throw new Error('Invalid two-factor code.');
+  }
+
+  const backupCodes = generateBackupCodes();
+  user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'New backup codes generated. The previous ones no longer work.',
+    data: { backupCodes },
+  });
+});
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/v1/auth/refresh
+// @access  Public (requires a refresh token)
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const session = await refreshSession(req.body.refreshToken, req);
+
+  if (!session) {
+    res.status(401);
+    throw new Error('Invalid or expired refresh token. Please log in again.');
+  }
+
+  res.status(200).json({
+    token: session.token,
+    refreshToken: session.refreshToken,
+    sessionId: session.sessionId,
+  });
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/v1/auth/logout
+// @access  Private (requires JWT)
+const logoutUser = asyncHandler(async (req, res) => {
+  if (req.sessionId) {
+    await revokeSessions(req.user._id, { sessionId: req.sessionId });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully!',
+  });
+});
+
+// @desc    Log out of every session (all devices)
+// @route   POST /api/v1/auth/logout-all
+// @access  Private (requires JWT)
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.body.keepCurrent === true;
+  const revokedCount = await revokeSessions(req.user._id, { exceptSessionId: keepCurrent ? req.sessionId : undefined });
+
+  res.status(200).json({
+    success: true,
+    message: keepCurrent ? 'Logged out of all other devices.' : 'Logged out of all devices.',
+    revokedCount,
+  });
+});
+
+// @desc    List the sessions (signed-in devices) of the authenticated user
+// @route   GET /api/v1/auth/sessions
+// @access  Private (requires JWT)
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(({ _id, deviceName, userAgent, ip, lastSeenAt, expiresAt, createdAt }) => ({
+      _id,
+      deviceName,
+      userAgent,
+      ip,
+      lastSeenAt,
+      expiresAt,
+      createdAt,
+      current: !!req.sessionId && _id.toString() === req.sessionId.toString(),
+    })),
+  });
+});
+
+// @desc    Revoke one session (sign a device out)
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private (requires JWT)
+const revokeSession = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeSessions(req.user._id, { sessionId: req.params.id });
+
+  if (revokedCount === 0) {
+    res.status(404);
+    throw new Error('Session not found or already revoked.');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully!',
+  });
+});
 
 module.exports = {
   registerUser,
@@ -236,4 +673,18 @@ module.exports = {
   verifyEmail, 
   getUserProfile,
   updateUserProfile,
+  deleteAccount,
+  verifyLoginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  revokeSession,
 };
\ No newline at end of file
@@ -1,6 +1,10 @@
 const asyncHandler = require('../utils/asyncHandler');
 const Budget = require('../models/Budget');
-const Expense = require('../models/Expense'); // To calculate actual spending against budget (future)
+const { withBudgetUsage } = require('../services/budgetService');
+const { getExchangeRates } = require('../services/currencyService');
+const { isRollingPeriod, getPeriodRange, getPeriodEnd } = require('../utils/budgetPeriods');
+const { getUserTimeSettings } = require('../utils/timezone');
+const { findPage, pickFields } = require('../utils/listQuery');
 const { Types } = require('mongoose'); // --- NEW: Import Mongoose Types for ObjectId validation ---
 
 
@@ -19,12 +23,16 @@ const getBudgets = asyncHandler(async (req, res) => {
       query.endDate = { $gte: new Date() };
   }
 
-  const budgets = await Budget.find(query).sort({ startDate: -1, createdAt: -1 });
+  // Whole budgets are loaded for the usage figures; the requested fields are picked afterwards
+  const { data: budgets, pagination } = await findPage(Budget, query, req.listQuery, { allFields: true });
+  const rates = await getExchangeRates();
+  const budgetsWithUsage = await Promise.all(budgets.map((budget) => withBudgetUsage(budget, rates))); // Live spent/remaining/percentUsed
 
   res.status(200).json({
     success: true,
-    count: budgets.length,
-    data: budgets,
+    count: budgetsWithUsage.length,
+    pagination,
+    data: budgetsWithUsage.map((budget) => pickFields(budget, req.listQuery.fields)),
   });
 });
 
@@ -54,7 +62,7 @@ const getBudget = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: budget,
+    data: await withBudgetUsage(budget),
   });
 });
 
@@ -63,10 +71,23 @@ const getBudget = asyncHandler(async (req, res) => {
 // @access  Private
 const createBudget = asyncHandler(async (req, res) => {
   req.body.user = req.user._id;
+  req.body.currency = req.body.currency || req.user.settings?.baseCurrency; // Budgets default to the user's base currency
+
+  // Rolling budgets default to the current period (or the period beginning at the given start date)
+  if (isRollingPeriod(req.body.periodType)) {
+      const timeSettings = getUserTimeSettings(req.user); // Periods follow the user's calendar
+      if (!req.body.startDate) {
+          const { startDate, endDate } = getPeriodRange(req.body.periodType, new Date(), timeSettings);
+          req.body.startDate = startDate;
+          req.body.endDate = endDate;
+      } else if (!req.body.endDate) {
+          req.body.endDate = getPeriodEnd(req.body.periodType, req.body.startDate, timeSettings);
+      }
+  }
 
   if (!req.body.category || req.body.limitAmount === undefined || !req.body.startDate || !req.body.endDate) {
       res.status(400);
-      throw new Error('Please provide category, limit amount, start date, and end date for the budget.');
+      throw new Error('Please provide category, limit amount, start date, and end date for the budget (dates are optional for daily, weekly, monthly and yearly budgets).');
   }
   if (new Date(req.body.startDate) >= new Date(req.body.endDate)) {
       res.status(400);
@@ -124,6 +145,12 @@ const updateBudget = asyncHandler(async (req, res) => {
 
   delete req.body.user; // Prevent changing budget ownership
 
+  // Re-arm the spending alerts when what they are measured against changes
+  const alertFields = ['category', 'limitAmount', 'currency', 'alertThreshold', 'startDate', 'endDate'];
+  if (alertFields.some((field) => req.body[field] !== undefined)) {
+      req.body.alerts = { thresholdSentAt: null, limitSentAt: null };
+  }
+
   // Server-side validation for dates if they are being updated
   if (req.body.startDate || req.body.endDate) {
       const newStartDate = req.body.startDate ? new Date(req.body.startDate) : budget.startDate;
@@ -143,7 +170,7 @@ const updateBudget = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     message: 'Budget updated successfully!',
-    data: budget,
+    data: await withBudgetUsage(budget),
   });
 });
 
@@ -0,0 +1,104 @@
+const asyncHandler = require('../utils/asyncHandler');
+const DataExport = require('../models/DataExport');
+const {
+  requestDataExport,
+  createDownloadToken,
+  verifyDownloadToken,
+  openArchiveStream,
+} = require('../services/dataExportService');
+const { findPage, pickFields } = require('../utils/listQuery');
+
+// Adds an expiring download link to completed exports
+const withDownloadUrl = (req, dataExport) => {
+  const data = dataExport.toObject({ flattenMaps: true });
+  if (dataExport.status === 'completed') {
+    const { token, expiresAt } = createDownloadToken(dataExport);
+    data.downloadUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/${dataExport._id}/download?token=${token}`;
+    data.downloadUrlExpiresAt = expiresAt;
+  }
+  return data;
+};
+
+// @desc    Request an archive of all the user's data
+// @route   POST /api/v1/exports
+// @access  Private
+const createDataExport = asyncHandler(async (req, res) => {
+  const { dataExport, created } = await requestDataExport(req.user._id);
+
+  res.status(202).json({
+    success: true,
+    message: created
+      ? 'Your data export has started. Check its status to get the download link once it is completed.'
+      : 'A data export is already in progress.',
+    data: dataExport,
+  });
+});
+
+// @desc    List the user's data exports
+// @route   GET /api/v1/exports
+// @access  Private
+const getDataExports = asyncHandler(async (req, res) => {
+  // Whole exports are loaded for the download links; the requested fields are picked afterwards
+  const { data: exports, pagination } = await findPage(DataExport, { user: req.user._id }, req.listQuery, { allFields: true });
+
+  res.status(200).json({
+    success: true,
+    count: exports.length,
+    pagination,
+    data: exports.map((dataExport) => pickFields(withDownloadUrl(req, dataExport), req.listQuery.fields)),
+  });
+});
+
+// @desc    Get the status of a data export (with a download link once completed)
+// @route   GET /api/v1/exports/:id
+// @access  Private
+const getDataExport = asyncHandler(async (req, res) => {
+  const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!dataExport) {
+    res.status(404);
+    throw new Error('Data export not found.');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: withDownloadUrl(req, dataExport),
+  });
+});
+
+// @desc    Download a data export archive through its expiring link
+// @route   GET /api/v1/exports/:id/download?token=
+// @access  Public (the link token authorizes the download)
+const downloadDataExport = asyncHandler(async (req, res) => {
+  if (!verifyDownloadToken(req.query.token, req.params.id)) {
+    res.status(401);
+    throw new Error('This download link is invalid or has expired. Request a new link from the export status.');
+  }
+
+  const dataExport = await DataExport.findById(req.params.id).select('+fileId');
+  if (!dataExport || dataExport.status !== 'completed' || dataExport.expiresAt <= new Date()) {
+    res.status(410);
+    throw new Error('This data export is no longer available. Please request a new export.');
+  }
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${dataExport.fileName}"`,
+    'Content-Length': dataExport.size,
+    'Cache-Control': 'no-store',
+  });
+
+  const stream = openArchiveStream(dataExport);
+  stream.on('error', (error) => {
+    console.error(`Error streaming data export ${dataExport._id}:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+module.exports = {
+  createDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport,
+};
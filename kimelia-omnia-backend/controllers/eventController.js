@@ -1,6 +1,10 @@
 const asyncHandler = require('../utils/asyncHandler');
 const Event = require('../models/Event');
 const { Types } = require('mongoose'); // Import Mongoose Types for ObjectId validation
+const { expandItemsForWindow, isOccurrenceOf } = require('../utils/recurrence');
+const { updateRecurringItem, deleteRecurringItem } = require('../services/recurrenceService');
+const { queueGoogleEventDeletions } = require('../services/googleCalendarService');
+const { findPage, unpaginated } = require('../utils/listQuery');
 
 // @desc    Get all events for the authenticated user (optionally filtered by date range)
 // @route   GET /api/v1/events
@@ -9,20 +13,37 @@ const getEvents = asyncHandler(async (req, res) => {
   const { startDate, endDate } = req.query;
   const query = { user: req.user._id };
 
+  // With a full window, recurring events are expanded into the occurrences overlapping it
   if (startDate && endDate) {
-    query.startTime = { $lt: new Date(endDate) };
-    query.endTime = { $gt: new Date(startDate) };
+    const windowStart = new Date(startDate);
+    const windowEnd = new Date(endDate);
+    query.$or = [
+      { 'recurrence.rule': null, startTime: { $lt: windowEnd }, endTime: { $gt: windowStart } },
+      { 'recurrence.rule': { $ne: null }, startTime: { $lt: windowEnd } },
+    ];
+
+    const events = await Event.find(query);
+    const occurrences = expandItemsForWindow(events, { anchorField: 'startTime', endField: 'endTime', windowStart, windowEnd })
+      .filter((event) => event.startTime < windowEnd && event.endTime > windowStart);
+
+    return res.status(200).json({
+      success: true,
+      count: occurrences.length,
+      pagination: unpaginated(occurrences), // The window bounds the list
+      data: occurrences,
+    });
   } else if (startDate) {
       query.startTime = { $gte: new Date(startDate) };
   } else if (endDate) {
       query.endTime = { $lte: new Date(endDate) };
   }
 
-  const events = await Event.find(query).sort({ startTime: 1, createdAt: -1 });
+  const { data: events, pagination } = await findPage(Event, query, req.listQuery);
 
   res.status(200).json({
     success: true,
     count: events.length,
+    pagination,
     data: events,
   });
 });
@@ -106,6 +127,14 @@ const updateEvent = asyncHandler(async (req, res) => {
 
   delete req.body.user;
 
+  // Scope for recurring events: this occurrence, this and following, or the whole series
+  const { scope = 'all', occurrenceDate } = req.query;
+  const isRecurring = !!event.recurrence?.rule;
+  if (isRecurring && scope !== 'all' && !isOccurrenceOf(event.recurrence, event.startTime, occurrenceDate)) {
+    res.status(400);
+    throw new Error('The given occurrenceDate is not an occurrence of this recurring event.');
+  }
+
   if (req.body.startTime || req.body.endTime) {
       const newStartTime = req.body.startTime ? new Date(req.body.startTime) : event.startTime;
       const newEndTime = req.body.endTime ? new Date(req.body.endTime) : event.endTime;
@@ -115,10 +144,14 @@ const updateEvent = asyncHandler(async (req, res) => {
       }
   }
 
-  event = await Event.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  if (isRecurring) {
+    event = await updateRecurringItem(Event, event, req.body, { scope, occurrenceDate, anchorField: 'startTime', endField: 'endTime' });
+  } else {
+    event = await Event.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    });
+  }
 
   res.status(200).json({
     success: true,
@@ -150,7 +183,26 @@ const deleteEvent = asyncHandler(async (req, res) => {
     throw new Error('Not authorized to delete this event.');
   }
 
-  await event.deleteOne();
+  if (event.recurrence?.rule) {
+    const { scope = 'all', occurrenceDate } = req.query;
+    if (scope !== 'all' && !isOccurrenceOf(event.recurrence, event.startTime, occurrenceDate)) {
+      res.status(400);
+      throw new Error('The given occurrenceDate is not an occurrence of this recurring event.');
+    }
+    if (scope !== 'occurrence') {
+      // Removed series/edited occurrences must also be removed from Google Calendar on the next sync
+      const isSplit = scope === 'following' && new Date(occurrenceDate) > event.startTime;
+      const removedOccurrences = await Event.find({
+        recurringParent: event._id,
+        ...(isSplit ? { originalOccurrenceDate: { $gte: new Date(occurrenceDate) } } : {}),
+      });
+      await queueGoogleEventDeletions(req.user._id, isSplit ? removedOccurrences : [event, ...removedOccurrences]);
+    }
+    await deleteRecurringItem(Event, event, { scope, occurrenceDate, anchorField: 'startTime' });
+  } else {
+    await queueGoogleEventDeletions(req.user._id, [event]);
+    await event.deleteOne();
+  }
 
   res.status(200).json({
     success: true,
@@ -1,5 +1,8 @@
 const asyncHandler = require('../utils/asyncHandler');
 const Expense = require('../models/Expense');
+const { findPage } = require('../utils/listQuery');
+const { parseStatement, buildImportPreview, commitImport } = require('../services/expenseImportService');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
 const { Types } = require('mongoose'); // --- NEW: Import Mongoose Types for ObjectId validation ---
 
 
@@ -27,11 +30,12 @@ const getExpenses = asyncHandler(async (req, res) => {
       ];
   }
 
-  const expenses = await Expense.find(query).sort({ date: -1, createdAt: -1 });
+  const { data: expenses, pagination } = await findPage(Expense, query, req.listQuery);
 
   res.status(200).json({
     success: true,
     count: expenses.length,
+    pagination,
     data: expenses,
   });
 });
@@ -71,6 +75,7 @@ const getExpense = asyncHandler(async (req, res) => {
 // @access  Private
 const createExpense = asyncHandler(async (req, res) => {
   req.body.user = req.user._id;
+  req.body.currency = req.body.currency || req.user.settings?.baseCurrency; // Expenses default to the user's base currency
 
   if (!req.body.amount || !req.body.category || !req.body.date) {
       res.status(400);
@@ -156,10 +161,55 @@ const deleteExpense = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Parse a bank statement (CSV or OFX/QFX) and preview the expenses it would create
+// @route   POST /api/v1/expenses/import/preview
+// @access  Private
+const previewExpenseImport = asyncHandler(async (req, res) => {
+  const content = Buffer.from(req.body.content, 'base64').toString('utf8').replace(/^\uFEFF/, ''); // Drop a UTF-8 BOM
+
+  let transactions;
+  try {
+    transactions = parseStatement({ ...req.body, content });
+  } catch (error) {
+    // Unknown CSV columns or a file that is not a statement
+    res.status(400);
+    throw new Error(`Could not read the statement: ${error.message}`);
+  }
+
+  const preview = await buildImportPreview(req.user._id, transactions, {
+    ...req.body,
+    currency: req.body.currency || req.user.settings?.baseCurrency || DEFAULT_CURRENCY,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${preview.summary.ready} of ${preview.summary.total} transaction(s) ready to import.`,
+    data: preview,
+  });
+});
+
+// @desc    Create expenses from the accepted rows of an import preview
+// @route   POST /api/v1/expenses/import/commit
+// @access  Private
+const commitExpenseImport = asyncHandler(async (req, res) => {
+  const result = await commitImport(req.user._id, {
+    ...req.body,
+    currency: req.user.settings?.baseCurrency || DEFAULT_CURRENCY, // For rows sent back without a currency
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${result.created} expense(s) imported${result.skipped.length ? `, ${result.skipped.length} duplicate(s) skipped` : ''}.`,
+    data: result,
+  });
+});
+
 module.exports = {
   getExpenses,
   getExpense,
   createExpense,
   updateExpense,
   deleteExpense,
+  previewExpenseImport,
+  commitExpenseImport,
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const asyncHandler = require('../utils/asyncHandler');
 const Goal = require('../models/Goal');
+const { findPage } = require('../utils/listQuery');
 const { Types } = require('mongoose'); // Import Mongoose Types for ObjectId validation
 
 // @desc    Get all goals for the authenticated user
@@ -18,11 +19,12 @@ const getGoals = asyncHandler(async (req, res) => {
       ];
   }
 
-  const goals = await Goal.find(query).sort({ targetDate: 1, createdAt: -1 });
+  const { data: goals, pagination } = await findPage(Goal, query, req.listQuery);
 
   res.status(200).json({
     success: true,
     count: goals.length,
+    pagination,
     data: goals,
   });
 });
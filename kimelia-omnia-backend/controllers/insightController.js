@@ -3,52 +3,42 @@ const Task = require('../models/Task');
 const Event = require('../models/Event');
 const Goal = require('../models/Goal');
 const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
 const LearningResource = require('../models/LearningResource'); // For more context
 const Project = require('../models/Project'); // For more context
 const WellnessRecord = require('../models/WellnessRecord'); // For more context
 
+const { withBudgetUsage, calculateBudgetUsage } = require('../services/budgetService');
+const { getExchangeRates } = require('../services/currencyService');
+const { DEFAULT_CURRENCY, convertTotals } = require('../utils/currency');
+const { getPeriodRange } = require('../utils/budgetPeriods');
+const { getUserTimeSettings, zonedTimeToUtc, addDays, formatDate } = require('../utils/timezone');
 const {
   getPersonalizedProductivityRecommendation,
   getPersonalizedGoalRecommendation,
 } = require('../services/aiService');
 
-// Helper function to get date range for reports
-const getDateRange = (period = 'week', customStartDate, customEndDate) => {
-    const now = new Date();
-    let startDate = new Date();
-    let endDate = new Date();
+const INSIGHT_PERIOD_TYPES = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
 
+// A custom range bound: plain dates ('2024-11-01') are whole days in the user's time zone
+const parseRangeBound = (value, timeZone, isEnd) => {
+    const match = DATE_ONLY_PATTERN.exec(value);
+    if (!match) return new Date(value);
+    const dayStart = zonedTimeToUtc({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }, timeZone);
+    return isEnd ? new Date(addDays(dayStart, 1, timeZone).getTime() - 1) : dayStart;
+};
+
+// Helper function to get date range for reports: the current day, week (from the user's first day of the week),
+// month or year in the user's time zone, or a custom range
+const getDateRange = (period = 'week', customStartDate, customEndDate, { timeZone, weekStart } = getUserTimeSettings()) => {
     if (customStartDate && customEndDate) {
-        startDate = new Date(customStartDate);
-        endDate = new Date(customEndDate);
-    } else if (period === 'day') {
-        startDate.setHours(0, 0, 0, 0);
-        endDate.setHours(23, 59, 59, 999);
-    } else if (period === 'week') {
-        startDate.setDate(now.getDate() - now.getDay()); // Start of current week (Sunday)
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date(startDate);
-        endDate.setDate(startDate.getDate() + 6); // End of current week (Saturday)
-        endDate.setHours(23, 59, 59, 999);
-    } else if (period === 'month') {
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1); // Start of current month
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0); // End of current month
-        endDate.setHours(23, 59, 59, 999);
-    } else if (period === 'year') {
-        startDate = new Date(now.getFullYear(), 0, 1); // Start of current year
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date(now.getFullYear(), 11, 31); // End of current year
-        endDate.setHours(23, 59, 59, 999);
-    } else { // Default to week
-        startDate.setDate(now.getDate() - now.getDay());
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date(startDate);
-        endDate.setDate(startDate.getDate() + 6);
-        endDate.setHours(23, 59, 59, 999);
+        return {
+            startDate: parseRangeBound(customStartDate, timeZone, false),
+            endDate: parseRangeBound(customEndDate, timeZone, true),
+        };
     }
-
-    return { startDate, endDate };
+    return getPeriodRange(INSIGHT_PERIOD_TYPES[period] || 'weekly', new Date(), { timeZone, weekStart }); // Default to week
 };
 
 
@@ -57,7 +47,7 @@ const getDateRange = (period = 'week', customStartDate, customEndDate) => {
 // @access  Private
 const getProductivitySummary = asyncHandler(async (req, res) => {
   const { period = 'week', startDate: reqStartDate, endDate: reqEndDate } = req.query; // Allow custom date range
-  const { startDate, endDate } = getDateRange(period, reqStartDate, reqEndDate);
+  const { startDate, endDate } = getDateRange(period, reqStartDate, reqEndDate, getUserTimeSettings(req.user));
 
   // Fetch relevant data for the user within the period
   const totalTasks = await Task.countDocuments({ user: req.user._id, createdAt: { $gte: startDate, $lte: endDate } });
@@ -104,10 +94,13 @@ const getProductivitySummary = asyncHandler(async (req, res) => {
 // @route   GET /api/v1/insights/spending-summary
 // @access  Private
 const getSpendingSummary = asyncHandler(async (req, res) => {
-  const { period = 'month', startDate: reqStartDate, endDate: reqEndDate } = req.query;
-  const { startDate, endDate } = getDateRange(period, reqStartDate, reqEndDate);
+  const { period = 'month', startDate: reqStartDate, endDate: reqEndDate, budgetHistory } = req.query;
+  const { startDate, endDate } = getDateRange(period, reqStartDate, reqEndDate, getUserTimeSettings(req.user));
 
-  const spendingByCategory = await Expense.aggregate([
+  // Totals per category and currency, converted into the user's base currency below
+  const baseCurrency = req.user.settings?.baseCurrency || DEFAULT_CURRENCY;
+  const rates = await getExchangeRates();
+  const totalsByCategory = await Expense.aggregate([
     {
       $match: {
         user: req.user._id,
@@ -116,32 +109,75 @@ const getSpendingSummary = asyncHandler(async (req, res) => {
     },
     {
       $group: {
-        _id: '$category',
-        totalSpent: { $sum: '$amount' }
+        _id: { category: '$category', currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] } },
+        total: { $sum: '$amount' }
       }
     },
     {
-      $project: {
-        category: '$_id',
-        totalSpent: { $round: ['$totalSpent', 2] },
-        _id: 0
+      $group: {
+        _id: '$_id.category',
+        totals: { $push: { currency: '$_id.currency', total: '$total' } }
       }
-    },
-    {
-        $sort: { totalSpent: -1 }
     }
   ]);
 
+  const unconvertedCurrencies = new Set();
+  const spendingByCategory = totalsByCategory.map(({ _id: category, totals }) => {
+    const converted = convertTotals(totals, baseCurrency, rates);
+    converted.unconvertedCurrencies.forEach((currency) => unconvertedCurrencies.add(currency));
+    return { category, totalSpent: converted.total };
+  }).sort((a, b) => b.totalSpent - a.totalSpent);
+
   const totalOverallSpent = spendingByCategory.reduce((sum, item) => sum + item.totalSpent, 0).toFixed(2);
 
+  // Period-over-period comparison for rolling budgets: current period vs. the most recent closed periods
+  const historyLength = Math.min(Math.max(parseInt(budgetHistory, 10) || 3, 1), 12);
+  const rollingBudgets = await Budget.find({ user: req.user._id, periodType: { $ne: 'custom' } }).sort({ category: 1 });
+  const budgetComparison = await Promise.all(rollingBudgets.map(async (budget) => {
+    const current = await withBudgetUsage(budget, rates);
+    const previousPeriods = budget.periodHistory.slice(-historyLength).reverse().map((closed) => {
+      const limit = closed.limitAmount + (closed.carriedOverAmount || 0);
+      return {
+        startDate: closed.startDate,
+        endDate: closed.endDate,
+        limit,
+        spent: closed.spent,
+        percentUsed: calculateBudgetUsage(limit, closed.spent).percentUsed,
+      };
+    });
+    const previous = previousPeriods[0];
+
+    return {
+      budget: budget._id,
+      category: budget.category,
+      periodType: budget.periodType,
+      currency: budget.currency, // Budget figures stay in the budget's own currency
+      currentPeriod: {
+        startDate: current.startDate,
+        endDate: current.endDate,
+        limit: current.effectiveLimit,
+        spent: current.spent,
+        percentUsed: current.percentUsed,
+      },
+      previousPeriods,
+      changeFromPreviousPeriod: previous ? {
+        spent: parseFloat((current.spent - previous.spent).toFixed(2)),
+        percent: previous.spent > 0 ? parseFloat((((current.spent - previous.spent) / previous.spent) * 100).toFixed(2)) : null,
+      } : null,
+    };
+  }));
+
   res.status(200).json({
     success: true,
     data: {
       period,
       startDate: startDate.toISOString(),
       endDate: endDate.toISOString(),
+      currency: baseCurrency,
       totalOverallSpent: parseFloat(totalOverallSpent),
       spendingByCategory,
+      unconvertedCurrencies: [...unconvertedCurrencies],
+      budgetComparison,
     },
   });
 });
@@ -151,7 +187,8 @@ const getSpendingSummary = asyncHandler(async (req, res) => {
 // @access  Private
 const getAIPersonalityRecommendation = asyncHandler(async (req, res) => {
   const { period = 'week', customContext } = req.body;
-  const { startDate, endDate } = getDateRange(period);
+  const timeSettings = getUserTimeSettings(req.user);
+  const { startDate, endDate } = getDateRange(period, undefined, undefined, timeSettings);
 
   // --- Deeper Data Fetch for AI ---
   const userName = req.user.name.split(' ')[0]; // First name for personalization
@@ -175,7 +212,7 @@ const getAIPersonalityRecommendation = asyncHandler(async (req, res) => {
   const comprehensiveUserData = {
     userName,
     userRole,
-    period: `${period} (${startDate.toLocaleDateString()} - ${endDate.toLocaleDateString()})`,
+    period: `${period} (${formatDate(startDate, timeSettings)} - ${formatDate(endDate, timeSettings)})`,
     recentActivitySummary: {
         totalTasksLogged: recentTasks.length,
         completedTasksInPeriod: completedTasksCount,
@@ -7,8 +7,10 @@ const {
 } = require('../services/googleApiService');
 // Google Calendar Imports (Specific)
 const {
+  syncGoogleCalendar,
   syncOmniaEventsToGoogle,
   syncGoogleEventsToOmnia,
+  summarizeSyncReport,
 } = require('../services/googleCalendarService');
 // Gmail Imports (Specific)
 const {
@@ -32,6 +34,7 @@ const {
 const Event = require('../models/Event');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const { recordAuditEvent } = require('../services/auditLogService');
 
 // --- Google (Generic) & Calendar Specific Controllers ---
 
@@ -69,6 +72,7 @@ const googleAuthCallback = asyncHandler(async (req, res) => {
 
   try {
     const result = await handleGoogleOAuthCallback(code, userId); // Use generic handler
+    await recordAuditEvent(req, { action: 'integration.connect', status: result.success ? 'success' : 'failure', actor: userId, targetType: 'Integration', metadata: { provider: 'google' } });
     if (result.success) {
         res.redirect(`${frontendRedirectBase}?status=success&message=${encodeURIComponent('Google services connected!')}`);
     } else {
@@ -76,38 +80,67 @@ const googleAuthCallback = asyncHandler(async (req, res) => {
     }
   } catch (err) {
     console.error('Error during Google OAuth callback processing:', err.message);
+    await recordAuditEvent(req, { action: 'integration.connect', status: 'failure', actor: userId, targetType: 'Integration', metadata: { provider: 'google', error: err.message } });
     res.redirect(`${frontendRedirectBase}?status=error&message=${encodeURIComponent('Failed to connect Google services: ' + err.message)}`);
   }
 });
 
+// @desc    Two-way sync between Omnia events and Google Calendar
+// @route   POST /api/v1/integrations/google-calendar/sync
+// @access  Private
+const syncGoogleCalendarController = asyncHandler(async (req, res) => {
+    const report = await syncGoogleCalendar(req.user._id, { conflictPolicy: req.body.conflictPolicy });
+    res.status(200).json({ success: true, message: summarizeSyncReport(report), data: report });
+});
+
 // @desc    Sync Omnia events to Google Calendar
 // @route   POST /api/v1/integrations/google-calendar/sync-to-google
 // @access  Private
 const syncEventsToGoogleController = asyncHandler(async (req, res) => {
-    const omniaEvents = await Event.find({ user: req.user._id, endTime: { $gte: new Date() }, status: { $ne: 'cancelled' } });
-    const result = await syncOmniaEventsToGoogle(req.user._id, omniaEvents);
-    res.status(200).json({ success: true, message: result.message, syncedCount: result.syncedCount });
+    const report = await syncOmniaEventsToGoogle(req.user._id, { conflictPolicy: req.body.conflictPolicy });
+    res.status(200).json({ success: true, message: summarizeSyncReport(report), data: report });
 });
 
 // @desc    Sync Google Calendar events to Omnia
 // @route   POST /api/v1/integrations/google-calendar/sync-to-omnia
 // @access  Private
 const syncEventsFromGoogleController = asyncHandler(async (req, res) => {
-    const minTime = req.user.googleCalendar?.lastSync || new Date(new Date().setFullYear(new Date().getFullYear() - 1));
-    const result = await syncGoogleEventsToOmnia(req.user._id, minTime);
-    res.status(200).json({ success: true, message: result.message, syncedCount: result.syncedCount });
+    const report = await syncGoogleEventsToOmnia(req.user._id, { conflictPolicy: req.body.conflictPolicy });
+    res.status(200).json({ success: true, message: summarizeSyncReport(report), data: report });
+});
+
+// @desc    Update Google Calendar sync settings (conflict policy)
+// @route   PUT /api/v1/integrations/google-calendar/settings
+// @access  Private
+const updateGoogleCalendarSettings = asyncHandler(async (req, res) => {
+    if (!req.user.googleCalendar?.calendarId) {
+        res.status(400);
+        throw new Error('Google Calendar is not connected for this user.');
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { 'googleCalendar.conflictPolicy': req.body.conflictPolicy },
+        { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: 'Google Calendar sync settings updated successfully!',
+        data: { conflictPolicy: user.googleCalendar.conflictPolicy },
+    });
 });
 
 
 // --- Gmail Specific Controllers ---
 
-// @desc    Fetch and summarize recent Gmail inbox messages
+// @desc    Fetch and summarize new Gmail inbox messages (incremental via Gmail history)
 // @route   POST /api/v1/integrations/gmail/summarize-inbox
 // @access  Private
 const summarizeGmailInboxController = asyncHandler(async (req, res) => {
     const { maxResults } = req.body;
     const result = await fetchAndSummarizeGmailInbox(req.user._id, maxResults);
-    res.status(200).json({ success: true, message: result.message, syncedCount: result.syncedCount });
+    res.status(200).json({ success: true, message: result.message, syncedCount: result.syncedCount, data: result.data });
 });
 
 // @desc    Send a drafted email via Gmail
@@ -156,9 +189,14 @@ const slackAuthCallback = asyncHandler(async (req, res) => {
     if (!userId) { console.error('Slack OAuth Callback Error: Missing user ID in state.'); return res.redirect(`${frontendRedirectBase}?status=error&message=${encodeURIComponent('Security error: User ID missing from state.')}`); }
     try {
       const result = await handleSlackCallback(code, userId);
+      await recordAuditEvent(req, { action: 'integration.connect', status: result.success ? 'success' : 'failure', actor: userId, targetType: 'Integration', metadata: { provider: 'slack' } });
       if (result.success) { res.redirect(`${frontendRedirectBase}?status=success&message=${encodeURIComponent('Slack connected successfully!')}`); }
       else { res.redirect(`${frontendRedirectBase}?status=error&message=${encodeURIComponent(result.message)}`); }
-    } catch (err) { console.error('Error during Slack callback processing:', err.message); res.redirect(`${frontendRedirectBase}?status=error&message=${encodeURIComponent('Failed to connect Slack: ' + err.message)}`); }
+    } catch (err) {
+      console.error('Error during Slack callback processing:', err.message);
+      await recordAuditEvent(req, { action: 'integration.connect', status: 'failure', actor: userId, targetType: 'Integration', metadata: { provider: 'slack', error: err.message } });
+      res.redirect(`${frontendRedirectBase}?status=error&message=${encodeURIComponent('Failed to connect Slack: ' + err.message)}`);
+    }
 });
 
 const getSlackChannelsForUser = asyncHandler(async (req, res) => {
@@ -196,8 +234,10 @@ module.exports = {
   googleAuthCallback,
   disconnectAllGoogleIntegrations,
   // Google Calendar Specific
+  syncGoogleCalendar: syncGoogleCalendarController,
   syncEventsToGoogle: syncEventsToGoogleController,
   syncEventsFromGoogle: syncEventsFromGoogleController,
+  updateGoogleCalendarSettings,
   // Gmail Specific
   summarizeGmailInbox: summarizeGmailInboxController,
   sendGmailDraftedEmail: sendGmailDraftedEmailController,
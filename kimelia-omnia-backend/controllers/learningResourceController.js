@@ -1,5 +1,6 @@
 const asyncHandler = require('../utils/asyncHandler');
 const LearningResource = require('../models/LearningResource');
+const { findPage } = require('../utils/listQuery');
 const { Types } = require('mongoose'); // Import Mongoose Types for ObjectId validation
 const { getMotivationalTip, generateLearningResources } = require('../services/aiService'); // --- UPDATED: Import generateLearningResources ---
 
@@ -29,11 +30,12 @@ const getLearningResources = asyncHandler(async (req, res) => {
       ];
   }
 
-  const resources = await LearningResource.find(query).sort({ createdAt: -1 });
+  const { data: resources, pagination } = await findPage(LearningResource, query, req.listQuery);
 
   res.status(200).json({
     success: true,
     count: resources.length,
+    pagination,
     data: resources,
   });
 });
@@ -1,15 +1,17 @@
 const asyncHandler = require('../utils/asyncHandler');
 const Message = require('../models/Message');
+const { findPage } = require('../utils/listQuery');
 const { summarizeText, draftMessage } = require('../services/aiService'); // Import AI Service functions
 
 // @desc    Get all smart communication entries for the authenticated user
 // @route   GET /api/v1/messages
 // @access  Private
 const getMessages = asyncHandler(async (req, res) => {
-  const { type, status, tag, search } = req.query;
+  const { type, status, tag, search, threadId } = req.query;
   const query = { user: req.user._id };
 
   if (type) query.type = type;
+  if (threadId) query.threadId = threadId;
   if (status) query.status = status;
   if (tag) query.tags = { $in: [tag] }; // Search for messages with a specific tag
   if (search) {
@@ -20,15 +22,46 @@ const getMessages = asyncHandler(async (req, res) => {
       ];
   }
 
-  const messages = await Message.find(query).sort({ createdAt: -1 }); // Sort by newest first
+  const { data: messages, pagination } = await findPage(Message, query, req.listQuery);
 
   res.status(200).json({
     success: true,
     count: messages.length,
+    pagination,
     data: messages,
   });
 });
 
+// @desc    Get ingested email summaries grouped by conversation thread
+// @route   GET /api/v1/messages/threads
+// @access  Private
+const getMessageThreads = asyncHandler(async (req, res) => {
+  const threads = await Message.aggregate([
+    { $match: { user: req.user._id, threadId: { $type: 'string' }, status: { $ne: 'deleted' } } },
+    { $sort: { receivedAt: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: '$threadId',
+        subject: { $first: '$subject' },
+        latestSummary: { $first: '$content' },
+        lastMessageAt: { $first: { $ifNull: ['$receivedAt', '$createdAt'] } },
+        messageCount: { $sum: 1 },
+        unreadCount: { $sum: { $cond: [{ $eq: ['$status', 'unread'] }, 1, 0] } },
+        senders: { $addToSet: '$sender' },
+        messages: { $push: { _id: '$_id', subject: '$subject', content: '$content', sender: '$sender', receivedAt: '$receivedAt', status: '$status' } },
+      },
+    },
+    { $sort: { lastMessageAt: -1 } },
+    { $project: { _id: 0, threadId: '$_id', subject: 1, latestSummary: 1, lastMessageAt: 1, messageCount: 1, unreadCount: 1, senders: 1, messages: 1 } },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: threads.length,
+    data: threads,
+  });
+});
+
 // @desc    Get a single smart communication entry by ID for the authenticated user
 // @route   GET /api/v1/messages/:id
 // @access  Private
@@ -176,6 +209,7 @@ const generateDraft = asyncHandler(async (req, res) => {
 
 module.exports = {
   getMessages,
+  getMessageThreads,
   getMessage,
   createMessage,
   updateMessage,
@@ -0,0 +1,223 @@
+const asyncHandler = require('../utils/asyncHandler');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { findPage } = require('../utils/listQuery');
+const { findNotificationReminder, snoozeReminder, dismissReminder } = require('../services/reminderService');
+
+// @desc    Get in-app notifications for the authenticated user
+// @route   GET /api/v1/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res) => {
+  const query = { user: req.user._id };
+  if (req.query.unread === 'true') query.isRead = false;
+
+  const [{ data: notifications, pagination }, unreadCount] = await Promise.all([
+    findPage(Notification, query, req.listQuery),
+    Notification.countDocuments({ user: req.user._id, isRead: false }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    unreadCount,
+    pagination,
+    data: notifications,
+  });
+});
+
+// @desc    Get the number of unread notifications (for badges)
+// @route   GET /api/v1/notifications/unread-count
+// @access  Private
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({ user: req.user._id, isRead: false });
+
+  res.status(200).json({
+    success: true,
+    data: { unreadCount },
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/v1/notifications/:id/read
+// @access  Private
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    res.status(404);
+    throw new Error('Notification not found.');
+  }
+
+  // Ensure the notification belongs to the authenticated user
+  if (notification.user.toString() !== req.user._id.toString()) {
+    res.status(401);
+    throw new Error('Not authorized to update this notification.');
+  }
+
+  if (!notification.isRead) {
+    notification.isRead = true;
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification marked as read.',
+    data: notification,
+  });
+});
+
+// @desc    Mark all notifications of the authenticated user as read
+// @route   PUT /api/v1/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} notification(s) marked as read.`,
+    data: { modifiedCount: result.modifiedCount },
+  });
+});
+
+// @desc    Snooze the reminder a notification was sent for
+// @route   POST /api/v1/notifications/:id/snooze
+// @access  Private
+const snoozeNotification = asyncHandler(async (req, res) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    res.status(404);
+    throw new Error('Notification not found.');
+  }
+
+  // Ensure the notification belongs to the authenticated user
+  if (notification.user.toString() !== req.user._id.toString()) {
+    res.status(401);
+    throw new Error('Not authorized to snooze this notification.');
+  }
+
+  if (notification.type !== 'reminder' || !notification.relatedItem?.reminder) {
+    res.status(400);
+    throw new Error('Only reminder notifications can be snoozed.');
+  }
+
+  const target = await findNotificationReminder(notification);
+  if (!target) {
+    res.status(404);
+    throw new Error('The reminder of this notification no longer exists.');
+  }
+
+  const reminder = await snoozeReminder(notification, target, req.body.minutes);
+
+  res.status(200).json({
+    success: true,
+    message: `Reminder snoozed for ${req.body.minutes} minute(s).`,
+    data: { notification, reminder },
+  });
+});
+
+// @desc    Dismiss the reminder a notification was sent for
+// @route   POST /api/v1/notifications/:id/dismiss
+// @access  Private
+const dismissNotification = asyncHandler(async (req, res) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    res.status(404);
+    throw new Error('Notification not found.');
+  }
+
+  // Ensure the notification belongs to the authenticated user
+  if (notification.user.toString() !== req.user._id.toString()) {
+    res.status(401);
+    throw new Error('Not authorized to dismiss this notification.');
+  }
+
+  if (notification.type !== 'reminder' || !notification.relatedItem?.reminder) {
+    res.status(400);
+    throw new Error('Only reminder notifications can be dismissed.');
+  }
+
+  // A reminder whose item was deleted in the meantime has nothing left to cancel
+  const reminder = await dismissReminder(notification, await findNotificationReminder(notification));
+
+  res.status(200).json({
+    success: true,
+    message: 'Reminder dismissed.',
+    data: { notification, reminder },
+  });
+});
+
+// @desc    Delete a notification
+// @route   DELETE /api/v1/notifications/:id
+// @access  Private
+const deleteNotification = asyncHandler(async (req, res) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    res.status(404);
+    throw new Error('Notification not found.');
+  }
+
+  // Ensure the notification belongs to the authenticated user
+  if (notification.user.toString() !== req.user._id.toString()) {
+    res.status(401);
+    throw new Error('Not authorized to delete this notification.');
+  }
+
+  await notification.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification deleted successfully!',
+  });
+});
+
+// @desc    Delete all notifications of the authenticated user
+// @route   DELETE /api/v1/notifications
+// @access  Private
+const clearNotifications = asyncHandler(async (req, res) => {
+  const result = await Notification.deleteMany({ user: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: `${result.deletedCount} notification(s) deleted.`,
+  });
+});
+
+// @desc    Get the emails and SMS sent (or attempted) to the authenticated user
+// @route   GET /api/v1/notifications/deliveries
+// @access  Private
+const getNotificationDeliveries = asyncHandler(async (req, res) => {
+  const { channel, status, category } = req.query;
+
+  const query = { user: req.user._id };
+  if (channel) query.channel = channel;
+  if (status) query.status = status;
+  if (category) query.category = category;
+
+  const { data: deliveries, pagination } = await findPage(NotificationDelivery, query, req.listQuery);
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    pagination,
+    data: deliveries,
+  });
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  snoozeNotification,
+  dismissNotification,
+  deleteNotification,
+  clearNotifications,
+  getNotificationDeliveries,
+};
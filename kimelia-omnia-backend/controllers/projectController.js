@@ -1,6 +1,11 @@
 const asyncHandler = require('../utils/asyncHandler');
 const Project = require('../models/Project'); // Assuming you have a Project model
 const User = require('../models/User');     // Assuming you have a User model
+const Task = require('../models/Task');
+const { findPage } = require('../utils/listQuery');
+const { getProjectBoard, moveTaskOnBoard } = require('../services/taskBoardService');
+const { normalizeBoardColumns } = require('../utils/taskBoard');
+const { DEFAULT_MEMBER_ROLE, canManageMember, projectMembershipFilter } = require('../utils/projectRoles');
 const { Types } = require('mongoose');      // For ObjectId validation
 
 // @desc    Get all projects for the authenticated user
@@ -8,28 +13,26 @@ const { Types } = require('mongoose');      // For ObjectId validation
 // @access  Private
 const getProjects = asyncHandler(async (req, res) => {
   const { status, priority, tag, search } = req.query;
-  const query = {
-    $or: [
-      { owner: req.user._id },
-      { members: req.user._id }
-    ]
-  };
+  const query = projectMembershipFilter(req.user._id);
 
   if (status) query.status = status;
   if (priority) query.priority = priority;
   if (tag) query.tags = { $in: [tag] };
   if (search) {
-      query.$or.push(
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } }
-      );
+      query.$and = [{
+          $or: [
+              { title: { $regex: search, $options: 'i' } },
+              { description: { $regex: search, $options: 'i' } }
+          ]
+      }];
   }
 
-  const projects = await Project.find(query).sort({ createdAt: -1 });
+  const { data: projects, pagination } = await findPage(Project, query, req.listQuery);
 
   res.status(200).json({
     success: true,
     count: projects.length,
+    pagination,
     data: projects,
   });
 });
@@ -38,31 +41,11 @@ const getProjects = asyncHandler(async (req, res) => {
 // @route   GET /api/v1/projects/:id
 // @access  Private
 const getProject = asyncHandler(async (req, res) => {
-  // Manual validation for ID
-  if (!Types.ObjectId.isValid(req.params.id)) {
-    res.status(400);
-    throw new Error('Invalid Project ID format.');
-  }
-
-  const project = await Project.findById(req.params.id);
-
-  if (!project) {
-    res.status(404);
-    throw new Error('Project not found.');
-  }
-
-  // Ensure the user is either the owner or a member of the project
-  const isOwner = project.owner.toString() === req.user._id.toString();
-  const isMember = project.members.some(member => member.toString() === req.user._id.toString());
-
-  if (!isOwner && !isMember) {
-    res.status(401);
-    throw new Error('Not authorized to access this project.');
-  }
-
+  // Loaded and checked (viewer or above) by authorizeProjectRole
   res.status(200).json({
     success: true,
-    data: project,
+    data: req.project,
+    role: req.projectRole,
   });
 });
 
@@ -77,13 +60,16 @@ const createProject = asyncHandler(async (req, res) => {
       throw new Error('Please provide a title for the project.');
   }
   
-  // Ensure that if members are passed, they are valid ObjectIds
+  // Members may be passed as user IDs (added with the default role) or as { user, role }
   if (req.body.members && !Array.isArray(req.body.members)) {
       res.status(400);
-      throw new Error('Members must be an array of user IDs.');
+      throw new Error('Members must be an array of user IDs or { user, role } objects.');
   }
   if (req.body.members) {
-      for (const memberId of req.body.members) {
+      const members = [];
+      for (const entry of req.body.members) {
+          const memberId = typeof entry === 'object' && entry !== null ? entry.user : entry;
+          const role = (typeof entry === 'object' && entry !== null && entry.role) || DEFAULT_MEMBER_ROLE;
           if (!Types.ObjectId.isValid(memberId)) {
               res.status(400);
               throw new Error(`Invalid member ID format: ${memberId}.`);
@@ -93,7 +79,12 @@ const createProject = asyncHandler(async (req, res) => {
               res.status(404);
               throw new Error(`User with ID ${memberId} not found.`);
           }
+          // The owner is never a member, and each user is listed once
+          if (memberId.toString() === req.user._id.toString()) continue;
+          if (members.some(member => member.user.toString() === memberId.toString())) continue;
+          members.push({ user: memberId, role });
       }
+      req.body.members = members;
   }
 
   const project = await Project.create(req.body);
@@ -109,27 +100,11 @@ const createProject = asyncHandler(async (req, res) => {
 // @route   PUT /api/v1/projects/:id
 // @access  Private
 const updateProject = asyncHandler(async (req, res) => {
-  // Manual validation for ID
-  if (!Types.ObjectId.isValid(req.params.id)) {
-    res.status(400);
-    throw new Error('Invalid Project ID format.');
-  }
+  // Admins and the owner only (checked by authorizeProjectRole)
+  let project = req.project;
 
-  let project = await Project.findById(req.params.id);
-
-  if (!project) {
-    res.status(404);
-    throw new Error('Project not found.');
-  }
-
-  // Only the project owner can update basic project details
-  if (project.owner.toString() !== req.user._id.toString()) {
-    res.status(401);
-    throw new Error('Not authorized to update this project.');
-  }
-
-  delete req.body.owner; // Prevent changing project ownership
-  delete req.body.members; // Members handled by specific add/remove routes if complex logic is needed
+  delete req.body.owner; // Ownership changes go through the transfer-ownership route
+  delete req.body.members; // Members are managed by the member routes
 
   // Validate start/end dates if provided
   if (req.body.startDate || req.body.endDate) {
@@ -157,26 +132,8 @@ const updateProject = asyncHandler(async (req, res) => {
 // @route   DELETE /api/v1/projects/:id
 // @access  Private
 const deleteProject = asyncHandler(async (req, res) => {
-  // Manual validation for ID
-  if (!Types.ObjectId.isValid(req.params.id)) {
-    res.status(400);
-    throw new Error('Invalid Project ID format.');
-  }
-
-  const project = await Project.findById(req.params.id);
-
-  if (!project) {
-    res.status(404);
-    throw new Error('Project not found.');
-  }
-
-  // Only the project owner can delete it
-  if (project.owner.toString() !== req.user._id.toString()) {
-    res.status(401);
-    throw new Error('Not authorized to delete this project.');
-  }
-
-  await project.deleteOne();
+  // Only the project owner can delete it (checked by authorizeProjectRole)
+  await req.project.deleteOne();
 
   res.status(200).json({
     success: true,
@@ -184,100 +141,203 @@ const deleteProject = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Add a member to a project
+// @desc    Add a member to a project with a role
 // @route   POST /api/v1/projects/:id/members
-// @access  Private
+// @access  Private (project admin or owner)
 const addProjectMember = asyncHandler(async (req, res) => {
-    // Manual validation for project ID
-    if (!Types.ObjectId.isValid(req.params.id)) {
+    // memberId and role validated by Joi (validateAddMember)
+    const { memberId, role = DEFAULT_MEMBER_ROLE } = req.body;
+    const project = req.project;
+
+    if (!canManageMember(req.projectRole, role)) {
+        res.status(403);
+        throw new Error(`Only the project owner can add members with the '${role}' role.`);
+    }
+    if (project.owner.toString() === memberId.toString()) {
         res.status(400);
-        throw new Error('Invalid Project ID format.');
+        throw new Error('Cannot add project owner as a member.');
+    }
+    if (project.members.some(member => member.user.toString() === memberId.toString())) {
+        res.status(400);
+        throw new Error('User is already a member of this project.');
     }
-    // memberId validated by Joi (validateAddRemoveMember)
-
-    const { memberId } = req.body;
-
-    let project = await Project.findById(req.params.id);
 
-    if (!project) {
+    const memberUser = await User.findById(memberId);
+    if (!memberUser) {
         res.status(404);
-        throw new Error('Project not found.');
+        throw new Error(`User with ID ${memberId} not found.`);
     }
 
-    // Only the project owner can add members
-    if (project.owner.toString() !== req.user._id.toString()) {
-        res.status(401);
-        throw new Error('Not authorized to add members to this project.');
-    }
+    project.members.push({ user: memberId, role });
+    await project.save();
 
-    if (project.members.includes(memberId)) {
-        res.status(400);
-        throw new Error('User is already a member of this project.');
+    res.status(200).json({
+        success: true,
+        message: 'Member added to project successfully!',
+        data: project,
+    });
+});
+
+// @desc    Change the role of a project member
+// @route   PUT /api/v1/projects/:id/members/:memberId
+// @access  Private (project admin or owner)
+const updateProjectMemberRole = asyncHandler(async (req, res) => {
+    const { memberId } = req.params;
+    const { role } = req.body;
+    const project = req.project;
+
+    const member = project.members.find(candidate => candidate.user.toString() === memberId.toString());
+    if (!member) {
+        res.status(404);
+        throw new Error('Member not found in this project.');
     }
-    if (project.owner.toString() === memberId.toString()) {
-        res.status(400);
-        throw new Error('Cannot add project owner as a member.');
+    if (!canManageMember(req.projectRole, member.role, role)) {
+        res.status(403);
+        throw new Error('Only the project owner can grant or change the admin role.');
     }
 
-    project.members.push(memberId);
+    res.locals.audit = { metadata: { previousRole: member.role } };
+    member.role = role;
     await project.save();
 
     res.status(200).json({
         success: true,
-        message: 'Member added to project successfully!',
+        message: 'Member role updated successfully!',
         data: project,
     });
 });
 
 // @desc    Remove a member from a project
 // @route   DELETE /api/v1/projects/:id/members
-// @access  Private
+// @access  Private (project admin or owner)
 const removeProjectMember = asyncHandler(async (req, res) => {
-    // Manual validation for project ID
-    if (!Types.ObjectId.isValid(req.params.id)) {
+    // memberId validated by Joi (validateRemoveMember)
+    const { memberId } = req.body;
+    const project = req.project;
+
+    if (project.owner.toString() === memberId.toString()) {
         res.status(400);
-        throw new Error('Invalid Project ID format.');
+        throw new Error('Cannot remove project owner as a member.');
     }
-    // memberId validated by Joi (validateAddRemoveMember)
-
-    const { memberId } = req.body; // or req.params.memberId if using a different route structure
-
-    let project = await Project.findById(req.params.id);
 
-    if (!project) {
+    const member = project.members.find(candidate => candidate.user.toString() === memberId.toString());
+    if (!member) {
         res.status(404);
-        throw new Error('Project not found.');
+        throw new Error('Member not found in this project.');
     }
-
-    // Only the project owner can remove members
-    if (project.owner.toString() !== req.user._id.toString()) {
-        res.status(401);
-        throw new Error('Not authorized to remove members from this project.');
-    }
-    if (project.owner.toString() === memberId.toString()) {
-        res.status(400);
-        throw new Error('Cannot remove project owner as a member.');
+    if (!canManageMember(req.projectRole, member.role)) {
+        res.status(403);
+        throw new Error('Only the project owner can remove project admins.');
     }
 
-    const initialLength = project.members.length;
     project.members = project.members.filter(
-        member => member.toString() !== memberId.toString()
+        candidate => candidate.user.toString() !== memberId.toString()
     );
+    await project.save();
 
-    if (project.members.length === initialLength) {
-        res.status(404);
-        throw new Error('Member not found in this project.');
+    res.status(200).json({
+        success: true,
+        message: 'Member removed from project successfully!',
+        data: project,
+    });
+});
+
+// @desc    Transfer ownership of a project to one of its members (the previous owner stays on as an admin)
+// @route   POST /api/v1/projects/:id/transfer-ownership
+// @access  Private (project owner)
+const transferProjectOwnership = asyncHandler(async (req, res) => {
+    const { newOwnerId } = req.body;
+    const project = req.project;
+    const previousOwner = project.owner;
+
+    if (previousOwner.toString() === newOwnerId.toString()) {
+        res.status(400);
+        throw new Error('You already own this project.');
+    }
+    if (!project.members.some(member => member.user.toString() === newOwnerId.toString())) {
+        res.status(400);
+        throw new Error('Ownership can only be transferred to a member of this project.');
     }
 
+    project.owner = newOwnerId;
+    project.members = [
+        ...project.members.filter(member => member.user.toString() !== newOwnerId.toString()),
+        { user: previousOwner, role: 'admin' },
+    ];
     await project.save();
 
     res.status(200).json({
         success: true,
-        message: 'Member removed from project successfully!',
+        message: 'Project ownership transferred successfully!',
         data: project,
     });
 });
 
+// @desc    Get a project's task board (tasks grouped into the board columns)
+// @route   GET /api/v1/projects/:id/board
+// @access  Private
+const getBoard = asyncHandler(async (req, res) => {
+  const project = req.project;
+  const columns = await getProjectBoard(project);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      project: { _id: project._id, title: project.title, status: project.status },
+      columns,
+    },
+  });
+});
+
+// @desc    Replace the columns of a project's task board
+// @route   PUT /api/v1/projects/:id/board/columns
+// @access  Private
+const updateBoardColumns = asyncHandler(async (req, res) => {
+  // Admins and the owner only (checked by authorizeProjectRole)
+  const project = req.project;
+
+  // Tasks saved in a column that no longer exists move to the first column for their status
+  project.boardColumns = normalizeBoardColumns(req.body.columns);
+  await project.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Board columns updated successfully!',
+    data: {
+      project: { _id: project._id, title: project.title, status: project.status },
+      columns: await getProjectBoard(project),
+    },
+  });
+});
+
+// @desc    Move a task to a position in a board column (updates its status to the column's status)
+// @route   PUT /api/v1/projects/:id/board/move
+// @access  Private
+const moveBoardTask = asyncHandler(async (req, res) => {
+  const { taskId, column: columnKey, index } = req.body;
+  // Editors and above (checked by authorizeProjectRole)
+  const project = req.project;
+
+  const column = project.boardColumns.find(candidate => candidate.key === columnKey);
+  if (!column) {
+    res.status(400);
+    throw new Error(`Board column '${columnKey}' does not exist in this project.`);
+  }
+
+  const task = await Task.findOne({ _id: taskId, project: project._id });
+  if (!task) {
+    res.status(404);
+    throw new Error('Task not found in this project.');
+  }
+
+  const movedTask = await moveTaskOnBoard(project, task, { column, index });
+
+  res.status(200).json({
+    success: true,
+    message: 'Task moved successfully!',
+    data: movedTask,
+  });
+});
 
 module.exports = {
   getProjects,
@@ -286,5 +346,10 @@ module.exports = {
   updateProject,
   deleteProject,
   addProjectMember,
+  updateProjectMemberRole,
   removeProjectMember,
+  transferProjectOwnership,
+  getBoard,
+  updateBoardColumns,
+  moveBoardTask,
 };
\ No newline at end of file
@@ -0,0 +1,29 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { searchAll } = require('../services/searchService');
+
+// @desc    Search the user's tasks, events, messages, goals, learning resources, projects and expenses at once
+// @route   GET /api/v1/search
+// @access  Private
+const search = asyncHandler(async (req, res) => {
+  const { q, modules, from, to, tag, limit } = req.query;
+
+  const { results, counts } = await searchAll(req.user._id, {
+    query: q,
+    modules: modules ? modules.split(',') : undefined,
+    from,
+    to,
+    tag,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: results.length,
+    counts,
+    data: results,
+  });
+});
+
+module.exports = {
+  search,
+};
@@ -2,19 +2,42 @@ const asyncHandler = require('../utils/asyncHandler');
 const Task = require('../models/Task');
 const Project = require('../models/Project'); // Import Project model
 const { Types } = require('mongoose'); // Import Mongoose Types for ObjectId validation
+const { expandItemsForWindow, isOccurrenceOf } = require('../utils/recurrence');
+const { updateRecurringItem, deleteRecurringItem } = require('../services/recurrenceService');
+const { assertCanLinkTask } = require('../middleware/projectAccessMiddleware');
+const { getProjectRole, hasProjectRole } = require('../utils/projectRoles');
+const { findPage, unpaginated } = require('../utils/listQuery');
 
 
-// @desc    Get all tasks for the authenticated user (optionally filtered by project)
+// @desc    Get all tasks for the authenticated user (optionally filtered by project or due date window)
 // @route   GET /api/v1/tasks
 // @access  Private
 const getTasks = asyncHandler(async (req, res) => {
-  const { status, priority, tag, search, projectId } = req.query;
+  const { status, priority, tag, search, projectId, startDate, endDate } = req.query;
   const query = { user: req.user._id };
 
+  // Filtered by project, the list holds every task of the project, whoever created it, for any project role
+  if (projectId) {
+    if (!Types.ObjectId.isValid(projectId)) {
+      res.status(400);
+      throw new Error('Invalid Project ID format.');
+    }
+    const project = await Project.findById(projectId);
+    if (!project) {
+      res.status(404);
+      throw new Error('Project not found.');
+    }
+    if (!hasProjectRole(getProjectRole(project, req.user._id), 'viewer')) {
+      res.status(403);
+      throw new Error('Not authorized to access this project.');
+    }
+    delete query.user;
+    query.project = project._id;
+  }
+
   if (status) query.status = status;
   if (priority) query.priority = priority;
   if (tag) query.tags = { $in: [tag] };
-  if (projectId) query.project = projectId;
   if (search) {
       query.$or = [
           { title: { $regex: search, $options: 'i' } },
@@ -22,11 +45,34 @@ const getTasks = asyncHandler(async (req, res) => {
       ];
   }
 
-  const tasks = await Task.find(query).sort({ dueDate: 1, createdAt: -1 });
+  // With a due date window, recurring tasks are expanded into their occurrences within it
+  if (startDate && endDate) {
+    const windowStart = new Date(startDate);
+    const windowEnd = new Date(endDate);
+    query.$and = [{
+      $or: [
+        { 'recurrence.rule': null, dueDate: { $gte: windowStart, $lte: windowEnd } },
+        { 'recurrence.rule': { $ne: null }, dueDate: { $lte: windowEnd } },
+      ],
+    }];
+
+    const tasks = await Task.find(query);
+    const occurrences = expandItemsForWindow(tasks, { anchorField: 'dueDate', windowStart, windowEnd });
+
+    return res.status(200).json({
+      success: true,
+      count: occurrences.length,
+      pagination: unpaginated(occurrences), // The window bounds the list
+      data: occurrences,
+    });
+  }
+
+  const { data: tasks, pagination } = await findPage(Task, query, req.listQuery);
 
   res.status(200).json({
     success: true,
     count: tasks.length,
+    pagination,
     data: tasks,
   });
 });
@@ -35,28 +81,10 @@ const getTasks = asyncHandler(async (req, res) => {
 // @route   GET /api/v1/tasks/:id
 // @access  Private
 const getTask = asyncHandler(async (req, res) => {
-  // --- NEW: Manual validation for ID ---
-  if (!Types.ObjectId.isValid(req.params.id)) {
-    res.status(400);
-    throw new Error('Invalid Task ID format.');
-  }
-  // --- END NEW VALIDATION ---
-
-  const task = await Task.findById(req.params.id);
-
-  if (!task) {
-    res.status(404);
-    throw new Error('Task not found.');
-  }
-
-  if (task.user.toString() !== req.user._id.toString()) {
-    res.status(401);
-    throw new Error('Not authorized to access this task.');
-  }
-
+  // Loaded and checked by authorizeTaskAccess: the creator, or any role in the task's project
   res.status(200).json({
     success: true,
-    data: task,
+    data: req.task,
   });
 });
 
@@ -72,17 +100,12 @@ const createTask = asyncHandler(async (req, res) => {
   }
 
   if (req.body.project) {
-      const project = await Project.findById(req.body.project);
-      if (!project) {
-          res.status(404);
-          throw new Error('Project not found for this task.');
-      }
-      const isOwner = project.owner.toString() === req.user._id.toString();
-      const isMember = project.members.some(member => member.toString() === req.user._id.toString());
-      if (!isOwner && !isMember) {
-          res.status(401);
-          throw new Error('Not authorized to link tasks to this project.');
-      }
+      await assertCanLinkTask(res, req.body.project, req.user._id);
+  }
+
+  if (req.body.recurrence && !req.body.dueDate) {
+      res.status(400);
+      throw new Error('A recurring task must have a due date to start the series from.');
   }
 
   const task = await Task.create(req.body);
@@ -98,45 +121,35 @@ const createTask = asyncHandler(async (req, res) => {
 // @route   PUT /api/v1/tasks/:id
 // @access  Private
 const updateTask = asyncHandler(async (req, res) => {
-  // --- NEW: Manual validation for ID ---
-  if (!Types.ObjectId.isValid(req.params.id)) {
-    res.status(400);
-    throw new Error('Invalid Task ID format.');
-  }
-  // --- END NEW VALIDATION ---
+  // Loaded and checked by authorizeTaskAccess: the creator, or an editor or above of the task's project
+  let task = req.task;
 
-  let task = await Task.findById(req.params.id);
+  delete req.body.user;
 
-  if (!task) {
-    res.status(404);
-    throw new Error('Task not found.');
+  // Scope for recurring tasks: this occurrence, this and following, or the whole series
+  const { scope = 'all', occurrenceDate } = req.query;
+  const isRecurring = !!task.recurrence?.rule;
+  if (isRecurring && scope !== 'all' && !isOccurrenceOf(task.recurrence, task.dueDate, occurrenceDate)) {
+    res.status(400);
+    throw new Error('The given occurrenceDate is not an occurrence of this recurring task.');
   }
-
-  if (task.user.toString() !== req.user._id.toString()) {
-    res.status(401);
-    throw new Error('Not authorized to update this task.');
+  if (req.body.recurrence && !(req.body.dueDate || task.dueDate)) {
+    res.status(400);
+    throw new Error('A recurring task must have a due date to start the series from.');
   }
 
-  delete req.body.user;
-
   if (req.body.project && req.body.project.toString() !== task.project?.toString()) {
-      const project = await Project.findById(req.body.project);
-      if (!project) {
-          res.status(404);
-          throw new Error('Project not found for this task.');
-      }
-      const isOwner = project.owner.toString() === req.user._id.toString();
-      const isMember = project.members.some(member => member.toString() === req.user._id.toString());
-      if (!isOwner && !isMember) {
-          res.status(401);
-          throw new Error('Not authorized to link tasks to this project.');
-      }
+      await assertCanLinkTask(res, req.body.project, req.user._id);
   }
 
-  task = await Task.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  if (isRecurring) {
+    task = await updateRecurringItem(Task, task, req.body, { scope, occurrenceDate, anchorField: 'dueDate' });
+  } else {
+    task = await Task.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    });
+  }
 
   res.status(200).json({
     success: true,
@@ -149,27 +162,20 @@ const updateTask = asyncHandler(async (req, res) => {
 // @route   DELETE /api/v1/tasks/:id
 // @access  Private
 const deleteTask = asyncHandler(async (req, res) => {
-  // --- NEW: Manual validation for ID ---
-  if (!Types.ObjectId.isValid(req.params.id)) {
-    res.status(400);
-    throw new Error('Invalid Task ID format.');
-  }
-  // --- END NEW VALIDATION ---
-
-  const task = await Task.findById(req.params.id);
+  // Loaded and checked by authorizeTaskAccess: the creator, or an editor or above of the task's project
+  const task = req.task;
 
-  if (!task) {
-    res.status(404);
-    throw new Error('Task not found.');
-  }
-
-  if (task.user.toString() !== req.user._id.toString()) {
-    res.status(401);
-    throw new Error('Not authorized to delete this task.');
+  if (task.recurrence?.rule) {
+    const { scope = 'all', occurrenceDate } = req.query;
+    if (scope !== 'all' && !isOccurrenceOf(task.recurrence, task.dueDate, occurrenceDate)) {
+      res.status(400);
+      throw new Error('The given occurrenceDate is not an occurrence of this recurring task.');
+    }
+    await deleteRecurringItem(Task, task, { scope, occurrenceDate, anchorField: 'dueDate' });
+  } else {
+    await task.deleteOne();
   }
 
-  await task.deleteOne();
-
   res.status(200).json({
     success: true,
     message: 'Task deleted successfully!',
@@ -1,9 +1,11 @@
 const asyncHandler = require('../utils/asyncHandler');
 const WellnessRecord = require('../models/WellnessRecord');
+const { findPage } = require('../utils/listQuery');
 const Task = require('../models/Task');
 const Event = require('../models/Event');
 const Goal = require('../models/Goal'); // For deeper context
 const { getWellnessSuggestion } = require('../services/aiService');
+const { getUserTimeSettings, startOfDay } = require('../utils/timezone');
 
 // --- Wellness Record CRUD ---
 
@@ -21,11 +23,12 @@ const getWellnessRecords = asyncHandler(async (req, res) => {
     if (endDate) query.date.$lte = new Date(endDate);
   }
 
-  const records = await WellnessRecord.find(query).sort({ date: -1, createdAt: -1 });
+  const { data: records, pagination } = await findPage(WellnessRecord, query, req.listQuery);
 
   res.status(200).json({
     success: true,
     count: records.length,
+    pagination,
     data: records,
   });
 });
@@ -136,13 +139,11 @@ const getWellnessSuggestionController = asyncHandler(async (req, res) => {
 
     // --- Deeper Data Fetch for AI Context ---
     const now = new Date();
-    const startOfDay = new Date(now.setHours(0, 0, 0, 0));
-    const startOfWeek = new Date(startOfDay);
-    startOfWeek.setDate(startOfDay.getDate() - startOfDay.getDay()); // Sunday
+    const todayStart = startOfDay(now, getUserTimeSettings(req.user).timeZone); // Midnight where the user is
 
     // Recent tasks
-    const recentPendingTasks = await Task.find({ user: req.user._id, status: { $ne: 'completed' }, dueDate: { $gte: startOfDay } }).limit(5).select('title priority dueDate').lean();
-    const overdueTasksToday = await Task.countDocuments({ user: req.user._id, status: 'pending', dueDate: { $lt: startOfDay } });
+    const recentPendingTasks = await Task.find({ user: req.user._id, status: { $ne: 'completed' }, dueDate: { $gte: todayStart } }).limit(5).select('title priority dueDate').lean();
+    const overdueTasksToday = await Task.countDocuments({ user: req.user._id, status: 'pending', dueDate: { $lt: todayStart } });
 
     // Current/upcoming events
     const currentEvents = await Event.find({ user: req.user._id, startTime: { $lte: now }, endTime: { $gte: now } }).limit(2).select('title category').lean();
@@ -150,7 +151,7 @@ const getWellnessSuggestionController = asyncHandler(async (req, res) => {
 
     // Recent wellness activities
     const last24hWellness = await WellnessRecord.find({ user: req.user._id, date: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) } }).limit(5).sort({ date: -1 }).select('type date durationMinutes moodBefore moodAfter').lean();
-    const completedWellnessToday = await WellnessRecord.countDocuments({ user: req.user._id, date: { $gte: startOfDay } });
+    const completedWellnessToday = await WellnessRecord.countDocuments({ user: req.user._id, date: { $gte: todayStart } });
 
     // User's active goals
     const activeGoals = await Goal.find({ user: req.user._id, status: 'active' }).limit(3).select('title progress targetDate').lean();
@@ -0,0 +1,36 @@
+const { recordAuditEvent } = require('../services/auditLogService');
+
+/**
+ * @function audit
+ * @description Middleware that records an audit log entry once the response has been sent, if the request succeeded
+ * (or, with `failureAction`, if it was rejected with 401). Place it before validation so rejected attempts are seen.
+ * Handlers can refine the entry through `res.locals.audit`: `{ action, actor, actorEmail, targetId, metadata }`
+ * (merged over the defaults), or `{ skip: true }` to record nothing.
+ * @param {string} action - The action recorded on success (one of AUDIT_ACTIONS).
+ * @param {Object} [options]
+ * @param {string} [options.targetType] - 'User', 'Project', 'Integration' or 'Job'.
+ * @param {Function} [options.targetId] - `(req) => id` of the resource acted on.
+ * @param {Function} [options.metadata] - `(req) => details`. Never include secrets (passwords, tokens, codes).
+ * @param {string} [options.failureAction] - The action recorded when the request fails with 401 (e.g. 'auth.login_failed').
+ * @returns {Function} An Express middleware function.
+ */
+const audit = (action, { targetType, targetId, metadata, failureAction } = {}) => (req, res, next) => {
+  res.on('finish', () => {
+    const details = res.locals.audit || {};
+    const succeeded = res.statusCode < 400;
+    if (details.skip || (!succeeded && !(failureAction && res.statusCode === 401))) return;
+
+    recordAuditEvent(req, {
+      action: details.action || (succeeded ? action : failureAction),
+      status: succeeded ? 'success' : 'failure',
+      actor: details.actor,
+      actorEmail: details.actorEmail,
+      targetType: details.targetType || targetType,
+      targetId: details.targetId || (targetId ? targetId(req) : undefined),
+      metadata: { ...(metadata ? metadata(req) : {}), ...details.metadata },
+    });
+  });
+  next();
+};
+
+module.exports = { audit };
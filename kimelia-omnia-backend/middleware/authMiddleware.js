@@ -1,12 +1,49 @@
 const jwt = require('jsonwebtoken');
     const asyncHandler = require('../utils/asyncHandler');
     const User = require('../models/User');
+    const { getActiveSession } = require('../services/sessionService');
+    const { recordUserActivity } = require('../services/analyticsService');
+
+    /**
+     * @function verifyAccessToken
+     * @description Verifies a JWT access token and loads the user it was issued for (excluding password).
+     * Only tokens issued for a session (`sid` claim) are accepted, and only while the session is active: a token
+     * without one could not be signed out, so tokens from before sessions existed require logging in again.
+     * @param {string} token - The JWT.
+     * @param {string} [ip] - The IP address of the request, recorded on the session.
+     * @returns {Promise<Object>} { user, sessionId }; user is null if the user no longer exists.
+     * @throws {Error} If the token is invalid or expired, or its session was revoked.
+     */
+    const verifyAccessToken = async (token, ip) => {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose) {
+        throw new Error('Not an access token'); // E.g. a 2FA login challenge
+      }
+      if (!decoded.sid) {
+        throw new Error('Token has no session; please log in again');
+      }
+      if (!(await getActiveSession(decoded.sid, decoded.id, ip))) {
+        throw new Error('Session has been revoked or has expired');
+      }
+      const user = await User.findById(decoded.id).select('-password');
+      return { user, sessionId: decoded.sid };
+    };
+
+    /**
+     * @function getUserFromToken
+     * @description Verifies a JWT and loads the user it was issued for (excluding password).
+     * Shared by `protect` and the real-time notification channel.
+     * @param {string} token - The JWT.
+     * @returns {Promise<Object|null>} The user document, or null if the user no longer exists.
+     * @throws {Error} If the token is invalid or expired, or its session was revoked.
+     */
+    const getUserFromToken = async (token) => (await verifyAccessToken(token)).user;
 
     /**
      * @function protect
      * @description Middleware to protect routes, ensuring only authenticated users can access them.
      * Verifies the JWT token from the Authorization header.
-     * Attaches the authenticated user object (excluding password) to `req.user`.
+     * Attaches the authenticated user object (excluding password) to `req.user` and its session ID to `req.sessionId`.
      * @param {Object} req - Express request object.
      * @param {Object} res - Express response object.
      * @param {Function} next - Express next middleware function.
@@ -24,16 +61,16 @@ const jwt = require('jsonwebtoken');
           // Extract token from header: "Bearer TOKEN" -> "TOKEN"
           token = req.headers.authorization.split(' ')[1];
 
-          // Verify token using the secret key
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-          // Find user by ID from the token payload and exclude password field
-          req.user = await User.findById(decoded.id).select('-password');
+          // Verify token and find the user from its payload (password excluded)
+          const { user, sessionId } = await verifyAccessToken(token, req.ip);
+          req.user = user;
+          req.sessionId = sessionId;
 
           if (!req.user) {
             res.status(401);
             throw new Error('Not authorized, user not found');
           }
+          recordUserActivity(req.user._id); // Not awaited: counts toward daily/weekly active users
 
           next(); // Proceed to the next middleware/route handler
         } catch (error) {
@@ -75,4 +112,4 @@ const jwt = require('jsonwebtoken');
       };
     };
 
-    module.exports = { protect, authorizeRoles }; // --- EXPORT 'authorizeRoles' ---
\ No newline at end of file
+    module.exports = { protect, authorizeRoles, getUserFromToken }; // --- EXPORT 'authorizeRoles' ---
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { parseListQuery } = require('../utils/listQuery');
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ListLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 50
+ *       description: Maximum number of items in the page.
+ *     ListCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: The `nextCursor` of the previous page, to read the page after it (with the same sort).
+ *     ListFields:
+ *       in: query
+ *       name: fields
+ *       schema:
+ *         type: string
+ *       description: Comma-separated top-level fields to return (`_id` is always returned). Returns all fields when omitted.
+ *       example: title,dueDate
+ *   schemas:
+ *     Pagination:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: number
+ *           nullable: true
+ *           description: The page size (null when the whole list is returned).
+ *           example: 50
+ *         sort:
+ *           type: string
+ *           nullable: true
+ *           description: The applied sort.
+ *           example: "-createdAt"
+ *         hasMore:
+ *           type: boolean
+ *           description: Whether there are items after this page.
+ *           example: true
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as `cursor` to read the next page; null on the last page.
+ *           example: "WyIyMDI0LTA3LTAxVDAwOjAwOjAwLjAwMFoiLCI2NjhhMWIyYzNkNGU1ZjYwNzE4MjkzYTQiXQ"
+ *         total:
+ *           type: number
+ *           description: Number of items matching the filters, across all pages.
+ *           example: 134
+ */
+
+/**
+ * @function listQuery
+ * @description Middleware for list endpoints that validates the `limit`, `cursor`, `sort` and `fields` query parameters
+ * and sets the parsed options on `req.listQuery`, for `findPage`. The endpoint's own filters are left to the controller.
+ * @param {string} modelName - The name of the listed model (e.g. 'Task').
+ * @param {Object} options
+ * @param {string[]} options.sortFields - Fields the list can be sorted by.
+ * @param {string} options.defaultSort - The sort without `sort`, e.g. '-createdAt'.
+ * @param {string[]} [options.hiddenFields] - Fields never returned by the endpoint.
+ * @param {string[]} [options.computedFields] - Fields the endpoint adds to the stored ones.
+ * @returns {Function} An Express middleware function.
+ * @throws {Error} 400 Bad Request if a parameter is invalid.
+ */
+const listQuery = (modelName, options) => (req, res, next) => {
+  try {
+    req.listQuery = parseListQuery(req.query, { schema: mongoose.model(modelName).schema, ...options });
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Validation Error: ${error.message}`);
+  }
+  next();
+};
+
+module.exports = { listQuery };
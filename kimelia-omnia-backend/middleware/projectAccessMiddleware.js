@@ -0,0 +1,104 @@
+const { Types } = require('mongoose');
+const asyncHandler = require('../utils/asyncHandler');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { getProjectRole, hasProjectRole } = require('../utils/projectRoles');
+
+/**
+ * @function authorizeProjectRole
+ * @description Middleware for project-level access control on `/projects/:id` routes.
+ * Loads the project and checks that the authenticated user holds at least `minimumRole` in it.
+ * Attaches the project to `req.project` and the user's role to `req.projectRole`.
+ * @param {string} minimumRole - 'viewer', 'editor', 'admin' or 'owner'.
+ * @returns {Function} An Express middleware function.
+ * @throws {Error} 400 for a malformed ID, 404 if the project does not exist, 403 if the user's role is not sufficient.
+ */
+const authorizeProjectRole = (minimumRole) => asyncHandler(async (req, res, next) => {
+  if (!Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid Project ID format.');
+  }
+
+  const project = await Project.findById(req.params.id);
+  if (!project) {
+    res.status(404);
+    throw new Error('Project not found.');
+  }
+
+  const role = getProjectRole(project, req.user._id);
+  if (!hasProjectRole(role, minimumRole)) {
+    res.status(403);
+    throw new Error(role
+      ? `Your project role '${role}' is not allowed to do this (requires '${minimumRole}' or above).`
+      : 'Not authorized to access this project.');
+  }
+
+  req.project = project;
+  req.projectRole = role;
+  next();
+});
+
+/**
+ * @function authorizeTaskAccess
+ * @description Middleware for task-level access control on `/tasks/:id` routes.
+ * Tasks that belong to a project are governed by the user's project role (`minimumProjectRole` or above);
+ * personal tasks, and tasks of a deleted project, only by their creator.
+ * Attaches the task to `req.task` and, for project tasks, the project role to `req.projectRole`.
+ * @param {string} minimumProjectRole - 'viewer' to read, 'editor' to modify.
+ * @returns {Function} An Express middleware function.
+ * @throws {Error} 400 for a malformed ID, 404 if the task does not exist, 401/403 if the user may not access it.
+ */
+const authorizeTaskAccess = (minimumProjectRole) => asyncHandler(async (req, res, next) => {
+  if (!Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid Task ID format.');
+  }
+
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404);
+    throw new Error('Task not found.');
+  }
+
+  const project = task.project ? await Project.findById(task.project) : null;
+  if (project) {
+    const role = getProjectRole(project, req.user._id);
+    if (!hasProjectRole(role, minimumProjectRole)) {
+      res.status(403);
+      throw new Error(role
+        ? `Your project role '${role}' is not allowed to do this (requires '${minimumProjectRole}' or above).`
+        : 'Not authorized to access this task.');
+    }
+    req.projectRole = role;
+  } else if (task.user.toString() !== req.user._id.toString()) {
+    res.status(401);
+    throw new Error('Not authorized to access this task.');
+  }
+
+  req.task = task;
+  next();
+});
+
+/**
+ * @function assertCanLinkTask
+ * @description Checks, from within a task controller, that a user may add tasks to a project (editor or above).
+ * @param {Object} res - Express response object (the status is set on failure).
+ * @param {string} projectId - The project the task is being linked to.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Object>} The project.
+ * @throws {Error} 404 if the project does not exist, 403 if the user's role is not sufficient.
+ */
+const assertCanLinkTask = async (res, projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    res.status(404);
+    throw new Error('Project not found for this task.');
+  }
+  if (!hasProjectRole(getProjectRole(project, userId), 'editor')) {
+    res.status(403);
+    throw new Error('Not authorized to link tasks to this project.');
+  }
+  return project;
+};
+
+module.exports = { authorizeProjectRole, authorizeTaskAccess, assertCanLinkTask };
@@ -1,5 +1,15 @@
 const Joi = require('joi');
 const { Types } = require('mongoose');
+const { isValidRecurrenceRule, normalizeRecurrenceRule } = require('../utils/recurrence');
+const { CURRENCY_CODE_PATTERN } = require('../utils/currency');
+const { MEMBER_ROLES } = require('../utils/projectRoles');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../utils/auditActions');
+const { SEARCH_MODULES } = require('../utils/search');
+const { JOB_STATUSES } = require('../utils/jobs');
+const { MAX_REMINDER_OFFSET_MINUTES, MAX_SNOOZE_MINUTES } = require('../utils/reminders');
+const { isValidTimeZone, isValidLocale } = require('../utils/timezone');
+const { NOTIFICATION_CATEGORIES, NOTIFICATION_CHANNELS, CLOCK_TIME_PATTERN } = require('../utils/notificationPreferences');
+const { DELIVERY_CHANNELS, DELIVERY_STATUSES, DELIVERY_CATEGORIES } = require('../utils/notificationDelivery');
 
 // Custom Joi extension for ObjectId validation
 const JoiObjectId = Joi.extend((joi) => ({
@@ -15,7 +25,7 @@ const JoiObjectId = Joi.extend((joi) => ({
     if (!Types.ObjectId.isValid(value)) {
       return { value, errors: helpers.error('objectId.invalid') };
     }
-    return value;
+    return { value }; // A bare return value is not treated as the result: the field would be dropped
   },
 }));
 
@@ -25,6 +35,34 @@ const paramIdSchema = Joi.object({
 });
 
 const dateSchema = Joi.date().iso(); // ISO 8601 date format
+const timeZoneSchema = Joi.string().custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{{#label}} must be an IANA time zone (e.g., America/New_York)' });
+const localeSchema = Joi.string().custom((value, helpers) => (isValidLocale(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{{#label}} must be a locale tag (e.g., en-US)' });
+
+// User.settings.notifications; categories and quiet-hours fields left out keep their current values
+const clockTimeSchema = Joi.string().pattern(CLOCK_TIME_PATTERN).messages({ 'string.pattern.base': '{{#label}} must be a time as HH:mm (e.g., 22:00)' });
+const notificationPreferencesSchema = Joi.object({
+  paused: Joi.boolean().optional(),
+  channels: Joi.object(Object.fromEntries(NOTIFICATION_CATEGORIES.map((category) => [
+    category,
+    Joi.array().items(Joi.string().valid(...NOTIFICATION_CHANNELS)).unique().optional(),
+  ]))).optional(),
+  quietHours: Joi.object({
+    enabled: Joi.boolean().optional(),
+    start: clockTimeSchema.optional(),
+    end: clockTimeSchema.optional(),
+  }).optional(),
+});
+
+// Pagination, sorting and field selection of list endpoints, checked in detail by the listQuery middleware
+const listQueryKeys = {
+  limit: Joi.number().integer(),
+  cursor: Joi.string(),
+  sort: Joi.string(),
+  fields: Joi.string(),
+};
+const currencySchema = Joi.string().trim().uppercase().pattern(CURRENCY_CODE_PATTERN).messages({ 'string.pattern.base': '{{#label}} must be a 3-letter ISO 4217 currency code' });
 
 // --- User Authentication & Profile Schemas ---
 const registerSchema = Joi.object({
@@ -37,6 +75,54 @@ const registerSchema = Joi.object({
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().required(),
+  deviceName: Joi.string().trim().max(100).optional(), // Shown in the session list
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().trim().max(20).required(), // 6-digit authenticator code or a backup code
+  deviceName: Joi.string().trim().max(100).optional(),
+});
+
+const setupTwoFactorSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().max(20).required(),
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().trim().max(20).required(),
+});
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().trim().max(20).optional(), // Required when two-factor authentication is enabled
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required(),
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(6).invalid(Joi.ref('currentPassword')).required()
+    .messages({ 'any.invalid': 'New password must be different from the current password' }),
+});
+
+const logoutAllSchema = Joi.object({
+  keepCurrent: Joi.boolean().optional(),
 });
 
 const verifyEmailSchema = Joi.object({
@@ -46,11 +132,15 @@ const verifyEmailSchema = Joi.object({
 const updateUserProfileSchema = Joi.object({
   name: Joi.string().min(2).max(50).optional(),
   email: Joi.string().email().optional(),
-  password: Joi.string().min(6).optional(),
+  password: Joi.any().forbidden().messages({ 'any.unknown': 'Use PUT /api/v1/auth/change-password to change your password' }),
   role: Joi.string().valid('individual', 'student', 'startup').optional(),
   settings: Joi.object({
     theme: Joi.string().valid('light', 'dark', 'system').optional(),
-    timezone: Joi.string().optional(),
+    timezone: timeZoneSchema.optional(),
+    locale: localeSchema.optional(),
+    weekStart: Joi.number().integer().min(0).max(6).optional(), // 0 = Sunday
+    baseCurrency: currencySchema.optional(),
+    notifications: notificationPreferencesSchema.optional(),
   }).optional(),
 });
 
@@ -62,24 +152,64 @@ const adminUpdateUserSchema = Joi.object({
   isVerified: Joi.boolean().optional(),
   settings: Joi.object({
     theme: Joi.string().valid('light', 'dark', 'system').optional(),
-    timezone: Joi.string().optional(),
+    timezone: timeZoneSchema.optional(),
+    locale: localeSchema.optional(),
+    weekStart: Joi.number().integer().min(0).max(6).optional(), // 0 = Sunday
+    baseCurrency: currencySchema.optional(),
+    notifications: notificationPreferencesSchema.optional(),
   }).optional(),
 });
 
+const currencyParamSchema = Joi.object({
+  currency: currencySchema.required(),
+});
 
-// --- Reminder Schemas (Tasks, Events, Goals) ---
-const taskReminderSchema = Joi.object({
-    time: dateSchema.required(),
-    message: Joi.string().optional().allow(''),
-    method: Joi.string().valid('email', 'app_notification', 'sms').default('app_notification').optional(),
-    isSent: Joi.boolean().default(false).optional()
+const exchangeRateSchema = Joi.object({
+  rate: Joi.number().greater(0).required(), // Units of the currency worth 1 USD
 });
 
-const goalReminderSchema = Joi.object({
-  time: dateSchema.required(),
+
+// --- Reminder Schemas (Tasks, Events, Goals) ---
+// A reminder is either at a fixed time or a number of minutes before the item's due date / start time / target date
+const reminderSchema = Joi.object({
+  time: dateSchema,
+  offsetMinutes: Joi.number().integer().min(0).max(MAX_REMINDER_OFFSET_MINUTES),
   message: Joi.string().optional().allow(''),
   method: Joi.string().valid('email', 'app_notification', 'sms').default('app_notification').optional(),
   isSent: Joi.boolean().default(false).optional()
+}).xor('time', 'offsetMinutes');
+
+const snoozeReminderSchema = Joi.object({
+  minutes: Joi.number().integer().min(1).max(MAX_SNOOZE_MINUTES).default(10),
+});
+
+const deliveryQuerySchema = Joi.object({
+  channel: Joi.string().valid(...DELIVERY_CHANNELS),
+  status: Joi.string().valid(...DELIVERY_STATUSES),
+  category: Joi.string().valid(...DELIVERY_CATEGORIES),
+  ...listQueryKeys,
+});
+
+
+// --- Recurrence Schemas (Tasks, Events) ---
+const recurrenceSchema = Joi.object({
+  rule: Joi.string().required().custom((value, helpers) => {
+    if (!isValidRecurrenceRule(value)) {
+      return helpers.error('any.invalid');
+    }
+    return normalizeRecurrenceRule(value);
+  }).messages({ 'any.invalid': '{{#label}} must be a valid iCalendar RRULE (e.g., FREQ=WEEKLY;BYDAY=MO)' }),
+  exdates: Joi.array().items(dateSchema).optional(),
+});
+
+// Query string for PUT/DELETE on a recurring task or event
+const recurrenceScopeSchema = Joi.object({
+  scope: Joi.string().valid('occurrence', 'following', 'all').default('all').optional(),
+  occurrenceDate: dateSchema.when('scope', {
+    is: Joi.valid('occurrence', 'following'),
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
 });
 
 
@@ -91,8 +221,9 @@ const taskSchema = Joi.object({
   status: Joi.string().valid('pending', 'in-progress', 'completed', 'on_hold', 'cancelled').default('pending').optional(),
   dueDate: dateSchema.min(Joi.ref('$now')).optional().allow(null),
   tags: Joi.array().items(Joi.string().trim()).optional(),
-  reminders: Joi.array().items(taskReminderSchema).optional(),
+  reminders: Joi.array().items(reminderSchema).optional(),
   relatedGoal: JoiObjectId.objectId().optional().allow(null),
+  recurrence: recurrenceSchema.optional().allow(null),
 });
 
 const updateTaskSchema = Joi.object({
@@ -102,8 +233,9 @@ const updateTaskSchema = Joi.object({
   status: Joi.string().valid('pending', 'in-progress', 'completed', 'on_hold', 'cancelled').optional(),
   dueDate: dateSchema.min(Joi.ref('$now')).optional().allow(null),
   tags: Joi.array().items(Joi.string().trim()).optional(),
-  reminders: Joi.array().items(taskReminderSchema).optional(),
+  reminders: Joi.array().items(reminderSchema).optional(),
   relatedGoal: JoiObjectId.objectId().optional().allow(null),
+  recurrence: recurrenceSchema.optional().allow(null),
 }).min(1);
 
 
@@ -118,7 +250,8 @@ const eventSchema = Joi.object({
   tags: Joi.array().items(Joi.string().trim()).optional(),
   attendees: Joi.array().items(Joi.string().email()).optional(),
   isAllDay: Joi.boolean().default(false).optional(),
-  recurrence: Joi.string().valid('never', 'daily', 'weekly', 'monthly', 'yearly').default('never').optional(),
+  reminders: Joi.array().items(reminderSchema).optional(),
+  recurrence: recurrenceSchema.optional().allow(null),
   relatedProject: JoiObjectId.objectId().optional().allow(null),
 });
 
@@ -132,7 +265,8 @@ const updateEventSchema = Joi.object({
   tags: Joi.array().items(Joi.string().trim()).optional(),
   attendees: Joi.array().items(Joi.string().email()).optional(),
   isAllDay: Joi.boolean().optional(),
-  recurrence: Joi.string().valid('never', 'daily', 'weekly', 'monthly', 'yearly').optional(),
+  reminders: Joi.array().items(reminderSchema).optional(),
+  recurrence: recurrenceSchema.optional().allow(null),
   relatedProject: JoiObjectId.objectId().optional().allow(null),
 }).min(1);
 
@@ -192,7 +326,7 @@ const goalSchema = Joi.object({
   status: Joi.string().valid('not_started', 'in_progress', 'completed', 'on_hold', 'cancelled').default('not_started').optional(),
   priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium').optional(),
   tags: Joi.array().items(Joi.string().trim()).optional(),
-  reminders: Joi.array().items(goalReminderSchema).optional(),
+  reminders: Joi.array().items(reminderSchema).optional(),
   progress: Joi.number().min(0).max(100).default(0).optional(),
   linkedResources: Joi.array().items(JoiObjectId.objectId()).optional(),
 });
@@ -206,7 +340,7 @@ const updateGoalSchema = Joi.object({
   status: Joi.string().valid('not_started', 'in_progress', 'completed', 'on_hold', 'cancelled').optional(),
   priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
   tags: Joi.array().items(Joi.string().trim()).optional(),
-  reminders: Joi.array().items(goalReminderSchema).optional(),
+  reminders: Joi.array().items(reminderSchema).optional(),
   progress: Joi.number().min(0).max(100).optional(),
   linkedResources: Joi.array().items(JoiObjectId.objectId()).optional(),
 }).min(1);
@@ -245,6 +379,8 @@ const aiGenerateLearningResourceSchema = Joi.object({
 
 
 // --- Project Schemas ---
+const projectMemberRoleSchema = Joi.string().valid(...MEMBER_ROLES); // The owner role is only reached by transfer
+
 const projectSchema = Joi.object({
   title: Joi.string().min(5).max(200).required(),
   description: Joi.string().max(1000).optional().allow(''),
@@ -252,7 +388,10 @@ const projectSchema = Joi.object({
   endDate: dateSchema.optional().min(Joi.ref('startDate', { adjust: (value) => value || new Date() })).messages({'date.min': 'End date must be after start date'}).allow(null),
   status: Joi.string().valid('planning', 'in-progress', 'completed', 'on_hold', 'cancelled').default('planning').optional(),
   priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium').optional(),
-  members: Joi.array().items(JoiObjectId.objectId()).optional(),
+  members: Joi.array().items(
+    JoiObjectId.objectId(),
+    Joi.object({ user: JoiObjectId.objectId().required(), role: projectMemberRoleSchema.optional() })
+  ).optional(),
   tags: Joi.array().items(Joi.string().trim()).optional(),
   files: Joi.array().items(Joi.object({
     name: Joi.string().required(),
@@ -277,15 +416,48 @@ const updateProjectSchema = Joi.object({
   })).optional(),
 }).min(1);
 
-const addRemoveMemberSchema = Joi.object({
+const addMemberSchema = Joi.object({
+  memberId: JoiObjectId.objectId().required(),
+  role: projectMemberRoleSchema.optional(),
+});
+
+const removeMemberSchema = Joi.object({
   memberId: JoiObjectId.objectId().required(),
 });
 
+const projectMemberParamSchema = Joi.object({
+  id: JoiObjectId.objectId().required(),
+  memberId: JoiObjectId.objectId().required(),
+});
+
+const memberRoleSchema = Joi.object({
+  role: projectMemberRoleSchema.required(),
+});
+
+const transferOwnershipSchema = Joi.object({
+  newOwnerId: JoiObjectId.objectId().required(),
+});
+
+const boardColumnsSchema = Joi.object({
+  columns: Joi.array().items(Joi.object({
+    key: Joi.string().trim().max(50).optional(), // Keep the key of existing columns so their tasks stay in them
+    name: Joi.string().trim().min(1).max(50).required(),
+    status: Joi.string().valid('pending', 'in-progress', 'completed', 'deferred', 'cancelled').required(),
+  })).min(1).max(20).required(),
+});
+
+const moveBoardTaskSchema = Joi.object({
+  taskId: JoiObjectId.objectId().required(),
+  column: Joi.string().trim().required(),
+  index: Joi.number().integer().min(0).required(), // Zero-based position in the target column
+});
+
 
 // --- Expense Schemas ---
 const expenseSchema = Joi.object({
   description: Joi.string().max(200).optional().allow(''),
   amount: Joi.number().min(0.01).required(),
+  currency: currencySchema.optional(),
   category: Joi.string().valid('food', 'transport', 'housing', 'utilities', 'entertainment', 'shopping', 'education', 'health', 'work', 'bills', 'savings', 'other').required(),
   date: dateSchema.required(),
   tags: Joi.array().items(Joi.string().trim()).optional(),
@@ -296,6 +468,7 @@ const expenseSchema = Joi.object({
 const updateExpenseSchema = Joi.object({
   description: Joi.string().max(200).optional().allow(''),
   amount: Joi.number().min(0.01).optional(),
+  currency: currencySchema.optional(),
   category: Joi.string().valid('food', 'transport', 'housing', 'utilities', 'entertainment', 'shopping', 'education', 'health', 'work', 'bills', 'savings', 'other').optional(),
   date: dateSchema.optional(),
   tags: Joi.array().items(Joi.string().trim()).optional(),
@@ -303,24 +476,78 @@ const updateExpenseSchema = Joi.object({
   receiptUrl: Joi.string().uri().optional().allow(''),
 }).min(1);
 
+const expenseCategorySchema = Joi.string().valid('food', 'transport', 'housing', 'utilities', 'entertainment', 'shopping', 'education', 'health', 'work', 'bills', 'savings', 'other');
+const csvColumnSchema = Joi.alternatives().try(Joi.string().trim().min(1), Joi.number().integer().min(0));
+
+const expenseImportPreviewSchema = Joi.object({
+  format: Joi.string().valid('csv', 'ofx', 'qfx').required(),
+  content: Joi.string().base64().required(), // The statement file, base64-encoded (keeps OFX markup intact through xss-clean)
+  mapping: Joi.when('format', {
+    is: 'csv',
+    then: Joi.object({
+      date: csvColumnSchema.required(),
+      description: csvColumnSchema.required(),
+      amount: csvColumnSchema.optional(),
+      debit: csvColumnSchema.optional(),
+      credit: csvColumnSchema.optional(),
+      category: csvColumnSchema.optional(),
+      reference: csvColumnSchema.optional(),
+    }).or('amount', 'debit').required(),
+    otherwise: Joi.forbidden(),
+  }),
+  delimiter: Joi.string().length(1).default(',').optional(),
+  hasHeader: Joi.boolean().default(true).optional(),
+  dateFormat: Joi.string().valid('YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY').default('YYYY-MM-DD').optional(),
+  decimalSeparator: Joi.string().valid('.', ',').default('.').optional(),
+  currency: currencySchema.optional(), // Statement currency; OFX files declare their own (CURDEF)
+  amountSign: Joi.string().valid('negative', 'positive').default('negative').optional(),
+  rules: Joi.array().items(Joi.object({
+    match: Joi.string().trim().min(1).required(),
+    category: expenseCategorySchema.required(),
+  })).max(200).optional(),
+});
+
+const expenseImportCommitSchema = Joi.object({
+  format: Joi.string().valid('csv', 'ofx', 'qfx').required(),
+  rows: Joi.array().items(Joi.object({
+    date: dateSchema.required(),
+    amount: Joi.number().min(0.01).required(),
+    currency: currencySchema.optional(),
+    description: Joi.string().max(200).optional().allow(''),
+    category: expenseCategorySchema.required(),
+    paymentMethod: Joi.string().valid('cash', 'credit_card', 'debit_card', 'bank_transfer', 'mobile_money', 'other').default('other').optional(),
+    tags: Joi.array().items(Joi.string().trim()).optional(),
+    externalId: Joi.string().trim().max(255).optional(),
+  }).unknown(true)).min(1).max(2000).required(), // Preview rows can be sent back as-is; extra preview fields are ignored
+  skipLikelyDuplicates: Joi.boolean().default(false).optional(),
+});
+
 
 // --- Budget Schemas ---
 const budgetSchema = Joi.object({
   category: Joi.string().valid('food', 'transport', 'housing', 'utilities', 'entertainment', 'shopping', 'education', 'health', 'work', 'bills', 'savings', 'other', 'all').required(),
   limitAmount: Joi.number().min(0).required(),
-  startDate: dateSchema.required(),
-  endDate: dateSchema.required().min(Joi.ref('startDate')).messages({'date.min': 'End date must be after start date'}),
+  currency: currencySchema.optional(),
+  // Rolling (non-custom) budgets default to the current period, so the dates are only required for custom budgets
+  startDate: dateSchema.when('periodType', { is: 'custom', then: Joi.required(), otherwise: Joi.optional() }),
+  endDate: dateSchema.when('periodType', { is: 'custom', then: Joi.required(), otherwise: Joi.optional() })
+    .min(Joi.ref('startDate', { adjust: (value) => value || new Date(0) })).messages({'date.min': 'End date must be after start date'}),
   periodType: Joi.string().valid('daily', 'weekly', 'monthly', 'yearly', 'custom').default('custom').optional(),
   alertThreshold: Joi.number().min(0).max(100).default(80).optional(),
+  alertMethod: Joi.string().valid('email', 'sms', 'app_notification').optional(),
+  carryOverUnspent: Joi.boolean().optional(),
 });
 
 const updateBudgetSchema = Joi.object({
   category: Joi.string().valid('food', 'transport', 'housing', 'utilities', 'entertainment', 'shopping', 'education', 'health', 'work', 'bills', 'savings', 'other', 'all').optional(),
   limitAmount: Joi.number().min(0).optional(),
+  currency: currencySchema.optional(),
   startDate: dateSchema.optional(),
   endDate: dateSchema.optional().min(Joi.ref('startDate', { adjust: (value) => value || new Date() })).messages({'date.min': 'End date must be after start date'}),
   periodType: Joi.string().valid('daily', 'weekly', 'monthly', 'yearly', 'custom').optional(),
   alertThreshold: Joi.number().min(0).max(100).optional(),
+  alertMethod: Joi.string().valid('email', 'sms', 'app_notification').optional(),
+  carryOverUnspent: Joi.boolean().optional(),
 }).min(1);
 
 
@@ -361,11 +588,20 @@ const summarizeSlackChannelSchema = Joi.object({
 });
 
 const summarizeGmailInboxSchema = Joi.object({
+  maxResults: Joi.number().integer().min(1).max(50).optional(),
   numEmails: Joi.number().integer().min(1).max(50).default(10).optional(),
   timeframe: Joi.string().optional().allow(''), // e.g., "last week"
   sender: Joi.string().email().optional().allow(''),
 });
 
+const googleCalendarSyncSchema = Joi.object({
+  conflictPolicy: Joi.string().valid('last_writer_wins', 'omnia_wins').optional(),
+});
+
+const googleCalendarSettingsSchema = Joi.object({
+  conflictPolicy: Joi.string().valid('last_writer_wins', 'omnia_wins').required(),
+});
+
 const sendGmailDraftSchema = Joi.object({
   recipientEmail: Joi.string().email().required(),
   subject: Joi.string().required(),
@@ -373,6 +609,47 @@ const sendGmailDraftSchema = Joi.object({
   threadId: Joi.string().optional().allow(''), // For replying to a specific thread
 });
 
+// --- Data Export Schemas ---
+const dataExportDownloadSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+// --- Audit Log Schemas ---
+const auditLogQuerySchema = Joi.object({
+  action: Joi.string().valid(...AUDIT_ACTIONS),
+  status: Joi.string().valid('success', 'failure'),
+  actor: JoiObjectId.objectId(),
+  targetType: Joi.string().valid(...AUDIT_TARGET_TYPES),
+  targetId: JoiObjectId.objectId(),
+  from: dateSchema,
+  to: dateSchema.when('from', { is: Joi.exist(), then: dateSchema.min(Joi.ref('from')) }).messages({ 'date.min': '"to" must be after "from"' }),
+  ...listQueryKeys,
+});
+
+// --- Job Queue Schemas ---
+const jobQuerySchema = Joi.object({
+  status: Joi.string().valid(...JOB_STATUSES),
+  type: Joi.string().max(100),
+  ...listQueryKeys,
+});
+
+// --- Admin Analytics Schemas ---
+const analyticsQuerySchema = Joi.object({
+  from: dateSchema,
+  to: dateSchema.when('from', { is: Joi.exist(), then: dateSchema.min(Joi.ref('from')) }).messages({ 'date.min': '"to" must be after "from"' }),
+});
+
+// --- Search Schemas ---
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required(),
+  modules: Joi.string()
+    .pattern(new RegExp(`^(${SEARCH_MODULES.join('|')})(,(${SEARCH_MODULES.join('|')}))*$`))
+    .messages({ 'string.pattern.base': `"modules" must be a comma-separated list of ${SEARCH_MODULES.join(', ')}` }),
+  from: dateSchema,
+  to: dateSchema.when('from', { is: Joi.exist(), then: dateSchema.min(Joi.ref('from')) }).messages({ 'date.min': '"to" must be after "from"' }),
+  tag: Joi.string().trim().max(50),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+});
 
 /**
  * @function validate
@@ -417,15 +694,28 @@ module.exports = {
   // User Authentication & Admin
   validateRegister: validate(registerSchema),
   validateLogin: validate(loginSchema),
+  validateRefreshToken: validate(refreshTokenSchema),
+  validateLogoutAll: validate(logoutAllSchema),
+  validateTwoFactorLogin: validate(twoFactorLoginSchema),
+  validateSetupTwoFactor: validate(setupTwoFactorSchema),
+  validateTwoFactorCode: validate(twoFactorCodeSchema),
+  validateDisableTwoFactor: validate(disableTwoFactorSchema),
+  validateDeleteAccount: validate(deleteAccountSchema),
+  validateForgotPassword: validate(forgotPasswordSchema),
+  validateResetPassword: validate(resetPasswordSchema),
+  validateChangePassword: validate(changePasswordSchema),
   validateVerifyEmail: validate(verifyEmailSchema),
   validateUpdateUserProfile: validate(updateUserProfileSchema),
   validateAdminUpdateUser: validate(adminUpdateUserSchema),
+  validateCurrencyParam: validate(currencyParamSchema, 'params'),
+  validateExchangeRate: validate(exchangeRateSchema),
 
   // Planner Module
   validateCreateTask: validate(taskSchema),
   validateUpdateTask: validate(updateTaskSchema),
   validateCreateEvent: validate(eventSchema),
   validateUpdateEvent: validate(updateEventSchema),
+  validateRecurrenceScope: validate(recurrenceScopeSchema, 'query'),
 
   // Communicator Module
   validateCreateMessage: validate(messageSchema),
@@ -443,11 +733,19 @@ module.exports = {
   // Workspace Module
   validateCreateProject: validate(projectSchema),
   validateUpdateProject: validate(updateProjectSchema),
-  validateAddRemoveMember: validate(addRemoveMemberSchema),
+  validateAddMember: validate(addMemberSchema),
+  validateRemoveMember: validate(removeMemberSchema),
+  validateProjectMemberParam: validate(projectMemberParamSchema, 'params'),
+  validateMemberRole: validate(memberRoleSchema),
+  validateTransferOwnership: validate(transferOwnershipSchema),
+  validateBoardColumns: validate(boardColumnsSchema),
+  validateMoveBoardTask: validate(moveBoardTaskSchema),
 
   // Finance Module
   validateCreateExpense: validate(expenseSchema),
   validateUpdateExpense: validate(updateExpenseSchema),
+  validateExpenseImportPreview: validate(expenseImportPreviewSchema),
+  validateExpenseImportCommit: validate(expenseImportCommitSchema),
   validateCreateBudget: validate(budgetSchema),
   validateUpdateBudget: validate(updateBudgetSchema),
 
@@ -461,4 +759,19 @@ module.exports = {
   validateSummarizeSlackChannel: validate(summarizeSlackChannelSchema),
   validateSummarizeGmailInbox: validate(summarizeGmailInboxSchema),
   validateSendGmailDraft: validate(sendGmailDraftSchema),
+  validateGoogleCalendarSync: validate(googleCalendarSyncSchema),
+  validateGoogleCalendarSettings: validate(googleCalendarSettingsSchema),
+
+  // Data Export
+  validateDataExportDownload: validate(dataExportDownloadSchema, 'query'),
+  validateAuditLogQuery: validate(auditLogQuerySchema, 'query'),
+  validateAnalyticsQuery: validate(analyticsQuerySchema, 'query'),
+  validateJobQuery: validate(jobQuerySchema, 'query'),
+
+  // Search
+  validateSearchQuery: validate(searchQuerySchema, 'query'),
+
+  // Notifications
+  validateSnoozeReminder: validate(snoozeReminderSchema),
+  validateDeliveryQuery: validate(deliveryQuerySchema, 'query'),
 };
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Daily counters of calls to the AI provider per AI feature (e.g. 'summarizeText'), for the admin analytics
+const aiUsageSchema = new mongoose.Schema({
+  date: {
+    type: Date, // Midnight UTC
+    required: true,
+  },
+  operation: {
+    type: String,
+    required: true,
+  },
+  calls: {
+    type: Number,
+    default: 0,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+});
+
+aiUsageSchema.index({ date: 1, operation: 1 }, { unique: true });
+
+module.exports = mongoose.model('AiUsage', aiUsageSchema);
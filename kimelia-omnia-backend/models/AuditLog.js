@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../utils/auditActions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       description: A record of a security-relevant or administrative action. Entries are never changed once written.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *           example: 60d0fe4f5b5f7e001c0d3c10
+ *         action:
+ *           type: string
+ *           description: What was done (see the `action` filter of `GET /admin/audit-logs` for the full list).
+ *           example: user.role_change
+ *         status:
+ *           type: string
+ *           enum: [success, failure]
+ *           description: Whether the action succeeded (failures are only recorded for logins).
+ *           example: success
+ *         actor:
+ *           description: The user who did it (populated with name, email and role); null for unknown users and system jobs.
+ *           nullable: true
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/User'
+ *         actorEmail:
+ *           type: string
+ *           description: The actor's email when the action happened (the attempted email for failed logins). Kept if the user is deleted.
+ *           example: admin@example.com
+ *         targetType:
+ *           type: string
+ *           enum: [User, Project, Integration, Job]
+ *           description: The kind of resource acted on.
+ *           example: User
+ *         targetId:
+ *           type: string
+ *           description: The ID of the resource acted on.
+ *           example: 60d0fe4f5b5f7e001c0d3a7b
+ *         metadata:
+ *           type: object
+ *           description: Action details, such as the old and new values of each field an admin changed (`changes.role.from`, `changes.role.to`).
+ *         ip:
+ *           type: string
+ *           example: "203.0.113.24"
+ *         userAgent:
+ *           type: string
+ *           example: "okhttp/4.9.2"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['success', 'failure'],
+      default: 'success',
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    actorEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    targetType: {
+      type: String,
+      enum: AUDIT_TARGET_TYPES,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: String,
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
 
 /**
  * @swagger
@@ -10,8 +11,6 @@ const mongoose = require('mongoose');
  *         - user
  *         - category
  *         - limitAmount
- *         - startDate
- *         - endDate
  *       properties:
  *         _id:
  *           type: string
@@ -34,29 +33,113 @@ const mongoose = require('mongoose');
  *           minimum: 0
  *           description: The maximum amount budgeted for the specified category within the period.
  *           example: 500.00
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code of limitAmount. Expenses in other currencies are converted into it using the admin-maintained exchange rates. Defaults to the user's base currency.
+ *           example: RWF
  *         startDate:
  *           type: string
  *           format: date-time
- *           description: The start date of the budget period.
+ *           description: The start date of the current budget period. Required for custom budgets; defaults to the start of the current day/week/month/year for rolling budgets.
  *           example: 2024-11-01T00:00:00.000Z
  *         endDate:
  *           type: string
  *           format: date-time
- *           description: The end date of the budget period.
+ *           description: The end date of the current budget period. Required for custom budgets; derived from startDate and periodType for rolling budgets.
  *           example: 2024-11-30T23:59:59.000Z
  *         periodType:
  *           type: string
  *           enum: [daily, weekly, monthly, yearly, custom]
  *           default: custom
- *           description: The type of budgeting period.
+ *           description: The type of budgeting period. Non-custom budgets roll over automatically into the next period when the current one ends.
  *           example: monthly
+ *         carryOverUnspent:
+ *           type: boolean
+ *           default: false
+ *           description: For rolling budgets, whether the unspent amount of a closed period is added to the next period's limit. Overspending is never carried over.
+ *           example: true
+ *         carriedOverAmount:
+ *           type: number
+ *           format: float
+ *           readOnly: true
+ *           description: Amount carried over from the previous period and added to limitAmount for the current period.
+ *           example: 45.5
+ *         periodHistory:
+ *           type: array
+ *           readOnly: true
+ *           description: Closed periods of a rolling budget, oldest first.
+ *           items:
+ *             type: object
+ *             properties:
+ *               startDate: { type: string, format: date-time, example: "2024-10-01T00:00:00.000Z" }
+ *               endDate: { type: string, format: date-time, example: "2024-10-31T23:59:59.999Z" }
+ *               limitAmount: { type: number, format: float, example: 500 }
+ *               currency: { type: string, example: RWF }
+ *               carriedOverAmount: { type: number, format: float, example: 0 }
+ *               spent: { type: number, format: float, description: Final spending of the period., example: 454.5 }
+ *               closedAt: { type: string, format: date-time }
  *         alertThreshold:
  *           type: number
  *           format: float
  *           minimum: 0
  *           maximum: 100
- *           description: Percentage of limit at which to send an alert (e.g., 80 for 80% usage).
+ *           description: Percentage of limit at which to send an alert (e.g., 80 for 80% usage). 0 disables the threshold alert; the over-limit alert is always sent.
  *           example: 80
+ *         alertMethod:
+ *           type: string
+ *           enum: [email, sms, app_notification]
+ *           default: app_notification
+ *           description: How budget alerts are delivered (when spending reaches `alertThreshold` and again at 100%).
+ *           example: app_notification
+ *         alerts:
+ *           type: object
+ *           readOnly: true
+ *           description: When the threshold and over-limit alerts were sent for the current period. Reset when the budget's limit, threshold, category or dates change, and when a rolling budget starts a new period.
+ *           properties:
+ *             thresholdSentAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             limitSentAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *         effectiveLimit:
+ *           type: number
+ *           format: float
+ *           readOnly: true
+ *           description: Computed. limitAmount plus carriedOverAmount; the amount spending is measured against.
+ *           example: 545.5
+ *         spent:
+ *           type: number
+ *           format: float
+ *           readOnly: true
+ *           description: Computed. Total of the user's expenses in the budget's category (all categories for 'all') between startDate and endDate, converted into the budget currency.
+ *           example: 412.5
+ *         remaining:
+ *           type: number
+ *           format: float
+ *           readOnly: true
+ *           description: Computed. effectiveLimit minus spent (negative when over budget).
+ *           example: 87.5
+ *         percentUsed:
+ *           type: number
+ *           format: float
+ *           readOnly: true
+ *           description: Computed. Share of effectiveLimit already spent, in percent (rounded to 2 decimals).
+ *           example: 82.5
+ *         isOverBudget:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Computed. True when spent exceeds effectiveLimit.
+ *           example: false
+ *         unconvertedCurrencies:
+ *           type: array
+ *           items:
+ *             type: string
+ *           readOnly: true
+ *           description: Computed. Currencies of matching expenses that have no exchange rate and are therefore not counted in spent.
+ *           example: []
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -85,6 +168,13 @@ const budgetSchema = new mongoose.Schema(
       required: [true, 'Please set a budget limit amount'],
       min: [0, 'Limit amount cannot be negative'],
     },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+      default: DEFAULT_CURRENCY,
+    },
     startDate: {
       type: Date,
       required: [true, 'Please provide a start date for the budget period'],
@@ -103,7 +193,37 @@ const budgetSchema = new mongoose.Schema(
         min: 0,
         max: 100,
         default: 80, // Alert when 80% of budget is used
-    }
+    },
+    carryOverUnspent: {
+      type: Boolean,
+      default: false,
+    },
+    carriedOverAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    periodHistory: [
+      {
+        _id: false,
+        startDate: { type: Date, required: true },
+        endDate: { type: Date, required: true },
+        limitAmount: { type: Number, required: true },
+        currency: { type: String },
+        carriedOverAmount: { type: Number, default: 0 },
+        spent: { type: Number, required: true },
+        closedAt: { type: Date, default: Date.now },
+      },
+    ],
+    alertMethod: {
+      type: String,
+      enum: ['email', 'sms', 'app_notification'],
+      default: 'app_notification',
+    },
+    alerts: {
+      thresholdSentAt: { type: Date, default: null }, // Set once spending reached alertThreshold
+      limitSentAt: { type: Date, default: null }, // Set once spending reached 100% of the effective limit
+    },
   },
   {
     timestamps: true,
@@ -129,4 +249,7 @@ budgetSchema.pre('findOneAndUpdate', function(next) {
 });
 
 
+budgetSchema.index({ startDate: 1, endDate: 1, 'alerts.limitSentAt': 1 }); // Scheduler's active-budget scan
+budgetSchema.index({ periodType: 1, endDate: 1 }); // Scheduler's rollover scan
+
 module.exports = mongoose.model('Budget', budgetSchema);
\ No newline at end of file
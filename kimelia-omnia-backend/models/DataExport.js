@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataExport:
+ *       type: object
+ *       description: |
+ *         A request for an archive (ZIP) of everything the user owns: one JSON and one CSV file per collection.
+ *         Archives are built in the background and can be downloaded until `expiresAt`.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated unique ID of the export.
+ *           readOnly: true
+ *           example: 60d0fe4f5b5f7e001c0d3b20
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed, expired]
+ *           description: Where the export is. Only completed exports can be downloaded.
+ *           example: completed
+ *         fileName:
+ *           type: string
+ *           description: Name of the archive file.
+ *           example: "kimelia-omnia-export-2024-07-01.zip"
+ *         size:
+ *           type: number
+ *           description: Archive size in bytes.
+ *           example: 48213
+ *         counts:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *           description: Number of documents exported per collection.
+ *           example: { tasks: 42, events: 17, expenses: 120 }
+ *         error:
+ *           type: string
+ *           description: Why the export failed (only when `status` is failed).
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the archive was ready.
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the archive is deleted.
+ *         downloadUrl:
+ *           type: string
+ *           description: Expiring link to the archive (only on completed exports). It needs no Authorization header.
+ *           readOnly: true
+ *         downloadUrlExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When `downloadUrl` stops working; fetch the export again for a new link.
+ *           readOnly: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the export was requested.
+ *           readOnly: true
+ */
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+      default: 'pending',
+    },
+    fileId: {
+      type: mongoose.Schema.Types.ObjectId, // The archive in the GridFS 'dataExports' bucket
+      select: false,
+    },
+    fileName: String,
+    size: Number,
+    counts: {
+      type: Map,
+      of: Number,
+    },
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
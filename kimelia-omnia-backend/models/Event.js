@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { isValidRecurrenceRule, normalizeRecurrenceRule } = require('../utils/recurrence');
+const { reminderAnchorPlugin } = require('../utils/reminders');
 
 /**
  * @swagger
@@ -69,19 +71,52 @@ const mongoose = require('mongoose');
  *         reminders:
  *           type: array
  *           items:
- *             type: object
- *             properties:
- *               time:
- *                 type: string
- *                 format: date-time
- *                 description: Time for the reminder.
- *                 example: 2024-11-20T09:45:00.000Z
- *               method:
- *                 type: string
- *                 enum: [email, app_notification, sms]
- *                 description: Method of notification.
- *                 example: app_notification
- *           description: A list of reminder objects for the event.
+ *             $ref: '#/components/schemas/Reminder'
+ *           description: Reminders for the event. Relative reminders (offsetMinutes) are counted back from the start time.
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         recurringParent:
+ *           type: string
+ *           description: For a single edited occurrence, the ID of the recurring event it was detached from.
+ *           readOnly: true
+ *           nullable: true
+ *         originalOccurrenceDate:
+ *           type: string
+ *           format: date-time
+ *           description: For a single edited occurrence, the start time it originally had in the series.
+ *           readOnly: true
+ *           nullable: true
+ *         source:
+ *           type: string
+ *           enum: [omnia, google_calendar]
+ *           default: omnia
+ *           description: Where the event was originally created.
+ *           readOnly: true
+ *           example: omnia
+ *         googleSync:
+ *           type: object
+ *           readOnly: true
+ *           nullable: true
+ *           description: Link to the Google Calendar copy of this event, maintained by the Google Calendar sync.
+ *           properties:
+ *             eventId:
+ *               type: string
+ *               description: The Google Calendar event ID.
+ *               example: 7kq3v1l0d9s8h2m4n6p8r0t2v4
+ *             etag:
+ *               type: string
+ *               description: The Google etag of the version last synced.
+ *             recurringEventId:
+ *               type: string
+ *               description: For an edited instance of a recurring Google event, the ID of the series in Google.
+ *             updatedAt:
+ *               type: string
+ *               format: date-time
+ *               description: Google's last-modified time of the version last synced.
+ *             syncedAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the event was last synced. Edits after this time are pushed on the next sync.
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -145,16 +180,69 @@ const eventSchema = new mongoose.Schema(
     ],
     reminders: [
       {
-        time: { type: Date, required: true },
+        time: { type: Date, required: function() { return this.offsetMinutes === undefined || this.offsetMinutes === null; } },
+        offsetMinutes: { type: Number, min: 0 }, // Relative reminder: minutes before the start time
+        message: { type: String },
         method: { type: String, enum: ['email', 'app_notification', 'sms'], default: 'app_notification' },
+        isSent: { type: Boolean, default: false },
+        sentAt: { type: Date },
+        snoozedUntil: { type: Date },
+        snoozedOccurrence: { type: Date }, // For recurring events: the occurrence a snoozed reminder is about
+        dismissedAt: { type: Date },
+        lastSentOccurrence: { type: Date }, // For recurring events: latest occurrence this reminder fired for
       }
     ],
+    recurrence: {
+      type: new mongoose.Schema(
+        {
+          rule: {
+            type: String,
+            required: true,
+            set: normalizeRecurrenceRule,
+            validate: {
+              validator: isValidRecurrenceRule,
+              message: 'Please provide a valid iCalendar recurrence rule (e.g., FREQ=WEEKLY;BYDAY=MO)',
+            },
+          },
+          exdates: [{ type: Date }],
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+    recurringParent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+    },
+    originalOccurrenceDate: {
+      type: Date,
+    },
+    source: {
+      type: String,
+      enum: ['omnia', 'google_calendar'],
+      default: 'omnia',
+    },
+    googleSync: {
+      type: new mongoose.Schema(
+        {
+          eventId: { type: String, required: true },
+          etag: String,
+          recurringEventId: String,
+          updatedAt: Date,
+          syncedAt: Date,
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+eventSchema.index({ user: 1, 'googleSync.eventId': 1 });
+
 // Middleware to ensure endTime is after startTime
 eventSchema.pre('save', function(next) {
   if (this.startTime && this.endTime && this.startTime >= this.endTime) {
@@ -174,4 +262,13 @@ eventSchema.pre('findOneAndUpdate', function(next) {
   }
 });
 
+// Relative reminders follow the start time
+eventSchema.plugin(reminderAnchorPlugin, { anchorField: 'startTime' });
+
+// Full-text search within a user's events
+eventSchema.index(
+  { user: 1, title: 'text', description: 'text', location: 'text' },
+  { name: 'search_text', weights: { title: 10, location: 3, description: 2 } }
+);
+
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
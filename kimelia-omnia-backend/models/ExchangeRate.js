@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       required:
+ *         - currency
+ *         - rate
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated unique ID of the exchange rate.
+ *           readOnly: true
+ *           example: 6741b2d05b5f7e001c0d3b20
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency code.
+ *           example: RWF
+ *         rate:
+ *           type: number
+ *           format: float
+ *           description: Units of this currency worth 1 USD (the reference currency, which always has a rate of 1).
+ *           example: 1300
+ *         updatedBy:
+ *           type: string
+ *           description: The ID of the admin who last set the rate.
+ *           readOnly: true
+ *           example: 60d0fe4f5b5f7e001c0d3a7b
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: The timestamp when the rate was first added.
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: The timestamp when the rate was last updated.
+ *           readOnly: true
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, 'Please add a currency code'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Please add an exchange rate'],
+      min: [0.000001, 'Exchange rate must be a positive number'],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
 
 /**
  * @swagger
@@ -34,6 +35,10 @@ const mongoose = require('mongoose');
  *           minimum: 0.01
  *           description: The monetary amount of the expense.
  *           example: 55.75
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code of the amount. Defaults to the user's base currency.
+ *           example: RWF
  *         category:
  *           type: string
  *           enum: [food, transport, housing, utilities, entertainment, shopping, education, health, work, bills, savings, other]
@@ -63,6 +68,27 @@ const mongoose = require('mongoose');
  *           description: Optional URL to a scanned receipt or invoice.
  *           nullable: true
  *           example: https://example.com/receipts/grocery_nov2024.jpg
+ *         importSource:
+ *           type: object
+ *           nullable: true
+ *           readOnly: true
+ *           description: Set for expenses created by a bank statement import.
+ *           properties:
+ *             format:
+ *               type: string
+ *               enum: [csv, ofx, qfx]
+ *               example: ofx
+ *             externalId:
+ *               type: string
+ *               description: The bank's transaction reference (OFX FITID or the mapped CSV reference column), used to skip re-imports.
+ *               example: "20241120-0001"
+ *             batchId:
+ *               type: string
+ *               description: Identifies the import batch the expense was created in.
+ *               example: 6740a1c95b5f7e001c0d3b10
+ *             importedAt:
+ *               type: string
+ *               format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -92,6 +118,13 @@ const expenseSchema = new mongoose.Schema(
       required: [true, 'Please add an amount'],
       min: [0.01, 'Amount must be a positive number'],
     },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+      default: DEFAULT_CURRENCY,
+    },
     category: {
       type: String,
       enum: ['food', 'transport', 'housing', 'utilities', 'entertainment', 'shopping', 'education', 'health', 'work', 'bills', 'savings', 'other'],
@@ -113,6 +146,15 @@ const expenseSchema = new mongoose.Schema(
       enum: ['cash', 'credit_card', 'debit_card', 'bank_transfer', 'mobile_money', 'other'],
       default: 'other',
     },
+    importSource: {
+      type: {
+        format: { type: String, enum: ['csv', 'ofx', 'qfx'] },
+        externalId: String,
+        batchId: String,
+        importedAt: Date,
+      },
+      default: undefined,
+    },
     receiptUrl: {
       type: String,
       match: [
@@ -126,4 +168,13 @@ const expenseSchema = new mongoose.Schema(
   }
 );
 
+expenseSchema.index({ user: 1, date: -1 });
+expenseSchema.index({ user: 1, 'importSource.externalId': 1 }, { sparse: true });
+
+// Full-text search within a user's expenses
+expenseSchema.index(
+  { user: 1, description: 'text', category: 'text', tags: 'text' },
+  { name: 'search_text', weights: { description: 10, tags: 5, category: 3 } }
+);
+
 module.exports = mongoose.model('Expense', expenseSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { reminderAnchorPlugin } = require('../utils/reminders');
 
 /**
  * @swagger
@@ -67,27 +68,8 @@ const mongoose = require('mongoose');
  *         reminders:
  *           type: array
  *           items:
- *             type: object
- *             properties:
- *               time:
- *                 type: string
- *                 format: date-time
- *                 description: Time for the reminder.
- *                 example: 2025-06-15T09:00:00.000Z
- *               message:
- *                 type: string
- *                 description: Reminder message.
- *                 example: "Don't forget to work on your Node.js goal!"
- *               method:
- *                 type: string
- *                 enum: [email, app_notification, sms] # Added sms
- *                 description: Method of notification.
- *                 example: app_notification
- *               isSent:
- *                 type: boolean
- *                 default: false
- *                 description: Flag to indicate if this specific reminder has been sent.
- *           description: A list of reminder objects for the goal.
+ *             $ref: '#/components/schemas/Reminder'
+ *           description: Reminders for the goal (each needs a message). Relative reminders (offsetMinutes) are counted back from the target date.
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -146,10 +128,14 @@ const goalSchema = new mongoose.Schema(
     ],
     reminders: [
       {
-        time: { type: Date, required: true },
+        time: { type: Date, required: function() { return this.offsetMinutes === undefined || this.offsetMinutes === null; } },
+        offsetMinutes: { type: Number, min: 0 }, // Relative reminder: minutes before the target date
         message: { type: String, required: true },
         method: { type: String, enum: ['email', 'app_notification', 'sms'], default: 'app_notification' }, // Added sms
-        isSent: { type: Boolean, default: false } // New field to track if reminder was sent
+        isSent: { type: Boolean, default: false }, // New field to track if reminder was sent
+        sentAt: { type: Date },
+        snoozedUntil: { type: Date },
+        dismissedAt: { type: Date },
       }
     ],
   },
@@ -173,4 +159,13 @@ goalSchema.pre('findOneAndUpdate', function(next) {
     next();
 });
 
+// Relative reminders follow the target date
+goalSchema.plugin(reminderAnchorPlugin, { anchorField: 'targetDate' });
+
+// Full-text search within a user's goals
+goalSchema.index(
+  { user: 1, title: 'text', description: 'text', category: 'text' },
+  { name: 'search_text', weights: { title: 10, category: 3, description: 2 } }
+);
+
 module.exports = mongoose.model('Goal', goalSchema);
\ No newline at end of file
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { JOB_STATUSES } = require('../utils/jobs');
+
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS || '7', 10); // Completed jobs are deleted after this
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       description: A unit of background work (sending a reminder, checking budgets, building a data export...) in the persistent job queue.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *           example: 60d0fe4f5b5f7e001c0d3c20
+ *         type:
+ *           type: string
+ *           description: What the job does; decides which handler runs it.
+ *           example: reminders.send
+ *         payload:
+ *           type: object
+ *           description: The handler's input.
+ *           example: { kind: Task, item: 60d0fe4f5b5f7e001c0d3a7c, reminder: 60d0fe4f5b5f7e001c0d3a7d }
+ *         status:
+ *           type: string
+ *           enum: [pending, running, completed, dead]
+ *           description: |
+ *             `pending` until a worker claims it and `running` while it holds the lease; `completed` on success. A failed job
+ *             goes back to `pending` with a later `runAt` (exponential backoff), and is `dead` after `maxAttempts` failures.
+ *           example: pending
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: Earliest time the job may run.
+ *         attempts:
+ *           type: integer
+ *           description: Times the job has been started.
+ *           example: 1
+ *         maxAttempts:
+ *           type: integer
+ *           example: 5
+ *         lockedBy:
+ *           type: string
+ *           nullable: true
+ *           description: The worker (host, process) running the job.
+ *           example: api-1:4312:9f2c1a
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: End of the running worker's lease; another worker takes the job over if it passes (e.g. after a crash).
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *           example: "SMS provider unavailable"
+ *         uniqueKey:
+ *           type: string
+ *           description: Jobs with the same key are only queued once.
+ *           example: reminder:60d0fe4f5b5f7e001c0d3a7d:2024-11-15T09:45:00.000Z
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         failedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the job was moved to the dead state.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ */
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'pending',
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    uniqueKey: String,
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    failedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false, // Keep empty payloads
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 }); // Claiming due jobs
+jobSchema.index({ status: 1, lockedUntil: 1 }); // Taking over expired leases
+jobSchema.index({ type: 1, createdAt: -1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, partialFilterExpression: { uniqueKey: { $type: 'string' } } });
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 }); // Dead jobs are kept
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -135,4 +135,10 @@ const learningResourceSchema = new mongoose.Schema( // --- Ensure `new mongoose.
   }
 );
 
+// Full-text search within a user's learning resources
+learningResourceSchema.index(
+  { user: 1, title: 'text', description: 'text', tags: 'text', category: 'text' },
+  { name: 'search_text', weights: { title: 10, tags: 5, category: 3, description: 2 } }
+);
+
 module.exports = mongoose.model('LearningResource', learningResourceSchema);
\ No newline at end of file
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// The code step of a 2FA login. The challenge token handed out after the password step names one of these, so the
+// token can be used up (on success) or locked (after too many codes), and the attempts at it are counted.
+const loginChallengeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  attempts: {
+    type: Number, // Codes tried so far, counted before each is checked
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB removes challenges once they have expired
+loginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginChallenge', loginChallengeSchema);
@@ -47,9 +47,42 @@ const mongoose = require('mongoose');
  *           example: AI_generated
  *         externalReferenceId:
  *           type: string
- *           description: Optional ID to link to an external system (e.g., Gmail thread ID, Slack message ID).
+ *           description: Optional ID to link to an external system (e.g., Gmail message ID, Slack message ID).
  *           nullable: true
  *           example: '178f24b0c2e3d4f5'
+ *         threadId:
+ *           type: string
+ *           description: The external conversation thread ID (e.g., Gmail thread ID), used to group messages by thread.
+ *           nullable: true
+ *           example: '178f24a9e1b2c3d4'
+ *         sender:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             name: { type: string, example: Jane Doe }
+ *             email: { type: string, format: email, example: jane.doe@example.com }
+ *           description: The sender of an ingested email.
+ *         recipients:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name: { type: string, example: John Smith }
+ *               email: { type: string, format: email, example: john.smith@example.com }
+ *               kind: { type: string, enum: [to, cc, bcc], example: to }
+ *           description: The recipients of an ingested email.
+ *         labels:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: External labels (e.g., Gmail label IDs), kept in sync with the mailbox.
+ *           example: [INBOX, UNREAD, IMPORTANT]
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the external message was sent or received.
+ *           nullable: true
+ *           example: 2024-11-18T08:30:00.000Z
  *         tags:
  *           type: array
  *           items:
@@ -120,9 +153,34 @@ const messageSchema = new mongoose.Schema(
         default: 'manual',
     },
     externalReferenceId: {
-        type: String, // e.g., thread ID from an external email system
+        type: String, // e.g., message ID from an external email system
         trim: true,
     },
+    threadId: {
+        type: String, // e.g., Gmail thread ID, for grouping messages by conversation
+        trim: true,
+    },
+    sender: {
+        name: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true },
+    },
+    recipients: [
+      {
+        _id: false,
+        name: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true },
+        kind: { type: String, enum: ['to', 'cc', 'bcc'], default: 'to' },
+      },
+    ],
+    labels: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    receivedAt: {
+        type: Date,
+    },
     tags: [
       {
         type: String,
@@ -151,4 +209,17 @@ const messageSchema = new mongoose.Schema(
   }
 );
 
+// Each Gmail message is stored once per user (see gmailService upserts)
+messageSchema.index(
+  { user: 1, source: 1, externalReferenceId: 1 },
+  { unique: true, partialFilterExpression: { source: 'gmail', externalReferenceId: { $type: 'string' } } }
+);
+messageSchema.index({ user: 1, threadId: 1 });
+
+// Full-text search within a user's messages
+messageSchema.index(
+  { user: 1, subject: 'text', content: 'text', tags: 'text' },
+  { name: 'search_text', weights: { subject: 10, tags: 5, content: 2 } }
+);
+
 module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
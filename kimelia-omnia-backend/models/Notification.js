@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       required:
+ *         - user
+ *         - title
+ *         - message
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated unique ID of the notification.
+ *           readOnly: true
+ *           example: 60d0fe4f5b5f7e001c0d3a90
+ *         user:
+ *           type: string
+ *           description: The ID of the user the notification is for.
+ *           readOnly: true
+ *           example: 60d0fe4f5b5f7e001c0d3a7b
+ *         type:
+ *           type: string
+ *           enum: [reminder, budget_alert, system]
+ *           default: reminder
+ *           description: The kind of notification.
+ *           example: reminder
+ *         title:
+ *           type: string
+ *           description: Short title shown in the notification list.
+ *           example: "Reminder: Finish Q3 Report"
+ *         message:
+ *           type: string
+ *           description: The notification text.
+ *           example: 'KIMELIA Omnia Reminder: Your Task "Finish Q3 Report" is due on 11/15/2024, 6:00:00 PM.'
+ *         relatedItem:
+ *           type: object
+ *           nullable: true
+ *           description: The Omnia item the notification is about.
+ *           properties:
+ *             kind:
+ *               type: string
+ *               enum: [Task, Event, Goal, Budget]
+ *               example: Task
+ *             item:
+ *               type: string
+ *               description: The ID of the related item.
+ *               example: 60d0fe4f5b5f7e001c0d3a7c
+ *             occurrenceDate:
+ *               type: string
+ *               format: date-time
+ *               description: For recurring items, the occurrence the notification is about.
+ *               nullable: true
+ *             reminder:
+ *               type: string
+ *               description: For reminders, the ID of the reminder on the item (used to snooze or dismiss it).
+ *               nullable: true
+ *               example: 60d0fe4f5b5f7e001c0d3a95
+ *         isRead:
+ *           type: boolean
+ *           default: false
+ *           description: Whether the user has read the notification.
+ *           example: false
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the notification was marked as read.
+ *           readOnly: true
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: The timestamp when the notification was created.
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: The timestamp when the notification was last updated.
+ *           readOnly: true
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['reminder', 'budget_alert', 'system'],
+      default: 'reminder',
+    },
+    title: {
+      type: String,
+      required: [true, 'Please add a notification title'],
+      trim: true,
+      maxlength: [200, 'Notification title cannot exceed 200 characters'],
+    },
+    message: {
+      type: String,
+      required: [true, 'Please add a notification message'],
+      trim: true,
+      maxlength: [1000, 'Notification message cannot exceed 1000 characters'],
+    },
+    relatedItem: {
+      kind: { type: String, enum: ['Task', 'Event', 'Goal', 'Budget'] },
+      item: { type: mongoose.Schema.Types.ObjectId, refPath: 'relatedItem.kind' },
+      occurrenceDate: Date,
+      reminder: mongoose.Schema.Types.ObjectId, // The reminder subdocument the notification was sent for
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
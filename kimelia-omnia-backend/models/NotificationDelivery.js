@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const { DELIVERY_CHANNELS, DELIVERY_STATUSES, DELIVERY_CATEGORIES } = require('../utils/notificationDelivery');
+
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_DELIVERY_RETENTION_DAYS || '90', 10); // Delivery records are deleted after this
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationDelivery:
+ *       type: object
+ *       description: One attempt at sending an email or SMS. A message retried after a transient failure has one record per attempt, sharing a `messageId`.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *           example: 60d0fe4f5b5f7e001c0d3c40
+ *         user:
+ *           type: string
+ *           nullable: true
+ *           description: The recipient's user ID.
+ *           example: 60d0fe4f5b5f7e001c0d3a7b
+ *         messageId:
+ *           type: string
+ *           description: Identifies the message across its attempts.
+ *           example: 3b2f6c1e-8a4d-4c1b-9f0e-2d7a5e6b1c90
+ *         channel:
+ *           type: string
+ *           enum: [email, sms]
+ *           example: email
+ *         category:
+ *           type: string
+ *           enum: [task, event, goal, budget, digest, account, system]
+ *           description: What the message is about.
+ *           example: task
+ *         transport:
+ *           type: string
+ *           description: The provider the attempt went through (`none` when no provider is configured in production).
+ *           enum: [sendgrid, smtp, twilio, local, none]
+ *           example: sendgrid
+ *         to:
+ *           type: string
+ *           description: The email address or phone number.
+ *           example: john.doe@example.com
+ *         subject:
+ *           type: string
+ *           nullable: true
+ *           example: "KIMELIA Omnia Reminder: Finish report"
+ *         body:
+ *           type: string
+ *           nullable: true
+ *           description: The message sent (HTML for emails). Not stored for messages carrying a sign-in or reset link.
+ *         redacted:
+ *           type: boolean
+ *           description: True when the body was not stored.
+ *           example: false
+ *         attempt:
+ *           type: integer
+ *           description: Which attempt at sending the message this was (1 for the first).
+ *           example: 1
+ *         status:
+ *           type: string
+ *           enum: [sent, retrying, failed]
+ *           description: |
+ *             `sent` when the provider accepted the message. `retrying` when the attempt failed for a reason that may
+ *             pass (timeout, rate limit, provider outage) and another attempt is queued for `nextAttemptAt`; `failed`
+ *             when it will not be tried again.
+ *           example: sent
+ *         providerMessageId:
+ *           type: string
+ *           nullable: true
+ *           description: The provider's ID of the message (SendGrid message ID, Twilio SID...).
+ *           example: SM2f1c7d0e9a8b4c3d2e1f0a9b8c7d6e5f
+ *         providerResponse:
+ *           type: object
+ *           nullable: true
+ *           description: What the provider answered (status code, provider status or error details).
+ *           example: { statusCode: 202 }
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           example: "Service Unavailable"
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the attempt was made.
+ */
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    messageId: {
+      type: String,
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: DELIVERY_CHANNELS,
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: DELIVERY_CATEGORIES,
+      default: 'system',
+    },
+    transport: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+      default: null,
+    },
+    body: {
+      type: String,
+      default: null,
+    },
+    redacted: {
+      type: Boolean,
+      default: false,
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      required: true,
+    },
+    providerMessageId: {
+      type: String,
+      default: null,
+    },
+    providerResponse: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationDeliverySchema.index({ user: 1, createdAt: -1 });
+notificationDeliverySchema.index({ messageId: 1, attempt: 1 });
+notificationDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
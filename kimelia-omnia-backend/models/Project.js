@@ -1,9 +1,50 @@
 const mongoose = require('mongoose');
+const { DEFAULT_BOARD_COLUMNS } = require('../utils/taskBoard');
+const { MEMBER_ROLES, DEFAULT_MEMBER_ROLE } = require('../utils/projectRoles');
 
 /**
  * @swagger
  * components:
  *   schemas:
+ *     BoardColumn:
+ *       type: object
+ *       required:
+ *         - key
+ *         - name
+ *         - status
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Stable identifier of the column, unique within the board.
+ *           example: needs-review
+ *         name:
+ *           type: string
+ *           maxLength: 50
+ *           example: Needs Review
+ *         status:
+ *           type: string
+ *           enum: [pending, in-progress, completed, deferred, cancelled]
+ *           description: Task status of the tasks in this column. Several columns may share a status.
+ *           example: in-progress
+ *     ProjectMember:
+ *       type: object
+ *       required:
+ *         - user
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: The member's user ID.
+ *           example: 60d0fe4f5b5f7e001c0d3a7c
+ *         role:
+ *           type: string
+ *           enum: [admin, editor, viewer]
+ *           default: editor
+ *           description: "viewer: read-only access to the project and its tasks. editor: also creates, edits, moves and deletes the project's tasks. admin: also edits the project and its board and manages editors and viewers."
+ *           example: editor
+ *         addedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
  *     Project:
  *       type: object
  *       required:
@@ -57,10 +98,9 @@ const mongoose = require('mongoose');
  *           example: high
  *         members:
  *           type: array
+ *           description: The project's members and their roles (the owner is not listed here and always has the 'owner' role).
  *           items:
- *             type: string
- *           description: List of user IDs who are members of this project.
- *           example: ["60d0fe4f5b5f7e001c0d3a7c", "60d0fe4f5b5f7e001c0d3a7d"]
+ *             $ref: '#/components/schemas/ProjectMember'
  *         tags:
  *           type: array
  *           items:
@@ -77,6 +117,11 @@ const mongoose = require('mongoose');
  *               uploadedAt: { type: string, format: "date-time" }
  *           description: List of attached files.
  *           example: [{ name: "Budget.xlsx", url: "http://example.com/budget.xlsx", uploadedAt: "2024-09-20T10:00:00.000Z" }]
+ *         boardColumns:
+ *           type: array
+ *           description: Columns of the project's task board, in display order. Defaults to one column per task status; each column maps to the task status its tasks get.
+ *           items:
+ *             $ref: '#/components/schemas/BoardColumn'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -126,8 +171,10 @@ const projectSchema = new mongoose.Schema(
     },
     members: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        role: { type: String, enum: MEMBER_ROLES, default: DEFAULT_MEMBER_ROLE },
+        addedAt: { type: Date, default: Date.now },
       },
     ],
     tags: [
@@ -143,12 +190,32 @@ const projectSchema = new mongoose.Schema(
         uploadedAt: { type: Date, default: Date.now },
       },
     ],
+    boardColumns: {
+      type: [
+        {
+          _id: false,
+          key: { type: String, required: true, trim: true },
+          name: { type: String, required: true, trim: true, maxlength: [50, 'Column name cannot exceed 50 characters'] },
+          status: { type: String, required: true, enum: ['pending', 'in-progress', 'completed', 'deferred', 'cancelled'] },
+        },
+      ],
+      default: () => DEFAULT_BOARD_COLUMNS.map((column) => ({ ...column })),
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Membership lists saved before project roles existed hold plain user IDs: load those members as editors
+projectSchema.pre('init', function (rawProject) {
+  if (Array.isArray(rawProject.members)) {
+    rawProject.members = rawProject.members.map((member) => (
+      member instanceof mongoose.Types.ObjectId ? { user: member, role: DEFAULT_MEMBER_ROLE } : member
+    ));
+  }
+});
+
 // Middleware to ensure endDate is after startDate if both are provided (Mongoose schema level)
 projectSchema.pre('save', function (next) {
   if (this.startDate && this.endDate && this.startDate >= this.endDate) {
@@ -158,4 +225,10 @@ projectSchema.pre('save', function (next) {
   }
 });
 
+// Full-text search. Not prefixed by owner like the other modules' indexes: members search the projects too
+projectSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { name: 'search_text', weights: { title: 10, tags: 5, description: 2 } }
+);
+
 module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Events only need to live until every instance has polled them
+const REALTIME_EVENT_RETENTION_SECONDS = 60;
+
+// A real-time event for a user, published by the instance that produced it (e.g. the one that ran a reminder job)
+// so that the instances holding the user's WebSocket connections can push it too
+const realtimeEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  origin: {
+    type: String, // The publishing instance, which has already pushed the event to its own connections
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  minimize: false,
+});
+
+realtimeEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: REALTIME_EVENT_RETENTION_SECONDS });
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
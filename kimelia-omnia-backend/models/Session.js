@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       description: A signed-in device. Each session holds one rotating refresh token; revoking it signs the device out.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated unique ID of the session.
+ *           readOnly: true
+ *           example: 60d0fe4f5b5f7e001c0d3a95
+ *         deviceName:
+ *           type: string
+ *           description: Device name sent by the client at login.
+ *           example: "Kimelia Omnia (ios)"
+ *         userAgent:
+ *           type: string
+ *           description: User-Agent header of the login request.
+ *           example: "okhttp/4.9.2"
+ *         ip:
+ *           type: string
+ *           description: IP address of the most recent request.
+ *           example: "203.0.113.24"
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the session was last used (updated at most every few minutes).
+ *           readOnly: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the refresh token expires unless it is used before then.
+ *           readOnly: true
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request (only in session lists).
+ *           readOnly: true
+ *           example: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the user signed in on this device.
+ *           readOnly: true
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device name cannot exceed 100 characters'],
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ip: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB removes sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * @method isActive
+ * @description Whether the session can still be used (not revoked and not expired).
+ * @returns {boolean} True if active.
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { isValidRecurrenceRule, normalizeRecurrenceRule } = require('../utils/recurrence');
+const { reminderAnchorPlugin } = require('../utils/reminders');
 
 /**
  * @swagger
@@ -62,6 +64,18 @@ const mongoose = require('mongoose');
  *           description: Optional ID of the project this task is part of (References Project Model).
  *           nullable: true
  *           example: 60d0fe4f5b5f7e001c0d3a83
+ *         boardColumn:
+ *           type: string
+ *           description: Key of the project board column the task was last moved to. Set through the board move endpoint.
+ *           readOnly: true
+ *           nullable: true
+ *           example: in-progress
+ *         boardPosition:
+ *           type: number
+ *           description: Rank of the task within its board column (lower comes first). Set through the board move endpoint.
+ *           readOnly: true
+ *           nullable: true
+ *           example: 2048
  *         assignedTo:
  *           type: string
  *           description: Optional ID of another user this task is assigned to (for team environments).
@@ -70,23 +84,21 @@ const mongoose = require('mongoose');
  *         reminders:
  *           type: array
  *           items:
- *             type: object
- *             properties:
- *               time:
- *                 type: string
- *                 format: date-time
- *                 description: Time for the reminder.
- *                 example: 2024-12-30T09:00:00.000Z
- *               method:
- *                 type: string
- *                 enum: [email, app_notification, sms] # Added sms
- *                 description: Method of notification.
- *                 example: app_notification
- *               isSent:
- *                 type: boolean
- *                 default: false
- *                 description: Flag to indicate if this specific reminder has been sent.
- *           description: A list of reminder objects for the task.
+ *             $ref: '#/components/schemas/Reminder'
+ *           description: Reminders for the task. Relative reminders (offsetMinutes) are counted back from the due date.
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         recurringParent:
+ *           type: string
+ *           description: For a single edited occurrence, the ID of the recurring task it was detached from.
+ *           readOnly: true
+ *           nullable: true
+ *         originalOccurrenceDate:
+ *           type: string
+ *           format: date-time
+ *           description: For a single edited occurrence, the due date it originally had in the series.
+ *           readOnly: true
+ *           nullable: true
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -98,6 +110,96 @@ const mongoose = require('mongoose');
  *           description: The timestamp when the task was last updated.
  *           readOnly: true
  */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Recurrence:
+ *       type: object
+ *       nullable: true
+ *       description: iCalendar-style recurrence for tasks and events. The series starts at the item's dueDate (tasks) or startTime (events).
+ *       required:
+ *         - rule
+ *       properties:
+ *         rule:
+ *           type: string
+ *           description: An RFC 5545 RRULE without DTSTART (an optional "RRULE:" prefix is stripped).
+ *           example: FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20251231T000000Z
+ *         exdates:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: date-time
+ *           description: Occurrences excluded from the series (EXDATE), e.g. skipped or individually edited occurrences.
+ *           example: [2025-01-06T09:00:00.000Z]
+ *     Reminder:
+ *       type: object
+ *       description: |
+ *         A reminder of a task, event or goal, either at a fixed `time` or `offsetMinutes` before the task's due date,
+ *         the event's start time or the goal's target date. Relative reminders move with that date: their `time` is
+ *         computed, and recomputed (and the reminder re-armed) whenever the date changes.
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *           example: 60d0fe4f5b5f7e001c0d3a95
+ *         time:
+ *           type: string
+ *           format: date-time
+ *           description: When the reminder is sent. Required unless offsetMinutes is given; computed for relative reminders.
+ *           nullable: true
+ *           example: 2024-12-30T09:00:00.000Z
+ *         offsetMinutes:
+ *           type: integer
+ *           minimum: 0
+ *           description: Minutes before the item's date (e.g. 15, or 1440 for a day before).
+ *           nullable: true
+ *           example: 15
+ *         message:
+ *           type: string
+ *           description: Optional note added to the reminder (required for goal reminders).
+ *           example: "Don't forget to work on your Node.js goal!"
+ *         method:
+ *           type: string
+ *           enum: [email, app_notification, sms]
+ *           default: app_notification
+ *           description: Method of notification. Only app notifications can be snoozed or dismissed.
+ *           example: app_notification
+ *         isSent:
+ *           type: boolean
+ *           default: false
+ *           description: Whether the reminder has been sent (one-off items).
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           nullable: true
+ *           description: When the reminder was last sent.
+ *         snoozedUntil:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           nullable: true
+ *           description: Set when the reminder is snoozed from its notification; it is sent again at that time.
+ *         snoozedOccurrence:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           nullable: true
+ *           description: For recurring items, the occurrence the snoozed reminder is about.
+ *         dismissedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           nullable: true
+ *           description: When the reminder was dismissed from its notification; a dismissed reminder is not sent again.
+ *         lastSentOccurrence:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           nullable: true
+ *           description: For recurring tasks and events, the latest occurrence this reminder has been sent for.
+ */
 const taskSchema = new mongoose.Schema(
   {
     user: {
@@ -140,21 +242,79 @@ const taskSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Project',
     },
+    boardColumn: {
+      type: String,
+    },
+    boardPosition: {
+      type: Number,
+    },
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
     reminders: [
       {
-        time: { type: Date, required: true },
+        time: { type: Date, required: function() { return this.offsetMinutes === undefined || this.offsetMinutes === null; } },
+        offsetMinutes: { type: Number, min: 0 }, // Relative reminder: minutes before the due date
+        message: { type: String },
         method: { type: String, enum: ['email', 'app_notification', 'sms'], default: 'app_notification' }, // Added sms
-        isSent: { type: Boolean, default: false } // New field to track if reminder was sent
+        isSent: { type: Boolean, default: false }, // New field to track if reminder was sent
+        sentAt: { type: Date },
+        snoozedUntil: { type: Date },
+        snoozedOccurrence: { type: Date }, // For recurring tasks: the occurrence a snoozed reminder is about
+        dismissedAt: { type: Date },
+        lastSentOccurrence: { type: Date }, // For recurring tasks: latest occurrence this reminder fired for
       }
     ],
+    recurrence: {
+      type: new mongoose.Schema(
+        {
+          rule: {
+            type: String,
+            required: true,
+            set: normalizeRecurrenceRule,
+            validate: {
+              validator: isValidRecurrenceRule,
+              message: 'Please provide a valid iCalendar recurrence rule (e.g., FREQ=WEEKLY;BYDAY=MO)',
+            },
+          },
+          exdates: [{ type: Date }],
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+    recurringParent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    },
+    originalOccurrenceDate: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// A recurring task needs a due date to anchor its occurrences on
+taskSchema.pre('save', function(next) {
+  if (this.recurrence?.rule && !this.dueDate) {
+    next(new Error('A recurring task must have a due date.'));
+  } else {
+    next();
+  }
+});
+
+// Relative reminders follow the due date
+taskSchema.plugin(reminderAnchorPlugin, { anchorField: 'dueDate' });
+
+taskSchema.index({ project: 1, boardPosition: 1 });
+
+// Full-text search (GET /api/v1/search) within a user's tasks
+taskSchema.index(
+  { user: 1, title: 'text', description: 'text', tags: 'text' },
+  { name: 'search_text', weights: { title: 10, tags: 5, description: 2 } }
+);
+
 module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
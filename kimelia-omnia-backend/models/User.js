@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { DEFAULT_TIME_ZONE, DEFAULT_LOCALE, DEFAULT_WEEK_START } = require('../utils/timezone');
+const { encryptedString } = require('../utils/fieldEncryption');
+const {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  CLOCK_TIME_PATTERN,
+  DEFAULT_QUIET_HOURS,
+} = require('../utils/notificationPreferences');
 
 /**
  * @swagger
@@ -47,6 +56,12 @@ const crypto = require('crypto');
  *           description: Indicates if the user's email address has been verified.
  *           readOnly: true
  *           example: false
+ *         verifiedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the email address was verified.
+ *           readOnly: true
+ *           nullable: true
  *         phoneNumber:
  *           type: string
  *           description: User's phone number for SMS notifications (e.g., +15551234567).
@@ -57,11 +72,11 @@ const crypto = require('crypto');
  *           properties:
  *             accessToken:
  *               type: string
- *               description: Google Calendar API access token.
+ *               description: Google Calendar API access token; stored encrypted.
  *               writeOnly: true
  *             refreshToken:
  *               type: string
- *               description: Google Calendar API refresh token.
+ *               description: Google Calendar API refresh token; stored encrypted.
  *               writeOnly: true
  *             calendarId:
  *               type: string
@@ -71,6 +86,12 @@ const crypto = require('crypto');
  *               type: string
  *               format: date-time
  *               description: Timestamp of the last successful synchronization.
+ *             conflictPolicy:
+ *               type: string
+ *               enum: [last_writer_wins, omnia_wins]
+ *               default: last_writer_wins
+ *               description: How events changed both in Omnia and in Google since the last sync are resolved.
+ *               example: last_writer_wins
  *           description: Google Calendar integration settings and tokens.
  *           nullable: true
  *         gmail:
@@ -94,7 +115,7 @@ const crypto = require('crypto');
  *           properties:
  *             accessToken:
  *               type: string
- *               description: Slack Bot User OAuth Token (xoxb-).
+ *               description: Slack Bot User OAuth Token (xoxb-); stored encrypted.
  *               writeOnly: true
  *             teamId:
  *               type: string
@@ -127,6 +148,44 @@ const crypto = require('crypto');
  *           format: date-time
  *           description: Timestamp when the verification token expires. This field is hidden from API responses.
  *           writeOnly: true
+ *         passwordResetToken:
+ *           type: string
+ *           description: Hashed token for resetting a forgotten password. This field is hidden from API responses.
+ *           writeOnly: true
+ *         passwordResetExpires:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the password reset token expires. This field is hidden from API responses.
+ *           writeOnly: true
+ *         passwordChangedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the password was last changed or reset.
+ *           readOnly: true
+ *         twoFactor:
+ *           type: object
+ *           description: Two-factor authentication (TOTP) status. The secret and backup codes are never returned.
+ *           readOnly: true
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               example: false
+ *             enabledAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *         deletionRequestedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the user asked to delete their account (cleared if they log in again).
+ *           readOnly: true
+ *           nullable: true
+ *         deletionScheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: When the account and all its data will be deleted, unless the user logs in before then.
+ *           readOnly: true
+ *           nullable: true
  *         settings:
  *           type: object
  *           description: User-specific preferences and configurable settings.
@@ -139,10 +198,33 @@ const crypto = require('crypto');
  *             timezone:
  *               type: string
  *               default: UTC
+ *               description: IANA time zone used for day/week/month boundaries (insights, budgets, "today") and for times in notifications.
  *               example: America/New_York
+ *             locale:
+ *               type: string
+ *               default: en-US
+ *               description: BCP 47 locale used to format dates and times in notifications.
+ *               example: en-GB
+ *             weekStart:
+ *               type: integer
+ *               minimum: 0
+ *               maximum: 6
+ *               default: 0
+ *               description: First day of the week for weekly insights and budgets, 0 (Sunday) to 6 (Saturday).
+ *               example: 1
+ *             baseCurrency:
+ *               type: string
+ *               default: USD
+ *               description: ISO 4217 code used for new expenses and budgets by default and for spending insights.
+ *               example: RWF
+ *             notifications:
+ *               $ref: '#/components/schemas/NotificationPreferences'
  *           example:
  *             theme: light
  *             timezone: UTC
+ *             locale: en-US
+ *             weekStart: 0
+ *             baseCurrency: USD
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -153,6 +235,48 @@ const crypto = require('crypto');
  *           format: date-time
  *           description: The timestamp when the user account was last updated.
  *           readOnly: true
+ *     NotificationPreferences:
+ *       type: object
+ *       description: |
+ *         Which channels each category of notification may use, quiet hours and a global pause, applied by the scheduler
+ *         to every reminder and alert. A message for a channel the user turned off goes through the first allowed channel
+ *         (in-app, email, SMS) instead. Messages during quiet hours wait until they end, unless they are urgent (a task of
+ *         urgent priority, or an item due before quiet hours end). Nothing is sent while notifications are paused.
+ *       properties:
+ *         paused:
+ *           type: boolean
+ *           default: false
+ *           description: Global pause of all reminders and alerts.
+ *         channels:
+ *           type: object
+ *           description: Allowed channels per notification category (all by default).
+ *           properties:
+ *             task: { $ref: '#/components/schemas/NotificationChannels' }
+ *             event: { $ref: '#/components/schemas/NotificationChannels' }
+ *             goal: { $ref: '#/components/schemas/NotificationChannels' }
+ *             budget: { $ref: '#/components/schemas/NotificationChannels' }
+ *             digest: { $ref: '#/components/schemas/NotificationChannels' }
+ *         quietHours:
+ *           type: object
+ *           description: Wall-clock times in the user's time zone; may span midnight.
+ *           properties:
+ *             enabled: { type: boolean, default: false }
+ *             start: { type: string, pattern: '^([01]\d|2[0-3]):[0-5]\d$', default: '22:00', example: '22:00' }
+ *             end: { type: string, pattern: '^([01]\d|2[0-3]):[0-5]\d$', default: '07:00', example: '07:00' }
+ *       example:
+ *         paused: false
+ *         channels:
+ *           task: [app_notification, email]
+ *           event: [app_notification, email, sms]
+ *           goal: [app_notification]
+ *           budget: [email]
+ *           digest: []
+ *         quietHours: { enabled: true, start: '22:00', end: '07:00' }
+ *     NotificationChannels:
+ *       type: array
+ *       items:
+ *         type: string
+ *         enum: [app_notification, email, sms]
  */
 const userSchema = new mongoose.Schema(
   {
@@ -188,6 +312,7 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    verifiedAt: Date, // When the email address was verified
     phoneNumber: {
         type: String,
         match: [/^(\+|00)[1-9]\d{1,14}$/, 'Please enter a valid international phone number (e.g., +12345678900)'],
@@ -195,10 +320,13 @@ const userSchema = new mongoose.Schema(
         sparse: true,
     },
     googleCalendar: {
-        accessToken: { type: String, select: false },
-        refreshToken: { type: String, select: false },
+        accessToken: encryptedString({ select: false }), // Encrypted at rest, decrypted on read
+        refreshToken: encryptedString({ select: false }),
         calendarId: String,
         lastSync: Date,
+        syncToken: { type: String, select: false }, // Google nextSyncToken for incremental pulls
+        conflictPolicy: { type: String, enum: ['last_writer_wins', 'omnia_wins'], default: 'last_writer_wins' },
+        pendingDeletions: { type: [String], select: false }, // Google event IDs of events deleted in Omnia, removed on next sync
     },
     gmail: {
         connected: { type: Boolean, default: false },
@@ -206,7 +334,7 @@ const userSchema = new mongoose.Schema(
         historyId: String,
     },
     slack: {
-        accessToken: { type: String, select: false },
+        accessToken: encryptedString({ select: false }), // Encrypted at rest, decrypted on read
         teamId: String,
         userId: String,
         botUserId: String,
@@ -217,9 +345,37 @@ const userSchema = new mongoose.Schema(
     // Microsoft Teams integration removed
     verificationToken: String,
     verificationTokenExpires: Date,
+    passwordResetToken: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+    passwordChangedAt: Date,
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: Date,
+        secret: { type: String, select: false }, // Base32 TOTP secret, set once enrollment is confirmed
+        pendingSecret: { type: String, select: false }, // Secret being enrolled, until the first code is verified
+        lastUsedStep: { type: Number, select: false }, // Time step of the last accepted code, so codes can't be replayed
+        backupCodes: { type: [String], select: false }, // SHA-256 hashes of unused one-time backup codes
+    },
+    deletionRequestedAt: Date,
+    deletionScheduledFor: { type: Date, index: { sparse: true } }, // Set during the grace period of an account deletion
     settings: {
         theme: { type: String, default: 'light', enum: ['light', 'dark', 'system'] },
-        timezone: { type: String, default: 'UTC' }
+        timezone: { type: String, default: DEFAULT_TIME_ZONE }, // Validated by the API; readers fall back to UTC
+        locale: { type: String, default: DEFAULT_LOCALE },
+        weekStart: { type: Number, default: DEFAULT_WEEK_START, min: 0, max: 6 }, // 0 = Sunday
+        baseCurrency: { type: String, default: DEFAULT_CURRENCY, uppercase: true, match: [/^[A-Z]{3}$/, 'Base currency must be a 3-letter ISO 4217 code'] },
+        notifications: {
+            paused: { type: Boolean, default: false },
+            channels: Object.fromEntries(NOTIFICATION_CATEGORIES.map((category) => [
+                category,
+                { type: [{ type: String, enum: NOTIFICATION_CHANNELS }], default: () => [...NOTIFICATION_CHANNELS] },
+            ])),
+            quietHours: {
+                enabled: { type: Boolean, default: DEFAULT_QUIET_HOURS.enabled },
+                start: { type: String, default: DEFAULT_QUIET_HOURS.start, match: [CLOCK_TIME_PATTERN, 'Quiet hours must be HH:mm times'] },
+                end: { type: String, default: DEFAULT_QUIET_HOURS.end, match: [CLOCK_TIME_PATTERN, 'Quiet hours must be HH:mm times'] },
+            },
+        },
     }
   },
   {
@@ -233,6 +389,7 @@ userSchema.pre('save', async function (next) {
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) this.passwordChangedAt = new Date();
   next();
 });
 
@@ -253,5 +410,18 @@ userSchema.methods.getVerificationToken = function () {
     return verificationToken;
 };
 
+userSchema.methods.getPasswordResetToken = function () {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = crypto
+      .createHash('sha256')
+      .update(resetToken)
+      .digest('hex');
+
+    this.passwordResetExpires = Date.now() + 30 * 60 * 1000; // 30 minutes
+
+    return resetToken;
+};
+
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
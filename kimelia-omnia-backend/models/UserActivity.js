@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Kept a little over a year, the longest range of the admin analytics
+const USER_ACTIVITY_RETENTION_DAYS = 400;
+
+// One document per user and UTC day on which they made an authenticated request (daily/weekly active users)
+const userActivitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  date: {
+    type: Date, // Midnight UTC
+    required: true,
+  },
+});
+
+userActivitySchema.index({ date: 1, user: 1 }, { unique: true });
+userActivitySchema.index({ date: 1 }, { expireAfterSeconds: USER_ACTIVITY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('UserActivity', userActivitySchema);
@@ -5,14 +5,32 @@ const {
   getUserById,
   updateUser,
   deleteUser,
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+  getAuditLogs,
+  getAnalytics,
+  getJobs,
+  getJobById,
+  retryJob,
 } = require('../controllers/adminController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
+const { audit } = require('../middleware/auditMiddleware');
 const {
     validateAdminUpdateUser,
-    validateIdParam // --- ADDED: Import validateIdParam ---
+    validateIdParam, // --- ADDED: Import validateIdParam ---
+    validateCurrencyParam,
+    validateExchangeRate,
+    validateAuditLogQuery,
+    validateAnalyticsQuery,
+    validateJobQuery,
 } = require('../middleware/validationMiddleware');
 const router = express.Router();
 
+// Audit entries for administrative changes to the user in the path
+const auditUser = (action) => audit(action, { targetType: 'User', targetId: (req) => req.params.id });
+
 /**
  * @swagger
  * tags:
@@ -32,6 +50,17 @@ router.use(protect, authorizeRoles('admin'));
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, name, email, -createdAt, -name, -email]
+ *           default: "-createdAt"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of all user accounts.
@@ -42,6 +71,8 @@ router.use(protect, authorizeRoles('admin'));
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 5 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -54,7 +85,7 @@ router.use(protect, authorizeRoles('admin'));
  *         $ref: '#/components/responses/ServerError'
  */
 router.route('/users')
-    .get(getAllUsers);
+    .get(listQuery('User', { sortFields: ['createdAt', 'name', 'email'], defaultSort: '-createdAt', hiddenFields: ['password', 'verificationToken', 'verificationTokenExpires'] }), getAllUsers);
 
 /**
  * @swagger
@@ -94,7 +125,7 @@ router.route('/users')
  *         $ref: '#/components/responses/ServerError'
  *   put:
  *     summary: Update a user's details by ID (Admin only).
- *     description: Allows an admin to update a user's name, email, role, verification status, or settings. Passwords cannot be changed via this route for security.
+ *     description: Allows an admin to update a user's name, email, role, verification status, or settings. Passwords cannot be changed via this route for security. The change is recorded in the audit log (`user.role_change` when the role changes, `user.update` otherwise) with the old and new values.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -143,7 +174,23 @@ router.route('/users')
  *                     example: dark
  *                   timezone:
  *                     type: string
+ *                     description: IANA time zone for day/week/month boundaries and times in notifications.
  *                     example: Asia/Tokyo
+ *                   locale:
+ *                     type: string
+ *                     description: BCP 47 locale for dates and times in notifications.
+ *                     example: en-GB
+ *                   weekStart:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 6
+ *                     description: First day of the week, 0 (Sunday) to 6 (Saturday).
+ *                     example: 1
+ *                   baseCurrency:
+ *                     type: string
+ *                     example: EUR
+ *                   notifications:
+ *                     $ref: '#/components/schemas/NotificationPreferences'
  *     responses:
  *       200:
  *         description: User updated successfully by admin.
@@ -170,7 +217,7 @@ router.route('/users')
  *         $ref: '#/components/responses/ServerError'
  *   delete:
  *     summary: Delete a user account by ID (Admin only).
- *     description: Permanently deletes a user account. This action cannot be undone and requires 'admin' role. An admin cannot delete their own account via this route.
+ *     description: Permanently deletes a user account right away (no grace period) with the same cleanup as a self-service deletion (see `DELETE /auth/profile`), and returns a summary of what was removed. This action cannot be undone and requires 'admin' role. An admin cannot delete their own account via this route.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -205,8 +252,513 @@ router.route('/users')
  */
 router.route('/users/:id')
     .get(validateIdParam, getUserById) // --- ADDED validateIdParam ---
-    .put(validateIdParam, validateAdminUpdateUser, updateUser) // --- ADDED validateIdParam ---
-    .delete(validateIdParam, deleteUser); // --- ADDED validateIdParam ---
+    .put(validateIdParam, auditUser('user.update'), validateAdminUpdateUser, updateUser) // --- ADDED validateIdParam ---
+    .delete(validateIdParam, auditUser('user.delete'), deleteUser); // --- ADDED validateIdParam ---
+
+/**
+ * @swagger
+ * /admin/exchange-rates:
+ *   get:
+ *     summary: Retrieve the exchange-rate table (Admin only).
+ *     description: Lists the rates used to convert expenses into budget currencies and users' base currencies. Rates are relative to USD, the reference currency, which is implicit with a rate of 1. Amounts in a currency without a rate are left out of converted totals.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The exchange-rate table.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 referenceCurrency: { type: string, example: USD }
+ *                 count: { type: number, example: 2 }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.route('/exchange-rates')
+    .get(getExchangeRates);
+
+/**
+ * @swagger
+ * /admin/exchange-rates/{currency}:
+ *   put:
+ *     summary: Add or update the exchange rate of a currency (Admin only).
+ *     description: Sets how many units of the currency are worth 1 USD. New rates apply to every conversion from then on, including the spending of budgets already in progress.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ISO 4217 currency code (any case). USD cannot be set.
+ *         example: RWF
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 format: float
+ *                 description: Units of the currency worth 1 USD.
+ *                 example: 1300
+ *     responses:
+ *       200:
+ *         description: Exchange rate saved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: Exchange rate for RWF saved. }
+ *                 data:
+ *                   $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Invalid currency code or rate, or an attempt to set the reference currency.
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Remove the exchange rate of a currency (Admin only).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ISO 4217 currency code.
+ *         example: EUR
+ *     responses:
+ *       200:
+ *         description: Exchange rate removed.
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.route('/exchange-rates/:currency')
+    .put(validateCurrencyParam, validateExchangeRate, setExchangeRate)
+    .delete(validateCurrencyParam, deleteExchangeRate);
+
+/**
+ * @swagger
+ * /admin/audit-logs:
+ *   get:
+ *     summary: Search the audit log (Admin only).
+ *     description: |
+ *       Lists recorded security-relevant and administrative actions, newest first: logins (including failed attempts), password and two-factor changes, account deletions, admin changes to users, integration connections, project membership changes, and retries of background jobs. Entries are written by the server and cannot be changed or removed through the API.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [auth.login, auth.login_failed, auth.password_change, auth.password_reset, auth.2fa_enable, auth.2fa_disable, account.deletion_scheduled, account.deleted, user.update, user.role_change, user.delete, integration.connect, integration.disconnect, project.member_add, project.member_remove, project.member_role_change, project.ownership_transfer, job.retry]
+ *         description: Only entries for this action.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Only entries by this user ID.
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [User, Project, Integration, Job]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: Only entries about this resource ID.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or after this time.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or before this time.
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: "-createdAt"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: A page of audit log entries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 count: { type: number, example: 50 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.route('/audit-logs')
+    .get(validateAuditLogQuery, listQuery('AuditLog', { sortFields: ['createdAt'], defaultSort: '-createdAt' }), getAuditLogs);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DailyCount:
+ *       type: object
+ *       properties:
+ *         date: { type: string, format: date, description: "The UTC day (or the Monday starting the UTC week).", example: "2024-07-01" }
+ *         count: { type: number, example: 12 }
+ *     ModuleUsage:
+ *       type: object
+ *       properties:
+ *         total: { type: number, description: Records created in the range., example: 340 }
+ *         series:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DailyCount'
+ *     IntegrationAdoption:
+ *       type: object
+ *       properties:
+ *         connected: { type: number, description: Users connected now., example: 42 }
+ *         share: { type: number, description: Share of all users (0-1)., example: 0.21 }
+ */
+
+/**
+ * @swagger
+ * /admin/analytics:
+ *   get:
+ *     summary: Platform-wide metrics for the admin dashboard (Admin only).
+ *     description: |
+ *       Returns metrics over a range of whole UTC days (the last 30 days by default, at most 366), as series with one point per day (or per week for weekly active users) ready for charting; days without activity have a count of 0.
+ *       - `users`: total and verified users now, with signups and email verifications per day.
+ *       - `activeUsers`: users who made at least one authenticated request, per day and per week (weeks start on Monday).
+ *       - `modules`: tasks, events, goals, expenses and wellness records created.
+ *       - `integrations`: users connected to Google Calendar, Gmail and Slack now, with new connections per day.
+ *       - `ai`: calls to the AI provider and their failure rates, in total, per AI feature (e.g. `summarizeText`) and per day.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the range (defaults to 29 days before `to`).
+ *         example: "2024-06-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the range, included (defaults to today).
+ *         example: "2024-06-30"
+ *     responses:
+ *       200:
+ *         description: The metrics of the range.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 range:
+ *                   type: object
+ *                   properties:
+ *                     from: { type: string, format: date-time, example: "2024-06-01T00:00:00.000Z" }
+ *                     to: { type: string, format: date-time, example: "2024-06-30T00:00:00.000Z" }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: object
+ *                       properties:
+ *                         total: { type: number, example: 200 }
+ *                         verified: { type: number, example: 180 }
+ *                         signups:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/DailyCount'
+ *                         verifications:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/DailyCount'
+ *                     activeUsers:
+ *                       type: object
+ *                       properties:
+ *                         daily:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/DailyCount'
+ *                         weekly:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/DailyCount'
+ *                     modules:
+ *                       type: object
+ *                       properties:
+ *                         tasks: { $ref: '#/components/schemas/ModuleUsage' }
+ *                         events: { $ref: '#/components/schemas/ModuleUsage' }
+ *                         goals: { $ref: '#/components/schemas/ModuleUsage' }
+ *                         expenses: { $ref: '#/components/schemas/ModuleUsage' }
+ *                         wellnessRecords: { $ref: '#/components/schemas/ModuleUsage' }
+ *                     integrations:
+ *                       type: object
+ *                       properties:
+ *                         totalUsers: { type: number, example: 200 }
+ *                         googleCalendar: { $ref: '#/components/schemas/IntegrationAdoption' }
+ *                         gmail: { $ref: '#/components/schemas/IntegrationAdoption' }
+ *                         slack: { $ref: '#/components/schemas/IntegrationAdoption' }
+ *                         connections:
+ *                           type: array
+ *                           description: New connections per day and provider.
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               date: { type: string, format: date, example: "2024-06-03" }
+ *                               google: { type: number, example: 2 }
+ *                               slack: { type: number, example: 1 }
+ *                     ai:
+ *                       type: object
+ *                       properties:
+ *                         calls: { type: number, example: 950 }
+ *                         failures: { type: number, example: 19 }
+ *                         failureRate: { type: number, description: Failures as a share of calls (0-1)., example: 0.02 }
+ *                         operations:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               operation: { type: string, example: summarizeText }
+ *                               calls: { type: number, example: 400 }
+ *                               failures: { type: number, example: 4 }
+ *                               failureRate: { type: number, example: 0.01 }
+ *                         series:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               date: { type: string, format: date, example: "2024-06-03" }
+ *                               calls: { type: number, example: 31 }
+ *                               failures: { type: number, example: 1 }
+ *                               failureRate: { type: number, example: 0.0323 }
+ *       400:
+ *         description: Invalid dates, or a range longer than 366 days.
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.route('/analytics')
+    .get(validateAnalyticsQuery, getAnalytics);
+
+/**
+ * @swagger
+ * /admin/jobs:
+ *   get:
+ *     summary: Inspect the background job queue (Admin only).
+ *     description: |
+ *       Lists jobs of the persistent job queue, newest first, with the number of jobs in each status. Background work (reminder scans and deliveries, budget checks, cleanup, data exports) runs as jobs; failed jobs are retried with exponential backoff and end up `dead` after their last attempt. Completed jobs are deleted after `JOB_RETENTION_DAYS` (7 by default).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, dead]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only jobs of this type (e.g. reminders.send, reminders.scan, budgets.check, maintenance.cleanup, dataExport.process).
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, runAt, -runAt, updatedAt, -updatedAt]
+ *           default: "-createdAt"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: A page of jobs.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 count: { type: number, example: 50 }
+ *                 summary:
+ *                   type: object
+ *                   description: Jobs per status (of the requested type, if any), regardless of the status filter.
+ *                   properties:
+ *                     pending: { type: number, example: 3 }
+ *                     running: { type: number, example: 1 }
+ *                     completed: { type: number, example: 8640 }
+ *                     dead: { type: number, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.route('/jobs')
+    .get(validateJobQuery, listQuery('Job', { sortFields: ['createdAt', 'runAt', 'updatedAt'], defaultSort: '-createdAt' }), getJobs);
+
+/**
+ * @swagger
+ * /admin/jobs/{id}:
+ *   get:
+ *     summary: Get a background job (Admin only).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The job ID.
+ *     responses:
+ *       200:
+ *         description: The job, including its payload and last error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.route('/jobs/:id')
+    .get(validateIdParam, getJobById);
+
+/**
+ * @swagger
+ * /admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Run a failed background job again (Admin only).
+ *     description: Queues a dead job, or a pending job waiting for its next retry, to run right away with its attempts reset. Recorded in the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The job ID.
+ *     responses:
+ *       200:
+ *         description: The job was queued again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Job queued to run again." }
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid ID, or the job is running or completed.
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.route('/jobs/:id/retry')
+    .post(validateIdParam, audit('job.retry', { targetType: 'Job', targetId: (req) => req.params.id }), retryJob);
 
 router.route('/auth/admin-data') // Path for admin-specific data
     .get(getAdminData);
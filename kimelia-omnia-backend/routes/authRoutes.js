@@ -1,26 +1,60 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const {
   registerUser,
   loginUser,
   verifyEmail,
   getUserProfile,
   updateUserProfile,
+  deleteAccount,
+  verifyLoginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  revokeSession,
 } = require('../controllers/authController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { audit } = require('../middleware/auditMiddleware');
 const {
     validateRegister,
     validateLogin,
     validateVerifyEmail,
     validateUpdateUserProfile,
-
+    validateRefreshToken,
+    validateLogoutAll,
+    validateTwoFactorLogin,
+    validateSetupTwoFactor,
+    validateTwoFactorCode,
+    validateDisableTwoFactor,
+    validateDeleteAccount,
+    validateForgotPassword,
+    validateResetPassword,
+    validateChangePassword,
+    validateIdParam,
 } = require('../middleware/validationMiddleware');
 const router = express.Router();
 
+// Audit log entries for actions on the authenticated user's own account
+const auditOwnAccount = (action) => audit(action, { targetType: 'User', targetId: (req) => req.user?._id });
+const auditLogin = audit('auth.login', { targetType: 'User', failureAction: 'auth.login_failed' });
+
 /**
  * @swagger
  * tags:
  *   name: Authentication
- *   description: User authentication, registration, email verification, and profile management
+ *   description: |
+ *     User authentication, registration, email verification, sessions and profile management.
+ *     Logging in starts a session for the device and returns a short-lived access token (`token`, sent as a Bearer token)
+ *     and a refresh token. When the access token expires, exchange the refresh token at `/auth/refresh` for a new pair;
+ *     each refresh token works once. Revoking a session signs its device out immediately.
  */
 
 /**
@@ -148,8 +182,8 @@ router.post('/verify-email', validateVerifyEmail, verifyEmail);
  * @swagger
  * /auth/login:
  *   post:
- *     summary: Authenticate user and obtain a JWT token.
- *     description: Logs in a user with their email and password, returning user details and an access token. Requires email to be verified.
+ *     summary: Authenticate user and obtain an access token and a refresh token.
+ *     description: Logs in a user with their email and password and starts a session for the device, returning user details, a short-lived access token and a refresh token. Requires email to be verified. If the user has two-factor authentication enabled, the response is instead a challenge token to send with a code to `/auth/login/2fa`. Logging in while the account is scheduled for deletion cancels the deletion (the response then has `accountDeletionCancelled` set to true).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -171,13 +205,20 @@ router.post('/verify-email', validateVerifyEmail, verifyEmail);
  *                 format: password
  *                 description: User's password.
  *                 example: myStrongPassword123
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Optional. Name of the device, shown in the session list.
+ *                 example: "Kimelia Omnia (ios)"
  *     responses:
  *       200:
- *         description: User authenticated successfully.
+ *         description: User authenticated successfully, or (with 2FA enabled) the password was correct and a code is required.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       400:
  *         $ref: '#/components/responses/BadRequestError'
  *       401:
@@ -198,7 +239,523 @@ router.post('/verify-email', validateVerifyEmail, verifyEmail);
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/login', validateLogin, loginUser);
+router.post('/login', auditLogin, validateLogin, loginUser);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TwoFactorChallenge:
+ *       type: object
+ *       properties:
+ *         twoFactorRequired: { type: boolean, example: true }
+ *         challengeToken: { type: string, description: "Valid for 5 minutes, one login and 5 codes; only accepted by /auth/login/2fa." }
+ *         message: { type: string, example: "Enter the code from your authenticator app (or a backup code) to finish logging in." }
+ *     BackupCodes:
+ *       type: object
+ *       properties:
+ *         success: { type: boolean, example: true }
+ *         message: { type: string }
+ *         data:
+ *           type: object
+ *           properties:
+ *             backupCodes:
+ *               type: array
+ *               description: One-time codes, shown only in this response.
+ *               items: { type: string }
+ *               example: ["3f9a1-0c2d7", "b84e2-91aa0"]
+ */
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Finish a login with a two-factor code.
+ *     description: Exchanges the challenge token from `/auth/login` and a 6-digit authenticator code (or an unused backup code) for the session tokens. A challenge token works for one login and 5 codes; after that, log in with the password again. Wrong codes are also limited to 10 per IP every 15 minutes.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, code]
+ *             properties:
+ *               challengeToken: { type: string }
+ *               code: { type: string, example: "492039" }
+ *               deviceName: { type: string, maxLength: 100, example: "Kimelia Omnia (ios)" }
+ *     responses:
+ *       200:
+ *         description: User authenticated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         description: The code is wrong, or the challenge token is invalid, expired, already used or out of attempts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many wrong codes from this IP.
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// On top of the attempts allowed per challenge: wrong codes per IP, across challenges
+const twoFactorLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: 'Too many two-factor attempts from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.post('/login/2fa', twoFactorLoginLimiter, auditLogin, validateTwoFactorLogin, verifyLoginTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start enrolling in two-factor authentication.
+ *     description: Generates a TOTP secret and its otpauth URI (show it as a QR code). Requires the current password. 2FA is only enabled once a code from it is confirmed at `/auth/2fa/enable`.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword]
+ *             properties:
+ *               currentPassword: { type: string, format: password }
+ *     responses:
+ *       200:
+ *         description: Secret generated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret: { type: string, example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP" }
+ *                     otpauthUri: { type: string, example: "otpauth://totp/KIMELIA%20Omnia%3Ajohn.doe%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=KIMELIA+Omnia&algorithm=SHA1&digits=6&period=30" }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/2fa/setup', protect, validateSetupTwoFactor, setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment.
+ *     description: Verifies a code from the authenticator app against the secret from `/auth/2fa/setup`, enables 2FA and returns 10 one-time backup codes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: "492039" }
+ *     responses:
+ *       200:
+ *         description: 2FA enabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BackupCodes'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/2fa/enable', protect, auditOwnAccount('auth.2fa_enable'), validateTwoFactorCode, enableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication.
+ *     description: Requires the account password and an authenticator or backup code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password, code]
+ *             properties:
+ *               password: { type: string, format: password }
+ *               code: { type: string, example: "492039" }
+ *     responses:
+ *       200:
+ *         description: 2FA disabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Two-factor authentication disabled." }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         description: Not authenticated, or the password or code is wrong.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/2fa/disable', protect, auditOwnAccount('auth.2fa_disable'), validateDisableTwoFactor, disableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/backup-codes:
+ *   post:
+ *     summary: Regenerate backup codes.
+ *     description: Replaces the backup codes with 10 new ones; the old ones stop working. Requires an authenticator or backup code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: "492039" }
+ *     responses:
+ *       200:
+ *         description: New backup codes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BackupCodes'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         description: Not authenticated, or the code is wrong.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/2fa/backup-codes', protect, validateTwoFactorCode, regenerateBackupCodes);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email.
+ *     description: Emails a password reset link, valid for 30 minutes, if an account exists for the address. The response is the same whether or not it does.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email, example: john.doe@example.com }
+ *     responses:
+ *       200:
+ *         description: Request accepted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "If an account exists for this email, a password reset link has been sent to it." }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset a forgotten password.
+ *     description: Sets a new password using the token from the reset email. The token works once, and all of the user's sessions are signed out.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token: { type: string, description: "The token from the reset link.", example: "a1b2c3d4e5f6..." }
+ *               password: { type: string, format: password, minLength: 6, example: NewSecurePass123 }
+ *     responses:
+ *       200:
+ *         description: Password reset.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string, example: "Password reset successfully! Please log in with your new password." }
+ *       400:
+ *         description: Validation error, or the token is invalid or expired.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/reset-password', audit('auth.password_reset', { targetType: 'User' }), validateResetPassword, resetPassword);
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   put:
+ *     summary: Change the password.
+ *     description: Changes the authenticated user's password after checking the current one. This device stays signed in; all other sessions are signed out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword, newPassword]
+ *             properties:
+ *               currentPassword: { type: string, format: password, example: myStrongPassword123 }
+ *               newPassword: { type: string, format: password, minLength: 6, example: NewSecurePass123 }
+ *     responses:
+ *       200:
+ *         description: Password changed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Password changed successfully!" }
+ *                 revokedSessions: { type: number, example: 2 }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         description: Not authenticated, or the current password is incorrect.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/change-password', protect, auditOwnAccount('auth.password_change'), validateChangePassword, changePassword);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Refresh the access token.
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The refresh token sent can't be used again; sending an already-used one revokes its session.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken: { type: string, example: "60d0fe4f5b5f7e001c0d3a95.9f2c4b..." }
+ *     responses:
+ *       200:
+ *         description: New tokens issued.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token: { type: string, description: "New access token." }
+ *                 refreshToken: { type: string, description: "New refresh token." }
+ *                 sessionId: { type: string, example: "60d0fe4f5b5f7e001c0d3a95" }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         description: The refresh token is invalid, expired, already used, or its session was revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/refresh', validateRefreshToken, refreshAccessToken);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out of the current session.
+ *     description: Revokes the session of the access token used, so its access and refresh tokens stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Logged out successfully!" }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/logout', protect, logoutUser);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out everywhere.
+ *     description: Revokes every session of the authenticated user, signing out all devices. With `keepCurrent`, the session making the request stays signed in.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepCurrent: { type: boolean, default: false, example: true }
+ *     responses:
+ *       200:
+ *         description: Sessions revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Logged out of all devices." }
+ *                 revokedCount: { type: number, example: 3 }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/logout-all', protect, validateLogoutAll, logoutAllSessions);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the authenticated user's sessions.
+ *     description: Returns the devices the user is signed in on, most recently used first.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 count: { type: number, example: 2 }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/Session' }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session.
+ *     description: Signs out one of the authenticated user's devices.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *         description: The ID of the session to revoke.
+ *         example: 60d0fe4f5b5f7e001c0d3a95
+ *     responses:
+ *       200:
+ *         description: Session revoked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Session revoked successfully!" }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/sessions/:id', protect, validateIdParam, revokeSession);
 
 /**
  * @swagger
@@ -227,6 +784,7 @@ router.post('/login', validateLogin, loginUser);
  *                   settings:
  *                     theme: light
  *                     timezone: UTC
+ *                     baseCurrency: USD
  *                   createdAt: '2023-10-26T10:00:00.000Z'
  *                   updatedAt: '2023-10-26T10:00:00.000Z'
  *       401:
@@ -237,7 +795,7 @@ router.post('/login', validateLogin, loginUser);
  *         $ref: '#/components/responses/ServerError'
  *   put:
  *     summary: Update the authenticated user's profile.
- *     description: Allows the authenticated user to update their name, email, password, role (to allowed values), or settings. Changing the email will require re-verification.
+ *     description: Allows the authenticated user to update their name, email, role (to allowed values), or settings. Changing the email will require re-verification. The password is changed with `PUT /auth/change-password`, which asks for the current one.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -259,12 +817,6 @@ router.post('/login', validateLogin, loginUser);
  *                 format: email
  *                 description: New unique email address for the user. If changed, re-verification is required.
  *                 example: jane.smith@example.com
- *               password:
- *                 type: string
- *                 format: password
- *                 description: New password (will be hashed).
- *                 minLength: 6
- *                 example: NewSecurePass123
  *               role:
  *                 type: string
  *                 enum: [individual, student, startup] # Admin role cannot be set via this route for security
@@ -280,7 +832,26 @@ router.post('/login', validateLogin, loginUser);
  *                     example: dark
  *                   timezone:
  *                     type: string
+ *                     description: IANA time zone for day/week/month boundaries and times in notifications.
  *                     example: Europe/London
+ *                   locale:
+ *                     type: string
+ *                     description: BCP 47 locale for dates and times in notifications.
+ *                     example: en-GB
+ *                   weekStart:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 6
+ *                     description: First day of the week, 0 (Sunday) to 6 (Saturday).
+ *                     example: 1
+ *                   baseCurrency:
+ *                     type: string
+ *                     description: ISO 4217 code used as the default currency of new expenses and budgets and for spending insights.
+ *                     example: RWF
+ *                   notifications:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/NotificationPreferences'
+ *                     description: Partial update; categories and quiet-hours fields left out keep their current values.
  *     responses:
  *       200:
  *         description: User profile updated successfully. If email changed, a new verification email is sent.
@@ -297,7 +868,6 @@ router.post('/login', validateLogin, loginUser);
  *                 email: { type: 'string' }
  *                 role: { type: 'string' }
  *                 isVerified: { type: 'boolean' }
- *                 token: { type: 'string' }
  *       400:
  *         $ref: '#/components/responses/BadRequestError'
  *       401:
@@ -308,10 +878,65 @@ router.post('/login', validateLogin, loginUser);
  *         $ref: '#/components/responses/ConflictError'
  *       500:
  *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Delete the authenticated user's account.
+ *     description: |
+ *       Schedules the account for deletion after a grace period (`ACCOUNT_DELETION_GRACE_DAYS`, 14 days by default)
+ *       and signs the user out on every device. Logging in again before then cancels the deletion.
+ *       When the grace period ends, the account is deleted with all of its data: tasks, events, goals, messages,
+ *       learning resources, expenses, budgets, wellness records, notifications, sessions and data exports.
+ *       Google and Slack access is revoked. Owned projects are handed to their highest-ranked member (or deleted
+ *       if they have none), the user is removed from other projects, and tasks they added to shared projects
+ *       are handed to the project owner.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: myStrongPassword123
+ *               code:
+ *                 type: string
+ *                 description: Authenticator or backup code. Required if two-factor authentication is enabled.
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: The account is scheduled for deletion.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Your account will be deleted on Tue, 16 Jul 2024 10:00:00 GMT. You have been signed out everywhere; log in again before then to cancel." }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deletionScheduledFor: { type: string, format: date-time }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         description: Wrong password or two-factor code.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
  */
 router.route('/profile')
     .get(protect, getUserProfile)
-    .put(protect, validateUpdateUserProfile, updateUserProfile);
+    .put(protect, validateUpdateUserProfile, updateUserProfile)
+    .delete(protect, auditOwnAccount('account.deletion_scheduled'), validateDeleteAccount, deleteAccount);
 
 /**
  * @swagger
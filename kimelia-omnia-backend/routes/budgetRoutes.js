@@ -7,6 +7,7 @@ const {
   deleteBudget,
 } = require('../controllers/budgetController');
 const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
 const {
     validateCreateBudget,
     validateUpdateBudget,
@@ -29,7 +30,7 @@ router.use(protect);
  * /budgets:
  *   get:
  *     summary: Retrieve all budgets for the authenticated user.
- *     description: Fetches a list of all financial budgets belonging to the current user. Supports filtering by category, period type, and active status.
+ *     description: Fetches a list of all financial budgets belonging to the current user, each with live `spent`, `remaining`, `percentUsed` and `isOverBudget` figures computed from matching expenses. Supports filtering by category, period type, and active status.
  *     tags: [Budgets (Omnia Finance)]
  *     security:
  *       - bearerAuth: []
@@ -57,6 +58,16 @@ router.use(protect);
  *         required: false
  *         description: Optional. If true, only return budgets that are currently active (current date falls between startDate and endDate).
  *         example: true
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [startDate, endDate, limitAmount, createdAt, -startDate, -endDate, -limitAmount, -createdAt]
+ *           default: "-startDate"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of budgets.
@@ -67,6 +78,8 @@ router.use(protect);
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -77,7 +90,7 @@ router.use(protect);
  *         $ref: '#/components/responses/ServerError'
  *   post:
  *     summary: Create a new budget for the authenticated user.
- *     description: Sets up a new financial budget for a specific category and period. The `user` field is automatically set.
+ *     description: Sets up a new financial budget for a specific category and period. The `user` field is automatically set. Daily, weekly, monthly and yearly budgets roll over automatically at the end of each period; their dates default to the current period.
  *     tags: [Budgets (Omnia Finance)]
  *     security:
  *       - bearerAuth: []
@@ -87,14 +100,17 @@ router.use(protect);
  *         application/json:
  *           schema:
  *             type: object
- *             required: [category, limitAmount, startDate, endDate]
+ *             required: [category, limitAmount]
  *             properties:
  *               category: { type: string, enum: [food, transport, housing, utilities, entertainment, shopping, education, health, work, bills, savings, other, all], example: "food" }
  *               limitAmount: { type: number, format: float, minimum: 0, example: 300.00 }
- *               startDate: { type: string, format: "date-time", example: "2024-11-01T00:00:00.000Z" }
- *               endDate: { type: string, format: "date-time", example: "2024-11-30T23:59:59.000Z" }
- *               periodType: { type: string, enum: [daily, weekly, monthly, yearly, custom], example: "monthly" }
+ *               currency: { type: string, description: "ISO 4217 code of the limit. Defaults to your base currency; expenses in other currencies are converted into it.", example: "USD" }
+ *               startDate: { type: string, format: "date-time", description: "Required for custom budgets. Optional for rolling budgets (defaults to the start of the current period).", example: "2024-11-01T00:00:00.000Z" }
+ *               endDate: { type: string, format: "date-time", description: "Required for custom budgets. Optional for rolling budgets (derived from startDate and periodType).", example: "2024-11-30T23:59:59.000Z" }
+ *               periodType: { type: string, enum: [daily, weekly, monthly, yearly, custom], default: custom, example: "monthly" }
  *               alertThreshold: { type: number, format: float, minimum: 0, maximum: 100, example: 80 }
+ *               alertMethod: { type: string, enum: [email, sms, app_notification], example: "app_notification" }
+ *               carryOverUnspent: { type: boolean, description: "Rolling budgets only. Add the unspent amount of each closed period to the next period's limit.", example: true }
  *     responses:
  *       201:
  *         description: Budget created successfully.
@@ -121,7 +137,7 @@ router.use(protect);
  *         $ref: '#/components/responses/ServerError'
  */
 router.route('/')
-    .get(getBudgets)
+    .get(listQuery('Budget', { sortFields: ['startDate', 'endDate', 'limitAmount', 'createdAt'], defaultSort: '-startDate', computedFields: ['effectiveLimit', 'spent', 'remaining', 'percentUsed', 'isOverBudget', 'unconvertedCurrencies'] }), getBudgets)
     .post(validateCreateBudget, createBudget);
 
 /**
@@ -129,7 +145,7 @@ router.route('/')
  * /budgets/{id}:
  *   get:
  *     summary: Retrieve a single budget by its ID.
- *     description: Fetches details of a specific budget. The budget must belong to the authenticated user.
+ *     description: Fetches details of a specific budget, including live spending figures (`spent`, `remaining`, `percentUsed`, `isOverBudget`). The budget must belong to the authenticated user.
  *     tags: [Budgets (Omnia Finance)]
  *     security:
  *       - bearerAuth: []
@@ -181,10 +197,13 @@ router.route('/')
  *             properties:
  *               category: { type: string, enum: [food, transport, housing, utilities, entertainment, shopping, education, health, work, bills, savings, other, all], example: "transport" }
  *               limitAmount: { type: number, format: float, minimum: 0, example: 150.00 }
+ *               currency: { type: string, example: "RWF" }
  *               startDate: { type: string, format: "date-time", example: "2024-12-01T00:00:00.000Z" }
  *               endDate: { type: string, format: "date-time", example: "2024-12-31T23:59:59.000Z" }
  *               periodType: { type: string, enum: [daily, weekly, monthly, yearly, custom], example: "monthly" }
  *               alertThreshold: { type: number, format: float, minimum: 0, maximum: 100, example: 90 }
+ *               alertMethod: { type: string, enum: [email, sms, app_notification], example: "email" }
+ *               carryOverUnspent: { type: boolean, example: false }
  *     responses:
  *       200:
  *         description: Budget updated successfully.
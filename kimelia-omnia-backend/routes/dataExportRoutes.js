@@ -0,0 +1,176 @@
+const express = require('express');
+const {
+  createDataExport,
+  getDataExports,
+  getDataExport,
+  downloadDataExport,
+} = require('../controllers/dataExportController');
+const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
+const { validateIdParam, validateDataExportDownload } = require('../middleware/validationMiddleware');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /exports/{id}/download:
+ *   get:
+ *     summary: Download a data export archive.
+ *     description: |
+ *       The `downloadUrl` of a completed export points here. The link token authorizes the download,
+ *       so the link can be opened in a browser without an Authorization header. Links expire after an hour
+ *       (or when the archive does); fetch the export again for a new one.
+ *     tags: [Data Export]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The export ID.
+ *         example: 60d0fe4f5b5f7e001c0d3b20
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The token from the download link.
+ *     responses:
+ *       200:
+ *         description: The ZIP archive.
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         description: The link token is invalid or has expired.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       410:
+ *         description: The archive has expired or is not available.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/download', validateIdParam, validateDataExportDownload, downloadDataExport);
+
+// Apply protect middleware to all other data export routes
+router.use(protect);
+
+/**
+ * @swagger
+ * /exports:
+ *   post:
+ *     summary: Request an archive of all your data.
+ *     description: |
+ *       Starts building a ZIP archive of everything you own in the background: your profile, tasks, events, goals,
+ *       messages, learning resources, the projects you own, expenses, budgets and wellness records, each as JSON and CSV.
+ *       Poll `GET /exports/{id}` until `status` is `completed`; it then includes an expiring `downloadUrl`.
+ *       You are also notified in the app. Only one export runs at a time: if one is in progress, it is returned.
+ *     tags: [Data Export]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: The export was started (or one is already in progress).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Your data export has started. Check its status to get the download link once it is completed." }
+ *                 data:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   get:
+ *     summary: List your data exports.
+ *     description: Returns your 20 most recent exports, newest first. Completed ones include an expiring `downloadUrl`.
+ *     tags: [Data Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: "-createdAt"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: A list of data exports.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 count: { type: integer, example: 1 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.route('/')
+  .post(createDataExport)
+  .get(listQuery('DataExport', { sortFields: ['createdAt'], defaultSort: '-createdAt', computedFields: ['downloadUrl', 'downloadUrlExpiresAt'] }), getDataExports);
+
+/**
+ * @swagger
+ * /exports/{id}:
+ *   get:
+ *     summary: Get the status of a data export.
+ *     description: Once `status` is `completed`, the response includes an expiring `downloadUrl`.
+ *     tags: [Data Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The export ID.
+ *         example: 60d0fe4f5b5f7e001c0d3b20
+ *     responses:
+ *       200:
+ *         description: The data export.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:id', validateIdParam, getDataExport);
+
+module.exports = router;
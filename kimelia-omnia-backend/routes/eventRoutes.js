@@ -8,10 +8,12 @@ const {
   deleteEvent,
 } = require('../controllers/eventController');
 const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
 const {
     validateCreateEvent,
     validateUpdateEvent,
-    validateIdParam // --- ADDED: Import validateIdParam ---
+    validateIdParam, // --- ADDED: Import validateIdParam ---
+    validateRecurrenceScope
 } = require('../middleware/validationMiddleware');
 const router = express.Router();
 
@@ -30,7 +32,7 @@ router.use(protect);
  * /events:
  *   get:
  *     summary: Retrieve all events for the authenticated user.
- *     description: Fetches a list of all calendar events belonging to the current user. Supports filtering by date range.
+ *     description: Fetches a list of all calendar events belonging to the current user. Supports filtering by date range; when both startDate and endDate are given, recurring events are expanded into one entry per occurrence (with `seriesId` and `occurrenceDate`).
  *     tags: [Events (Omnia Planner)]
  *     security:
  *       - bearerAuth: []
@@ -51,6 +53,16 @@ router.use(protect);
  *         required: false
  *         description: Optional. End date (ISO 8601) to filter events occurring before or on this date.
  *         example: 2024-11-30T23:59:59.999Z
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [startTime, endTime, createdAt, title, -startTime, -endTime, -createdAt, -title]
+ *           default: "startTime"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of events.
@@ -61,6 +73,8 @@ router.use(protect);
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -91,6 +105,8 @@ router.use(protect);
  *               allDay: { type: boolean, example: false }
  *               category: { type: string, enum: [meeting, appointment, personal, study, workout, other], example: "meeting" }
  *               attendees: { type: array, items: { type: string, format: "email" }, example: ["team.member@example.com"] }
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
  *               reminders:
  *                 type: array
  *                 items:
@@ -118,7 +134,7 @@ router.use(protect);
  *         $ref: '#/components/responses/ServerError'
  */
 router.route('/')
-    .get(getEvents)
+    .get(listQuery('Event', { sortFields: ['startTime', 'endTime', 'createdAt', 'title'], defaultSort: 'startTime' }), getEvents)
     .post(validateCreateEvent, createEvent);
 
 /**
@@ -169,6 +185,23 @@ router.route('/')
  *         required: true
  *         description: The ID of the event to update.
  *         example: 60d0fe4f5b5f7e001c0d3a7f
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [occurrence, following, all]
+ *           default: all
+ *         required: false
+ *         description: Optional. For recurring events, whether to update only this occurrence, this and all following occurrences, or the whole series.
+ *         example: occurrence
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Required when scope is `occurrence` or `following`. The original start time of the occurrence to update.
+ *         example: 2024-11-27T14:00:00.000Z
  *     requestBody:
  *       required: true
  *       content:
@@ -184,6 +217,8 @@ router.route('/')
  *               allDay: { type: boolean, example: false }
  *               category: { type: string, enum: [meeting, appointment, personal, study, workout, other], example: "appointment" }
  *               attendees: { type: array, items: { type: string, format: "email" }, example: ["manager@example.com"] }
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
  *               reminders:
  *                 type: array
  *                 items:
@@ -225,6 +260,23 @@ router.route('/')
  *         required: true
  *         description: The ID of the event to delete.
  *         example: 60d0fe4f5b5f7e001c0d3a7f
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [occurrence, following, all]
+ *           default: all
+ *         required: false
+ *         description: Optional. For recurring events, whether to delete only this occurrence, this and all following occurrences, or the whole series.
+ *         example: occurrence
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Required when scope is `occurrence` or `following`. The original start time of the occurrence to delete.
+ *         example: 2024-11-27T14:00:00.000Z
  *     responses:
  *       200:
  *         description: Event deleted successfully.
@@ -244,7 +296,7 @@ router.route('/')
  */
 router.route('/:id')
     .get(validateIdParam, getEvent) // --- ADDED validateIdParam ---
-    .put(validateIdParam, validateUpdateEvent, updateEvent) // --- ADDED validateIdParam ---
-    .delete(validateIdParam, deleteEvent); // --- ADDED validateIdParam ---
+    .put(validateIdParam, validateRecurrenceScope, validateUpdateEvent, updateEvent) // --- ADDED validateIdParam ---
+    .delete(validateIdParam, validateRecurrenceScope, deleteEvent); // --- ADDED validateIdParam ---
 
 module.exports = router;
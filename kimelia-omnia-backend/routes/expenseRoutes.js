@@ -6,11 +6,16 @@ const {
   createExpense,
   updateExpense,
   deleteExpense,
+  previewExpenseImport,
+  commitExpenseImport,
 } = require('../controllers/expenseController');
 const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
 const {
     validateCreateExpense,
     validateUpdateExpense,
+    validateExpenseImportPreview,
+    validateExpenseImportCommit,
     validateIdParam // --- ADDED: Import validateIdParam ---
 } = require('../middleware/validationMiddleware'); // Path to your validation middleware
 const router = express.Router();
@@ -73,6 +78,16 @@ router.use(protect);
  *         required: false
  *         description: Optional. Search for text in expense description, category, or tags.
  *         example: "dinner"
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [date, amount, createdAt, -date, -amount, -createdAt]
+ *           default: "-date"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of expenses.
@@ -83,6 +98,8 @@ router.use(protect);
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -107,6 +124,7 @@ router.use(protect);
  *             properties:
  *               description: { type: string, minLength: 3, maxLength: 200, example: "Coffee with client" }
  *               amount: { type: number, format: float, minimum: 0.01, example: 4.50 }
+ *               currency: { type: string, description: "ISO 4217 code. Defaults to your base currency.", example: "USD" }
  *               category: { type: string, enum: [food, transport, housing, utilities, entertainment, shopping, education, health, work, bills, savings, other], example: "food" }
  *               date: { type: string, format: "date-time", example: "2024-11-20T10:00:00.000Z" }
  *               tags: { type: array, items: { type: string }, example: ["work", "drinks"] }
@@ -132,9 +150,190 @@ router.use(protect);
  *         $ref: '#/components/responses/ServerError'
  */
 router.route('/')
-    .get(getExpenses)
+    .get(listQuery('Expense', { sortFields: ['date', 'amount', 'createdAt'], defaultSort: '-date' }), getExpenses)
     .post(validateCreateExpense, createExpense);
 
+/**
+ * @swagger
+ * /expenses/import/preview:
+ *   post:
+ *     summary: Preview a bank statement import (CSV or OFX/QFX).
+ *     description: |
+ *       Parses a bank statement and returns one row per transaction without saving anything. Each row gets a suggested
+ *       Expense category (a category column in the CSV, then your `rules`, then built-in merchant keywords, else `other`)
+ *       and a status:
+ *       - `ready`: will be imported.
+ *       - `duplicate`: already imported (same bank reference), a likely duplicate of an existing expense (same amount,
+ *         date within 2 days, similar description), or a repeat of an earlier row in the file.
+ *       - `skipped`: money coming in, which is not an expense.
+ *       - `error`: the row could not be read.
+ *
+ *       Send the rows you accept (optionally with edited categories) to `POST /expenses/import/commit`.
+ *     tags: [Expenses (Omnia Finance)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [format, content]
+ *             properties:
+ *               format: { type: string, enum: [csv, ofx, qfx], example: csv }
+ *               content: { type: string, format: byte, description: "The statement file, base64-encoded (max. 5 MB request).", example: "RGF0ZSxEZXNjcmlwdGlvbixBbW91bnQKMjAyNC0xMS0yMCxTVEFSQlVDS1MgIzEyMywtNC41MAo=" }
+ *               mapping:
+ *                 type: object
+ *                 description: CSV only (required). Columns by header name, or by zero-based index when `hasHeader` is false. Use `amount` (signed) or `debit`/`credit` columns.
+ *                 required: [date, description]
+ *                 properties:
+ *                   date: { oneOf: [{ type: string }, { type: integer }], example: "Date" }
+ *                   description: { oneOf: [{ type: string }, { type: integer }], example: "Description" }
+ *                   amount: { oneOf: [{ type: string }, { type: integer }], example: "Amount" }
+ *                   debit: { oneOf: [{ type: string }, { type: integer }] }
+ *                   credit: { oneOf: [{ type: string }, { type: integer }] }
+ *                   category: { oneOf: [{ type: string }, { type: integer }], description: "Optional column holding an Expense category." }
+ *                   reference: { oneOf: [{ type: string }, { type: integer }], description: "Optional column with the bank's transaction ID, used to skip re-imports." }
+ *               delimiter: { type: string, default: ",", example: ";" }
+ *               hasHeader: { type: boolean, default: true }
+ *               dateFormat: { type: string, enum: [YYYY-MM-DD, MM/DD/YYYY, DD/MM/YYYY, DD.MM.YYYY], default: YYYY-MM-DD }
+ *               decimalSeparator: { type: string, enum: [".", ","], default: "." }
+ *               currency: { type: string, description: "Currency of the statement's amounts. Defaults to your base currency; OFX/QFX files that declare a currency (CURDEF) use it instead.", example: RWF }
+ *               amountSign:
+ *                 type: string
+ *                 enum: [negative, positive]
+ *                 default: negative
+ *                 description: Which sign marks an expense in the file. Banks usually write money out as negative amounts.
+ *               rules:
+ *                 type: array
+ *                 description: Merchant rules checked before the built-in ones. `match` is a case-insensitive substring of the description.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     match: { type: string, example: "CITY PARKING" }
+ *                     category: { type: string, enum: [food, transport, housing, utilities, entertainment, shopping, education, health, work, bills, savings, other], example: transport }
+ *     responses:
+ *       200:
+ *         description: Statement parsed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "18 of 20 transaction(s) ready to import." }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rowNumber: { type: integer, example: 2 }
+ *                           date: { type: string, format: date-time, example: "2024-11-20T00:00:00.000Z" }
+ *                           amount: { type: number, format: float, example: 4.5 }
+ *                           currency: { type: string, example: USD }
+ *                           description: { type: string, example: "STARBUCKS #123" }
+ *                           category: { type: string, example: food }
+ *                           categorySource: { type: string, enum: [file, rule, default], example: rule }
+ *                           paymentMethod: { type: string, example: debit_card }
+ *                           externalId: { type: string, nullable: true }
+ *                           status: { type: string, enum: [ready, duplicate, skipped, error], example: ready }
+ *                           reason: { type: string, nullable: true, example: likely_duplicate }
+ *                           duplicateOf: { type: object, nullable: true, description: "The existing expense this row duplicates." }
+ *                           duplicateOfRow: { type: integer, nullable: true, description: "The earlier row in the file this row repeats." }
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total: { type: integer, example: 20 }
+ *                         ready: { type: integer, example: 18 }
+ *                         duplicates: { type: integer, example: 1 }
+ *                         skipped: { type: integer, example: 1 }
+ *                         errors: { type: integer, example: 0 }
+ *                         totalAmount: { type: number, format: float, example: 734.2 }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/import/preview', validateExpenseImportPreview, previewExpenseImport);
+
+/**
+ * @swagger
+ * /expenses/import/commit:
+ *   post:
+ *     summary: Import the accepted rows of a statement preview as expenses.
+ *     description: Creates all accepted rows in one batch. Rows whose bank reference was already imported are always skipped, so committing the same statement twice is safe. Preview rows can be sent back unchanged.
+ *     tags: [Expenses (Omnia Finance)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [format, rows]
+ *             properties:
+ *               format: { type: string, enum: [csv, ofx, qfx], example: ofx }
+ *               rows:
+ *                 type: array
+ *                 maxItems: 2000
+ *                 items:
+ *                   type: object
+ *                   required: [date, amount, category]
+ *                   properties:
+ *                     date: { type: string, format: date-time, example: "2024-11-20T00:00:00.000Z" }
+ *                     amount: { type: number, format: float, minimum: 0.01, example: 4.5 }
+ *                     currency: { type: string, description: "Defaults to your base currency.", example: USD }
+ *                     description: { type: string, example: "STARBUCKS #123" }
+ *                     category: { type: string, enum: [food, transport, housing, utilities, entertainment, shopping, education, health, work, bills, savings, other], example: food }
+ *                     paymentMethod: { type: string, enum: [cash, credit_card, debit_card, bank_transfer, mobile_money, other], example: debit_card }
+ *                     tags: { type: array, items: { type: string }, example: [imported] }
+ *                     externalId: { type: string, example: "20241120-0001" }
+ *               skipLikelyDuplicates:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also skip rows that look like existing expenses (same amount, close date, similar description).
+ *     responses:
+ *       201:
+ *         description: Expenses imported.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "18 expense(s) imported." }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     batchId: { type: string, example: "6740a1c95b5f7e001c0d3b10" }
+ *                     created: { type: integer, example: 18 }
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index: { type: integer, description: "Index of the row in the request.", example: 3 }
+ *                           reason: { type: string, enum: [already_imported, likely_duplicate, duplicate_in_batch] }
+ *                           duplicateOf: { type: string, nullable: true }
+ *                     expenses:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Expense'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/import/commit', validateExpenseImportCommit, commitExpenseImport);
+
 /**
  * @swagger
  * /expenses/{id}:
@@ -192,6 +391,7 @@ router.route('/')
  *             properties:
  *               description: { type: string, minLength: 3, maxLength: 200, example: "Lunch with team" }
  *               amount: { type: number, format: float, minimum: 0.01, example: 35.00 }
+ *               currency: { type: string, example: "RWF" }
  *               category: { type: string, enum: [food, transport, housing, utilities, entertainment, shopping, education, health, work, bills, savings, other], example: "work" }
  *               date: { type: string, format: "date-time", example: "2024-11-21T13:00:00.000Z" }
  *               tags: { type: array, items: { type: string }, example: ["team", "meal"] }
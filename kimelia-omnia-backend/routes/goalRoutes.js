@@ -8,6 +8,7 @@ const {
   deleteGoal,
 } = require('../controllers/goalController');
 const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
 const {
     validateCreateGoal,
     validateUpdateGoal,
@@ -58,6 +59,16 @@ router.use(protect);
  *         required: false
  *         description: Optional. Search for text in goal title or description.
  *         example: "project management"
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [targetDate, createdAt, progress, title, -targetDate, -createdAt, -progress, -title]
+ *           default: "targetDate"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of goals.
@@ -68,6 +79,8 @@ router.use(protect);
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -124,7 +137,7 @@ router.use(protect);
  *         $ref: '#/components/responses/ServerError'
  */
 router.route('/')
-    .get(getGoals)
+    .get(listQuery('Goal', { sortFields: ['targetDate', 'createdAt', 'progress', 'title'], defaultSort: 'targetDate' }), getGoals)
     .post(validateCreateGoal, createGoal);
 
 /**
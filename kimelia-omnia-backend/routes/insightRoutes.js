@@ -39,8 +39,18 @@ router.use(protect);
  *           enum: [day, week, month, year]
  *           default: week
  *         required: false
- *         description: Optional. The time period for the summary.
+ *         description: Optional. The time period for the summary, in the user's time zone (weeks begin on settings.weekStart).
  *         example: month
+ *       - in: query
+ *         name: budgetHistory
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *           default: 3
+ *         required: false
+ *         description: Optional. How many closed periods to include per rolling budget in `budgetComparison`.
+ *         example: 3
  *     responses:
  *       200:
  *         description: Productivity summary report retrieved successfully.
@@ -84,7 +94,7 @@ router.get('/insights/productivity-summary', getProductivitySummary);
  * /insights/spending-summary:
  *   get:
  *     summary: Get a spending summary report by category for the authenticated user.
- *     description: Provides an aggregated overview of expenses grouped by category for a specified period.
+ *     description: Provides an aggregated overview of expenses grouped by category for a specified period, converted into the user's base currency (settings.baseCurrency) with the admin-maintained exchange rates, plus a period-over-period comparison for each rolling (non-custom) budget based on its closed-period history.
  *     tags: [Insights (Omnia Insights)]
  *     security:
  *       - bearerAuth: []
@@ -96,7 +106,7 @@ router.get('/insights/productivity-summary', getProductivitySummary);
  *           enum: [day, week, month, year]
  *           default: month
  *         required: false
- *         description: Optional. The time period for the summary.
+ *         description: Optional. The time period for the summary, in the user's time zone (weeks begin on settings.weekStart).
  *         example: month
  *     responses:
  *       200:
@@ -113,6 +123,7 @@ router.get('/insights/productivity-summary', getProductivitySummary);
  *                     period: { type: string, example: "month" }
  *                     startDate: { type: string, format: "date-time", example: "2024-11-01T00:00:00.000Z" }
  *                     endDate: { type: string, format: "date-time", example: "2024-11-30T23:59:59.999Z" }
+ *                     currency: { type: string, description: The user's base currency; all spending totals are in it., example: "RWF" }
  *                     totalOverallSpent: { type: number, format: float, example: 850.75 }
  *                     spendingByCategory:
  *                       type: array
@@ -121,6 +132,45 @@ router.get('/insights/productivity-summary', getProductivitySummary);
  *                         properties:
  *                           category: { type: string, example: "food" }
  *                           totalSpent: { type: number, format: float, example: 320.50 }
+ *                     unconvertedCurrencies:
+ *                       type: array
+ *                       items: { type: string }
+ *                       description: Expense currencies without an exchange rate; those expenses are not included in the totals.
+ *                       example: []
+ *                     budgetComparison:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           budget: { type: string, example: "60d0fe4f5b5f7e001c0d3a85" }
+ *                           category: { type: string, example: "food" }
+ *                           periodType: { type: string, example: "monthly" }
+ *                           currency: { type: string, description: The budget currency the figures below are in., example: "USD" }
+ *                           currentPeriod:
+ *                             type: object
+ *                             properties:
+ *                               startDate: { type: string, format: "date-time", example: "2024-11-01T00:00:00.000Z" }
+ *                               endDate: { type: string, format: "date-time", example: "2024-11-30T23:59:59.999Z" }
+ *                               limit: { type: number, format: float, example: 545.5 }
+ *                               spent: { type: number, format: float, example: 210 }
+ *                               percentUsed: { type: number, format: float, example: 38.5 }
+ *                           previousPeriods:
+ *                             type: array
+ *                             description: Closed periods, most recent first.
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 startDate: { type: string, format: "date-time", example: "2024-10-01T00:00:00.000Z" }
+ *                                 endDate: { type: string, format: "date-time", example: "2024-10-31T23:59:59.999Z" }
+ *                                 limit: { type: number, format: float, example: 500 }
+ *                                 spent: { type: number, format: float, example: 454.5 }
+ *                                 percentUsed: { type: number, format: float, example: 90.9 }
+ *                           changeFromPreviousPeriod:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               spent: { type: number, format: float, example: -244.5 }
+ *                               percent: { type: number, format: float, nullable: true, example: -53.8 }
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
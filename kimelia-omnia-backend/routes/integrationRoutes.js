@@ -6,8 +6,10 @@ const {
   googleAuthCallback,
   disconnectAllGoogleIntegrations,
   // Google Calendar Specific
+  syncGoogleCalendar,
   syncEventsToGoogle,
   syncEventsFromGoogle,
+  updateGoogleCalendarSettings,
   // Gmail Specific
   summarizeGmailInbox,
   sendGmailDraftedEmail,
@@ -20,14 +22,20 @@ const {
   disconnectSlackIntegration,
 } = require('../controllers/integrationController');
 const { protect } = require('../middleware/authMiddleware');
+const { audit } = require('../middleware/auditMiddleware');
 const {
     validateSlackMessage,
     validateSummarizeSlackChannel,
     validateSummarizeGmailInbox,
     validateSendGmailDraft,
+    validateGoogleCalendarSync,
+    validateGoogleCalendarSettings,
 } = require('../middleware/validationMiddleware');
 const router = express.Router();
 
+// Audit entry for disconnecting a provider
+const auditDisconnect = (provider) => audit('integration.disconnect', { targetType: 'Integration', metadata: () => ({ provider }) });
+
 /**
  * @swagger
  * tags:
@@ -124,20 +132,74 @@ router.get('/google/callback', googleAuthCallback); // Public endpoint for Googl
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/google/disconnect-all', protect, disconnectAllGoogleIntegrations);
+router.post('/google/disconnect-all', protect, auditDisconnect('google'), disconnectAllGoogleIntegrations);
 
 
 // --- Google Calendar Specific Routes ---
 
+/**
+ * @swagger
+ * /integrations/google-calendar/sync:
+ *   post:
+ *     summary: Two-way sync between Omnia events and Google Calendar.
+ *     description: Pulls changes made in Google Calendar since the last sync (incrementally, using Google sync tokens), then pushes new, edited and deleted Omnia events. Events changed on both sides are resolved with the conflict policy. Requires prior Google authorization.
+ *     tags: [Integrations (Google Calendar)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               conflictPolicy:
+ *                 type: string
+ *                 enum: [last_writer_wins, omnia_wins]
+ *                 description: Optional. Overrides the user's conflict policy for this sync only.
+ *                 example: omnia_wins
+ *     responses:
+ *       200:
+ *         description: Sync completed. The report lists the changes applied in each direction, conflicts and per-event errors.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Google Calendar sync complete: 4 change(s) pulled, 2 pushed, 1 conflict(s), 0 error(s)." }
+ *                 data:
+ *                   $ref: '#/components/schemas/GoogleCalendarSyncReport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/google-calendar/sync', protect, validateGoogleCalendarSync, syncGoogleCalendar);
+
 /**
  * @swagger
  * /integrations/google-calendar/sync-to-google:
  *   post:
  *     summary: Sync Omnia events to Google Calendar.
- *     description: Pushes the user's current Omnia events (future and non-cancelled) to their linked Google Calendar. Requires prior Google authorization.
+ *     description: Pushes new, edited and deleted Omnia events to the user's linked Google Calendar without pulling Google changes first. Updates are conditional on the last synced Google version; if Google changed in between, the event is reported as a deferred conflict. Requires prior Google authorization.
  *     tags: [Integrations (Google Calendar)]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               conflictPolicy:
+ *                 type: string
+ *                 enum: [last_writer_wins, omnia_wins]
+ *                 description: Optional. Overrides the user's conflict policy for this sync only.
+ *                 example: omnia_wins
  *     responses:
  *       200:
  *         description: Events synced successfully to Google Calendar.
@@ -147,24 +209,39 @@ router.post('/google/disconnect-all', protect, disconnectAllGoogleIntegrations);
  *               type: object
  *               properties:
  *                 success: { type: boolean, example: true }
- *                 message: { type: string, example: "Successfully synced 3 Omnia events to Google Calendar." }
- *                 syncedCount: { type: number, example: 3 }
+ *                 message: { type: string, example: "Google Calendar sync complete: 4 change(s) pulled, 2 pushed, 1 conflict(s), 0 error(s)." }
+ *                 data:
+ *                   $ref: '#/components/schemas/GoogleCalendarSyncReport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/google-calendar/sync-to-google', protect, syncEventsToGoogle);
+router.post('/google-calendar/sync-to-google', protect, validateGoogleCalendarSync, syncEventsToGoogle);
 
 /**
  * @swagger
  * /integrations/google-calendar/sync-to-omnia:
  *   post:
  *     summary: Sync Google Calendar events to Omnia.
- *     description: Pulls events from the user's linked Google Calendar into their Omnia Event manager. Requires prior Google authorization.
+ *     description: Pulls events created, edited or deleted in the user's linked Google Calendar since the last sync into their Omnia Event manager. Requires prior Google authorization.
  *     tags: [Integrations (Google Calendar)]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               conflictPolicy:
+ *                 type: string
+ *                 enum: [last_writer_wins, omnia_wins]
+ *                 description: Optional. Overrides the user's conflict policy for this sync only.
+ *                 example: omnia_wins
  *     responses:
  *       200:
  *         description: Events synced successfully from Google Calendar to Omnia.
@@ -174,14 +251,61 @@ router.post('/google-calendar/sync-to-google', protect, syncEventsToGoogle);
  *               type: object
  *               properties:
  *                 success: { type: boolean, example: true }
- *                 message: { type: string, example: "Successfully synced 5 Google events to Omnia." }
- *                 syncedCount: { type: number, example: 5 }
+ *                 message: { type: string, example: "Google Calendar sync complete: 4 change(s) pulled, 2 pushed, 1 conflict(s), 0 error(s)." }
+ *                 data:
+ *                   $ref: '#/components/schemas/GoogleCalendarSyncReport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/google-calendar/sync-to-omnia', protect, syncEventsFromGoogle);
+router.post('/google-calendar/sync-to-omnia', protect, validateGoogleCalendarSync, syncEventsFromGoogle);
+
+/**
+ * @swagger
+ * /integrations/google-calendar/settings:
+ *   put:
+ *     summary: Update Google Calendar sync settings.
+ *     description: Sets how events changed both in Omnia and in Google Calendar since the last sync are resolved. `last_writer_wins` keeps the most recently modified version; `omnia_wins` always keeps the Omnia version.
+ *     tags: [Integrations (Google Calendar)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [conflictPolicy]
+ *             properties:
+ *               conflictPolicy:
+ *                 type: string
+ *                 enum: [last_writer_wins, omnia_wins]
+ *                 example: last_writer_wins
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Google Calendar sync settings updated successfully!" }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conflictPolicy: { type: string, example: "last_writer_wins" }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/google-calendar/settings', protect, validateGoogleCalendarSettings, updateGoogleCalendarSettings);
 
 
 // --- Gmail Specific Routes ---
@@ -190,8 +314,8 @@ router.post('/google-calendar/sync-to-omnia', protect, syncEventsFromGoogle);
  * @swagger
  * /integrations/gmail/summarize-inbox:
  *   post:
- *     summary: Fetch and AI-summarize recent Gmail inbox messages.
- *     description: Fetches a specified number of recent emails from the user's Gmail inbox, uses AI to summarize their content, and stores these summaries as Omnia Messages. Requires prior Google authorization.
+ *     summary: Fetch and AI-summarize new Gmail inbox messages.
+ *     description: Ingests emails that arrived in the user's Gmail inbox since the last sync (using the Gmail history API from the stored history ID), uses AI to summarize their content, and stores them as Omnia Messages with thread ID, sender, recipients and labels. Each Gmail message is stored once; labels of stored messages are kept up to date and messages deleted in Gmail are marked as deleted. The first sync (or one after the history expired) reads the most recent inbox messages. Requires prior Google authorization.
  *     tags: [Integrations (Gmail)]
  *     security:
  *       - bearerAuth: []
@@ -204,7 +328,7 @@ router.post('/google-calendar/sync-to-omnia', protect, syncEventsFromGoogle);
  *             properties:
  *               maxResults:
  *                 type: number
- *                 description: Maximum number of recent emails to fetch and summarize (default 10).
+ *                 description: Maximum number of new emails to summarize in this run (default 10). Remaining emails are picked up by the next run.
  *                 minimum: 1
  *                 maximum: 50
  *                 example: 5
@@ -219,6 +343,20 @@ router.post('/google-calendar/sync-to-omnia', protect, syncEventsFromGoogle);
  *                 success: { type: boolean, example: true }
  *                 message: { type: string, example: "Successfully fetched and summarized 3 new Gmail messages." }
  *                 syncedCount: { type: number, example: 3 }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     fullSync: { type: boolean, description: True when recent inbox messages were listed instead of reading Gmail history., example: false }
+ *                     labelUpdates: { type: number, description: Stored messages whose labels changed., example: 2 }
+ *                     deleted: { type: number, description: Stored messages marked as deleted because they were deleted in Gmail., example: 0 }
+ *                     historyId: { type: string, description: The Gmail history ID the next sync starts from., example: "9876543" }
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           gmailMessageId: { type: string }
+ *                           message: { type: string }
  *       400:
  *         $ref: '#/components/responses/BadRequestError'
  *       401:
@@ -504,6 +642,6 @@ router.post('/slack/summarize-channel', protect, validateSummarizeSlackChannel,
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.post('/slack/disconnect', protect, disconnectSlackIntegration);
+router.post('/slack/disconnect', protect, auditDisconnect('slack'), disconnectSlackIntegration);
 
 module.exports = router;
@@ -9,6 +9,7 @@ const {
   aiGenerateLearningResources, // --- UPDATED: Import new controller ---
 } = require('../controllers/learningResourceController');
 const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
 const {
     validateCreateLearningResource,
     validateUpdateLearningResource,
@@ -60,6 +61,16 @@ router.use(protect);
  *         name: relatedGoal
  *         schema: { type: string }
  *         description: Optional. Filter resources related to a specific goal ID.
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, title, -createdAt, -title]
+ *           default: "-createdAt"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of learning resources.
@@ -70,6 +81,8 @@ router.use(protect);
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items: { $ref: '#/components/schemas/LearningResource' }
@@ -105,7 +118,7 @@ router.use(protect);
  *       401: { $ref: '#/components/responses/UnauthorizedError' }
  *       500: { $ref: '#/components/responses/ServerError' }
  */
-router.get('/', getLearningResources); // Handles GET /api/v1/learning-resources
+router.get('/', listQuery('LearningResource', { sortFields: ['createdAt', 'title'], defaultSort: '-createdAt' }), getLearningResources); // Handles GET /api/v1/learning-resources
 router.post('/', validateCreateLearningResource, createLearningResource); // Handles POST /api/v1/learning-resources
 
 
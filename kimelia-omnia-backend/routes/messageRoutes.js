@@ -2,6 +2,7 @@
 const express = require('express');
 const {
   getMessages,
+  getMessageThreads,
   getMessage,
   createMessage,
   updateMessage,
@@ -10,6 +11,7 @@ const {
   generateDraft,
 } = require('../controllers/messageController');
 const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
 const {
     validateIdParam, // --- ADDED: Import validateIdParam ---
     // Assuming you have message-specific validation middleware
@@ -70,6 +72,23 @@ router.use(protect);
  *         required: false
  *         description: Optional. Search for text in message subject or content.
  *         example: "meeting summary"
+ *       - in: query
+ *         name: threadId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Optional. Only return messages of this conversation thread (e.g., a Gmail thread ID).
+ *         example: "178f24a9e1b2c3d4"
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, receivedAt, subject, -createdAt, -receivedAt, -subject]
+ *           default: "-createdAt"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of smart communication entries.
@@ -80,6 +99,8 @@ router.use(protect);
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -132,9 +153,58 @@ router.use(protect);
  *         $ref: '#/components/responses/ServerError'
  */
 router.route('/')
-    .get(getMessages)
+    .get(listQuery('Message', { sortFields: ['createdAt', 'receivedAt', 'subject'], defaultSort: '-createdAt' }), getMessages)
     .post(validateCreateMessage, createMessage);
 
+/**
+ * @swagger
+ * /messages/threads:
+ *   get:
+ *     summary: Retrieve ingested email summaries grouped by thread.
+ *     description: Groups the user's messages that belong to an external conversation thread (e.g., Gmail threads ingested by the Gmail integration), newest thread first. Messages marked as deleted are left out.
+ *     tags: [Smart Communication (Omnia Communicator)]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of threads.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 count: { type: number, example: 1 }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       threadId: { type: string, example: "178f24a9e1b2c3d4" }
+ *                       subject: { type: string, example: "Re: Q3 report" }
+ *                       latestSummary: { type: string, example: "John confirms the figures and asks for the final draft by Friday." }
+ *                       lastMessageAt: { type: string, format: date-time }
+ *                       messageCount: { type: number, example: 3 }
+ *                       unreadCount: { type: number, example: 1 }
+ *                       senders:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             name: { type: string, example: John Smith }
+ *                             email: { type: string, example: john.smith@example.com }
+ *                       messages:
+ *                         type: array
+ *                         description: The messages of the thread, newest first.
+ *                         items:
+ *                           type: object
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/threads', getMessageThreads);
+
 /**
  * @swagger
  * /messages/{id}:
@@ -0,0 +1,423 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  snoozeNotification,
+  dismissNotification,
+  deleteNotification,
+  clearNotifications,
+  getNotificationDeliveries,
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
+const { validateIdParam, validateSnoozeReminder, validateDeliveryQuery } = require('../middleware/validationMiddleware');
+const router = express.Router();
+
+// Apply protect middleware to all notification routes
+router.use(protect);
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: Retrieve in-app notifications for the authenticated user.
+ *     description: |
+ *       Returns a page of notifications (newest first by default) together with the unread count.
+ *       New notifications are also pushed in real time over the WebSocket channel
+ *       `ws(s)://<host>/api/v1/notifications/ws?token=<JWT>` as frames of the form
+ *       `{ "event": "notification", "data": { "notification": { ... }, "unreadCount": 3 } }`.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Optional. If true, only unread notifications are returned.
+ *         example: true
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: "-createdAt"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: A list of notifications.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 count: { type: integer, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 unreadCount: { type: integer, example: 1 }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Delete all notifications of the authenticated user.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "5 notification(s) deleted." }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.route('/')
+    .get(listQuery('Notification', { sortFields: ['createdAt'], defaultSort: '-createdAt' }), getNotifications)
+    .delete(clearNotifications);
+
+/**
+ * @swagger
+ * /notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications.
+ *     description: Lightweight endpoint for badge counters.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The unread count.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount: { type: integer, example: 3 }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/unread-count', getUnreadCount);
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "3 notification(s) marked as read." }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     modifiedCount: { type: integer, example: 3 }
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/read-all', markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /notifications/deliveries:
+ *   get:
+ *     summary: Retrieve the emails and SMS sent to the authenticated user.
+ *     description: |
+ *       The delivery log: one entry per attempt at sending an email or SMS (reminders, budget alerts, account emails),
+ *       with its status and the provider's response. A message retried after a transient failure (timeout, rate
+ *       limit, provider outage) has one entry per attempt, sharing a `messageId`. The links in verification and
+ *       password reset emails are not stored, so those entries have no body. In-app notifications are listed by
+ *       `GET /notifications`.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms]
+ *         description: Optional. Only deliveries through this channel.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, retrying, failed]
+ *         description: Optional. Only attempts with this outcome.
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [task, event, goal, budget, digest, account, system]
+ *         description: Optional. Only messages about this.
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: "-createdAt"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: A list of delivery attempts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 count: { type: integer, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationDelivery'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/deliveries', validateDeliveryQuery, listQuery('NotificationDelivery', { sortFields: ['createdAt'], defaultSort: '-createdAt' }), getNotificationDeliveries);
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the notification.
+ *         example: 60d0fe4f5b5f7e001c0d3a90
+ *     responses:
+ *       200:
+ *         description: Notification marked as read.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Notification marked as read." }
+ *                 data:
+ *                   $ref: '#/components/schemas/Notification'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put('/:id/read', validateIdParam, markNotificationRead);
+
+/**
+ * @swagger
+ * /notifications/{id}/snooze:
+ *   post:
+ *     summary: Snooze the reminder of a notification.
+ *     description: |
+ *       Sends the reminder the notification was sent for again after `minutes`, and marks the notification as read.
+ *       For recurring tasks and events only the notified occurrence is reminded again.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the reminder notification.
+ *         example: 60d0fe4f5b5f7e001c0d3a90
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10080
+ *                 default: 10
+ *                 description: How long to snooze the reminder for (at most a week).
+ *                 example: 30
+ *     responses:
+ *       200:
+ *         description: Reminder snoozed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Reminder snoozed for 30 minute(s)." }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notification:
+ *                       $ref: '#/components/schemas/Notification'
+ *                     reminder:
+ *                       $ref: '#/components/schemas/Reminder'
+ *       400:
+ *         description: Invalid input, or the notification is not about a reminder.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: The notification, or its item or reminder, was not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/snooze', validateIdParam, validateSnoozeReminder, snoozeNotification);
+
+/**
+ * @swagger
+ * /notifications/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss the reminder of a notification.
+ *     description: |
+ *       Cancels a pending snooze of the reminder and marks the notification as read. A dismissed reminder of a one-off
+ *       item is not sent again, unless the item's date moves a relative reminder. Recurring items keep reminding
+ *       later occurrences.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the reminder notification.
+ *         example: 60d0fe4f5b5f7e001c0d3a90
+ *     responses:
+ *       200:
+ *         description: Reminder dismissed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Reminder dismissed." }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notification:
+ *                       $ref: '#/components/schemas/Notification'
+ *                     reminder:
+ *                       description: The dismissed reminder (null if its item was deleted).
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Reminder'
+ *       400:
+ *         description: Invalid ID, or the notification is not about a reminder.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/:id/dismiss', validateIdParam, dismissNotification);
+
+/**
+ * @swagger
+ * /notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the notification to delete.
+ *         example: 60d0fe4f5b5f7e001c0d3a90
+ *     responses:
+ *       200:
+ *         description: Notification deleted successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Notification deleted successfully!" }
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:id', validateIdParam, deleteNotification);
+
+module.exports = router;
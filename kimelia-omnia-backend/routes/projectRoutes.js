@@ -7,23 +7,53 @@ const {
   updateProject,
   deleteProject,
   addProjectMember,
+  updateProjectMemberRole,
   removeProjectMember,
+  transferProjectOwnership,
+  getBoard,
+  updateBoardColumns,
+  moveBoardTask,
 } = require('../controllers/projectController');
 const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
+const { authorizeProjectRole } = require('../middleware/projectAccessMiddleware');
+const { audit } = require('../middleware/auditMiddleware');
 const {
     validateCreateProject,
     validateUpdateProject,
-    validateAddRemoveMember,
-    validateIdParam // --- ADDED: Import validateIdParam ---
+    validateAddMember,
+    validateRemoveMember,
+    validateProjectMemberParam,
+    validateMemberRole,
+    validateTransferOwnership,
+    validateIdParam, // --- ADDED: Import validateIdParam ---
+    validateBoardColumns,
+    validateMoveBoardTask,
 } = require('../middleware/validationMiddleware');
 
 const router = express.Router();
 
+// Membership and ownership changes go to the audit log, with the member and role involved
+const auditProject = (action) => audit(action, {
+  targetType: 'Project',
+  targetId: (req) => req.params.id,
+  metadata: (req) => {
+    const { memberId = req.params.memberId, role, newOwnerId } = req.body || {};
+    return { memberId, role, newOwnerId };
+  },
+});
+
 /**
  * @swagger
  * tags:
  *   name: Projects (Omnia Workspace)
- *   description: API for managing team projects and members, part of the Omnia Workspace module.
+ *   description: |
+ *     API for managing team projects and members, part of the Omnia Workspace module.
+ *     Every member holds a project role; each role includes the permissions of the ones below it:
+ *     `viewer` sees the project, its board and its tasks; `editor` creates, edits, moves and deletes its tasks;
+ *     `admin` edits the project and its board columns and manages editors and viewers;
+ *     the `owner` deletes the project, manages admins and can transfer ownership.
+ *     Requests beyond the caller's role are rejected with 403.
  */
 
 // Apply protect middleware to all project routes
@@ -55,6 +85,16 @@ router.use(protect);
  *         name: search
  *         schema: { type: string }
  *         description: Optional. Search for text in project title or description.
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, startDate, endDate, title, -createdAt, -startDate, -endDate, -title]
+ *           default: "-createdAt"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of projects.
@@ -65,6 +105,8 @@ router.use(protect);
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items: { $ref: '#/components/schemas/Project' }
@@ -90,7 +132,18 @@ router.use(protect);
  *               endDate: { type: string, format: "date-time", example: "2025-01-31T23:59:59.000Z" }
  *               status: { type: string, enum: [planning, in-progress, completed, on_hold, cancelled], example: "planning" }
  *               priority: { type: string, enum: [low, medium, high, urgent], example: "high" }
- *               members: { type: array, items: { type: string }, description: "Optional list of initial member user IDs.", example: ["60d0fe4f5b5f7e001c0d3a7c"] }
+ *               members:
+ *                 type: array
+ *                 description: Optional initial members, as user IDs (added as editors) or objects with a role.
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       required: [user]
+ *                       properties:
+ *                         user: { type: string }
+ *                         role: { type: string, enum: [admin, editor, viewer], default: editor }
+ *                 example: ["60d0fe4f5b5f7e001c0d3a7c", { user: "60d0fe4f5b5f7e001c0d3a7d", role: "viewer" }]
  *               tags: { type: array, items: { type: string }, example: ["product", "marketing", "cross-functional"] }
  *     responses:
  *       201:
@@ -109,7 +162,7 @@ router.use(protect);
  *       500: { $ref: '#/components/responses/ServerError' }
  */
 router.route('/')
-    .get(getProjects)
+    .get(listQuery('Project', { sortFields: ['createdAt', 'startDate', 'endDate', 'title'], defaultSort: '-createdAt' }), getProjects)
     .post(validateCreateProject, createProject);
 
 /**
@@ -117,7 +170,7 @@ router.route('/')
  * /projects/{id}:
  *   get:
  *     summary: Retrieve a single project by its ID.
- *     description: Fetches details of a specific project. The user must be the owner or a member.
+ *     description: Fetches details of a specific project. Available to any project role; the response includes the caller's role.
  *     tags: [Projects (Omnia Workspace)]
  *     security:
  *       - bearerAuth: []
@@ -138,13 +191,14 @@ router.route('/')
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 data: { $ref: '#/components/schemas/Project' }
+ *                 role: { type: string, enum: [owner, admin, editor, viewer], example: "editor" }
  *       401: { $ref: '#/components/responses/UnauthorizedError' }
  *       403: { $ref: '#/components/responses/ForbiddenError' }
  *       404: { $ref: '#/components/responses/NotFoundError' }
  *       500: { $ref: '#/components/responses/ServerError' }
  *   put:
  *     summary: Update an existing project.
- *     description: Modifies details of an existing project. Only the project owner can update it.
+ *     description: Modifies details of an existing project. Requires the admin role or ownership. Members and the owner are changed through their own routes.
  *     tags: [Projects (Omnia Workspace)]
  *     security:
  *       - bearerAuth: []
@@ -214,16 +268,16 @@ router.route('/')
  *       500: { $ref: '#/components/responses/ServerError' }
  */
 router.route('/:id')
-    .get(validateIdParam, getProject) // --- ADDED validateIdParam ---
-    .put(validateIdParam, validateUpdateProject, updateProject) // --- ADDED validateIdParam ---
-    .delete(validateIdParam, deleteProject); // --- ADDED validateIdParam ---
+    .get(validateIdParam, authorizeProjectRole('viewer'), getProject) // --- ADDED validateIdParam ---
+    .put(validateIdParam, authorizeProjectRole('admin'), validateUpdateProject, updateProject) // --- ADDED validateIdParam ---
+    .delete(validateIdParam, authorizeProjectRole('owner'), deleteProject); // --- ADDED validateIdParam ---
 
 /**
  * @swagger
  * /projects/{id}/members:
  *   post:
  *     summary: Add a member to a project.
- *     description: Adds a user as a member to an existing project. Only the project owner can add members.
+ *     description: Adds a user to an existing project with a role (editor by default). Admins can add editors and viewers; only the owner can add admins.
  *     tags: [Projects (Omnia Workspace)]
  *     security:
  *       - bearerAuth: []
@@ -243,6 +297,7 @@ router.route('/:id')
  *             required: [memberId]
  *             properties:
  *               memberId: { type: string, description: "The ID of the user to add as a member.", example: "60d0fe4f5b5f7e001c0d3a7c" }
+ *               role: { type: string, enum: [admin, editor, viewer], default: editor, example: "viewer" }
  *     responses:
  *       200:
  *         description: Member added successfully.
@@ -261,7 +316,7 @@ router.route('/:id')
  *       500: { $ref: '#/components/responses/ServerError' }
  *   delete:
  *     summary: Remove a member from a project.
- *     description: Removes a user from an existing project. Only the project owner can remove members.
+ *     description: Removes a user from an existing project. Admins can remove editors and viewers; only the owner can remove admins.
  *     tags: [Projects (Omnia Workspace)]
  *     security:
  *       - bearerAuth: []
@@ -299,7 +354,266 @@ router.route('/:id')
  *       500: { $ref: '#/components/responses/ServerError' }
  */
 router.route('/:id/members')
-    .post(validateIdParam, validateAddRemoveMember, addProjectMember) // --- ADDED validateIdParam ---
-    .delete(validateIdParam, validateAddRemoveMember, removeProjectMember); // --- ADDED validateIdParam ---
+    .post(validateIdParam, authorizeProjectRole('admin'), auditProject('project.member_add'), validateAddMember, addProjectMember) // --- ADDED validateIdParam ---
+    .delete(validateIdParam, authorizeProjectRole('admin'), auditProject('project.member_remove'), validateRemoveMember, removeProjectMember); // --- ADDED validateIdParam ---
+
+/**
+ * @swagger
+ * /projects/{id}/members/{memberId}:
+ *   put:
+ *     summary: Change a member's project role.
+ *     description: Admins can switch members between editor and viewer; only the owner can grant the admin role or change an admin's role.
+ *     tags: [Projects (Omnia Workspace)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *         description: The ID of the project.
+ *         example: 60d0fe4f5b5f7e001c0d3a83
+ *       - in: path
+ *         name: memberId
+ *         schema: { type: string }
+ *         required: true
+ *         description: The user ID of the member.
+ *         example: 60d0fe4f5b5f7e001c0d3a7c
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role: { type: string, enum: [admin, editor, viewer], example: "admin" }
+ *     responses:
+ *       200:
+ *         description: Member role updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Member role updated successfully!" }
+ *                 data: { $ref: '#/components/schemas/Project' }
+ *       400: { $ref: '#/components/responses/BadRequestError' }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { description: "Project or Member not found.", content: { "application/json": { "schema": { "$ref": "#/components/schemas/ErrorResponse" } } } }
+ *       500: { $ref: '#/components/responses/ServerError' }
+ */
+router.route('/:id/members/:memberId')
+    .put(validateProjectMemberParam, authorizeProjectRole('admin'), auditProject('project.member_role_change'), validateMemberRole, updateProjectMemberRole);
+
+/**
+ * @swagger
+ * /projects/{id}/transfer-ownership:
+ *   post:
+ *     summary: Transfer ownership of a project.
+ *     description: Makes an existing member the project owner. Only the current owner can do this; they stay on the project as an admin.
+ *     tags: [Projects (Omnia Workspace)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *         description: The ID of the project.
+ *         example: 60d0fe4f5b5f7e001c0d3a83
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [newOwnerId]
+ *             properties:
+ *               newOwnerId: { type: string, description: "The user ID of the member who becomes the owner.", example: "60d0fe4f5b5f7e001c0d3a7c" }
+ *     responses:
+ *       200:
+ *         description: Ownership transferred.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Project ownership transferred successfully!" }
+ *                 data: { $ref: '#/components/schemas/Project' }
+ *       400: { $ref: '#/components/responses/BadRequestError' }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *       500: { $ref: '#/components/responses/ServerError' }
+ */
+router.route('/:id/transfer-ownership')
+    .post(validateIdParam, authorizeProjectRole('owner'), auditProject('project.ownership_transfer'), validateTransferOwnership, transferProjectOwnership);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectBoard:
+ *       type: object
+ *       properties:
+ *         project:
+ *           type: object
+ *           properties:
+ *             _id: { type: string, example: "60d0fe4f5b5f7e001c0d3a83" }
+ *             title: { type: string, example: "Q4 Marketing Campaign" }
+ *             status: { type: string, example: "in-progress" }
+ *         columns:
+ *           type: array
+ *           description: Board columns in display order. A task shows in the column it was last moved to while that column exists and matches its status, otherwise in the first column for its status. Within a column, tasks are ordered by boardPosition (never-moved tasks last, oldest first).
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BoardColumn'
+ *               - type: object
+ *                 properties:
+ *                   tasks:
+ *                     type: array
+ *                     items: { $ref: '#/components/schemas/Task' }
+ */
+
+/**
+ * @swagger
+ * /projects/{id}/board:
+ *   get:
+ *     summary: Get a project's task board.
+ *     description: Returns the project's tasks grouped into its board columns. Available to any project role.
+ *     tags: [Projects (Omnia Workspace)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *         description: The ID of the project.
+ *         example: 60d0fe4f5b5f7e001c0d3a83
+ *     responses:
+ *       200:
+ *         description: The project board.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data: { $ref: '#/components/schemas/ProjectBoard' }
+ *       400: { $ref: '#/components/responses/BadRequestError' }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *       500: { $ref: '#/components/responses/ServerError' }
+ */
+router.route('/:id/board')
+    .get(validateIdParam, authorizeProjectRole('viewer'), getBoard);
+
+/**
+ * @swagger
+ * /projects/{id}/board/columns:
+ *   put:
+ *     summary: Replace the columns of a project's task board.
+ *     description: Sets the board columns in display order. Requires the admin role or ownership. Send the `key` of existing columns to keep their tasks in place; tasks of removed columns move to the first column with their status (or the first column).
+ *     tags: [Projects (Omnia Workspace)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *         description: The ID of the project.
+ *         example: 60d0fe4f5b5f7e001c0d3a83
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [columns]
+ *             properties:
+ *               columns:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 20
+ *                 items:
+ *                   type: object
+ *                   required: [name, status]
+ *                   properties:
+ *                     key: { type: string, description: "Optional. Derived from the name for new columns.", example: "in-progress" }
+ *                     name: { type: string, maxLength: 50, example: "Needs Review" }
+ *                     status: { type: string, enum: [pending, in-progress, completed, deferred, cancelled], example: "in-progress" }
+ *     responses:
+ *       200:
+ *         description: Board columns updated; returns the regrouped board.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Board columns updated successfully!" }
+ *                 data: { $ref: '#/components/schemas/ProjectBoard' }
+ *       400: { $ref: '#/components/responses/BadRequestError' }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { $ref: '#/components/responses/NotFoundError' }
+ *       500: { $ref: '#/components/responses/ServerError' }
+ */
+router.route('/:id/board/columns')
+    .put(validateIdParam, authorizeProjectRole('admin'), validateBoardColumns, updateBoardColumns);
+
+/**
+ * @swagger
+ * /projects/{id}/board/move:
+ *   put:
+ *     summary: Move a task on a project's board.
+ *     description: Places a task at a position in a board column and sets its status to the column's status, in a single update. Requires the editor role or above.
+ *     tags: [Projects (Omnia Workspace)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *         description: The ID of the project.
+ *         example: 60d0fe4f5b5f7e001c0d3a83
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [taskId, column, index]
+ *             properties:
+ *               taskId: { type: string, example: "60d0fe4f5b5f7e001c0d3a7c" }
+ *               column: { type: string, description: "Key of the target column.", example: "in-progress" }
+ *               index: { type: integer, minimum: 0, description: "Zero-based position in the target column, counted without the moved task. Values past the end place the task last.", example: 0 }
+ *     responses:
+ *       200:
+ *         description: Task moved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 message: { type: string, example: "Task moved successfully!" }
+ *                 data: { $ref: '#/components/schemas/Task' }
+ *       400: { $ref: '#/components/responses/BadRequestError' }
+ *       401: { $ref: '#/components/responses/UnauthorizedError' }
+ *       403: { $ref: '#/components/responses/ForbiddenError' }
+ *       404: { description: "Project or task not found.", content: { "application/json": { "schema": { "$ref": "#/components/schemas/ErrorResponse" } } } }
+ *       500: { $ref: '#/components/responses/ServerError' }
+ */
+router.route('/:id/board/move')
+    .put(validateIdParam, authorizeProjectRole('editor'), validateMoveBoardTask, moveBoardTask);
 
 module.exports = router;
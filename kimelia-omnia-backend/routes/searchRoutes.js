@@ -0,0 +1,104 @@
+const express = require('express');
+const { search } = require('../controllers/searchController');
+const { protect } = require('../middleware/authMiddleware');
+const { validateSearchQuery } = require('../middleware/validationMiddleware');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Full-text search across all modules.
+ */
+
+// Apply protect middleware to all search routes
+router.use(protect);
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Search tasks, events, messages, goals, learning resources, projects and expenses at once.
+ *     description: |
+ *       Full-text search (MongoDB text indexes, English stemming) over the authenticated user's items and the projects
+ *       they own or are a member of. Results of all modules are ranked together by relevance; titles weigh more than
+ *       descriptions. `q` supports "quoted phrases" and -excluded words.
+ *
+ *       The `from`/`to` filters apply to each module's own date, also returned as `date` in the results.
+ *       These are the task due date, event start time, message creation date, goal target date,
+ *       learning resource creation date, project start date and expense date. Items without that date are left out.
+ *       Events and goals have no tags, so they are not searched when `tag` is set.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 200
+ *         description: The search text.
+ *         example: quarterly budget
+ *       - in: query
+ *         name: modules
+ *         schema:
+ *           type: string
+ *         description: Comma-separated modules to search (tasks, events, messages, goals, learningResources, projects, expenses). Defaults to all.
+ *         example: tasks,projects
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only items whose date is on or after this.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only items whose date is on or before this.
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only items with this tag.
+ *         example: finance
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Maximum number of results, across modules.
+ *     responses:
+ *       200:
+ *         description: The best-ranked results.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 count: { type: number, example: 2 }
+ *                 counts:
+ *                   type: object
+ *                   description: Number of matches per searched module (results beyond `limit` included).
+ *                   additionalProperties: { type: integer }
+ *                   example: { tasks: 3, projects: 1 }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/', validateSearchQuery, search);
+
+module.exports = router;
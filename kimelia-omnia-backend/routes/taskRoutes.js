@@ -8,10 +8,13 @@ const {
   deleteTask,
 } = require('../controllers/taskController');
 const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
+const { authorizeTaskAccess } = require('../middleware/projectAccessMiddleware');
 const {
     validateCreateTask,
     validateUpdateTask,
-    validateIdParam // --- ADDED: Import validateIdParam ---
+    validateIdParam, // --- ADDED: Import validateIdParam ---
+    validateRecurrenceScope
 } = require('../middleware/validationMiddleware');
 const router = express.Router();
 
@@ -30,7 +33,7 @@ router.use(protect);
  * /tasks:
  *   get:
  *     summary: Retrieve all tasks for the authenticated user.
- *     description: Fetches a list of all tasks belonging to the current user. Tasks can be filtered by status, priority, tags, project, or searched by keywords.
+ *     description: Fetches a list of all tasks created by the current user; with `projectId`, all tasks of that project instead (for any project role). Tasks can be filtered by status, priority, tags, project, due date window, or searched by keywords.
  *     tags: [Tasks (Omnia Planner)]
  *     security:
  *       - bearerAuth: []
@@ -70,8 +73,34 @@ router.use(protect);
  *         schema:
  *           type: string
  *         required: false
- *         description: Optional. Filter tasks belonging to a specific project ID.
+ *         description: Optional. List the tasks of this project, created by any member. Requires a role in the project (403 otherwise).
  *         example: 60d0fe4f5b5f7e001c0d3a83
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Optional. Together with endDate, only returns tasks due within the window. Recurring tasks are expanded into one entry per occurrence (with `seriesId` and `occurrenceDate`).
+ *         example: 2024-11-01T00:00:00.000Z
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Optional. End of the due date window (ISO 8601).
+ *         example: 2024-11-30T23:59:59.999Z
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [dueDate, createdAt, updatedAt, title, -dueDate, -createdAt, -updatedAt, -title]
+ *           default: "dueDate"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of tasks.
@@ -82,12 +111,20 @@ router.use(protect);
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 2 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Task'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  *   post:
@@ -111,6 +148,8 @@ router.use(protect);
  *               priority: { type: string, enum: [low, medium, high, urgent], example: "high" }
  *               tags: { type: array, items: { type: string }, example: ["work", "reporting"] }
  *               project: { type: string, description: "Optional ID of a project to link this task to.", example: "60d0fe4f5b5f7e001c0d3a83" }
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
  *               reminders:
  *                 type: array
  *                 items:
@@ -144,7 +183,7 @@ router.use(protect);
  *         $ref: '#/components/responses/ServerError'
  */
 router.route('/')
-    .get(getTasks)
+    .get(listQuery('Task', { sortFields: ['dueDate', 'createdAt', 'updatedAt', 'title'], defaultSort: 'dueDate' }), getTasks)
     .post(validateCreateTask, createTask);
 
 /**
@@ -152,7 +191,7 @@ router.route('/')
  * /tasks/{id}:
  *   get:
  *     summary: Retrieve a single task by its ID.
- *     description: Fetches details of a specific task. The task must belong to the authenticated user.
+ *     description: Fetches details of a specific task. Project tasks are visible to every project role; personal tasks only to their creator.
  *     tags: [Tasks (Omnia Planner)]
  *     security:
  *       - bearerAuth: []
@@ -177,13 +216,15 @@ router.route('/')
  *                   $ref: '#/components/schemas/Task'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  *   put:
  *     summary: Update an existing task.
- *     description: Modifies details of an existing task. Only the task's owner can update it. Can optionally change the linked project.
+ *     description: Modifies details of an existing task. Project tasks require the editor role or above in their project; personal tasks can only be updated by their creator. Linking the task to a project requires the editor role or above in it.
  *     tags: [Tasks (Omnia Planner)]
  *     security:
  *       - bearerAuth: []
@@ -195,6 +236,23 @@ router.route('/')
  *         required: true
  *         description: The ID of the task to update.
  *         example: 60d0fe4f5b5f7e001c0d3a7c
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [occurrence, following, all]
+ *           default: all
+ *         required: false
+ *         description: Optional. For recurring tasks, whether to update only this occurrence, this and all following occurrences, or the whole series.
+ *         example: occurrence
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Required when scope is `occurrence` or `following`. The original due date of the occurrence to update.
+ *         example: 2024-11-22T18:00:00.000Z
  *     requestBody:
  *       required: true
  *       content:
@@ -209,6 +267,8 @@ router.route('/')
  *               priority: { type: string, enum: [low, medium, high, urgent], example: "medium" }
  *               tags: { type: array, items: { type: string }, example: ["work", "done"] }
  *               project: { type: string, description: "Optional ID of a project to link this task to, or null to unlink.", example: "60d0fe4f5b5f7e001c0d3a83" }
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
  *               reminders:
  *                 type: array
  *                 items:
@@ -232,8 +292,10 @@ router.route('/')
  *         $ref: '#/components/responses/BadRequestError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
- *         description: Task or Project not found, or not authorized.
+ *         description: Task or Project not found.
  *         content:
  *           application/json:
  *             schema:
@@ -242,7 +304,7 @@ router.route('/')
  *         $ref: '#/components/responses/ServerError'
  *   delete:
  *     summary: Delete a task.
- *     description: Removes a task from the user's planner. Only the task's owner can delete it.
+ *     description: Removes a task from the user's planner. Project tasks require the editor role or above in their project; personal tasks can only be deleted by their creator.
  *     tags: [Tasks (Omnia Planner)]
  *     security:
  *       - bearerAuth: []
@@ -254,6 +316,23 @@ router.route('/')
  *         required: true
  *         description: The ID of the task to delete.
  *         example: 60d0fe4f5b5f7e001c0d3a7c
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [occurrence, following, all]
+ *           default: all
+ *         required: false
+ *         description: Optional. For recurring tasks, whether to delete only this occurrence, this and all following occurrences, or the whole series.
+ *         example: occurrence
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Required when scope is `occurrence` or `following`. The original due date of the occurrence to delete.
+ *         example: 2024-11-22T18:00:00.000Z
  *     responses:
  *       200:
  *         description: Task deleted successfully.
@@ -266,14 +345,16 @@ router.route('/')
  *                 message: { type: string, example: "Task deleted successfully!" }
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 router.route('/:id')
-    .get(validateIdParam, getTask) // --- ADDED validateIdParam ---
-    .put(validateIdParam, validateUpdateTask, updateTask) // --- ADDED validateIdParam ---
-    .delete(validateIdParam, deleteTask); // --- ADDED validateIdParam ---
+    .get(validateIdParam, authorizeTaskAccess('viewer'), getTask) // --- ADDED validateIdParam ---
+    .put(validateIdParam, validateRecurrenceScope, authorizeTaskAccess('editor'), validateUpdateTask, updateTask) // --- ADDED validateIdParam ---
+    .delete(validateIdParam, validateRecurrenceScope, authorizeTaskAccess('editor'), deleteTask); // --- ADDED validateIdParam ---
 
 module.exports = router;
@@ -8,6 +8,7 @@ const {
   getWellnessSuggestionController,
 } = require('../controllers/wellnessController');
 const { protect } = require('../middleware/authMiddleware');
+const { listQuery } = require('../middleware/listQueryMiddleware');
 const {
     validateCreateWellnessRecord,
     validateUpdateWellnessRecord,
@@ -62,6 +63,16 @@ router.use(protect);
  *         required: false
  *         description: Optional. End date (ISO 8601) to filter records occurring before or on this date.
  *         example: 2024-11-30T23:59:59.999Z
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [date, createdAt, -date, -createdAt]
+ *           default: "-date"
+ *         description: Sort field; a leading '-' sorts in descending order.
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
  *         description: A list of wellness records.
@@ -72,6 +83,8 @@ router.use(protect);
  *               properties:
  *                 success: { type: boolean, example: true }
  *                 count: { type: number, example: 3 }
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -123,7 +136,7 @@ router.use(protect);
  *         $ref: '#/components/responses/ServerError'
  */
 router.route('/') // --- CORRECTED: Use '/' for base path ---
-    .get(getWellnessRecords)
+    .get(listQuery('WellnessRecord', { sortFields: ['date', 'createdAt'], defaultSort: '-date' }), getWellnessRecords)
     .post(validateCreateWellnessRecord, createWellnessRecord);
 
 /**
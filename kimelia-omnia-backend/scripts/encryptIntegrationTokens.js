@@ -0,0 +1,112 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+  encryptValue,
+  isEncrypted,
+  getKeyVersion,
+  getCurrentKeyVersion,
+  reencryptValue,
+} = require('../utils/fieldEncryption');
+
+// Brings the encrypted User fields (integration tokens) onto the current encryption key.
+//
+//   npm run tokens:encrypt   Encrypts values still stored in plaintext (run once after enabling encryption).
+//   npm run tokens:rotate    Also re-encrypts values encrypted with an older key version.
+//
+// To rotate: add the new key to FIELD_ENCRYPTION_KEYS (keeping the old one), point FIELD_ENCRYPTION_KEY_VERSION
+// at it and deploy, run `npm run tokens:rotate`, then remove the old key.
+// Both commands are safe to re-run: values already on the current key are left alone.
+
+const BATCH_SIZE = 500;
+
+// Every User path declared with encryptedString(), so new encrypted fields are picked up automatically
+const getEncryptedPaths = () => {
+  const paths = [];
+  User.schema.eachPath((path, schemaType) => {
+    if (schemaType.options.set === encryptValue) paths.push(path);
+  });
+  return paths;
+};
+
+const getRawValue = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const needsUpdate = (value, mode) => {
+  if (typeof value !== 'string' || value === '') return false;
+  if (mode === 'encrypt') return !isEncrypted(value);
+  return getKeyVersion(value) !== getCurrentKeyVersion();
+};
+
+/**
+ * @function encryptIntegrationTokens
+ * @description Encrypts (or re-encrypts) the encrypted User fields of every user, in batches.
+ * Reads and writes the raw stored values, bypassing the model's getters and setters.
+ * @param {string} mode - 'encrypt' (plaintext values only) or 'rotate' (plaintext and older key versions).
+ * @returns {Promise<Object>} { scanned, updated }
+ */
+const encryptIntegrationTokens = async (mode) => {
+  if (!getCurrentKeyVersion()) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not set; there is no key to encrypt with.');
+  }
+
+  const paths = getEncryptedPaths();
+  const filter = { $or: paths.map((path) => ({ [path]: { $type: 'string' } })) };
+  const projection = Object.fromEntries(paths.map((path) => [path, 1]));
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await User.collection.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  const cursor = User.collection.find(filter, { projection });
+  for await (const doc of cursor) {
+    scanned += 1;
+    const $set = {};
+    for (const path of paths) {
+      const value = getRawValue(doc, path);
+      if (needsUpdate(value, mode)) $set[path] = reencryptValue(value);
+    }
+    if (Object.keys($set).length > 0) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    }
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { scanned, updated };
+};
+
+const run = async () => {
+  const mode = process.argv[2];
+  if (!['encrypt', 'rotate'].includes(mode)) {
+    console.error('Usage: node scripts/encryptIntegrationTokens.js <encrypt|rotate>');
+    process.exit(1);
+  }
+  if (!process.env.MONGO_URI) {
+    console.error('ERROR: MONGO_URI is not defined in .env. Exiting.');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    const { scanned, updated } = await encryptIntegrationTokens(mode);
+    console.log(`Integration tokens ${mode === 'rotate' ? 're-encrypted' : 'encrypted'} with key '${getCurrentKeyVersion()}': ${updated} of ${scanned} users with tokens updated.`);
+  } catch (error) {
+    console.error(`Failed to ${mode} integration tokens: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { encryptIntegrationTokens };
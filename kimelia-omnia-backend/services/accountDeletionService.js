@@ -0,0 +1,180 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Event = require('../models/Event');
+const Goal = require('../models/Goal');
+const Message = require('../models/Message');
+const LearningResource = require('../models/LearningResource');
+const Project = require('../models/Project');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const WellnessRecord = require('../models/WellnessRecord');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const RealtimeEvent = require('../models/RealtimeEvent');
+const Session = require('../models/Session');
+const LoginChallenge = require('../models/LoginChallenge');
+const UserActivity = require('../models/UserActivity');
+const { revokeSessions } = require('./sessionService');
+const { deleteUserDataExports } = require('./dataExportService');
+const { disconnectGoogleIntegration } = require('./googleApiService');
+const { disconnectSlack } = require('./slackService');
+const { sendEmailNotification } = require('./notificationService');
+const { recordAuditEvent } = require('./auditLogService');
+const { pickSuccessorOwner } = require('../utils/projectRoles');
+
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? 14);
+
+// Collections whose documents belong to one user only; they are deleted with the account
+const OWNED_COLLECTIONS = [Task, Event, Goal, Message, LearningResource, Expense, Budget, WellnessRecord, Notification, NotificationDelivery, RealtimeEvent, Session, LoginChallenge, UserActivity];
+
+/**
+ * @function scheduleAccountDeletion
+ * @description Schedules a user's account for deletion after the grace period and signs out all their sessions.
+ * Logging in again during the grace period cancels the deletion (see cancelAccountDeletion).
+ * @param {Object} user - The User document.
+ * @returns {Promise<Date>} When the account will be deleted.
+ */
+const scheduleAccountDeletion = async (user) => {
+  const now = new Date();
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+  await revokeSessions(user._id);
+
+  await sendEmailNotification(
+    user.email,
+    'KIMELIA Omnia: Your account is scheduled for deletion',
+    `<p>Hello ${user.name},</p>
+     <p>Your KIMELIA Omnia account and all of its data will be permanently deleted on ${user.deletionScheduledFor.toUTCString()}.
+     You have been signed out on all your devices.</p>
+     <p>Changed your mind? Just log in again before then and the deletion will be cancelled.</p>
+     <p>Best regards,<br>The KIMELIA Omnia Team</p>`,
+    { user: user._id, category: 'account' }
+  ).catch((error) => console.error(`Failed to send account deletion email to ${user.email}:`, error.message));
+
+  return user.deletionScheduledFor;
+};
+
+/**
+ * @function cancelAccountDeletion
+ * @description Cancels a scheduled account deletion (called when the user logs in during the grace period).
+ * @param {Object} user - The User document.
+ * @returns {Promise<boolean>} True if a deletion was cancelled.
+ */
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledFor) return false;
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+  return true;
+};
+
+// Owned projects go to their highest-ranked member; projects without members are deleted.
+// Tasks the user added to projects that live on are handed to the project owner, so collaborators keep them.
+const handOverProjects = async (userId) => {
+  const summary = { transferred: 0, deleted: 0 };
+
+  const ownedProjects = await Project.find({ owner: userId });
+  for (const project of ownedProjects) {
+    project.members = project.members.filter((member) => member.user.toString() !== userId.toString());
+    const successorId = pickSuccessorOwner(project);
+    if (successorId) {
+      project.owner = successorId;
+      project.members = project.members.filter((member) => member.user.toString() !== successorId);
+      await project.save();
+      summary.transferred += 1;
+    } else {
+      await project.deleteOne();
+      await Task.updateMany({ project: project._id }, { $unset: { project: 1, boardColumn: 1, boardPosition: 1 } });
+      summary.deleted += 1;
+    }
+  }
+
+  // Memberships in other projects (plain IDs are memberships saved before project roles existed)
+  await Project.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+  await Project.updateMany({ members: userId }, { $pull: { members: userId } });
+
+  const sharedProjectIds = await Task.distinct('project', { user: userId, project: { $ne: null } });
+  const sharedProjects = await Project.find({ _id: { $in: sharedProjectIds } }).select('owner');
+  for (const project of sharedProjects) {
+    await Task.updateMany({ user: userId, project: project._id }, { user: project.owner });
+  }
+
+  await Task.updateMany({ assignedTo: userId }, { $unset: { assignedTo: 1 } });
+  return summary;
+};
+
+// Revoking access with Google and Slack is best effort: the tokens are deleted with the user either way
+const revokeIntegrations = async (user) => {
+  if (user.googleCalendar?.refreshToken) {
+    await disconnectGoogleIntegration(user._id)
+      .catch((error) => console.warn(`Could not disconnect Google for user ${user._id}:`, error.message));
+  }
+  if (user.slack?.accessToken) {
+    await disconnectSlack(user._id)
+      .catch((error) => console.warn(`Could not disconnect Slack for user ${user._id}:`, error.message));
+  }
+};
+
+/**
+ * @function deleteUserAccount
+ * @description Permanently deletes a user and everything they own: revokes their Google and Slack integrations,
+ * hands over or deletes the projects they own, removes them from other projects, deletes the documents of
+ * every owned collection and their data exports, then the user.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<Object|null>} A summary of what was removed, or null if the user does not exist.
+ */
+const deleteUserAccount = async (userId) => {
+  const user = await User.findById(userId).select('+googleCalendar.refreshToken +slack.accessToken');
+  if (!user) return null;
+
+  await revokeIntegrations(user);
+  const projects = await handOverProjects(user._id);
+
+  const deleted = {};
+  for (const model of OWNED_COLLECTIONS) {
+    const { deletedCount } = await model.deleteMany({ user: user._id });
+    deleted[model.collection.collectionName] = deletedCount;
+  }
+  deleted.dataexports = await deleteUserDataExports(user._id);
+
+  await user.deleteOne();
+  console.log(`Account ${user._id} deleted (${projects.transferred} project(s) transferred, ${projects.deleted} deleted).`);
+
+  return { projects, deleted };
+};
+
+/**
+ * @function purgeScheduledAccountDeletions
+ * @description Deletes the accounts whose grace period has ended, recording each in the audit log.
+ * @returns {Promise<number>} The number of accounts deleted.
+ */
+const purgeScheduledAccountDeletions = async () => {
+  const dueUsers = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id email deletionRequestedAt');
+  let deletedCount = 0;
+  for (const { _id, email, deletionRequestedAt } of dueUsers) {
+    try {
+      const summary = await deleteUserAccount(_id);
+      if (summary) {
+        deletedCount += 1;
+        await recordAuditEvent(null, {
+          action: 'account.deleted',
+          targetType: 'User',
+          targetId: _id,
+          metadata: { email, deletionRequestedAt, ...summary },
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to delete account ${_id}:`, error);
+    }
+  }
+  return deletedCount;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteUserAccount,
+  purgeScheduledAccountDeletions,
+};
@@ -1,4 +1,5 @@
 const OpenAI = require('openai'); // We will use the OpenAI client, but configure it for Groq
+const { recordAiCall } = require('./analyticsService');
 
 // Initialize Groq client (using OpenAI SDK for compatibility)
 let groq;
@@ -35,6 +36,7 @@ async function tryGroqModel(messages, generationConfig, functionName) {
                 ...generationConfig // Include other config like max_tokens, temperature, response_format
             });
             console.log(`[Groq AI Service] Successfully used model: ${modelName} for ${functionName}`);
+            recordAiCall(functionName, true); // Usage stats for the admin analytics (not awaited)
             return completion; // Return the successful completion
         } catch (error) {
             console.error(`[Groq AI Service] Failed with model ${modelName} for ${functionName}: ${error.message}`);
@@ -44,9 +46,11 @@ async function tryGroqModel(messages, generationConfig, functionName) {
                 continue; // Try the next model in the chain
             }
             // For other errors (e.g., quota, invalid prompt), re-throw
+            recordAiCall(functionName, false);
             throw error;
         }
     }
+    recordAiCall(functionName, false);
     throw new Error(`All configured Groq models failed for ${functionName}. Please check logs and Groq console for model availability/quotas.`);
 }
 
@@ -0,0 +1,211 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Event = require('../models/Event');
+const Goal = require('../models/Goal');
+const Expense = require('../models/Expense');
+const WellnessRecord = require('../models/WellnessRecord');
+const UserActivity = require('../models/UserActivity');
+const AiUsage = require('../models/AiUsage');
+const AuditLog = require('../models/AuditLog');
+const {
+  DAY_MS,
+  startOfUtcDay,
+  startOfUtcWeek,
+  toDayKey,
+  listBuckets,
+  fillSeries,
+  failureRate,
+} = require('../utils/analytics');
+
+// Records created per module, counted by `createdAt`
+const MODULE_MODELS = {
+  tasks: Task,
+  events: Event,
+  goals: Goal,
+  expenses: Expense,
+  wellnessRecords: WellnessRecord,
+};
+
+const INTEGRATION_PROVIDERS = ['google', 'slack'];
+
+// Users already recorded as active today by this process, so only their first request of the day writes
+let activityDay = null;
+const usersSeenToday = new Set();
+
+/**
+ * @function recordUserActivity
+ * @description Records that a user was active today (for daily/weekly active users). Never throws.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<void>}
+ */
+const recordUserActivity = async (userId) => {
+  const date = startOfUtcDay(new Date());
+  const dayKey = toDayKey(date);
+  if (dayKey !== activityDay) {
+    activityDay = dayKey;
+    usersSeenToday.clear();
+  }
+  const key = String(userId);
+  if (usersSeenToday.has(key)) return;
+  usersSeenToday.add(key);
+
+  try {
+    await UserActivity.updateOne({ user: userId, date }, { $setOnInsert: { user: userId, date } }, { upsert: true });
+  } catch (error) {
+    if (error.code === 11000) return; // Recorded concurrently by another request or server instance
+    usersSeenToday.delete(key);
+    console.error(`Failed to record activity of user ${userId}:`, error.message);
+  }
+};
+
+/**
+ * @function recordAiCall
+ * @description Counts a call to the AI provider in today's usage of an AI feature. Never throws.
+ * @param {string} operation - The AI feature (e.g. 'summarizeText').
+ * @param {boolean} succeeded - Whether the call returned a result.
+ * @returns {Promise<void>}
+ */
+const recordAiCall = async (operation, succeeded) => {
+  try {
+    await AiUsage.updateOne(
+      { date: startOfUtcDay(new Date()), operation },
+      { $inc: { calls: 1, failures: succeeded ? 0 : 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Failed to record AI usage of ${operation}:`, error.message);
+  }
+};
+
+const dayOf = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: `$${field}` } });
+
+// Counts documents per UTC day of a date field
+const countPerDay = (Model, field, range, match = {}) => Model.aggregate([
+  { $match: { ...match, [field]: { $gte: range.start, $lt: range.end } } },
+  { $group: { _id: dayOf(field), count: { $sum: 1 } } },
+]);
+
+const getUserGrowth = async (range, days) => {
+  const [total, verified, signups, verifications] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ isVerified: true }),
+    countPerDay(User, 'createdAt', range),
+    countPerDay(User, 'verifiedAt', range),
+  ]);
+  return {
+    total,
+    verified,
+    signups: fillSeries(days, signups),
+    verifications: fillSeries(days, verifications),
+  };
+};
+
+const getActiveUsers = async (range, days, weeks) => {
+  const weekRange = { start: startOfUtcWeek(range.start), end: range.end };
+  const [daily, weekly] = await Promise.all([
+    countPerDay(UserActivity, 'date', range),
+    UserActivity.aggregate([
+      { $match: { date: { $gte: weekRange.start, $lt: weekRange.end } } },
+      { $group: { _id: { week: { $dateTrunc: { date: '$date', unit: 'week', startOfWeek: 'monday' } }, user: '$user' } } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$_id.week' } }, count: { $sum: 1 } } },
+    ]),
+  ]);
+  return {
+    daily: fillSeries(days, daily),
+    weekly: fillSeries(weeks, weekly), // The first week starts on its Monday; the last one ends with the range
+  };
+};
+
+const getModuleUsage = async (range, days) => {
+  const modules = Object.keys(MODULE_MODELS);
+  const results = await Promise.all(modules.map((module) => countPerDay(MODULE_MODELS[module], 'createdAt', range)));
+
+  const usage = {};
+  modules.forEach((module, index) => {
+    const series = fillSeries(days, results[index]);
+    usage[module] = { total: series.reduce((sum, point) => sum + point.count, 0), series };
+  });
+  return usage;
+};
+
+const getIntegrationAdoption = async (range, days) => {
+  const connectedToken = { $exists: true, $nin: [null, ''] };
+  const [totalUsers, googleCalendar, gmail, slack, connections] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ 'googleCalendar.refreshToken': connectedToken }),
+    User.countDocuments({ 'gmail.connected': true }),
+    User.countDocuments({ 'slack.accessToken': connectedToken }),
+    AuditLog.aggregate([
+      { $match: { action: 'integration.connect', status: 'success', createdAt: { $gte: range.start, $lt: range.end } } },
+      {
+        $group: {
+          _id: dayOf('createdAt'),
+          ...Object.fromEntries(INTEGRATION_PROVIDERS.map((provider) => [
+            provider,
+            { $sum: { $cond: [{ $eq: ['$metadata.provider', provider] }, 1, 0] } },
+          ])),
+        },
+      },
+    ]),
+  ]);
+
+  const adoption = (connected) => ({ connected, share: totalUsers ? Math.round((connected / totalUsers) * 10000) / 10000 : 0 });
+  return {
+    totalUsers,
+    googleCalendar: adoption(googleCalendar),
+    gmail: adoption(gmail),
+    slack: adoption(slack),
+    connections: fillSeries(days, connections, INTEGRATION_PROVIDERS),
+  };
+};
+
+const getAiUsage = async (range, days) => {
+  const match = { $match: { date: { $gte: range.start, $lt: range.end } } };
+  const [daily, operations] = await Promise.all([
+    AiUsage.aggregate([match, { $group: { _id: dayOf('date'), calls: { $sum: '$calls' }, failures: { $sum: '$failures' } } }]),
+    AiUsage.aggregate([match, { $group: { _id: '$operation', calls: { $sum: '$calls' }, failures: { $sum: '$failures' } } }, { $sort: { calls: -1 } }]),
+  ]);
+
+  const calls = operations.reduce((sum, operation) => sum + operation.calls, 0);
+  const failures = operations.reduce((sum, operation) => sum + operation.failures, 0);
+  return {
+    calls,
+    failures,
+    failureRate: failureRate(calls, failures),
+    operations: operations.map((operation) => ({
+      operation: operation._id,
+      calls: operation.calls,
+      failures: operation.failures,
+      failureRate: failureRate(operation.calls, operation.failures),
+    })),
+    series: fillSeries(days, daily, ['calls', 'failures']).map((point) => ({ ...point, failureRate: failureRate(point.calls, point.failures) })),
+  };
+};
+
+/**
+ * @function getPlatformAnalytics
+ * @description Computes the admin dashboard metrics over whole UTC days, with one point per day (or week) in each series.
+ * @param {Date} from - First day of the range.
+ * @param {Date} to - Last day of the range (included).
+ * @returns {Promise<Object>} `{ users, activeUsers, modules, integrations, ai }`.
+ */
+const getPlatformAnalytics = async (from, to) => {
+  const range = { start: startOfUtcDay(from), end: new Date(startOfUtcDay(to).getTime() + DAY_MS) };
+  const days = listBuckets(from, to);
+  const weeks = listBuckets(from, to, 'week');
+
+  const [users, activeUsers, modules, integrations, ai] = await Promise.all([
+    getUserGrowth(range, days),
+    getActiveUsers(range, days, weeks),
+    getModuleUsage(range, days),
+    getIntegrationAdoption(range, days),
+    getAiUsage(range, days),
+  ]);
+  return { users, activeUsers, modules, integrations, ai };
+};
+
+module.exports = {
+  recordUserActivity,
+  recordAiCall,
+  getPlatformAnalytics,
+};
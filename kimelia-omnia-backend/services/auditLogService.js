@@ -0,0 +1,38 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * @function recordAuditEvent
+ * @description Writes an audit log entry. Never throws: a failure to audit is logged but does not fail the request.
+ * @param {Object|null} req - Express request object (for the actor, IP and User-Agent); null for system jobs.
+ * @param {Object} event - The entry.
+ * @param {string} event.action - One of AUDIT_ACTIONS.
+ * @param {string} [event.status='success'] - 'success' or 'failure'.
+ * @param {string} [event.actor] - The acting user's ID; defaults to the authenticated user.
+ * @param {string} [event.actorEmail] - The acting user's email; defaults to the authenticated user's.
+ * @param {string} [event.targetType] - 'User', 'Project' or 'Integration'.
+ * @param {string} [event.targetId] - The ID of the resource acted on.
+ * @param {Object} [event.metadata] - Action details. Never put secrets (passwords, tokens, codes) here.
+ * @returns {Promise<Object|null>} The stored entry, or null if it could not be written.
+ */
+const recordAuditEvent = async (req, { action, status = 'success', actor, actorEmail, targetType, targetId, metadata }) => {
+  try {
+    return await AuditLog.create({
+      action,
+      status,
+      actor: actor || req?.user?._id || null,
+      actorEmail: actorEmail || req?.user?.email,
+      targetType,
+      targetId,
+      metadata: Object.fromEntries(Object.entries(metadata || {}).filter(([, value]) => value !== undefined)),
+      ip: req?.ip,
+      userAgent: req ? (req.get('user-agent') || '').slice(0, 500) : undefined,
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log entry '${action}':`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAuditEvent,
+};
@@ -0,0 +1,168 @@
+// services/budgetService.js
+const Budget = require('../models/Budget');
+const Expense = require('../models/Expense');
+const { getNextPeriod } = require('../utils/budgetPeriods');
+const { getUserTimeSettings } = require('../utils/timezone');
+const { DEFAULT_CURRENCY, convertTotals } = require('../utils/currency');
+const { getExchangeRates } = require('./currencyService');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @function sumBudgetExpenses
+ * @description Sums the user's expenses that count against a budget: same category (every category for 'all')
+ * with an expense date inside the budget period. Expenses in other currencies are converted into the budget currency.
+ * @param {Object} budget - The Budget document.
+ * @param {Object<string, number>} [rates] - Exchange rates (loaded when omitted).
+ * @returns {Promise<{ total: number, unconvertedCurrencies: Array<string> }>} The total, and currencies left out for lack of an exchange rate.
+ */
+const sumBudgetExpenses = async (budget, rates) => {
+  const match = {
+    user: budget.user._id || budget.user,
+    date: { $gte: budget.startDate, $lte: budget.endDate },
+  };
+  if (budget.category !== 'all') match.category = budget.category;
+
+  const totals = await Expense.aggregate([
+    { $match: match },
+    { $group: { _id: { $ifNull: ['$currency', DEFAULT_CURRENCY] }, total: { $sum: '$amount' } } },
+    { $project: { currency: '$_id', total: 1, _id: 0 } },
+  ]);
+
+  const budgetCurrency = budget.currency || DEFAULT_CURRENCY;
+  const needsRates = totals.some(({ currency }) => currency !== budgetCurrency);
+  return convertTotals(totals, budgetCurrency, needsRates ? rates || await getExchangeRates() : {});
+};
+
+/**
+ * @function getBudgetSpending
+ * @description Total spent against a budget, in the budget currency. Expenses in a currency without an
+ * exchange rate are left out (and logged).
+ * @param {Object} budget - The Budget document.
+ * @param {Object<string, number>} [rates] - Exchange rates (loaded when omitted).
+ * @returns {Promise<number>} Total amount spent.
+ */
+const getBudgetSpending = async (budget, rates) => {
+  const { total, unconvertedCurrencies } = await sumBudgetExpenses(budget, rates);
+  if (unconvertedCurrencies.length > 0) {
+    console.warn(`[Budgets] No exchange rate for ${unconvertedCurrencies.join(', ')}; those expenses are left out of budget ${budget._id}.`);
+  }
+  return total;
+};
+
+/**
+ * @function calculateBudgetUsage
+ * @description Derives spent/remaining/percentUsed figures for a budget limit.
+ * @param {number} limitAmount - The budget limit.
+ * @param {number} spent - Amount spent in the period.
+ * @returns {{ spent: number, remaining: number, percentUsed: number, isOverBudget: boolean }} Usage figures (rounded to 2 decimals).
+ */
+const calculateBudgetUsage = (limitAmount, spent) => {
+  let percentUsed;
+  if (limitAmount > 0) {
+    percentUsed = (spent / limitAmount) * 100;
+  } else {
+    percentUsed = spent > 0 ? 100 : 0; // A zero budget is fully used by any spending
+  }
+
+  return {
+    spent: roundAmount(spent),
+    remaining: roundAmount(limitAmount - spent),
+    percentUsed: roundAmount(percentUsed),
+    isOverBudget: spent > limitAmount,
+  };
+};
+
+/**
+ * @function getEffectiveLimit
+ * @description The amount spending is measured against: the limit plus anything carried over from the previous period.
+ * @param {Object} budget - The Budget document.
+ * @returns {number} The effective limit.
+ */
+const getEffectiveLimit = (budget) => roundAmount(budget.limitAmount + (budget.carriedOverAmount || 0));
+
+/**
+ * @function withBudgetUsage
+ * @description Returns a plain budget object extended with its live spending figures.
+ * @param {Object} budget - The Budget document.
+ * @param {Object<string, number>} [rates] - Exchange rates (loaded when needed and omitted).
+ * @returns {Promise<Object>} The budget with `effectiveLimit`, `spent`, `remaining`, `percentUsed`, `isOverBudget`
+ * and `unconvertedCurrencies` (expense currencies that could not be converted and are not counted).
+ */
+const withBudgetUsage = async (budget, rates) => {
+  const { total: spent, unconvertedCurrencies } = await sumBudgetExpenses(budget, rates);
+  const effectiveLimit = getEffectiveLimit(budget);
+  return { ...budget.toObject(), effectiveLimit, ...calculateBudgetUsage(effectiveLimit, spent), unconvertedCurrencies };
+};
+
+/**
+ * @function rollOverBudget
+ * @description Closes every elapsed period of a rolling budget: records its final spending in `periodHistory`,
+ * moves the budget to the next period, carries the unspent amount forward if `carryOverUnspent` is set,
+ * and re-arms the spending alerts. Several periods are closed at once if the budget fell behind.
+ * @param {Object} budget - The Budget document (periodType other than 'custom'), with the user's settings populated
+ * so periods follow the user's time zone.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} The number of periods closed.
+ */
+const rollOverBudget = async (budget, now = new Date()) => {
+  const { timeZone } = getUserTimeSettings(budget.user);
+  let closedPeriods = 0;
+
+  while (budget.endDate < now) {
+    const spent = roundAmount(await getBudgetSpending(budget));
+    const effectiveLimit = getEffectiveLimit(budget);
+
+    budget.periodHistory.push({
+      startDate: budget.startDate,
+      endDate: budget.endDate,
+      limitAmount: budget.limitAmount,
+      currency: budget.currency,
+      carriedOverAmount: budget.carriedOverAmount || 0,
+      spent,
+      closedAt: now,
+    });
+
+    const next = getNextPeriod(budget.periodType, budget.startDate, { timeZone });
+    budget.startDate = next.startDate;
+    budget.endDate = next.endDate;
+    budget.carriedOverAmount = budget.carryOverUnspent ? Math.max(0, roundAmount(effectiveLimit - spent)) : 0;
+    budget.alerts = { thresholdSentAt: null, limitSentAt: null };
+    closedPeriods++;
+  }
+
+  if (closedPeriods > 0) {
+    await budget.save();
+  }
+  return closedPeriods;
+};
+
+/**
+ * @function rollOverDueBudgets
+ * @description Rolls over all non-custom budgets whose current period has ended.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} The number of budgets rolled over.
+ */
+const rollOverDueBudgets = async (now = new Date()) => {
+  const budgets = await Budget.find({ periodType: { $ne: 'custom' }, endDate: { $lt: now } }).populate('user', 'settings');
+  let rolledOver = 0;
+
+  for (const budget of budgets) {
+    try {
+      await rollOverBudget(budget, now);
+      rolledOver++;
+    } catch (error) {
+      console.error(`[Budgets] Error rolling over budget ${budget._id}:`, error);
+    }
+  }
+  return rolledOver;
+};
+
+module.exports = {
+  getBudgetSpending,
+  calculateBudgetUsage,
+  getEffectiveLimit,
+  withBudgetUsage,
+  rollOverBudget,
+  rollOverDueBudgets,
+};
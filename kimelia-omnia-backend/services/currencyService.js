@@ -0,0 +1,19 @@
+// services/currencyService.js
+const ExchangeRate = require('../models/ExchangeRate');
+const { REFERENCE_CURRENCY } = require('../utils/currency');
+
+/**
+ * @function getExchangeRates
+ * @description Loads the exchange-rate table maintained by admins.
+ * @returns {Promise<Object<string, number>>} Rates keyed by currency code, including the reference currency (1).
+ */
+const getExchangeRates = async () => {
+  const exchangeRates = await ExchangeRate.find().select('currency rate').lean();
+  const rates = { [REFERENCE_CURRENCY]: 1 };
+  exchangeRates.forEach(({ currency, rate }) => { rates[currency] = rate; });
+  return rates;
+};
+
+module.exports = {
+  getExchangeRates,
+};
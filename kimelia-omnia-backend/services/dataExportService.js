@@ -0,0 +1,236 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Event = require('../models/Event');
+const Goal = require('../models/Goal');
+const Message = require('../models/Message');
+const LearningResource = require('../models/LearningResource');
+const Project = require('../models/Project');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const WellnessRecord = require('../models/WellnessRecord');
+const { sendAppNotification } = require('./notificationService');
+const { enqueueJob } = require('./jobQueueService');
+const { toCsv } = require('../utils/csvExport');
+const { createZipArchive } = require('../utils/zipArchive');
+
+const EXPORT_RETENTION_HOURS = Number(process.env.DATA_EXPORT_RETENTION_HOURS) || 48;
+const DOWNLOAD_LINK_EXPIRE_SECONDS = 60 * 60; // A download link works for an hour (or until the archive expires)
+const STALE_EXPORT_MS = 60 * 60 * 1000; // Exports still pending/processing after this long were interrupted (e.g. a restart)
+const DOWNLOAD_TOKEN_PURPOSE = 'data_export_download';
+const BUCKET_NAME = 'dataExports';
+const DATA_EXPORT_JOB = 'dataExport.process'; // Job queue type building an export
+
+// Collections in an export, each as '<name>.json' and '<name>.csv'. Projects: only the ones the user owns.
+const EXPORT_COLLECTIONS = [
+  { name: 'tasks', model: Task, owner: 'user' },
+  { name: 'events', model: Event, owner: 'user' },
+  { name: 'goals', model: Goal, owner: 'user' },
+  { name: 'messages', model: Message, owner: 'user' },
+  { name: 'learning-resources', model: LearningResource, owner: 'user' },
+  { name: 'projects', model: Project, owner: 'owner' },
+  { name: 'expenses', model: Expense, owner: 'user' },
+  { name: 'budgets', model: Budget, owner: 'user' },
+  { name: 'wellness-records', model: WellnessRecord, owner: 'user' },
+];
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+/**
+ * @function buildExportArchive
+ * @description Collects everything a user owns and packs it into a ZIP: the profile, then a JSON and a CSV file
+ * per collection, and a manifest with the document counts. Fields hidden from API responses (select: false,
+ * e.g. passwords and integration tokens) are not exported.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<Object>} { archive (Buffer), counts }
+ */
+const buildExportArchive = async (userId) => {
+  const profile = await User.findById(userId).select('-verificationToken -verificationTokenExpires').lean();
+  const exportedAt = new Date();
+  const files = [{ name: 'profile.json', content: JSON.stringify(profile, null, 2) }];
+  const counts = {};
+
+  for (const { name, model, owner } of EXPORT_COLLECTIONS) {
+    const docs = await model.find({ [owner]: userId }).sort({ createdAt: 1 }).lean();
+    counts[name] = docs.length;
+    files.push(
+      { name: `${name}.json`, content: JSON.stringify(docs, null, 2) },
+      { name: `${name}.csv`, content: toCsv(docs) }
+    );
+  }
+
+  files.unshift({
+    name: 'manifest.json',
+    content: JSON.stringify({ exportedAt, userId: String(userId), format: 'JSON and CSV per collection', counts }, null, 2),
+  });
+
+  return { archive: createZipArchive(files, exportedAt), counts };
+};
+
+const uploadArchive = (fileName, archive, userId) => new Promise((resolve, reject) => {
+  const upload = getBucket().openUploadStream(fileName, { metadata: { user: userId } });
+  upload.once('error', reject);
+  upload.once('finish', () => resolve(upload.id));
+  upload.end(archive);
+});
+
+const deleteArchive = async (fileId) => {
+  if (!fileId) return;
+  try {
+    await getBucket().delete(fileId);
+  } catch (error) {
+    console.warn(`Could not delete data export archive ${fileId}: ${error.message}`);
+  }
+};
+
+/**
+ * @function processDataExport
+ * @description Builds and stores the archive of a pending export, then tells the user it is ready.
+ * Failures are recorded on the export (status 'failed') rather than thrown.
+ * @param {string} exportId - The DataExport ID.
+ * @returns {Promise<Object|null>} The updated export, or null if it was not pending.
+ */
+const processDataExport = async (exportId) => {
+  // Claim the export, so it is only processed once
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  try {
+    const { archive, counts } = await buildExportArchive(dataExport.user);
+    const fileName = `kimelia-omnia-export-${new Date().toISOString().slice(0, 10)}.zip`;
+    const fileId = await uploadArchive(fileName, archive, dataExport.user);
+
+    Object.assign(dataExport, {
+      status: 'completed',
+      fileId,
+      fileName,
+      size: archive.length,
+      counts,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000),
+    });
+    await dataExport.save();
+    console.log(`Data export ${dataExport._id} completed for user ${dataExport.user} (${archive.length} bytes).`);
+
+    await sendAppNotification(dataExport.user, {
+      type: 'system',
+      title: 'Your data export is ready',
+      message: `Your archive can be downloaded from your account settings until ${dataExport.expiresAt.toUTCString()}.`,
+    }).catch((error) => console.error(`Failed to notify user about data export ${dataExport._id}:`, error.message));
+  } catch (error) {
+    console.error(`Data export ${dataExport._id} failed:`, error);
+    dataExport.status = 'failed';
+    dataExport.error = 'The archive could not be generated. Please request a new export.';
+    await dataExport.save();
+  }
+  return dataExport;
+};
+
+/**
+ * @function requestDataExport
+ * @description Queues an export for a user, built in the background by the job queue. A user has at most one export in progress:
+ * if one is already pending or processing, that one is returned instead.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<Object>} { dataExport, created }
+ */
+const requestDataExport = async (userId) => {
+  const inProgress = await DataExport.findOne({ user: userId, status: { $in: ['pending', 'processing'] } });
+  if (inProgress) return { dataExport: inProgress, created: false };
+
+  const dataExport = await DataExport.create({ user: userId });
+  await enqueueJob(DATA_EXPORT_JOB, { exportId: String(dataExport._id) }, { maxAttempts: 1 }); // Failures are recorded on the export
+  return { dataExport, created: true };
+};
+
+/**
+ * @function createDownloadToken
+ * @description Issues the token for an export's download link. Links expire after an hour, or when the archive does.
+ * @param {Object} dataExport - A completed DataExport.
+ * @returns {Object} { token, expiresAt }
+ */
+const createDownloadToken = (dataExport) => {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = Math.min(now + DOWNLOAD_LINK_EXPIRE_SECONDS, Math.floor(dataExport.expiresAt.getTime() / 1000));
+  const token = jwt.sign({ id: String(dataExport._id), purpose: DOWNLOAD_TOKEN_PURPOSE, exp }, process.env.JWT_SECRET);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * @function verifyDownloadToken
+ * @description Checks a download link token against the export it is used for.
+ * @param {string} token - The token from the link.
+ * @param {string} exportId - The export being downloaded.
+ * @returns {boolean} True if the token is valid for that export.
+ */
+const verifyDownloadToken = (token, exportId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === DOWNLOAD_TOKEN_PURPOSE && String(decoded.id) === String(exportId);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @function openArchiveStream
+ * @description Opens a readable stream of a completed export's archive.
+ * @param {Object} dataExport - The DataExport, loaded with `+fileId`.
+ * @returns {Object} The GridFS download stream.
+ */
+const openArchiveStream = (dataExport) => getBucket().openDownloadStream(dataExport.fileId);
+
+/**
+ * @function deleteUserDataExports
+ * @description Deletes all exports of a user together with their archives.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<number>} The number of exports deleted.
+ */
+const deleteUserDataExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId }).select('+fileId');
+  for (const dataExport of exports) await deleteArchive(dataExport.fileId);
+  const { deletedCount } = await DataExport.deleteMany({ user: userId });
+  return deletedCount;
+};
+
+/**
+ * @function cleanUpDataExports
+ * @description Deletes the archives of expired exports (marking them 'expired'), and fails exports that were
+ * interrupted while pending or processing so the user can request a new one.
+ * @returns {Promise<Object>} { expired, failed }
+ */
+const cleanUpDataExports = async () => {
+  const now = new Date();
+  const expiredExports = await DataExport.find({ status: 'completed', expiresAt: { $lte: now } }).select('+fileId');
+  for (const dataExport of expiredExports) {
+    await deleteArchive(dataExport.fileId);
+    dataExport.status = 'expired';
+    dataExport.fileId = undefined;
+    await dataExport.save();
+  }
+
+  const { modifiedCount } = await DataExport.updateMany(
+    { status: { $in: ['pending', 'processing'] }, updatedAt: { $lt: new Date(now.getTime() - STALE_EXPORT_MS) } },
+    { status: 'failed', error: 'The export was interrupted. Please request a new export.' }
+  );
+
+  return { expired: expiredExports.length, failed: modifiedCount };
+};
+
+module.exports = {
+  DATA_EXPORT_JOB,
+  EXPORT_COLLECTIONS,
+  buildExportArchive,
+  processDataExport,
+  requestDataExport,
+  createDownloadToken,
+  verifyDownloadToken,
+  openArchiveStream,
+  deleteUserDataExports,
+  cleanUpDataExports,
+};
@@ -0,0 +1,275 @@
+// services/expenseImportService.js
+const { Types } = require('mongoose');
+const Expense = require('../models/Expense');
+const { parseCsvStatement, parseOfxStatement } = require('../utils/statementParser');
+
+const EXPENSE_CATEGORIES = ['food', 'transport', 'housing', 'utilities', 'entertainment', 'shopping', 'education', 'health', 'work', 'bills', 'savings', 'other'];
+
+// Bank posting dates often lag the purchase date, so a likely duplicate may be a few days apart.
+const DUPLICATE_DATE_TOLERANCE_DAYS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Built-in merchant keyword rules, checked in order (so "uber eats" is food before "uber" is transport).
+const DEFAULT_MERCHANT_RULES = [
+  { category: 'food', keywords: ['uber eats', 'doordash', 'deliveroo', 'glovo', 'jumia food', 'restaurant', 'cafe', 'coffee', 'starbucks', 'mcdonald', 'kfc', 'pizza', 'burger', 'bakery', 'grocery', 'groceries', 'supermarket', 'carrefour', 'walmart', 'tesco', 'aldi', 'lidl', 'naivas', 'shoprite'] },
+  { category: 'transport', keywords: ['uber', 'lyft', 'bolt', 'taxi', 'fuel', 'petrol', 'gas station', 'parking', 'metro', 'railway', 'train', 'bus', 'airline', 'airways'] },
+  { category: 'housing', keywords: ['rent', 'mortgage', 'landlord', 'property management'] },
+  { category: 'utilities', keywords: ['electricity', 'electric', 'water', 'internet', 'broadband', 'airtel', 'mtn', 'safaricom', 'vodafone', 'verizon', 'comcast'] },
+  { category: 'entertainment', keywords: ['netflix', 'spotify', 'cinema', 'movie', 'steam', 'playstation', 'xbox', 'disney'] },
+  { category: 'shopping', keywords: ['amazon', 'ebay', 'aliexpress', 'jumia', 'zara', 'ikea', 'mall'] },
+  { category: 'education', keywords: ['udemy', 'coursera', 'tuition', 'school', 'university', 'bookstore'] },
+  { category: 'health', keywords: ['pharmacy', 'hospital', 'clinic', 'doctor', 'dental', 'gym', 'fitness'] },
+  { category: 'bills', keywords: ['insurance', 'bill', 'tax', 'fee', 'subscription'] },
+  { category: 'savings', keywords: ['savings', 'investment'] },
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @function normalizeDescription
+ * @description Lower-cases a transaction description and strips digits and punctuation (card numbers,
+ * references, dates) so the same merchant compares equal across statements.
+ * @param {string} description - The raw description.
+ * @returns {string} The normalized description.
+ */
+const normalizeDescription = (description) => String(description || '')
+  .toLowerCase()
+  .replace(/[^a-z\s&]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * @function categorizeTransaction
+ * @description Picks an Expense category for a description: user rules first (case-insensitive substring),
+ * then the built-in merchant keywords, then 'other'.
+ * @param {string} description - The transaction description.
+ * @param {Array<Object>} [rules=[]] - User rules `{ match, category }`.
+ * @returns {{ category: string, categorySource: string }} The category and whether it came from a 'rule' or the 'default'.
+ */
+const categorizeTransaction = (description, rules = []) => {
+  const text = String(description || '').toLowerCase();
+
+  const userRule = rules.find((rule) => text.includes(String(rule.match).toLowerCase()));
+  if (userRule) return { category: userRule.category, categorySource: 'rule' };
+
+  const normalized = normalizeDescription(description);
+  const defaultRule = DEFAULT_MERCHANT_RULES.find(({ keywords }) => keywords.some((keyword) => (
+    new RegExp(`\\b${escapeRegex(keyword)}\\b`).test(normalized)
+  )));
+  if (defaultRule) return { category: defaultRule.category, categorySource: 'rule' };
+
+  return { category: 'other', categorySource: 'default' };
+};
+
+/**
+ * @function descriptionsMatch
+ * @description Fuzzy description comparison for duplicate detection: equal, contained in one another,
+ * or sharing at least half of their words. A missing description matches anything.
+ * @param {string} a - First description.
+ * @param {string} b - Second description.
+ * @returns {boolean} True if both likely describe the same merchant.
+ */
+const descriptionsMatch = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (!left || !right) return true;
+  if (left.includes(right) || right.includes(left)) return true;
+
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const shared = [...leftWords].filter((word) => rightWords.has(word)).length;
+  return shared / Math.min(leftWords.size, rightWords.size) >= 0.5;
+};
+
+/**
+ * @function isLikelyDuplicate
+ * @description Same amount (to the cent), dates within DUPLICATE_DATE_TOLERANCE_DAYS and matching descriptions.
+ * @param {Object} row - The import row ({ date, amount, description }).
+ * @param {Object} expense - An existing expense or an earlier row.
+ * @returns {boolean} True if the two are likely the same transaction.
+ */
+const isLikelyDuplicate = (row, expense) => (
+  Math.round(row.amount * 100) === Math.round(expense.amount * 100)
+  && Math.abs(new Date(row.date) - new Date(expense.date)) <= DUPLICATE_DATE_TOLERANCE_DAYS * DAY_MS
+  && descriptionsMatch(row.description, expense.description)
+);
+
+/**
+ * @function findExistingDuplicates
+ * @description Loads the user's expenses that could duplicate the given rows: previously imported rows with the
+ * same bank reference, and expenses in the rows' date range (plus tolerance).
+ * @param {string} userId - The Omnia user ID.
+ * @param {Array<Object>} rows - Import rows with `date`, `amount`, `description` and optional `externalId`.
+ * @returns {Promise<Function>} A lookup `(row) => { expense, reason } | null`.
+ */
+const findExistingDuplicates = async (userId, rows) => {
+  if (rows.length === 0) return () => null;
+
+  const times = rows.map((row) => new Date(row.date).getTime());
+  const externalIds = rows.map((row) => row.externalId).filter(Boolean);
+  const candidates = await Expense.find({
+    user: userId,
+    $or: [
+      { date: { $gte: new Date(Math.min(...times) - DUPLICATE_DATE_TOLERANCE_DAYS * DAY_MS), $lte: new Date(Math.max(...times) + DUPLICATE_DATE_TOLERANCE_DAYS * DAY_MS) } },
+      ...(externalIds.length ? [{ 'importSource.externalId': { $in: externalIds } }] : []),
+    ],
+  }).select('date amount description category importSource').lean();
+
+  const byExternalId = new Map(candidates
+    .filter((expense) => expense.importSource?.externalId)
+    .map((expense) => [expense.importSource.externalId, expense]));
+
+  return (row) => {
+    if (row.externalId && byExternalId.has(row.externalId)) {
+      return { expense: byExternalId.get(row.externalId), reason: 'already_imported' };
+    }
+    const expense = candidates.find((candidate) => isLikelyDuplicate(row, candidate));
+    return expense ? { expense, reason: 'likely_duplicate' } : null;
+  };
+};
+
+/**
+ * @function parseStatement
+ * @description Parses a CSV or OFX/QFX statement into raw transactions.
+ * @param {Object} options - The import request (format, content and CSV options).
+ * @returns {Array<Object>} Raw transactions.
+ */
+const parseStatement = ({ format, content, ...csvOptions }) => (
+  format === 'csv' ? parseCsvStatement(content, csvOptions) : parseOfxStatement(content)
+);
+
+/**
+ * @function buildImportPreview
+ * @description Turns parsed transactions into one preview row each, with a suggested category and a status:
+ * `ready`, `duplicate` (already imported, or a likely duplicate of an existing expense or an earlier row),
+ * `skipped` (money coming in, not an expense) or `error` (unreadable row). Nothing is written.
+ * @param {string} userId - The Omnia user ID.
+ * @param {Array<Object>} transactions - Raw transactions from parseStatement.
+ * @param {Object} [options] - Preview options.
+ * @param {string} [options.amountSign='negative'] - Which sign marks an expense in the file: 'negative' (bank style) or 'positive'.
+ * @param {Array<Object>} [options.rules=[]] - User merchant rules `{ match, category }`.
+ * @param {string} [options.currency] - Currency of rows whose statement does not declare one.
+ * @returns {Promise<Object>} `{ rows, summary }`.
+ */
+const buildImportPreview = async (userId, transactions, { amountSign = 'negative', rules = [], currency } = {}) => {
+  const rows = transactions.map((transaction) => {
+    const row = {
+      rowNumber: transaction.rowNumber,
+      date: transaction.date,
+      amount: transaction.amount === null ? null : Math.abs(transaction.amount),
+      currency: transaction.currency || currency,
+      description: transaction.description.slice(0, 200),
+      paymentMethod: transaction.paymentMethod || 'other',
+      externalId: transaction.externalId,
+    };
+
+    if (transaction.error) {
+      return { ...row, status: 'error', reason: transaction.error };
+    }
+    const isExpense = amountSign === 'negative' ? transaction.amount < 0 : transaction.amount > 0;
+    if (!isExpense || row.amount < 0.01) {
+      return { ...row, status: 'skipped', reason: 'Not an expense (incoming or zero amount).' };
+    }
+
+    const fileCategory = String(transaction.category || '').toLowerCase();
+    const { category, categorySource } = EXPENSE_CATEGORIES.includes(fileCategory)
+      ? { category: fileCategory, categorySource: 'file' }
+      : categorizeTransaction(transaction.description, rules);
+
+    return { ...row, category, categorySource, status: 'ready' };
+  });
+
+  const findDuplicate = await findExistingDuplicates(userId, rows.filter((row) => row.status === 'ready'));
+  const accepted = [];
+  for (const row of rows.filter((candidate) => candidate.status === 'ready')) {
+    const existing = findDuplicate(row);
+    const earlierRow = accepted.find((previous) => (
+      (row.externalId && previous.externalId === row.externalId)
+      || (!row.externalId && isLikelyDuplicate(row, previous))
+    ));
+
+    if (existing) {
+      row.status = 'duplicate';
+      row.reason = existing.reason;
+      row.duplicateOf = { _id: existing.expense._id, date: existing.expense.date, amount: existing.expense.amount, description: existing.expense.description };
+    } else if (earlierRow) {
+      row.status = 'duplicate';
+      row.reason = 'duplicate_in_file';
+      row.duplicateOfRow = earlierRow.rowNumber;
+    } else {
+      accepted.push(row);
+    }
+  }
+
+  const countByStatus = (status) => rows.filter((row) => row.status === status).length;
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      ready: countByStatus('ready'),
+      duplicates: countByStatus('duplicate'),
+      skipped: countByStatus('skipped'),
+      errors: countByStatus('error'),
+      totalAmount: Math.round(rows.filter((row) => row.status === 'ready').reduce((sum, row) => sum + row.amount, 0) * 100) / 100,
+    },
+  };
+};
+
+/**
+ * @function commitImport
+ * @description Creates expenses for the rows the user accepted from a preview, in one batch.
+ * Rows whose bank reference was already imported are always skipped so re-importing a statement is safe;
+ * fuzzy duplicates are only skipped when `skipLikelyDuplicates` is set (the user may have accepted them on purpose).
+ * @param {string} userId - The Omnia user ID.
+ * @param {Object} options - Commit options.
+ * @param {string} options.format - 'csv', 'ofx' or 'qfx'.
+ * @param {Array<Object>} options.rows - Accepted rows `{ date, amount, currency, description, category, paymentMethod, tags, externalId }`.
+ * @param {boolean} [options.skipLikelyDuplicates=false] - Also skip rows that look like existing expenses.
+ * @param {string} [options.currency] - Currency of rows without one.
+ * @returns {Promise<Object>} `{ batchId, created, skipped, expenses }`.
+ */
+const commitImport = async (userId, { format, rows, skipLikelyDuplicates = false, currency }) => {
+  const findDuplicate = await findExistingDuplicates(userId, rows);
+  const batchId = new Types.ObjectId().toString();
+  const importedAt = new Date();
+  const skipped = [];
+  const seenExternalIds = new Set();
+
+  const documents = rows.filter((row, index) => {
+    const duplicate = findDuplicate(row);
+    const repeatedInBatch = row.externalId && seenExternalIds.has(row.externalId);
+    if (row.externalId) seenExternalIds.add(row.externalId);
+
+    if (repeatedInBatch || (duplicate && (duplicate.reason === 'already_imported' || skipLikelyDuplicates))) {
+      skipped.push({ index, reason: repeatedInBatch ? 'duplicate_in_batch' : duplicate.reason, duplicateOf: duplicate?.expense._id });
+      return false;
+    }
+    return true;
+  }).map((row) => {
+    const description = (row.description || '').trim();
+    return {
+      user: userId,
+      description: description.length >= 3 ? description : undefined, // Expense descriptions need at least 3 characters
+      amount: row.amount,
+      currency: row.currency || currency,
+      category: row.category,
+      date: row.date,
+      tags: row.tags,
+      paymentMethod: row.paymentMethod,
+      importSource: { format, externalId: row.externalId, batchId, importedAt },
+    };
+  });
+
+  const expenses = documents.length ? await Expense.insertMany(documents) : [];
+  return { batchId, created: expenses.length, skipped, expenses };
+};
+
+module.exports = {
+  DEFAULT_MERCHANT_RULES,
+  normalizeDescription,
+  categorizeTransaction,
+  descriptionsMatch,
+  parseStatement,
+  buildImportPreview,
+  commitImport,
+};
@@ -17,108 +17,249 @@ const getGmailClient = async (user) => {
   return google.gmail({ version: 'v1', auth: oauth2Client });
 };
 
+// Bodies shorter than this are stored as-is instead of being summarized by AI.
+const MIN_SUMMARY_BODY_LENGTH = 100;
+const GMAIL_SYNC_JOB = 'gmail.sync'; // Job queue type of a background inbox sync for one user
+
+/**
+ * @function parseAddressList
+ * @description Parses an RFC 5322 address header (e.g., `"Doe, Jane" <jane@example.com>, bob@example.com`).
+ * @param {string} [value] - The raw header value.
+ * @returns {Array<{name: string, email: string}>} The parsed addresses.
+ */
+const parseAddressList = (value = '') => {
+    const addresses = [];
+    let current = '';
+    let inQuotes = false;
+    let inAngle = false;
+
+    // Split on commas that are not inside quotes or angle brackets
+    for (const char of `${value},`) {
+        if (char === '"') inQuotes = !inQuotes;
+        if (char === '<' && !inQuotes) inAngle = true;
+        if (char === '>' && !inQuotes) inAngle = false;
+        if (char === ',' && !inQuotes && !inAngle) {
+            const entry = current.trim();
+            current = '';
+            if (!entry) continue;
+
+            const match = /^(.*)<([^>]+)>$/.exec(entry);
+            const email = (match ? match[2] : entry).trim().toLowerCase();
+            const name = match ? match[1].trim().replace(/^"|"$/g, '') : '';
+            if (email.includes('@')) addresses.push({ name, email });
+            continue;
+        }
+        current += char;
+    }
+
+    return addresses;
+};
+
+/**
+ * @function getEmailBody
+ * @description Extracts the first text/plain or text/html body from a (possibly multipart) Gmail payload.
+ * @param {Object} payload - The Gmail message payload.
+ * @returns {string|null} The decoded body.
+ */
+const getEmailBody = (payload) => {
+    if (payload.parts) {
+        for (const part of payload.parts) {
+            const body = getEmailBody(part);
+            if (body) return body;
+        }
+    } else if (payload.body && payload.body.data) {
+        // Only decode if it's text/plain or text/html
+        if (payload.mimeType === 'text/plain' || payload.mimeType === 'text/html') {
+            return Buffer.from(payload.body.data, 'base64').toString('utf8');
+        }
+    }
+    return null;
+};
+
+/**
+ * @function storeGmailMessage
+ * @description Fetches a Gmail message, summarizes it and upserts it as an Omnia Message keyed on the Gmail message ID.
+ * Messages that are already stored are not fetched or summarized again.
+ * @param {google.gmail.Gmail} gmail - The authorized Gmail client.
+ * @param {string} userId - The Omnia user ID.
+ * @param {string} gmailMessageId - The Gmail message ID.
+ * @returns {Promise<boolean>} True if a new Message was stored.
+ */
+const storeGmailMessage = async (gmail, userId, gmailMessageId) => {
+    const alreadyStored = await Message.exists({ user: userId, source: 'gmail', externalReferenceId: gmailMessageId });
+    if (alreadyStored) return false;
+
+    const getResponse = await gmail.users.messages.get({
+        userId: 'me',
+        id: gmailMessageId,
+        format: 'full', // Fetch full email content
+    });
+    const email = getResponse.data;
+
+    const headers = email.payload.headers;
+    const getHeader = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value;
+    const rawSubject = (getHeader('Subject') || '').trim();
+    const subject = rawSubject.length >= 3 ? rawSubject.slice(0, 500) : 'No Subject';
+    const from = getHeader('From') || 'Unknown Sender';
+    const dateHeader = getHeader('Date');
+    const receivedAt = dateHeader && !Number.isNaN(new Date(dateHeader).getTime())
+        ? new Date(dateHeader)
+        : new Date(parseInt(email.internalDate, 10)); // Prefer Date header, fallback to internalDate
+
+    const sender = parseAddressList(from)[0] || { name: from, email: undefined };
+    const recipients = ['To', 'Cc', 'Bcc'].flatMap((kind) => parseAddressList(getHeader(kind))
+        .map((address) => ({ ...address, kind: kind.toLowerCase() })));
+
+    const emailBody = (getEmailBody(email.payload) || '').trim();
+    let content;
+    if (emailBody.length >= MIN_SUMMARY_BODY_LENGTH) {
+        // Summarize using AI
+        content = await summarizeText(emailBody, `Summarize the following email from "${from}" with subject "${subject}" from the user's perspective, focusing on key information and any implied action items:`);
+    } else {
+        // Too short to summarize: keep the text itself so the message is still stored (and never fetched again)
+        content = emailBody || email.snippet || '';
+        if (content.length < 10) content = `Short email: ${subject}`;
+    }
+
+    const tags = ['gmail', 'summary'];
+    if (from.includes('noreply')) tags.push('automated');
+
+    // Upsert on the Gmail message ID so concurrent or repeated syncs store each email once
+    const result = await Message.updateOne(
+        { user: userId, source: 'gmail', externalReferenceId: email.id },
+        {
+            $set: {
+                threadId: email.threadId,
+                sender,
+                recipients,
+                labels: email.labelIds || [],
+                receivedAt,
+            },
+            $setOnInsert: {
+                type: 'email_summary',
+                subject,
+                content: content.slice(0, 5000),
+                tags,
+            },
+        },
+        { upsert: true }
+    );
+
+    console.log(`Summarized Gmail: "${subject}" by ${from}`);
+    return result.upsertedCount > 0;
+};
+
 /**
  * @function fetchAndSummarizeGmailInbox
- * @description Fetches recent emails from Gmail inbox, summarizes them using AI, and stores as Omnia Messages.
+ * @description Ingests new inbox emails as summarized Omnia Messages.
+ * Without a stored history ID (first sync, or history expired) the most recent inbox messages are fetched;
+ * afterwards only changes since `user.gmail.historyId` are read with `users.history.list`, which also
+ * keeps labels of stored messages up to date and flags messages deleted in Gmail.
  * @param {string} userId - The Omnia user ID.
- * @param {number} [maxResults=10] - Max number of emails to fetch.
- * @returns {Promise<{success: boolean, message: string, syncedCount: number}>}
+ * @param {number} [maxResults=10] - Max number of new emails to summarize in this run. Remaining emails are picked up by the next run.
+ * @returns {Promise<{success: boolean, message: string, syncedCount: number, data: Object}>}
  */
 const fetchAndSummarizeGmailInbox = async (userId, maxResults = 10) => {
-    const user = await User.findById(userId); // Fetch user to get lastSync and update it
+    const user = await User.findById(userId); // Fetch user to get historyId and update it
     if (!user || !user.gmail?.connected) {
         throw new Error('Gmail integration not connected for this user.');
     }
 
     const gmail = await getGmailClient(user);
+    const report = { fullSync: false, labelUpdates: 0, deleted: 0, errors: [] };
     let syncedCount = 0;
-    let newHistoryId = user.gmail.historyId; // For incremental sync
-
-
-    try {
-        const listOptions = {
-            userId: 'me',
-            labelIds: ['INBOX'],
-            maxResults: maxResults,
-        };
-
-        if (user.gmail.lastSync) {
-            // For true incremental sync, history.list is better.
-            // For simplicity, we filter messages by date after last sync.
-            // This is not foolproof as it might miss messages with older dates that arrived recently.
-            listOptions.q = `after:${Math.floor(user.gmail.lastSync.getTime() / 1000)}`;
-        }
-
-
-        const listResponse = await gmail.users.messages.list(listOptions);
+    let newHistoryId = user.gmail.historyId;
 
-        const messages = listResponse.data.messages;
-        if (!messages || messages.length === 0) {
-            return { success: true, message: 'No new Gmail messages to summarize.', syncedCount: 0 };
+    // Stores a new email unless this run's budget is used up; returns false when the budget is exhausted.
+    const ingest = async (gmailMessageId) => {
+        if (syncedCount >= maxResults) {
+            const stored = await Message.exists({ user: userId, source: 'gmail', externalReferenceId: gmailMessageId });
+            return !!stored;
         }
-
-        // The highest historyId in the response.
-        // For robust incremental sync, this would be retrieved via `gmail.users.history.list` from the old `historyId`.
-        if (listResponse.data.historyId) {
-             newHistoryId = listResponse.data.historyId;
+        try {
+            if (await storeGmailMessage(gmail, userId, gmailMessageId)) syncedCount++;
+        } catch (error) {
+            if (error.code === 404) return true; // Deleted in Gmail before we could read it
+            console.error(`Failed to ingest Gmail message ${gmailMessageId}:`, error.message);
+            report.errors.push({ gmailMessageId, message: error.message });
         }
+        return true;
+    };
 
-        for (const msg of messages) {
-            const getResponse = await gmail.users.messages.get({
+    const syncFromHistory = async () => {
+        let pageToken;
+        do {
+            const historyResponse = await gmail.users.history.list({
                 userId: 'me',
-                id: msg.id,
-                format: 'full', // Fetch full email content
+                startHistoryId: user.gmail.historyId,
+                historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+                pageToken,
             });
 
-            const email = getResponse.data;
-
-            const headers = email.payload.headers;
-            const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
-            const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender';
-            const dateHeader = headers.find(h => h.name === 'Date')?.value;
-            const emailDate = dateHeader ? new Date(dateHeader) : new Date(parseInt(email.internalDate)); // Prefer Date header, fallback to internalDate
+            for (const record of historyResponse.data.history || []) {
+                for (const { message } of record.messagesAdded || []) {
+                    if (!(message.labelIds || []).includes('INBOX')) continue;
+                    if (!(await ingest(message.id))) {
+                        // Budget used up: resume from this record on the next run
+                        return;
+                    }
+                }
 
+                for (const { message } of [...(record.labelsAdded || []), ...(record.labelsRemoved || [])]) {
+                    const result = await Message.updateOne(
+                        { user: userId, source: 'gmail', externalReferenceId: message.id },
+                        { labels: message.labelIds || [] }
+                    );
+                    report.labelUpdates += result.modifiedCount;
+                }
 
-            // Extract email body (can be complex with multipart emails)
-            let emailBody = '';
-            const getEmailBody = (payload) => {
-                if (payload.parts) {
-                    for (const part of payload.parts) {
-                        const body = getEmailBody(part);
-                        if (body) return body;
-                    }
-                } else if (payload.body && payload.body.data) {
-                    // Only decode if it's text/plain or text/html
-                    if (payload.mimeType === 'text/plain' || payload.mimeType === 'text/html') {
-                        return Buffer.from(payload.body.data, 'base64').toString('utf8');
-                    }
+                for (const { message } of record.messagesDeleted || []) {
+                    const result = await Message.updateOne(
+                        { user: userId, source: 'gmail', externalReferenceId: message.id },
+                        { status: 'deleted' }
+                    );
+                    report.deleted += result.modifiedCount;
                 }
-                return null;
-            };
-            emailBody = getEmailBody(email.payload) || '';
 
+                newHistoryId = record.id;
+            }
 
-            if (!emailBody || emailBody.length < 100) {
-                console.log(`Skipping short/empty email ${subject} from ${from} for summarization.`);
-                continue;
+            pageToken = historyResponse.data.nextPageToken;
+            if (!pageToken && historyResponse.data.historyId) {
+                newHistoryId = historyResponse.data.historyId;
             }
+        } while (pageToken);
+    };
 
-            // Summarize using AI
-            const summary = await summarizeText(emailBody, `Summarize the following email from "${from}" with subject "${subject}" from the user's perspective, focusing on key information and any implied action items:`);
+    const syncRecentInbox = async () => {
+        report.fullSync = true;
+        // Take the mailbox history ID first so nothing arriving during the listing is missed next time
+        const profile = await gmail.users.getProfile({ userId: 'me' });
+        newHistoryId = profile.data.historyId;
 
-            // Store as Omnia Message (type: email_summary)
-            await Message.create({
-                user: userId,
-                type: 'email_summary',
-                subject: subject,
-                content: summary,
-                source: 'gmail',
-                externalReferenceId: email.id, // Store Gmail message ID for future reference
-                tags: ['gmail', 'summary', from.includes('noreply') ? 'automated' : ''],
-                createdAt: emailDate,
-            });
-            syncedCount++;
-            console.log(`Summarized Gmail: "${subject}" by ${from}`);
+        const listResponse = await gmail.users.messages.list({
+            userId: 'me',
+            labelIds: ['INBOX'],
+            maxResults: maxResults,
+        });
+
+        for (const msg of listResponse.data.messages || []) {
+            await ingest(msg.id);
+        }
+    };
+
+    try {
+        if (user.gmail.historyId) {
+            try {
+                await syncFromHistory();
+            } catch (error) {
+                // Gmail only keeps history for a limited time; an expired start ID returns 404
+                if (error.code !== 404) throw error;
+                console.warn(`Gmail history ${user.gmail.historyId} expired for user ${user.email}, re-syncing recent inbox.`);
+                await syncRecentInbox();
+            }
+        } else {
+            await syncRecentInbox();
         }
 
         // Update user's lastSync and historyId
@@ -126,7 +267,10 @@ const fetchAndSummarizeGmailInbox = async (userId, maxResults = 10) => {
         user.gmail.historyId = newHistoryId;
         await user.save();
 
-        return { success: true, message: `Successfully fetched and summarized ${syncedCount} new Gmail messages.`, syncedCount };
+        const message = syncedCount
+            ? `Successfully fetched and summarized ${syncedCount} new Gmail messages.`
+            : 'No new Gmail messages to summarize.';
+        return { success: true, message, syncedCount, data: { ...report, historyId: newHistoryId } };
     } catch (error) {
         console.error('Error fetching/summarizing Gmail inbox:', error.message);
         if (error.response?.data) {
@@ -241,7 +385,9 @@ const disconnectGmail = async (userId) => {
 };
 
 module.exports = {
+  GMAIL_SYNC_JOB,
   getGmailClient,
+  parseAddressList,
   fetchAndSummarizeGmailInbox,
   sendGmailDraft,
   disconnectGmail,
@@ -2,16 +2,19 @@
 // services/googleApiService.js
 const { google } = require('googleapis');
 const User = require('../models/User');
+const Event = require('../models/Event');
 
 const OAuth2 = google.auth.OAuth2;
 
-// Initialize OAuth2 client
-const oauth2Client = new OAuth2(
+const createOAuth2Client = () => new OAuth2(
   process.env.GOOGLE_CLIENT_ID,
   process.env.GOOGLE_CLIENT_SECRET,
   process.env.GOOGLE_REDIRECT_URI
 );
 
+// Client without user credentials, for the OAuth flow itself (auth URL, code exchange, revocation)
+const oauth2Client = createOAuth2Client();
+
 // Define Google API scopes (combining Calendar and Gmail)
 const GOOGLE_API_SCOPES = [
   'https://www.googleapis.com/auth/calendar',      // Full calendar access
@@ -53,12 +56,13 @@ const handleGoogleOAuthCallback = async (code, userId) => {
     // Store generic Google tokens. Calendar/Gmail specific flags/syncs will be handled later.
     // For now, we'll store them under `googleCalendar` for simplicity, assuming primary Google integration point.
     // In a more complex app, a top-level `user.google` object might be better.
-    user.googleCalendar = { // Re-using this object for generic Google tokens
-      accessToken: tokens.access_token,
-      refreshToken: tokens.refresh_token || user.googleCalendar?.refreshToken, // Use existing refresh token if not provided (only on first auth)
-      lastSync: new Date(),
-      calendarId: user.googleCalendar?.calendarId || 'primary', // Keep existing calendarId or default
-    };
+    // Re-using this object for generic Google tokens. Sync state (syncToken, conflictPolicy) is kept on reconnect.
+    user.set('googleCalendar.accessToken', tokens.access_token);
+    if (tokens.refresh_token) { // Keep existing refresh token if not provided (only on first auth)
+      user.set('googleCalendar.refreshToken', tokens.refresh_token);
+    }
+    user.set('googleCalendar.lastSync', new Date());
+    user.set('googleCalendar.calendarId', user.googleCalendar?.calendarId || 'primary'); // Keep existing calendarId or default
     user.gmail = { // Mark Gmail as connected
         connected: true,
         lastSync: new Date(),
@@ -76,7 +80,8 @@ const handleGoogleOAuthCallback = async (code, userId) => {
 /**
  * @function getGoogleOAuth2Client
  * @description Creates an authorized Google OAuth2 client for a given user.
- * Automatically refreshes access token if expired.
+ * Automatically refreshes access token if expired. Every call gets its own client, so syncs of different users
+ * running at the same time never share credentials or token listeners.
  * @param {Object} user - The Omnia user object, containing googleCalendar tokens.
  * @returns {Promise<google.auth.OAuth2>} An authorized Google OAuth2 client.
  * @throws {Error} If tokens are invalid or refresh fails.
@@ -86,13 +91,14 @@ const getGoogleOAuth2Client = async (user) => {
     throw new Error('Google services not connected or refresh token missing.');
   }
 
-  oauth2Client.setCredentials({
+  const userClient = createOAuth2Client();
+  userClient.setCredentials({
     access_token: user.googleCalendar.accessToken,
     refresh_token: user.googleCalendar.refreshToken,
   });
 
   // Automatically refresh token if expired and update in DB
-  oauth2Client.on('tokens', async (tokens) => {
+  userClient.on('tokens', async (tokens) => {
     // Note: On subsequent refreshes, tokens.refresh_token might not be present.
     // Only update if a new one is explicitly provided.
     const updateFields = {
@@ -106,7 +112,7 @@ const getGoogleOAuth2Client = async (user) => {
     console.log(`Access token refreshed for user ${user.email} for Google services.`);
   });
 
-  return oauth2Client;
+  return userClient;
 };
 
 /**
@@ -132,6 +138,9 @@ const disconnectGoogleIntegration = async (userId) => {
     user.googleCalendar = undefined; // Clear calendar integration data
     user.gmail = undefined;          // Clear gmail integration data
     await user.save();
+
+    // Forget the links to Google copies so a later connection (possibly another account) starts fresh
+    await Event.updateMany({ user: user._id }, { $unset: { googleSync: 1 } }, { timestamps: false });
     return { success: true, message: 'All Google services disconnected successfully.' };
 };
 
@@ -1,9 +1,57 @@
-
 // services/googleCalendarService.js
 const { google } = require('googleapis');
 const { getGoogleOAuth2Client } = require('./googleApiService'); // Import generic Google API Service
 const User = require('../models/User'); // To update user tokens if needed
 const Event = require('../models/Event'); // To sync events
+const { isValidRecurrenceRule, normalizeRecurrenceRule } = require('../utils/recurrence');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GoogleCalendarSyncReport:
+ *       type: object
+ *       properties:
+ *         direction: { type: string, enum: [two-way, to-google, to-omnia], example: two-way }
+ *         conflictPolicy: { type: string, enum: [last_writer_wins, omnia_wins], example: last_writer_wins }
+ *         fullSync: { type: boolean, description: True when all Google events were listed (first sync or expired sync token)., example: false }
+ *         pulled:
+ *           type: object
+ *           description: Changes applied to Omnia from Google.
+ *           properties:
+ *             created: { type: number, example: 2 }
+ *             updated: { type: number, example: 1 }
+ *             deleted: { type: number, example: 1 }
+ *         pushed:
+ *           type: object
+ *           description: Changes applied to Google from Omnia.
+ *           properties:
+ *             created: { type: number, example: 1 }
+ *             updated: { type: number, example: 1 }
+ *             deleted: { type: number, example: 0 }
+ *         conflicts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               eventId: { type: string, example: 60d0fe4f5b5f7e001c0d3a7f }
+ *               googleEventId: { type: string, example: 7kq3v1l0d9s8h2m4n6p8r0t2v4 }
+ *               title: { type: string, example: Team Sync Meeting }
+ *               resolution: { type: string, enum: [omnia, google, deferred], description: Which version was kept; deferred means Google changed during the push and the next sync resolves it., example: omnia }
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               eventId: { type: string }
+ *               googleEventId: { type: string }
+ *               title: { type: string }
+ *               message: { type: string }
+ *         syncedAt: { type: string, format: date-time }
+ */
+// One-off events that ended longer ago than this are not copied on a full (initial) sync.
+const SYNC_HISTORY_DAYS = parseInt(process.env.GOOGLE_CALENDAR_SYNC_HISTORY_DAYS || '365', 10);
+const GOOGLE_CALENDAR_SYNC_JOB = 'googleCalendar.sync'; // Job queue type of a background two-way sync for one user
 
 /**
  * @function getGoogleCalendarClient
@@ -17,135 +65,481 @@ const getGoogleCalendarClient = async (user) => {
   return google.calendar({ version: 'v3', auth: oauth2Client });
 };
 
+// --- Mapping helpers ---
+
+const getErrorStatus = (error) => error.code || error.response?.status;
+
+const fromGoogleDate = (googleDate) => (googleDate.dateTime
+  ? new Date(googleDate.dateTime)
+  : new Date(`${googleDate.date}T00:00:00.000Z`));
+
+// Formats a date as an iCalendar UTC date-time (20241104T090000Z) or date (20241104) value.
+const toICalDate = (date, allDay) => {
+  const iso = new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return allDay ? iso.slice(0, 8) : iso;
+};
+
+const parseICalDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
 
 /**
- * @function syncOmniaEventsToGoogle
- * @description Syncs Omnia events to the user's Google Calendar.
- * @param {string} userId - The Omnia user ID.
- * @param {Array<Object>} omniaEvents - Array of Omnia Event objects.
- * @returns {Promise<{success: boolean, message: string, syncedCount: number}>}
+ * @function parseGoogleRecurrence
+ * @description Converts a Google event's `recurrence` lines into an Omnia recurrence definition.
+ * EXDATE values with a TZID are read as UTC, matching how Omnia expands series.
+ * @param {Array<string>} [lines] - The RRULE/EXDATE lines of a Google event.
+ * @returns {Object|null} `{ rule, exdates }`, or null if the event does not recur or the rule is unsupported.
+ */
+const parseGoogleRecurrence = (lines = []) => {
+  const ruleLine = lines.find((line) => /^RRULE:/i.test(line));
+  if (!ruleLine || !isValidRecurrenceRule(ruleLine)) return null;
+
+  const exdates = lines
+    .filter((line) => /^EXDATE/i.test(line))
+    .flatMap((line) => line.slice(line.lastIndexOf(':') + 1).split(','))
+    .map(parseICalDate)
+    .filter(Boolean);
+
+  return { rule: normalizeRecurrenceRule(ruleLine), exdates };
+};
+
+/**
+ * @function toGoogleEvent
+ * @description Builds the Google Calendar resource for an Omnia event.
+ * @param {Object} omniaEvent - The Omnia Event document.
+ * @param {string} timeZone - The user's time zone.
+ * @param {Array<Date>} [exdates] - Exclusions to send for a recurring event.
+ * @returns {Object} The Google Calendar event resource.
  */
-const syncOmniaEventsToGoogle = async (userId, omniaEvents) => {
-    const user = await User.findById(userId).select('+googleCalendar.accessToken +googleCalendar.refreshToken');
-    if (!user || !user.googleCalendar?.refreshToken) {
-        throw new Error('Google Calendar not configured for this user.');
+const toGoogleEvent = (omniaEvent, timeZone, exdates = []) => {
+  const toGoogleDate = (date) => (omniaEvent.allDay
+    ? { date: new Date(date).toISOString().slice(0, 10) }
+    : { dateTime: new Date(date).toISOString(), timeZone });
+
+  const googleEvent = {
+    summary: omniaEvent.title,
+    description: omniaEvent.description,
+    location: omniaEvent.location,
+    start: toGoogleDate(omniaEvent.startTime),
+    end: toGoogleDate(omniaEvent.endTime),
+    attendees: (omniaEvent.attendees || []).map((email) => ({ email })),
+    extendedProperties: {
+      private: {
+        omniaEventId: omniaEvent._id.toString(),
+      },
+    },
+  };
+
+  if (omniaEvent.recurrence?.rule) {
+    googleEvent.recurrence = [`RRULE:${omniaEvent.recurrence.rule}`];
+    if (exdates.length) {
+      const prefix = omniaEvent.allDay ? 'EXDATE;VALUE=DATE:' : 'EXDATE:';
+      googleEvent.recurrence.push(prefix + exdates.map((date) => toICalDate(date, omniaEvent.allDay)).join(','));
     }
+  }
+
+  return googleEvent;
+};
 
-    const calendar = await getGoogleCalendarClient(user);
-    const calendarId = user.googleCalendar.calendarId || 'primary';
-    let syncedCount = 0;
-
-    for (const omniaEvent of omniaEvents) {
-        const googleEvent = {
-            summary: omniaEvent.title,
-            description: omniaEvent.description,
-            location: omniaEvent.location,
-            start: {
-                dateTime: omniaEvent.startTime.toISOString(),
-                timeZone: user.settings?.timezone || 'UTC',
-            },
-            end: {
-                dateTime: omniaEvent.endTime.toISOString(),
-                timeZone: user.settings?.timezone || 'UTC',
-            },
-            extendedProperties: {
-                private: {
-                    omniaEventId: omniaEvent._id.toString(),
-                },
-            },
-        };
+/**
+ * @function fromGoogleEvent
+ * @description Maps the fields of a Google Calendar event onto Omnia Event fields.
+ * @param {Object} googleEvent - The Google Calendar event resource.
+ * @returns {Object} Omnia Event fields.
+ */
+const fromGoogleEvent = (googleEvent) => {
+  const summary = (googleEvent.summary || '').trim();
+  return {
+    title: summary.length >= 3 ? summary.slice(0, 200) : 'Google Calendar Event',
+    description: googleEvent.description,
+    location: googleEvent.location,
+    startTime: fromGoogleDate(googleEvent.start),
+    endTime: fromGoogleDate(googleEvent.end),
+    allDay: !!googleEvent.start.date && !googleEvent.start.dateTime,
+    attendees: (googleEvent.attendees || []).filter((a) => a.email).map((a) => a.email),
+  };
+};
 
-        try {
-            // For simplicity, we'll always insert new events.
-            // A more advanced sync would check for existing event via extendedProperties.
-            const res = await calendar.events.insert({
-                calendarId: calendarId,
-                resource: googleEvent,
-            });
-            console.log(`Event "${omniaEvent.title}" synced to Google Calendar: ${res.data.htmlLink}`);
-            syncedCount++;
-        } catch (error) {
-            console.error(`Failed to sync event "${omniaEvent.title}" to Google Calendar:`, error.message);
-            if (error.response?.data) {
-                console.error('Google API error details:', error.response.data);
-            }
-        }
+// An event has local changes if it was edited in Omnia after it was last synced with Google.
+const isLocallyModified = (omniaEvent) => !omniaEvent.googleSync?.syncedAt
+  || omniaEvent.updatedAt > omniaEvent.googleSync.syncedAt;
+
+/**
+ * @function markSynced
+ * @description Stores the Google identity of an event and saves it without counting the save as a local edit.
+ * @param {Object} omniaEvent - The Omnia Event document.
+ * @param {Object} googleEvent - The Google Calendar event it is now in sync with.
+ */
+const markSynced = async (omniaEvent, googleEvent) => {
+  const now = new Date();
+  omniaEvent.googleSync = {
+    eventId: googleEvent.id,
+    etag: googleEvent.etag,
+    recurringEventId: googleEvent.recurringEventId || omniaEvent.googleSync?.recurringEventId,
+    updatedAt: googleEvent.updated ? new Date(googleEvent.updated) : now,
+    syncedAt: now,
+  };
+  omniaEvent.source = omniaEvent.source || 'omnia';
+  omniaEvent.updatedAt = now;
+  if (omniaEvent.isNew) omniaEvent.createdAt = now;
+  await omniaEvent.save({ timestamps: false });
+};
+
+const createReport = (direction, conflictPolicy) => ({
+  direction,
+  conflictPolicy,
+  fullSync: false,
+  pulled: { created: 0, updated: 0, deleted: 0 },
+  pushed: { created: 0, updated: 0, deleted: 0 },
+  conflicts: [],
+  errors: [],
+  syncedAt: null,
+});
+
+// --- Pull (Google -> Omnia) ---
+
+/**
+ * @function listGoogleChanges
+ * @description Lists changed Google events, incrementally with the stored syncToken when possible.
+ * Falls back to a full listing when Google reports the token as expired (410 Gone).
+ * @returns {Promise<{items: Array<Object>, nextSyncToken: string, fullSync: boolean}>}
+ */
+const listGoogleChanges = async (calendar, calendarId, syncToken) => {
+  const params = { calendarId, showDeleted: true, singleEvents: false, maxResults: 250 };
+  if (syncToken) params.syncToken = syncToken;
+
+  const items = [];
+  let pageToken;
+  let nextSyncToken;
+
+  try {
+    do {
+      const res = await calendar.events.list({ ...params, pageToken });
+      items.push(...(res.data.items || []));
+      pageToken = res.data.nextPageToken;
+      nextSyncToken = res.data.nextSyncToken;
+    } while (pageToken);
+  } catch (error) {
+    if (syncToken && getErrorStatus(error) === 410) {
+      console.warn('Google Calendar sync token expired, performing a full sync.');
+      return listGoogleChanges(calendar, calendarId, null);
     }
+    throw error;
+  }
 
-    return { success: true, message: `Successfully synced ${syncedCount} Omnia events to Google Calendar.`, syncedCount };
+  return { items, nextSyncToken, fullSync: !syncToken };
 };
 
 /**
- * @function syncGoogleEventsToOmnia
- * @description Syncs events from Google Calendar to Omnia's Event model.
- * @param {string} userId - The Omnia user ID.
- * @param {Date} [minTime] - Optional. Only sync events from Google Calendar starting after this time.
- * @returns {Promise<{success: boolean, message: string, syncedCount: number}>}
+ * @function resolveConflict
+ * @description Decides which side wins when an event changed both in Omnia and in Google since the last sync.
+ * @returns {string} 'omnia' or 'google'.
+ */
+const resolveConflict = (omniaEvent, googleEvent, conflictPolicy) => {
+  if (conflictPolicy === 'omnia_wins') return 'omnia';
+  return omniaEvent.updatedAt > new Date(googleEvent.updated) ? 'omnia' : 'google';
+};
+
+const applyGoogleDeletion = async (userId, googleEvent, report) => {
+  const existing = await Event.findOne({ user: userId, 'googleSync.eventId': googleEvent.id });
+
+  if (!existing) {
+    // A cancelled instance of a recurring event: exclude the occurrence from the Omnia series.
+    if (googleEvent.recurringEventId && googleEvent.originalStartTime) {
+      const result = await Event.updateOne(
+        { user: userId, 'googleSync.eventId': googleEvent.recurringEventId },
+        { $addToSet: { 'recurrence.exdates': fromGoogleDate(googleEvent.originalStartTime) } },
+        { timestamps: false }
+      );
+      if (result.modifiedCount) report.pulled.deleted++;
+    }
+    return;
+  }
+
+  if (isLocallyModified(existing)) {
+    const resolution = resolveConflict(existing, googleEvent, report.conflictPolicy);
+    report.conflicts.push({ eventId: existing._id, googleEventId: googleEvent.id, title: existing.title, resolution });
+    if (resolution === 'omnia') {
+      // Keep the Omnia version and re-create it in Google on the next push.
+      existing.googleSync = undefined;
+      await existing.save({ timestamps: false });
+      return;
+    }
+  }
+
+  await Event.deleteMany({ user: userId, recurringParent: existing._id });
+  await existing.deleteOne();
+  report.pulled.deleted++;
+};
+
+const applyGoogleChange = async (userId, googleEvent, historyCutoff, report) => {
+  const existing = await Event.findOne({ user: userId, 'googleSync.eventId': googleEvent.id });
+  const fields = fromGoogleEvent(googleEvent);
+  const recurrence = parseGoogleRecurrence(googleEvent.recurrence);
+
+  if (existing) {
+    if (existing.googleSync.etag === googleEvent.etag) return; // Unchanged in Google
+
+    if (isLocallyModified(existing)) {
+      const resolution = resolveConflict(existing, googleEvent, report.conflictPolicy);
+      report.conflicts.push({ eventId: existing._id, googleEventId: googleEvent.id, title: existing.title, resolution });
+      if (resolution === 'omnia') {
+        // Remember the new etag so the push can overwrite the Google version.
+        await Event.updateOne({ _id: existing._id }, { 'googleSync.etag': googleEvent.etag }, { timestamps: false });
+        return;
+      }
+    }
+
+    existing.set(fields);
+    if (recurrence) {
+      // Keep exclusions that came from cancelled or edited instances.
+      const exdates = [...(existing.recurrence?.exdates || []), ...recurrence.exdates];
+      existing.recurrence = {
+        rule: recurrence.rule,
+        exdates: exdates.filter((date, index) => exdates.findIndex((d) => d.getTime() === date.getTime()) === index),
+      };
+    } else if (!existing.recurringParent) {
+      existing.recurrence = undefined;
+    }
+    await markSynced(existing, googleEvent);
+    report.pulled.updated++;
+    return;
+  }
+
+  const omniaEvent = new Event({ ...fields, user: userId, category: 'meeting', source: 'google_calendar' });
+
+  if (googleEvent.recurringEventId) {
+    // An individually edited instance of a recurring Google event.
+    const parent = await Event.findOne({ user: userId, 'googleSync.eventId': googleEvent.recurringEventId });
+    if (!parent) return; // The series itself was not imported (e.g., unsupported rule)
+    const originalOccurrenceDate = fromGoogleDate(googleEvent.originalStartTime);
+    omniaEvent.recurringParent = parent._id;
+    omniaEvent.originalOccurrenceDate = originalOccurrenceDate;
+    await Event.updateOne(
+      { _id: parent._id },
+      { $addToSet: { 'recurrence.exdates': originalOccurrenceDate } },
+      { timestamps: false }
+    );
+  } else if (recurrence) {
+    omniaEvent.recurrence = recurrence;
+  } else if (report.fullSync && fields.endTime < historyCutoff) {
+    return; // Old one-off event, not worth importing
+  }
+
+  await markSynced(omniaEvent, googleEvent);
+  report.pulled.created++;
+};
+
+/**
+ * @function pullFromGoogle
+ * @description Applies changes made in Google Calendar since the last sync to Omnia events.
+ */
+const pullFromGoogle = async (user, calendar, calendarId, report) => {
+  const { items, nextSyncToken, fullSync } = await listGoogleChanges(calendar, calendarId, user.googleCalendar.syncToken);
+  report.fullSync = fullSync;
+  const historyCutoff = new Date(Date.now() - SYNC_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  // Series before their edited instances, so instances can find their Omnia parent.
+  const ordered = [
+    ...items.filter((item) => !item.recurringEventId),
+    ...items.filter((item) => item.recurringEventId),
+  ];
+
+  for (const googleEvent of ordered) {
+    try {
+      if (googleEvent.status === 'cancelled') {
+        await applyGoogleDeletion(user._id, googleEvent, report);
+      } else {
+        await applyGoogleChange(user._id, googleEvent, historyCutoff, report);
+      }
+    } catch (error) {
+      console.error(`Failed to sync Google event "${googleEvent.summary || googleEvent.id}" to Omnia:`, error.message);
+      report.errors.push({ googleEventId: googleEvent.id, title: googleEvent.summary, message: error.message });
+    }
+  }
+
+  return nextSyncToken;
+};
+
+// --- Push (Omnia -> Google) ---
+
+/**
+ * @function pushToGoogle
+ * @description Sends Omnia deletions, new events and local edits to Google Calendar.
+ * Updates are conditional on the stored etag; a 412 means Google changed in between and is reported as a conflict.
  */
-const syncGoogleEventsToOmnia = async (userId, minTime = new Date()) => {
-    const user = await User.findById(userId).select('+googleCalendar.accessToken +googleCalendar.refreshToken');
-    if (!user || !user.googleCalendar?.refreshToken) {
-        throw new Error('Google Calendar not configured for this user.');
+const pushToGoogle = async (user, calendar, calendarId, report) => {
+  const timeZone = user.settings?.timezone || 'UTC';
+
+  for (const googleEventId of user.googleCalendar.pendingDeletions || []) {
+    try {
+      await calendar.events.delete({ calendarId, eventId: googleEventId });
+      report.pushed.deleted++;
+    } catch (error) {
+      if (![404, 410].includes(getErrorStatus(error))) {
+        console.error(`Failed to delete Google event ${googleEventId}:`, error.message);
+        report.errors.push({ googleEventId, message: error.message });
+        continue;
+      }
     }
+    await User.updateOne({ _id: user._id }, { $pull: { 'googleCalendar.pendingDeletions': googleEventId } });
+  }
 
-    const calendar = await getGoogleCalendarClient(user);
-    const calendarId = user.googleCalendar.calendarId || 'primary';
-    let syncedCount = 0;
+  const historyCutoff = new Date(Date.now() - SYNC_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const omniaEvents = await Event.find({
+    user: user._id,
+    $or: [
+      { 'googleSync.eventId': null, $or: [{ endTime: { $gte: historyCutoff } }, { 'recurrence.rule': { $ne: null } }] },
+      { 'googleSync.eventId': { $ne: null }, $expr: { $gt: ['$updatedAt', '$googleSync.syncedAt'] } },
+    ],
+  });
 
+  for (const omniaEvent of omniaEvents) {
     try {
-        const res = await calendar.events.list({
-            calendarId: calendarId,
-            timeMin: minTime.toISOString(),
-            showDeleted: false,
-            singleEvents: true,
-            maxResults: 100, // Limit to 100 events per sync for now
-            orderBy: 'startTime',
-        });
-
-        const googleEvents = res.data.items;
-
-        for (const googleEvent of googleEvents) {
-            const existingOmniaEvent = await Event.findOne({
-                user: userId,
-                externalReferenceId: googleEvent.id,
-                source: 'google_calendar'
-            });
-
-            if (existingOmniaEvent) {
-                continue; // Skip existing for simplicity, a robust solution would update
-            }
-
-            const omniaEventData = {
-                user: userId,
-                title: googleEvent.summary || 'Google Calendar Event',
-                description: googleEvent.description,
-                location: googleEvent.location,
-                startTime: new Date(googleEvent.start.dateTime || googleEvent.start.date),
-                endTime: new Date(googleEvent.end.dateTime || googleEvent.end.date),
-                allDay: !!googleEvent.start.date && !googleEvent.start.dateTime,
-                category: 'meeting',
-                attendees: googleEvent.attendees?.filter(a => a.email).map(a => a.email),
-                source: 'google_calendar',
-                externalReferenceId: googleEvent.id,
-            };
-
-            await Event.create(omniaEventData);
-            syncedCount++;
-            console.log(`Event "${googleEvent.summary}" synced from Google Calendar to Omnia.`);
+      let exdates = omniaEvent.recurrence?.exdates || [];
+      if (exdates.length && omniaEvent.googleSync?.eventId) {
+        // Occurrences edited in Google live on as instances there; excluding them would cancel them.
+        const instances = await Event.find({
+          recurringParent: omniaEvent._id,
+          'googleSync.recurringEventId': omniaEvent.googleSync.eventId,
+        }).select('originalOccurrenceDate');
+        const instanceTimes = instances.map((instance) => instance.originalOccurrenceDate.getTime());
+        exdates = exdates.filter((date) => !instanceTimes.includes(date.getTime()));
+      }
+      const resource = toGoogleEvent(omniaEvent, timeZone, exdates);
+
+      let res;
+      if (omniaEvent.googleSync?.eventId) {
+        try {
+          res = await calendar.events.update(
+            { calendarId, eventId: omniaEvent.googleSync.eventId, resource },
+            { headers: { 'If-Match': omniaEvent.googleSync.etag } }
+          );
+          report.pushed.updated++;
+        } catch (error) {
+          const status = getErrorStatus(error);
+          if (status === 412) {
+            report.conflicts.push({ eventId: omniaEvent._id, googleEventId: omniaEvent.googleSync.eventId, title: omniaEvent.title, resolution: 'deferred' });
+            continue;
+          }
+          if (![404, 410].includes(status)) throw error;
         }
+      }
 
-        return { success: true, message: `Successfully synced ${syncedCount} Google events to Omnia.`, syncedCount };
+      if (!res) {
+        res = await calendar.events.insert({ calendarId, resource });
+        report.pushed.created++;
+      }
+
+      await markSynced(omniaEvent, res.data);
     } catch (error) {
-        console.error('Error syncing Google events to Omnia:', error.message);
-        if (error.response?.data) {
-            console.error('Google API error details:', error.response.data);
-        }
-        throw new Error('Failed to sync Google events to Omnia: ' + error.message);
+      console.error(`Failed to sync event "${omniaEvent.title}" to Google Calendar:`, error.message);
+      if (error.response?.data) {
+        console.error('Google API error details:', error.response.data);
+      }
+      report.errors.push({ eventId: omniaEvent._id, title: omniaEvent.title, message: error.message });
+    }
+  }
+};
+
+/**
+ * @function syncGoogleCalendar
+ * @description Synchronizes Omnia events with the user's Google Calendar.
+ * Pulls incremental changes (via Google sync tokens) before pushing local changes, resolving
+ * events changed on both sides with the conflict policy.
+ * @param {string} userId - The Omnia user ID.
+ * @param {Object} [options] - Sync options.
+ * @param {string} [options.direction='two-way'] - 'two-way', 'to-google' or 'to-omnia'.
+ * @param {string} [options.conflictPolicy] - 'last_writer_wins' or 'omnia_wins'. Defaults to the user's setting.
+ * @returns {Promise<Object>} The sync report.
+ */
+const syncGoogleCalendar = async (userId, { direction = 'two-way', conflictPolicy } = {}) => {
+  const user = await User.findById(userId).select('+googleCalendar.accessToken +googleCalendar.refreshToken +googleCalendar.syncToken');
+  if (!user || !user.googleCalendar?.refreshToken) {
+    throw new Error('Google Calendar not configured for this user.');
+  }
+
+  const calendar = await getGoogleCalendarClient(user);
+  const calendarId = user.googleCalendar.calendarId || 'primary';
+  const report = createReport(direction, conflictPolicy || user.googleCalendar.conflictPolicy || 'last_writer_wins');
+
+  try {
+    const updates = {};
+    if (direction !== 'to-google') {
+      const nextSyncToken = await pullFromGoogle(user, calendar, calendarId, report);
+      if (nextSyncToken) updates['googleCalendar.syncToken'] = nextSyncToken;
+    }
+    if (direction !== 'to-omnia') {
+      await pushToGoogle(user, calendar, calendarId, report);
+    }
+
+    report.syncedAt = new Date();
+    updates['googleCalendar.lastSync'] = report.syncedAt;
+    await User.updateOne({ _id: user._id }, updates);
+  } catch (error) {
+    console.error('Error syncing Google Calendar:', error.message);
+    if (error.response?.data) {
+      console.error('Google API error details:', error.response.data);
     }
+    throw new Error('Failed to sync Google Calendar: ' + error.message);
+  }
+
+  return report;
+};
+
+/**
+ * @function syncOmniaEventsToGoogle
+ * @description Pushes new, changed and deleted Omnia events to the user's Google Calendar.
+ * @param {string} userId - The Omnia user ID.
+ * @param {Object} [options] - Same options as syncGoogleCalendar (except direction).
+ * @returns {Promise<Object>} The sync report.
+ */
+const syncOmniaEventsToGoogle = (userId, options = {}) => syncGoogleCalendar(userId, { ...options, direction: 'to-google' });
+
+/**
+ * @function syncGoogleEventsToOmnia
+ * @description Pulls new, changed and deleted Google Calendar events into Omnia.
+ * @param {string} userId - The Omnia user ID.
+ * @param {Object} [options] - Same options as syncGoogleCalendar (except direction).
+ * @returns {Promise<Object>} The sync report.
+ */
+const syncGoogleEventsToOmnia = (userId, options = {}) => syncGoogleCalendar(userId, { ...options, direction: 'to-omnia' });
+
+/**
+ * @function queueGoogleEventDeletions
+ * @description Records Google events whose Omnia counterparts were deleted, so the next sync removes them from Google.
+ * @param {string} userId - The Omnia user ID.
+ * @param {Array<Object>} omniaEvents - The Omnia events being deleted.
+ */
+const queueGoogleEventDeletions = async (userId, omniaEvents) => {
+  const googleEventIds = omniaEvents.map((event) => event.googleSync?.eventId).filter(Boolean);
+  if (!googleEventIds.length) return;
+  await User.updateOne(
+    { _id: userId },
+    { $addToSet: { 'googleCalendar.pendingDeletions': { $each: googleEventIds } } }
+  );
+};
+
+/**
+ * @function summarizeSyncReport
+ * @description Builds a one-line summary of a sync report for API responses.
+ * @param {Object} report - The sync report.
+ * @returns {string} The summary message.
+ */
+const summarizeSyncReport = (report) => {
+  const count = ({ created, updated, deleted }) => created + updated + deleted;
+  return `Google Calendar sync complete: ${count(report.pulled)} change(s) pulled, ${count(report.pushed)} pushed, ${report.conflicts.length} conflict(s), ${report.errors.length} error(s).`;
 };
 
 module.exports = {
+  GOOGLE_CALENDAR_SYNC_JOB,
   getGoogleCalendarClient,
+  syncGoogleCalendar,
   syncOmniaEventsToGoogle,
   syncGoogleEventsToOmnia,
+  queueGoogleEventDeletions,
+  summarizeSyncReport,
 };
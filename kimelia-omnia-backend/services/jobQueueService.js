@@ -0,0 +1,224 @@
+// services/jobQueueService.js
+// A job queue stored in MongoDB, safe to run on several API instances at once: a worker claims a job atomically
+// and holds a lease on it (renewed while the handler runs), failed jobs are retried with backoff and dead-lettered after `maxAttempts`, and jobs
+// survive restarts. Delivery is at least once, so handlers must tolerate running twice (e.g. after a crash).
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const { getRetryDelay } = require('../utils/jobs');
+
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_SECONDS || '300', 10) * 1000; // How long a job is held without renewal before others take it over
+const JOB_LEASE_RENEW_INTERVAL_MS = JOB_LEASE_MS / 3; // Renewed well before it runs out, so one missed renewal does no harm
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS || '5', 10) * 1000;
+const JOB_BATCH_SIZE = 50; // Jobs run per poll at most, so one poll cannot run forever
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const handlers = new Map();
+let pollTimer = null;
+let polling = false;
+
+/**
+ * @function registerJobHandler
+ * @description Registers the function that runs jobs of a type. Only types with a handler are claimed by this instance.
+ * @param {string} type - The job type (e.g. 'reminders.send').
+ * @param {Function} handler - `async (payload, job) => {}`; throwing fails the attempt.
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * @function enqueueJob
+ * @description Queues a job. With a `uniqueKey`, a job is only queued if none with that key exists yet
+ * (whatever its status), so every instance can enqueue the same work without it running twice.
+ * @param {string} type - The job type.
+ * @param {Object} [payload={}] - Input for the handler (stored as-is; keep it small).
+ * @param {Object} [options]
+ * @param {Date} [options.runAt=new Date()] - Earliest time the job may run.
+ * @param {string} [options.uniqueKey] - Deduplication key.
+ * @param {number} [options.maxAttempts=5] - Attempts before the job is dead-lettered.
+ * @returns {Promise<Object>} The queued job, or the existing job with the same key.
+ */
+const enqueueJob = async (type, payload = {}, { runAt = new Date(), uniqueKey, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+  if (!uniqueKey) {
+    return Job.create({ type, payload, runAt, maxAttempts });
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      { uniqueKey },
+      { $setOnInsert: { type, payload, runAt, maxAttempts } }, // The key comes from the filter
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return Job.findOne({ uniqueKey }); // Another instance queued it at the same moment
+  }
+};
+
+/**
+ * @function claimNextJob
+ * @description Atomically takes the next due job (or one whose worker's lease has run out) for this worker.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object|null>} The claimed job, or null if there is nothing to do.
+ */
+const claimNextJob = async (now = new Date()) => {
+  if (handlers.size === 0) return null;
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + JOB_LEASE_MS) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * @function renewJobLease
+ * @description Extends the lease of a job this worker is running, so that a handler running longer than the lease
+ * is not taken over (and run a second time) by another worker.
+ * @param {Object} job - A job claimed by this worker.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<boolean>} False if the job is no longer this worker's (its lease ran out and another took it).
+ */
+const renewJobLease = async (job, now = new Date()) => {
+  const { matchedCount } = await Job.updateOne(
+    { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+    { $set: { lockedUntil: new Date(now.getTime() + JOB_LEASE_MS) } }
+  );
+  return matchedCount === 1;
+};
+
+// Renews a job's lease every JOB_LEASE_RENEW_INTERVAL_MS until the returned function is called
+const startLeaseHeartbeat = (job) => {
+  const timer = setInterval(() => {
+    renewJobLease(job)
+      .then((held) => {
+        if (!held) console.warn(`[Jobs] Lost the lease on ${job.type} job ${job._id}; another worker may run it too.`);
+      })
+      .catch((error) => console.error(`[Jobs] Could not renew the lease on ${job.type} job ${job._id}:`, error.message));
+  }, JOB_LEASE_RENEW_INTERVAL_MS);
+  timer.unref(); // Does not keep the process alive on its own
+  return () => clearInterval(timer);
+};
+
+// Records the outcome of an attempt, unless the lease was lost to another worker meanwhile
+const finishJob = (job, update) => Job.updateOne(
+  { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+  { $set: { lockedBy: null, lockedUntil: null, ...update } }
+);
+
+/**
+ * @function runJob
+ * @description Runs a claimed job: marks it completed, or on failure schedules a retry with exponential backoff,
+ * or dead-letters it once it has used up its attempts. The job's lease is renewed while its handler runs.
+ * Failures are recorded, not thrown.
+ * @param {Object} job - A job returned by claimNextJob.
+ * @returns {Promise<string>} The job's new status.
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  const now = new Date();
+
+  try {
+    // A job taken over after its worker's lease ran out still counts that attempt
+    if (job.attempts > job.maxAttempts) {
+      throw new Error('The job did not finish within its lease (worker stopped or timed out).');
+    }
+    const stopHeartbeat = startLeaseHeartbeat(job);
+    try {
+      await handler(job.payload, job);
+    } finally {
+      stopHeartbeat(); // Before the outcome is recorded, which gives up the lease
+    }
+    await finishJob(job, { status: 'completed', completedAt: new Date(), lastError: null });
+    return 'completed';
+  } catch (error) {
+    const dead = job.attempts >= job.maxAttempts;
+    console.error(`[Jobs] ${job.type} job ${job._id} failed (attempt ${job.attempts} of ${job.maxAttempts})${dead ? ', giving up' : ''}:`, error.message);
+    await finishJob(job, dead
+      ? { status: 'dead', failedAt: now, lastError: error.message }
+      : { status: 'pending', runAt: new Date(now.getTime() + getRetryDelay(job.attempts)), lastError: error.message });
+    return dead ? 'dead' : 'pending';
+  }
+};
+
+/**
+ * @function processDueJobs
+ * @description Claims and runs due jobs one after another until none is left (or a batch has run).
+ * @param {number} [limit=JOB_BATCH_SIZE]
+ * @returns {Promise<number>} The number of jobs run.
+ */
+const processDueJobs = async (limit = JOB_BATCH_SIZE) => {
+  let processed = 0;
+  while (processed < limit) {
+    const job = await claimNextJob();
+    if (!job) break;
+    await runJob(job);
+    processed++;
+  }
+  return processed;
+};
+
+/**
+ * @function retryJob
+ * @description Queues a dead job (or a pending one waiting for its next retry) to run again right away, with its
+ * attempts reset. Running and completed jobs cannot be retried.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<Object|null>} The updated job, or null if it is not retryable.
+ */
+const retryJob = (jobId) => Job.findOneAndUpdate(
+  { _id: jobId, status: { $in: ['dead', 'pending'] } },
+  { $set: { status: 'pending', runAt: new Date(), attempts: 0, failedAt: null, lockedBy: null, lockedUntil: null } },
+  { new: true }
+);
+
+/**
+ * @function startJobWorker
+ * @description Starts polling the queue for due jobs in this process.
+ */
+const startJobWorker = () => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    if (polling) return; // The previous poll is still working through jobs
+    polling = true;
+    processDueJobs()
+      .catch((error) => console.error('[Jobs] Error while processing jobs:', error))
+      .finally(() => { polling = false; });
+  }, JOB_POLL_INTERVAL_MS);
+  console.log(`[Jobs] Worker ${WORKER_ID} started (polling every ${JOB_POLL_INTERVAL_MS / 1000}s).`);
+};
+
+/**
+ * @function stopJobWorker
+ * @description Stops polling. A job already running finishes; jobs it did not get to stay queued.
+ */
+const stopJobWorker = () => {
+  if (!pollTimer) return;
+  clearInterval(pollTimer);
+  pollTimer = null;
+  console.log(`[Jobs] Worker ${WORKER_ID} stopped.`);
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  claimNextJob,
+  renewJobLease,
+  runJob,
+  processDueJobs,
+  retryJob,
+  startJobWorker,
+  stopJobWorker,
+};
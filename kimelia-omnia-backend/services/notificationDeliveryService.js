@@ -0,0 +1,129 @@
+// services/notificationDeliveryService.js
+// Sends emails and SMS through the configured transport and records every attempt as a NotificationDelivery.
+// The first attempt is made right away; after a transient failure the message is retried on the job queue with
+// backoff, up to NOTIFICATION_MAX_ATTEMPTS attempts in all.
+const crypto = require('crypto');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { getNotificationTransport, getTransportName } = require('./notificationTransports');
+const { enqueueJob } = require('./jobQueueService');
+const { getRetryDelay } = require('../utils/jobs');
+const { isTransientDeliveryError, getProviderErrorResponse } = require('../utils/notificationDelivery');
+
+const NOTIFICATION_DELIVERY_JOB = 'notifications.deliver'; // Job queue type retrying a failed send
+const NOTIFICATION_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '4', 10));
+
+// Sends once and records the attempt. `retryDelay` is when the next attempt runs after a transient failure (null when
+// there is none). Resolves to `{ delivery, error, retrying }`; a failure to record is logged, not thrown, so a sent
+// message is not sent again because of it. Console lines name the message by its ID, not its recipient (who it went
+// to is only kept in the delivery record).
+const attemptDelivery = async (message, attempt, retryDelay) => {
+  const transportName = getTransportName(message.channel);
+  const record = {
+    user: message.user,
+    messageId: message.messageId,
+    channel: message.channel,
+    category: message.category,
+    transport: transportName,
+    to: message.to,
+    subject: message.subject,
+    body: message.sensitive ? null : (message.channel === 'email' ? message.html : message.text),
+    redacted: !!message.sensitive,
+    attempt,
+  };
+
+  let error = null;
+  let retrying = false;
+  try {
+    const transport = getNotificationTransport(message.channel);
+    const { providerMessageId, response } = await transport.send(message);
+    Object.assign(record, { status: 'sent', providerMessageId, providerResponse: response });
+    console.log(`[Notifications] ${message.channel} ${message.messageId} sent via ${transport.name} (attempt ${attempt}).`);
+  } catch (sendError) {
+    error = sendError;
+    retrying = retryDelay !== null && isTransientDeliveryError(sendError);
+    Object.assign(record, {
+      status: retrying ? 'retrying' : 'failed',
+      providerResponse: getProviderErrorResponse(sendError),
+      error: sendError.message,
+      nextAttemptAt: retrying ? new Date(Date.now() + retryDelay) : null,
+    });
+    console.error(`[Notifications] ${message.channel} ${message.messageId} via ${transportName} failed (attempt ${attempt})${retrying ? ', will retry' : ''}:`, sendError.message);
+  }
+
+  let delivery = null;
+  try {
+    delivery = await NotificationDelivery.create(record);
+  } catch (recordError) {
+    console.error(`[Notifications] Could not record the ${message.channel} delivery ${message.messageId}:`, recordError.message);
+  }
+  return { delivery, error, retrying };
+};
+
+/**
+ * @function deliverMessage
+ * @description Sends an email or SMS and records the attempt. When it fails for a reason that may pass (timeout, rate
+ * limit, provider outage), a retry is queued and the call resolves: the message is on its way. Messages flagged
+ * `sensitive` (sign-in and reset links) are stored without their body and not retried in the background, since
+ * the retry would need it.
+ * @param {Object} message
+ * @param {string} message.channel - 'email' or 'sms'.
+ * @param {string} message.to - Email address or phone number.
+ * @param {string} [message.subject] - Email subject.
+ * @param {string} [message.html] - Email content.
+ * @param {string} [message.text] - SMS text (or plain-text email content).
+ * @param {string} [message.user] - The recipient's user ID, so they can see the message in their delivery log.
+ * @param {string} [message.category='system'] - What the message is about (see DELIVERY_CATEGORIES).
+ * @param {boolean} [message.sensitive=false]
+ * @returns {Promise<Object|null>} The recorded attempt (`sent` or `retrying`).
+ * @throws {Error} The transport's error when the message could not be sent and will not be retried.
+ */
+const deliverMessage = async (message) => {
+  const fullMessage = { category: 'system', user: null, ...message, messageId: crypto.randomUUID() };
+  const retryDelay = !message.sensitive && NOTIFICATION_MAX_ATTEMPTS > 1 ? getRetryDelay(1) : null;
+  const { delivery, error, retrying } = await attemptDelivery(fullMessage, 1, retryDelay);
+
+  if (retrying && delivery) {
+    await enqueueJob(NOTIFICATION_DELIVERY_JOB, { deliveryId: delivery._id.toString() }, {
+      runAt: delivery.nextAttemptAt,
+      maxAttempts: NOTIFICATION_MAX_ATTEMPTS - 1, // The attempts after the first
+    });
+  } else if (error) {
+    throw error;
+  }
+  return delivery;
+};
+
+/**
+ * @function retryNotificationDelivery
+ * @description Job handler making the next attempt at a message whose first attempt failed transiently. Throws while
+ * the failure is still transient, so the job queue retries it with backoff until it runs out of attempts.
+ * @param {Object} payload - `{ deliveryId }`: the first attempt's record.
+ * @param {Object} job - The running Job (its `attempts` and `maxAttempts` count the retries).
+ */
+const retryNotificationDelivery = async ({ deliveryId }, job) => {
+  const first = await NotificationDelivery.findById(deliveryId);
+  if (!first) return; // Deleted with the user's account
+
+  // A retry that ran before (and whose worker stopped before the job was completed) may have got it through
+  if (await NotificationDelivery.exists({ messageId: first.messageId, status: 'sent' })) return;
+
+  const message = {
+    channel: first.channel,
+    to: first.to,
+    subject: first.subject,
+    html: first.channel === 'email' ? first.body : undefined,
+    text: first.channel === 'sms' ? first.body : undefined,
+    user: first.user,
+    category: first.category,
+    messageId: first.messageId,
+  };
+  const retryDelay = job.attempts < job.maxAttempts ? getRetryDelay(job.attempts) : null; // The queue's backoff
+  const { error, retrying } = await attemptDelivery(message, first.attempt + job.attempts, retryDelay);
+  if (retrying) throw error;
+};
+
+module.exports = {
+  NOTIFICATION_DELIVERY_JOB,
+  deliverMessage,
+  retryNotificationDelivery,
+};
@@ -1,76 +1,72 @@
-const sgMail = require('@sendgrid/mail');
-const twilio = require('twilio');
-const User = require('../models/User'); // Import User model to fetch phone number/email
-
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
-// Initialize Twilio client
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+const Notification = require('../models/Notification');
+const { sendToUser } = require('./realtimeService');
+const { deliverMessage } = require('./notificationDeliveryService');
 
 /**
  * @function sendEmailNotification
- * @description Sends an email notification.
+ * @description Sends an email notification through the configured email transport. Every attempt is recorded in the
+ * recipient's delivery log, and transient failures are retried in the background.
  * @param {string} toEmail - Recipient's email address.
  * @param {string} subject - Email subject.
  * @param {string} htmlContent - HTML content of the email.
- * @throws {Error} If the email sending fails.
+ * @param {Object} [options]
+ * @param {string} [options.user] - The recipient's user ID (for their delivery log).
+ * @param {string} [options.category='system'] - What the email is about (e.g. 'task', 'budget', 'account').
+ * @returns {Promise<Object|null>} The recorded delivery attempt.
+ * @throws {Error} If the email could not be sent and will not be retried.
  */
-const sendEmailNotification = async (toEmail, subject, htmlContent) => {
-  if (!process.env.SENDGRID_API_KEY || !process.env.SENDER_EMAIL) {
-    console.warn('SendGrid API key or sender email not configured. Skipping email to:', toEmail);
-    return;
-  }
-  const msg = {
-    to: toEmail,
-    from: process.env.SENDER_EMAIL,
-    subject: subject,
-    html: htmlContent,
-  };
-
+const sendEmailNotification = async (toEmail, subject, htmlContent, { user, category } = {}) => {
   try {
-    await sgMail.send(msg);
-    console.log(`Email notification sent to ${toEmail}`);
+    return await deliverMessage({ channel: 'email', to: toEmail, subject, html: htmlContent, user, category });
   } catch (error) {
-    console.error(`Error sending email notification to ${toEmail}:`, error);
-    if (error.response && error.response.body) {
-      console.error(error.response.body);
-    }
     throw new Error('Failed to send email notification.');
   }
 };
 
 /**
  * @function sendSmsNotification
- * @description Sends an SMS notification using Twilio.
+ * @description Sends an SMS notification through the configured SMS transport (Twilio in production), recorded and
+ * retried like emails.
  * @param {string} toPhoneNumber - Recipient's phone number (e.g., +12345678900).
  * @param {string} messageBody - The text content of the SMS.
- * @throws {Error} If the SMS sending fails.
+ * @param {Object} [options] - `{ user, category }`, as for sendEmailNotification.
+ * @returns {Promise<Object|null>} The recorded delivery attempt.
+ * @throws {Error} If the SMS could not be sent and will not be retried.
  */
-const sendSmsNotification = async (toPhoneNumber, messageBody) => {
-  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
-    console.warn('Twilio credentials not fully configured. Skipping SMS to:', toPhoneNumber);
-    return;
-  }
+const sendSmsNotification = async (toPhoneNumber, messageBody, { user, category } = {}) => {
   if (!toPhoneNumber) {
     throw new Error('Recipient phone number is missing for SMS notification.');
   }
 
   try {
-    await twilioClient.messages.create({
-      body: messageBody,
-      from: process.env.TWILIO_PHONE_NUMBER, // Your Twilio phone number
-      to: toPhoneNumber,
-    });
-    console.log(`SMS notification sent to ${toPhoneNumber}`);
+    return await deliverMessage({ channel: 'sms', to: toPhoneNumber, text: messageBody, user, category });
   } catch (error) {
-    console.error(`Error sending SMS notification to ${toPhoneNumber}:`, error);
     throw new Error('Failed to send SMS notification.');
   }
 };
 
+/**
+ * @function sendAppNotification
+ * @description Stores an in-app notification and pushes it to the user's open WebSocket connections, on any instance.
+ * Users who are offline see it in their notification list (and unread badge) when they come back.
+ * @param {string} userId - The recipient's Omnia user ID.
+ * @param {Object} notification - The notification content.
+ * @param {string} notification.title - Short title.
+ * @param {string} notification.message - The notification text.
+ * @param {string} [notification.type='reminder'] - 'reminder', 'budget_alert' or 'system'.
+ * @param {Object} [notification.relatedItem] - `{ kind, item, occurrenceDate }` of the related Task/Event/Goal/Budget.
+ * @returns {Promise<Object>} The stored Notification document.
+ */
+const sendAppNotification = async (userId, { title, message, type = 'reminder', relatedItem }) => {
+  const notification = await Notification.create({ user: userId, type, title, message, relatedItem });
+
+  const unreadCount = await Notification.countDocuments({ user: userId, isRead: false });
+  const delivered = await sendToUser(userId, 'notification', { notification: notification.toObject(), unreadCount });
+  console.log(`App notification stored for user ${userId} (pushed to ${delivered} local connection(s), published to other instances).`);
+
+  return notification;
+};
+
 /**
  * @function sendVerificationEmail
  * @description Sends an email verification link to a new user.
@@ -80,15 +76,19 @@ const sendSmsNotification = async (toPhoneNumber, messageBody) => {
  * @param {string} options.name - Recipient's name.
  * @param {string} options.verificationToken - The unhashed verification token.
  * @param {string} options.frontendUrl - The base URL of the frontend application.
- * @returns {Promise<Object>} - SendGrid email response.
+ * @param {string} [options.userId] - The recipient's user ID (for their delivery log).
+ * @returns {Promise<Object>} - The recorded delivery attempt. The link is not stored with it.
  * @throws {Error} If the email sending fails.
  */
-const sendVerificationEmail = async ({ email, name, verificationToken, frontendUrl }) => {
+const sendVerificationEmail = async ({ email, name, verificationToken, frontendUrl, userId }) => {
   const verifyUrl = `${frontendUrl}/verify-email?token=${verificationToken}`;
 
   const msg = {
+    channel: 'email',
     to: email,
-    from: process.env.SENDER_EMAIL,
+    user: userId,
+    category: 'account',
+    sensitive: true, // Keep the verification link out of the delivery log
     subject: 'KIMELIA Omnia: Verify Your Email Address',
     html: `
       <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
@@ -116,20 +116,71 @@ const sendVerificationEmail = async ({ email, name, verificationToken, frontendU
   };
 
   try {
-    await sgMail.send(msg);
-    console.log(`Verification email sent to ${email}`);
+    return await deliverMessage(msg);
   } catch (error) {
-    console.error(`Error sending verification email to ${email}:`, error);
-    if (error.response) {
-      console.error(error.response.body);
-    }
     throw new Error('Failed to send verification email. Please try again later.');
   }
 };
 
+/**
+ * @function sendPasswordResetEmail
+ * @description Sends a password reset link to a user who forgot their password.
+ * @param {Object} options - Email options.
+ * @param {string} options.email - Recipient's email address.
+ * @param {string} options.name - Recipient's name.
+ * @param {string} options.resetToken - The unhashed password reset token.
+ * @param {string} options.frontendUrl - The base URL of the frontend application.
+ * @param {string} [options.userId] - The recipient's user ID (for their delivery log).
+ * @returns {Promise<Object>} - The recorded delivery attempt. The link is not stored with it.
+ * @throws {Error} If the email sending fails.
+ */
+const sendPasswordResetEmail = async ({ email, name, resetToken, frontendUrl, userId }) => {
+  const resetUrl = `${frontendUrl}/reset-password?token=${resetToken}`;
+
+  const msg = {
+    channel: 'email',
+    to: email,
+    user: userId,
+    category: 'account',
+    sensitive: true, // A reset link is as good as the password; never store it
+    subject: 'KIMELIA Omnia: Reset Your Password',
+    html: `
+      <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <h2 style="color: #6A2E9F;">Hello ${name},</h2>
+        <p>We received a request to reset the password of your KIMELIA Omnia account.</p>
+        <p>To choose a new password, click the link below:</p>
+        <p style="text-align: center;">
+          <a href="${resetUrl}" style="
+            display: inline-block;
+            padding: 12px 25px;
+            background-color: #2EC4B6;
+            color: #ffffff;
+            text-decoration: none;
+            border-radius: 5px;
+            font-weight: bold;
+          ">Reset My Password</a>
+        </p>
+        <p>This link will expire in 30 minutes. Resetting your password signs you out on all your devices.</p>
+        <p>If you did not ask to reset your password, you can ignore this email; your password will not change.</p>
+        <p>Best regards,<br>The KIMELIA Omnia Team</p>
+        <hr style="border: 0; border-top: 1px solid #eee;">
+        <p style="font-size: 0.8em; color: #777;">KIMELIA Omnia | Your World, Organized Intelligently.</p>
+      </div>
+    `,
+  };
+
+  try {
+    return await deliverMessage(msg);
+  } catch (error) {
+    throw new Error('Failed to send password reset email. Please try again later.');
+  }
+};
+
 
 module.exports = {
   sendEmailNotification,
   sendSmsNotification,
+  sendAppNotification,
   sendVerificationEmail, 
+  sendPasswordResetEmail,
 };
\ No newline at end of file
@@ -0,0 +1,168 @@
+// services/notificationTransports.js
+// The providers emails and SMS go out through. A transport is `{ name, send(message) }`, where `message` is
+// `{ channel, to, subject, html, text, sensitive }` and `send` resolves to `{ providerMessageId, response }` or throws
+// (see utils/notificationDelivery for which errors are retried). EMAIL_TRANSPORT and SMS_TRANSPORT pick one by name;
+// other transports can be added with registerNotificationTransport.
+const fs = require('fs');
+const crypto = require('crypto');
+
+const createSendGridTransport = () => {
+  if (!process.env.SENDGRID_API_KEY || !process.env.SENDER_EMAIL) {
+    throw new Error('SendGrid transport needs SENDGRID_API_KEY and SENDER_EMAIL.');
+  }
+  const sgMail = require('@sendgrid/mail');
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+  return {
+    name: 'sendgrid',
+    send: async ({ to, subject, html, text }) => {
+      const [response] = await sgMail.send({ to, from: process.env.SENDER_EMAIL, subject, html, text });
+      return {
+        providerMessageId: response.headers?.['x-message-id'] || null,
+        response: { statusCode: response.statusCode },
+      };
+    },
+  };
+};
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST || !process.env.SENDER_EMAIL) {
+    throw new Error('SMTP transport needs SMTP_HOST and SENDER_EMAIL.');
+  }
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS when offered
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ to, subject, html, text }) => {
+      const info = await transporter.sendMail({ to, from: process.env.SENDER_EMAIL, subject, html, text });
+      return {
+        providerMessageId: info.messageId,
+        response: { reply: info.response, accepted: info.accepted, rejected: info.rejected },
+      };
+    },
+  };
+};
+
+const createTwilioTransport = () => {
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
+    throw new Error('Twilio transport needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER.');
+  }
+  const twilio = require('twilio');
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+  return {
+    name: 'twilio',
+    send: async ({ to, text }) => {
+      const message = await client.messages.create({ body: text, from: process.env.TWILIO_PHONE_NUMBER, to });
+      return {
+        providerMessageId: message.sid,
+        response: { status: message.status, errorCode: message.errorCode },
+      };
+    },
+  };
+};
+
+// For development and tests: prints messages instead of sending them, and appends them (one JSON object per line)
+// to NOTIFICATION_OUTBOX_FILE when set. The content of `sensitive` messages (sign-in and reset links) is left out of
+// both. It is refused in production, where a message it took would be lost, so the attempt is recorded as failed.
+const createLocalTransport = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The local transport does not send messages; configure an email/SMS provider in production.');
+  }
+
+  return {
+    name: 'local',
+    send: async ({ sensitive, ...message }) => {
+      const providerMessageId = `local-${crypto.randomUUID()}`;
+      const content = sensitive ? '(content withheld: sensitive message)' : (message.text || message.html);
+      if (process.env.NOTIFICATION_OUTBOX_FILE) {
+        const line = JSON.stringify({
+          id: providerMessageId,
+          sentAt: new Date(),
+          ...message,
+          ...(sensitive && { html: undefined, text: undefined, redacted: true }),
+        });
+        await fs.promises.appendFile(process.env.NOTIFICATION_OUTBOX_FILE, `${line}\n`);
+      } else if (process.env.NODE_ENV !== 'test') {
+        console.log(`[Notifications] (local ${message.channel}) To: ${message.to}${message.subject ? ` | ${message.subject}` : ''}\n${content}`);
+      }
+      return { providerMessageId, response: { outbox: process.env.NOTIFICATION_OUTBOX_FILE || 'console' } };
+    },
+  };
+};
+
+const transportFactories = new Map([
+  ['sendgrid', createSendGridTransport],
+  ['smtp', createSmtpTransport],
+  ['twilio', createTwilioTransport],
+  ['local', createLocalTransport],
+]);
+const transports = new Map(); // Created transports, by name
+
+/**
+ * @function registerNotificationTransport
+ * @description Adds (or replaces) a transport that EMAIL_TRANSPORT or SMS_TRANSPORT can name.
+ * @param {string} name - The transport's name.
+ * @param {Function} factory - Returns the transport; throws if it is not configured.
+ */
+const registerNotificationTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+  transports.delete(name);
+};
+
+/**
+ * @function getTransportName
+ * @description The transport a channel uses: EMAIL_TRANSPORT / SMS_TRANSPORT when set, otherwise the provider whose
+ * credentials are configured (SendGrid, then SMTP for email; Twilio for SMS), falling back to the local transport
+ * outside production. In production, with no provider configured, there is no transport and sends fail (and are
+ * recorded as failed) instead of being silently dropped. Tests always default to the local transport.
+ * @param {string} channel - 'email' or 'sms'.
+ * @returns {string} The transport's name, or 'none' when no transport is configured.
+ */
+const getTransportName = (channel) => {
+  const configured = channel === 'sms' ? process.env.SMS_TRANSPORT : process.env.EMAIL_TRANSPORT;
+  if (configured) return configured;
+  if (process.env.NODE_ENV === 'test') return 'local';
+
+  const fallback = process.env.NODE_ENV === 'production' ? 'none' : 'local';
+  if (channel === 'sms') {
+    return process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN ? 'twilio' : fallback;
+  }
+  if (process.env.SENDGRID_API_KEY) return 'sendgrid';
+  if (process.env.SMTP_HOST) return 'smtp';
+  return fallback;
+};
+
+/**
+ * @function getNotificationTransport
+ * @description The transport for a channel, created on first use.
+ * @param {string} channel - 'email' or 'sms'.
+ * @returns {{ name: string, send: Function }}
+ * @throws {Error} If the transport is unknown or not configured.
+ */
+const getNotificationTransport = (channel) => {
+  const name = getTransportName(channel);
+  if (!transports.has(name)) {
+    if (name === 'none') {
+      throw new Error(`No ${channel} provider is configured (set ${channel === 'sms' ? 'SMS_TRANSPORT or the Twilio credentials' : 'EMAIL_TRANSPORT or the SendGrid/SMTP settings'}).`);
+    }
+    const factory = transportFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown ${channel} transport "${name}".`);
+    }
+    transports.set(name, factory());
+  }
+  return transports.get(name);
+};
+
+module.exports = {
+  registerNotificationTransport,
+  getTransportName,
+  getNotificationTransport,
+};
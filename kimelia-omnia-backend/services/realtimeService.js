@@ -0,0 +1,200 @@
+// services/realtimeService.js
+// WebSocket channel for in-app notifications. A user's connections may be held by any API instance, so events are
+// also published to MongoDB (RealtimeEvent), where every instance with connections polls for events of its users.
+const os = require('os');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { getUserFromToken } = require('../middleware/authMiddleware');
+const RealtimeEvent = require('../models/RealtimeEvent');
+
+const REALTIME_PATH = '/api/v1/notifications/ws';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const FANOUT_POLL_INTERVAL_MS = parseInt(process.env.REALTIME_POLL_INTERVAL_MS || '1000', 10);
+const FANOUT_LOOKBACK_MS = 10 * 1000; // Re-read this far back each poll, for events that were slow to be written
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let wss; // The WebSocket server instance
+let heartbeatTimer;
+let fanoutTimer;
+let fanoutPolling = false;
+const connectionsByUser = new Map(); // userId -> Set<WebSocket>
+const pushedEvents = new Map(); // Published events from other instances already pushed: id -> createdAt
+
+/**
+ * @function getTokenFromRequest
+ * @description Reads the JWT from the upgrade request: `Authorization: Bearer <token>` or a `token` query parameter
+ * (browsers and some WebSocket clients cannot set headers).
+ * @param {http.IncomingMessage} req - The HTTP upgrade request.
+ * @returns {string|null} The token, if present.
+ */
+const getTokenFromRequest = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer')) {
+    return authHeader.split(' ')[1];
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+const removeConnection = (userId, ws) => {
+  const connections = connectionsByUser.get(userId);
+  if (!connections) return;
+  connections.delete(ws);
+  if (connections.size === 0) connectionsByUser.delete(userId);
+};
+
+/**
+ * @function attachRealtimeServer
+ * @description Attaches the notification WebSocket endpoint to the HTTP server.
+ * Clients connect to `/api/v1/notifications/ws` with the same JWT used for the REST API and receive
+ * JSON frames of the form `{ "event": "notification", "data": { ... } }`.
+ * @param {http.Server} server - The HTTP server returned by `app.listen`.
+ * @returns {WebSocketServer} The WebSocket server.
+ */
+const attachRealtimeServer = (server) => {
+  if (wss) return wss;
+
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== REALTIME_PATH) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    const token = getTokenFromRequest(req);
+    if (!token) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    let user;
+    try {
+      user = await getUserFromToken(token);
+    } catch (error) {
+      console.error('[Realtime] JWT Verification Error:', error.message);
+    }
+    if (!user) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const userId = user._id.toString();
+      ws.isAlive = true;
+      ws.connectedAt = new Date();
+      if (!connectionsByUser.has(userId)) connectionsByUser.set(userId, new Set());
+      connectionsByUser.get(userId).add(ws);
+
+      ws.on('pong', () => { ws.isAlive = true; });
+      ws.on('close', () => removeConnection(userId, ws));
+      ws.on('error', (error) => console.error(`[Realtime] Socket error for user ${userId}:`, error.message));
+
+      ws.send(JSON.stringify({ event: 'connected', data: { userId } }));
+    });
+  });
+
+  // Drop connections that stopped answering pings (e.g., mobile clients that lost network)
+  heartbeatTimer = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  fanoutTimer = setInterval(() => {
+    if (fanoutPolling) return;
+    fanoutPolling = true;
+    pushPublishedEvents()
+      .catch((error) => console.error('[Realtime] Error while reading published events:', error.message))
+      .finally(() => { fanoutPolling = false; });
+  }, FANOUT_POLL_INTERVAL_MS);
+
+  console.log(`Real-time notification channel listening on ${REALTIME_PATH}`);
+  return wss;
+};
+
+// Sends an event to the user's open connections on this instance (only those opened before `since`, when given:
+// a client reads the notification list when it connects, so older events are not news to it)
+const sendToLocalConnections = (userId, event, data, since) => {
+  const connections = connectionsByUser.get(userId.toString());
+  if (!connections) return 0;
+
+  const frame = JSON.stringify({ event, data });
+  let delivered = 0;
+  connections.forEach((ws) => {
+    if (ws.readyState === ws.OPEN && (!since || ws.connectedAt <= since)) {
+      ws.send(frame);
+      delivered++;
+    }
+  });
+  return delivered;
+};
+
+// Pushes events published by other instances to the connections held here
+const pushPublishedEvents = async () => {
+  const now = Date.now();
+  pushedEvents.forEach((createdAt, id) => {
+    if (createdAt.getTime() < now - 2 * FANOUT_LOOKBACK_MS) pushedEvents.delete(id);
+  });
+  if (connectionsByUser.size === 0) return;
+
+  const events = await RealtimeEvent.find({
+    origin: { $ne: INSTANCE_ID },
+    user: { $in: [...connectionsByUser.keys()] },
+    createdAt: { $gt: new Date(now - FANOUT_LOOKBACK_MS) },
+  }).sort({ createdAt: 1 }).lean();
+
+  events.forEach(({ _id, user, event, data, createdAt }) => {
+    const id = _id.toString();
+    if (pushedEvents.has(id)) return;
+    pushedEvents.set(id, createdAt);
+    sendToLocalConnections(user, event, data, createdAt);
+  });
+};
+
+/**
+ * @function sendToUser
+ * @description Sends an event to all open connections of a user: right away to those on this instance, and through
+ * MongoDB to those on other instances (which pick it up within REALTIME_POLL_INTERVAL_MS).
+ * @param {string} userId - The Omnia user ID.
+ * @param {string} event - The event name (e.g., 'notification').
+ * @param {Object} data - The event payload.
+ * @returns {Promise<number>} The number of connections on this instance the event was sent to.
+ */
+const sendToUser = async (userId, event, data) => {
+  const delivered = sendToLocalConnections(userId, event, data);
+  await RealtimeEvent.create({ user: userId, event, data, origin: INSTANCE_ID });
+  return delivered;
+};
+
+/**
+ * @function closeRealtimeServer
+ * @description Closes all connections and stops the heartbeat.
+ */
+const closeRealtimeServer = () => {
+  if (!wss) return;
+  clearInterval(heartbeatTimer);
+  clearInterval(fanoutTimer);
+  wss.clients.forEach((ws) => ws.terminate());
+  wss.close();
+  wss = null;
+  connectionsByUser.clear();
+  pushedEvents.clear();
+};
+
+module.exports = {
+  REALTIME_PATH,
+  attachRealtimeServer,
+  sendToUser,
+  closeRealtimeServer,
+};
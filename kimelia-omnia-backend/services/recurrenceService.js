@@ -0,0 +1,157 @@
+const {
+  countOccurrencesBefore,
+  endRuleBefore,
+  withRemainingCount,
+} = require('../utils/recurrence');
+
+/**
+ * @function copySeriesFields
+ * @description Builds the plain fields for a new Task/Event derived from a series, shifted to another occurrence.
+ * Identity, timestamps, recurrence and external sync data are dropped; reminders are shifted (relative ones keep
+ * their offset) and reset to unsent.
+ * @param {Object} series - The recurring Mongoose document.
+ * @param {Date} occurrence - The occurrence the new item starts at.
+ * @param {string} anchorField - The date field the series is anchored on ('dueDate' or 'startTime').
+ * @param {string} [endField] - Optional end date field shifted along with the anchor ('endTime').
+ * @returns {Object} Plain fields for Model.create().
+ */
+const copySeriesFields = (series, occurrence, anchorField, endField) => {
+  const fields = series.toObject();
+  const deltaMs = occurrence.getTime() - new Date(fields[anchorField]).getTime();
+
+  ['_id', '__v', 'createdAt', 'updatedAt', 'recurrence', 'recurringParent', 'originalOccurrenceDate', 'googleSync'].forEach((key) => delete fields[key]);
+
+  fields[anchorField] = occurrence;
+  if (endField && fields[endField]) {
+    fields[endField] = new Date(new Date(fields[endField]).getTime() + deltaMs);
+  }
+  fields.reminders = (fields.reminders || []).map(({ time, offsetMinutes, method, message }) => ({
+    time: time ? new Date(new Date(time).getTime() + deltaMs) : time,
+    ...(offsetMinutes !== undefined && offsetMinutes !== null ? { offsetMinutes } : {}),
+    method,
+    ...(message ? { message } : {}),
+  }));
+
+  return fields;
+};
+
+/**
+ * @function updateRecurringItem
+ * @description Applies an update to a recurring Task or Event with the requested scope.
+ * - 'occurrence': excludes the occurrence from the series and stores the edited copy as a standalone item.
+ * - 'following': ends the series before the occurrence and starts a new series there with the updates.
+ * - 'all': updates the series itself.
+ * @param {mongoose.Model} Model - The Task or Event model.
+ * @param {Object} series - The recurring Mongoose document.
+ * @param {Object} updates - The validated update payload.
+ * @param {Object} options - Scope options.
+ * @param {string} options.scope - 'occurrence', 'following' or 'all'.
+ * @param {Date} [options.occurrenceDate] - The occurrence being edited (required unless scope is 'all').
+ * @param {string} options.anchorField - 'dueDate' for tasks, 'startTime' for events.
+ * @param {string} [options.endField] - 'endTime' for events.
+ * @returns {Promise<Object>} The updated series, or the newly created item.
+ */
+const updateRecurringItem = async (Model, series, updates, { scope, occurrenceDate, anchorField, endField }) => {
+  const anchor = new Date(series[anchorField]);
+  const occurrence = occurrenceDate ? new Date(occurrenceDate) : null;
+
+  if (scope === 'occurrence') {
+    const exception = {
+      ...copySeriesFields(series, occurrence, anchorField, endField),
+      ...updates,
+      recurringParent: series._id,
+      originalOccurrenceDate: occurrence,
+    };
+    delete exception.recurrence; // A single occurrence never recurs on its own
+
+    await Model.updateOne({ _id: series._id }, { $addToSet: { 'recurrence.exdates': occurrence } });
+    return Model.create(exception);
+  }
+
+  if (scope === 'following' && occurrence > anchor) {
+    const { rule, exdates = [] } = series.recurrence;
+    const consumed = countOccurrencesBefore(series.recurrence, anchor, occurrence);
+
+    const next = { ...copySeriesFields(series, occurrence, anchorField, endField), ...updates };
+    if (updates.recurrence === null) {
+      delete next.recurrence; // Recurrence stops here: the occurrence becomes a one-off item
+    } else {
+      next.recurrence = {
+        rule: updates.recurrence?.rule || withRemainingCount(rule, consumed),
+        exdates: updates.recurrence?.exdates || exdates.filter((exdate) => exdate >= occurrence),
+      };
+    }
+
+    series.recurrence = {
+      rule: endRuleBefore(rule, occurrence),
+      exdates: exdates.filter((exdate) => exdate < occurrence),
+    };
+    await series.save();
+
+    const created = await Model.create(next);
+
+    // Occurrences already edited individually after the split now belong to the new series
+    await Model.updateMany(
+      { recurringParent: series._id, originalOccurrenceDate: { $gte: occurrence } },
+      { recurringParent: created._id }
+    );
+    return created;
+  }
+
+  // 'all' (or 'following' from the very first occurrence): update the series in place.
+  // If the series is moved without a new rule, move its exclusions along so they keep matching.
+  if (updates[anchorField] && updates.recurrence === undefined && series.recurrence?.exdates?.length) {
+    const deltaMs = new Date(updates[anchorField]).getTime() - anchor.getTime();
+    updates.recurrence = {
+      rule: series.recurrence.rule,
+      exdates: series.recurrence.exdates.map((exdate) => new Date(exdate.getTime() + deltaMs)),
+    };
+  }
+
+  return Model.findByIdAndUpdate(series._id, updates, {
+    new: true,
+    runValidators: true,
+  });
+};
+
+/**
+ * @function deleteRecurringItem
+ * @description Deletes a recurring Task or Event with the requested scope.
+ * - 'occurrence': adds the occurrence to the series' EXDATE list.
+ * - 'following': ends the series before the occurrence and removes later edited occurrences.
+ * - 'all': removes the series and all of its individually edited occurrences.
+ * @param {mongoose.Model} Model - The Task or Event model.
+ * @param {Object} series - The recurring Mongoose document.
+ * @param {Object} options - Scope options.
+ * @param {string} options.scope - 'occurrence', 'following' or 'all'.
+ * @param {Date} [options.occurrenceDate] - The occurrence being deleted (required unless scope is 'all').
+ * @param {string} options.anchorField - 'dueDate' for tasks, 'startTime' for events.
+ * @returns {Promise<void>}
+ */
+const deleteRecurringItem = async (Model, series, { scope, occurrenceDate, anchorField }) => {
+  const anchor = new Date(series[anchorField]);
+  const occurrence = occurrenceDate ? new Date(occurrenceDate) : null;
+
+  if (scope === 'occurrence') {
+    await Model.updateOne({ _id: series._id }, { $addToSet: { 'recurrence.exdates': occurrence } });
+    return;
+  }
+
+  if (scope === 'following' && occurrence > anchor) {
+    series.recurrence = {
+      rule: endRuleBefore(series.recurrence.rule, occurrence),
+      exdates: (series.recurrence.exdates || []).filter((exdate) => exdate < occurrence),
+    };
+    await series.save();
+    await Model.deleteMany({ recurringParent: series._id, originalOccurrenceDate: { $gte: occurrence } });
+    return;
+  }
+
+  await Model.deleteMany({ recurringParent: series._id });
+  await series.deleteOne();
+};
+
+module.exports = {
+  updateRecurringItem,
+  deleteRecurringItem,
+};
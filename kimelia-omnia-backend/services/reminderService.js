@@ -0,0 +1,84 @@
+// services/reminderService.js
+const Task = require('../models/Task');
+const Event = require('../models/Event');
+const Goal = require('../models/Goal');
+
+const MINUTE_MS = 60 * 1000;
+const REMINDER_MODELS = { Task, Event, Goal };
+
+/**
+ * @function findNotificationReminder
+ * @description Loads the item and reminder subdocument a reminder notification was sent for.
+ * @param {Object} notification - The Notification document.
+ * @returns {Promise<Object|null>} `{ item, reminder }`, or null if the item or the reminder no longer exists.
+ */
+const findNotificationReminder = async (notification) => {
+  const { kind, item: itemId, reminder: reminderId } = notification.relatedItem || {};
+  const Model = REMINDER_MODELS[kind];
+  if (!Model || !reminderId) return null;
+
+  const item = await Model.findOne({ _id: itemId, user: notification.user });
+  const reminder = item && item.reminders.id(reminderId);
+  return reminder ? { item, reminder } : null;
+};
+
+const markRead = async (notification, now) => {
+  if (notification.isRead) return;
+  notification.isRead = true;
+  notification.readAt = now;
+  await notification.save();
+};
+
+/**
+ * @function snoozeReminder
+ * @description Sends a reminder again in `minutes`. For a recurring item only the notified occurrence is reminded again;
+ * the series keeps reminding later occurrences as usual. The notification is marked as read.
+ * @param {Object} notification - The reminder's Notification document.
+ * @param {Object} target - `{ item, reminder }` from findNotificationReminder.
+ * @param {number} minutes - Snooze duration.
+ * @returns {Promise<Object>} The updated reminder.
+ */
+const snoozeReminder = async (notification, { item, reminder }, minutes) => {
+  const now = new Date();
+  reminder.snoozedUntil = new Date(now.getTime() + minutes * MINUTE_MS);
+  reminder.dismissedAt = null;
+  if (item.recurrence?.rule) {
+    reminder.snoozedOccurrence = notification.relatedItem.occurrenceDate;
+  } else {
+    reminder.isSent = false;
+  }
+
+  await item.save();
+  await markRead(notification, now);
+  return reminder;
+};
+
+/**
+ * @function dismissReminder
+ * @description Dismisses a reminder from its notification: a pending snooze is cancelled and a one-off item's reminder
+ * is not sent again (until the item's date moves a relative reminder). The notification is marked as read.
+ * @param {Object} notification - The reminder's Notification document.
+ * @param {Object|null} target - `{ item, reminder }` from findNotificationReminder, or null if the item is gone.
+ * @returns {Promise<Object|null>} The updated reminder, if any.
+ */
+const dismissReminder = async (notification, target) => {
+  const now = new Date();
+  if (target) {
+    const { item, reminder } = target;
+    reminder.snoozedUntil = null;
+    reminder.snoozedOccurrence = null;
+    if (!item.recurrence?.rule) {
+      reminder.dismissedAt = now;
+    }
+    await item.save();
+  }
+
+  await markRead(notification, now);
+  return target ? target.reminder : null;
+};
+
+module.exports = {
+  findNotificationReminder,
+  snoozeReminder,
+  dismissReminder,
+};
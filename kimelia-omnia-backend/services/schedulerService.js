@@ -2,33 +2,61 @@ const cron = require('node-cron');
 const Task = require('../models/Task');
 const Event = require('../models/Event');
 const Goal = require('../models/Goal');
+const Budget = require('../models/Budget');
 const User = require('../models/User'); // Required for user data
-const { sendEmailNotification, sendSmsNotification } = require('./notificationService'); // Import notification service
+const { sendEmailNotification, sendSmsNotification, sendAppNotification } = require('./notificationService'); // Import notification service
+const { getBudgetSpending, calculateBudgetUsage, getEffectiveLimit, rollOverDueBudgets } = require('./budgetService');
+const { getExchangeRates } = require('./currencyService');
+const { getOccurrences } = require('../utils/recurrence');
+const { isReminderDue } = require('../utils/reminders');
+const { getUserTimeSettings, formatDate, formatDateTime } = require('../utils/timezone');
+const { planDelivery, getNotificationPreferences } = require('../utils/notificationPreferences');
+const { getDigestDate, getDigestDayRange, buildDigestMessage } = require('../utils/digest');
+const { getScheduleSlotKey } = require('../utils/jobs');
+const { DATA_EXPORT_JOB, processDataExport, cleanUpDataExports } = require('./dataExportService');
+const { GOOGLE_CALENDAR_SYNC_JOB, syncGoogleCalendar, summarizeSyncReport } = require('./googleCalendarService');
+const { GMAIL_SYNC_JOB, fetchAndSummarizeGmailInbox } = require('./gmailService');
+const { purgeScheduledAccountDeletions } = require('./accountDeletionService');
+const { NOTIFICATION_DELIVERY_JOB, retryNotificationDelivery } = require('./notificationDeliveryService');
+const { registerJobHandler, enqueueJob, startJobWorker, stopJobWorker } = require('./jobQueueService');
 
 const REMINDER_BUFFER_MINUTES = parseInt(process.env.REMINDER_BUFFER_MINUTES || '10', 10); // How many minutes before due to send reminder
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR || '7', 10); // Local hour at which daily digests go out
+const GMAIL_SYNC_MAX_MESSAGES = 10; // New emails summarized per background Gmail sync
 
-let reminderSchedulerJob; // To hold the node-cron job instance
+// Job types of the scheduled work (see PERIODIC_JOBS)
+const REMINDER_SCAN_JOB = 'reminders.scan';
+const REMINDER_SEND_JOB = 'reminders.send';
+const BUDGET_CHECK_JOB = 'budgets.check';
+const CLEANUP_JOB = 'maintenance.cleanup';
+const INTEGRATION_SCAN_JOB = 'integrations.scan';
+const DIGEST_SCAN_JOB = 'digest.scan';
+const DIGEST_SEND_JOB = 'digest.send';
+
+let cronTasks = []; // Timers queuing the periodic jobs
 
 /**
  * @function constructReminderMessage
- * @description Constructs a general reminder message for a notification.
+ * @description Constructs a general reminder message for a notification, with the item's time in the user's time zone and locale.
  * @param {string} type - Type of item (Task, Event, Goal).
  * @param {Object} item - The item object (Task, Event, Goal).
  * @param {Object} reminder - The specific reminder object.
+ * @param {Object} [user] - The owner of the item (with `settings`).
  * @returns {string} The formatted reminder message.
  */
-const constructReminderMessage = (type, item, reminder) => {
+const constructReminderMessage = (type, item, reminder, user) => {
+  const timeSettings = getUserTimeSettings(user);
   let message = `KIMELIA Omnia Reminder: Your ${type} "${item.title}" is `;
   let timeStr;
 
   if (item.dueDate) { // For Tasks
-    timeStr = new Date(item.dueDate).toLocaleString();
+    timeStr = formatDateTime(item.dueDate, timeSettings);
     message += `due on ${timeStr}.`;
   } else if (item.startTime) { // For Events
-    timeStr = new Date(item.startTime).toLocaleString();
+    timeStr = formatDateTime(item.startTime, timeSettings);
     message += `starting at ${timeStr}.`;
   } else if (item.targetDate) { // For Goals
-    timeStr = new Date(item.targetDate).toLocaleString();
+    timeStr = formatDateTime(item.targetDate, timeSettings);
     message += `targeting ${timeStr}.`;
   }
 
@@ -42,101 +70,503 @@ const constructReminderMessage = (type, item, reminder) => {
 
 
 /**
- * @function checkAndSendReminders
- * @description Checks all relevant models for upcoming unsent reminders and dispatches them directly.
- * This function is run periodically by node-cron.
+ * @function deliverNotification
+ * @description Sends a message through one channel after applying the user's notification preferences
+ * (global pause, allowed channels per category, quiet hours). Every reminder and alert goes through here.
+ * @param {Object} user - The populated recipient (with contact info and `settings`).
+ * @param {string} category - Notification category ('task', 'event', 'goal', 'budget', 'digest').
+ * @param {string} method - The channel the item asks for ('email', 'sms' or 'app_notification').
+ * @param {Object} content - `{ subject, html, text, appNotification }`, one form per channel.
+ * @param {Object} [options] - `{ now, urgent, deadline }`, as for planDelivery.
+ * @returns {Promise<Object>} The delivery plan: `send` (with the channel used), `defer` (with `until`) or `skip`.
  */
-const checkAndSendReminders = async () => {
-  const now = new Date();
-  const reminderCutoff = new Date(now.getTime() + REMINDER_BUFFER_MINUTES * 60 * 1000); // Reminders due within buffer
+const deliverNotification = async (user, category, method, { subject, html, text, appNotification }, options = {}) => {
+  const plan = planDelivery(user, category, method, options);
+  if (plan.action !== 'send') {
+    return plan;
+  }
 
-  console.log(`[Scheduler] Checking for reminders due before: ${reminderCutoff.toLocaleString()}`);
+  if (plan.method === 'email' && user.email) {
+      await sendEmailNotification(user.email, subject, html, { user: user._id, category });
+  } else if (plan.method === 'sms' && user.phoneNumber) {
+      await sendSmsNotification(user.phoneNumber, text, { user: user._id, category });
+  } else if (plan.method === 'app_notification') {
+      await sendAppNotification(user._id, appNotification);
+  } else {
+      console.warn(`[Scheduler] Skipping ${category} notification "${subject}": Invalid method (${plan.method}) or missing contact info for user ${user.email}.`);
+  }
+  return plan;
+};
 
-  const collectionsToCheck = [
-    { model: Task, typeName: 'Task', reminderPath: 'reminders', itemDueDateField: 'dueDate', itemStartTimeField: null, itemTargetDateField: null },
-    { model: Event, typeName: 'Event', reminderPath: 'reminders', itemDueDateField: null, itemStartTimeField: 'startTime', itemTargetDateField: null },
-    { model: Goal, typeName: 'Goal', reminderPath: 'reminders', itemDueDateField: null, itemStartTimeField: null, itemTargetDateField: 'targetDate' },
-  ];
+/**
+ * @function dispatchReminder
+ * @description Sends a single reminder through its configured method, subject to the user's notification preferences.
+ * Reminders for urgent tasks, and for items due before the user's quiet hours end, are not held back by quiet hours.
+ * @param {string} typeName - Type of item (Task, Event, Goal).
+ * @param {Object} item - The item the reminder belongs to (or an occurrence view of a recurring item).
+ * @param {Object} reminder - The specific reminder object.
+ * @param {Object} user - The populated owner of the item.
+ * @param {Date} now - The current time.
+ * @returns {Promise<Object>} The delivery plan from deliverNotification.
+ */
+const dispatchReminder = async (typeName, item, reminder, user, now) => {
+  const reminderText = constructReminderMessage(typeName, item, reminder, user);
 
-  for (const { model, typeName, reminderPath, itemDueDateField, itemStartTimeField, itemTargetDateField } of collectionsToCheck) {
-    // Find items that have reminders due soon and haven's been sent yet
-    const query = {
-      [`${reminderPath}.time`]: { $lte: reminderCutoff, $gte: now }, // Reminder time within the window
-      [`${reminderPath}.isSent`]: false, // Ensure reminder is not yet sent
-    };
+  return deliverNotification(user, typeName.toLowerCase(), reminder.method, {
+      subject: `KIMELIA Omnia Reminder: ${item.title}`,
+      html: `<p>${reminderText}</p><p>You set this reminder for your ${typeName.toLowerCase()}.</p>`,
+      text: reminderText,
+      appNotification: {
+          title: `Reminder: ${item.title}`,
+          message: reminderText,
+          relatedItem: { kind: typeName, item: item._id, occurrenceDate: item.occurrenceDate, reminder: reminder._id },
+      },
+  }, {
+      now,
+      urgent: item.priority === 'urgent',
+      deadline: item.dueDate || item.startTime || item.targetDate,
+  });
+};
 
-    const items = await model.find(query).populate('user', 'email phoneNumber name'); // Populate user for contact info
+const REMINDER_COLLECTIONS = {
+  Task: { model: Task, anchorField: 'dueDate' },
+  Event: { model: Event, anchorField: 'startTime' },
+  Goal: { model: Goal, anchorField: 'targetDate' },
+};
+const RECURRING_REMINDER_KINDS = ['Task', 'Event'];
+
+// Queues the delivery of one reminder. The key names the exact send (reminder, occurrence, due time), so scans
+// that overlap before it is sent do not queue it twice, while a snoozed or rescheduled reminder gets a new job.
+const enqueueReminder = (payload) => enqueueJob(REMINDER_SEND_JOB, payload, {
+  uniqueKey: ['reminder', payload.reminder, payload.occurrence, payload.dueAt].filter(Boolean).join(':'),
+});
+
+/**
+ * @function scanDueReminders
+ * @description Finds reminders due within the buffer (and snoozed or deferred reminders whose time has come) and
+ * queues a `reminders.send` job for each. Recurring tasks and events get one job per occurrence: a reminder on a
+ * series keeps its offset from the series start, and `lastSentOccurrence` records the latest occurrence it went
+ * out for. Nothing is sent or changed here, so a scan can safely run twice.
+ * @param {Date} [now=new Date()] - Start of the reminder window.
+ * @returns {Promise<number>} The number of reminders queued.
+ */
+const scanDueReminders = async (now = new Date()) => {
+  const reminderCutoff = new Date(now.getTime() + REMINDER_BUFFER_MINUTES * 60 * 1000); // Reminders due within buffer
+  let queued = 0;
+
+  for (const [kind, { model }] of Object.entries(REMINDER_COLLECTIONS)) {
+    // Find items with a reminder that is due soon (or snoozed until now) and has not been sent or dismissed.
+    // `$ne: true` also matches reminders saved before isSent was tracked on every model.
+    const items = await model.find({
+      reminders: {
+        $elemMatch: {
+          isSent: { $ne: true },
+          dismissedAt: null,
+          $or: [
+            { snoozedUntil: null, time: { $gte: now, $lte: reminderCutoff } },
+            { snoozedUntil: { $lte: now } },
+          ],
+        },
+      },
+      'recurrence.rule': null, // Recurring series are handled per occurrence below
+    }).select('reminders').lean();
+
+    for (const item of items) {
+      for (const reminder of item.reminders.filter((candidate) => isReminderDue(candidate, now, reminderCutoff))) {
+        await enqueueReminder({ kind, item: item._id, reminder: reminder._id, dueAt: (reminder.snoozedUntil || reminder.time).toISOString() });
+        queued++;
+      }
+    }
+  }
+
+  for (const kind of RECURRING_REMINDER_KINDS) {
+    const { model, anchorField } = REMINDER_COLLECTIONS[kind];
+    const items = await model.find({
+      'recurrence.rule': { $ne: null },
+      'reminders.0': { $exists: true },
+    }).select(`recurrence reminders ${anchorField}`).lean();
 
     for (const item of items) {
-      // Filter the specific reminders within this item that are due and unsent
-      const unsentReminders = item.reminders.filter(
-        (r) => r.time <= reminderCutoff && !r.isSent
-      );
-
-      for (const reminder of unsentReminders) {
-        const reminderText = constructReminderMessage(typeName, item, reminder);
-
-        try {
-            if (reminder.method === 'email' && item.user.email) {
-                await sendEmailNotification(
-                    item.user.email,
-                    `KIMELIA Omnia Reminder: ${item.title}`,
-                    `<p>${reminderText}</p><p>You set this reminder for your ${typeName.toLowerCase()}.</p>`
-                );
-            } else if (reminder.method === 'sms' && item.user.phoneNumber) {
-                await sendSmsNotification(
-                    item.user.phoneNumber,
-                    reminderText
-                );
-            } else if (reminder.method === 'app_notification') {
-                // Future: Implement WebSocket/Push Notification here
-                console.log(`[App Notification - Future]: Sending app notification for ${item.title} to user ${item.user.name}`);
-            } else {
-                console.warn(`[Scheduler] Skipping reminder for ${item.title} (ID: ${reminder._id}): Invalid method (${reminder.method}) or missing contact info for user ${item.user.email}.`);
-            }
-
-            // Mark the specific reminder as sent in the database
-            const reminderIndex = item.reminders.findIndex(r => r._id.toString() === reminder._id.toString());
-            if (reminderIndex !== -1) {
-                item.reminders[reminderIndex].isSent = true;
-                await item.save(); // Save the parent document to update the sub-document
-                console.log(`[Scheduler] Marked reminder for ${item.title} (ID: ${reminder._id}) as sent.`);
-            }
-        } catch (error) {
-            console.error(`[Scheduler] Error sending reminder for ${item.title} (ID: ${reminder._id}):`, error);
+      const anchor = item[anchorField];
+      if (!anchor) continue;
+
+      for (const reminder of item.reminders) {
+        if (!reminder.time) continue;
+        const base = { kind, item: item._id, reminder: reminder._id };
+
+        if (reminder.snoozedUntil && reminder.snoozedUntil <= now && reminder.snoozedOccurrence) {
+          await enqueueReminder({ ...base, occurrence: reminder.snoozedOccurrence.toISOString(), dueAt: reminder.snoozedUntil.toISOString() });
+          queued++;
         }
+
+        const offsetMs = new Date(reminder.time).getTime() - anchor.getTime();
+        const dueOccurrences = getOccurrences(
+          item.recurrence,
+          anchor,
+          new Date(now.getTime() - offsetMs),
+          new Date(reminderCutoff.getTime() - offsetMs)
+        ).filter((occurrence) => !reminder.lastSentOccurrence || occurrence > reminder.lastSentOccurrence);
+
+        for (const occurrence of dueOccurrences) {
+          await enqueueReminder({ ...base, occurrence: occurrence.toISOString() });
+          queued++;
+        }
+      }
+    }
+  }
+
+  return queued;
+};
+
+/**
+ * @function sendQueuedReminder
+ * @description Runs a `reminders.send` job: delivers the reminder (subject to the user's notification preferences)
+ * and records it on the item with a single atomic update. Reminders sent, dismissed, snoozed again or rescheduled
+ * since they were queued are left alone. A reminder held back by quiet hours waits in the snooze fields.
+ * @param {Object} payload - `{ kind, item, reminder, occurrence?, dueAt? }` from scanDueReminders.
+ * @returns {Promise<string>} What happened: 'send', 'defer', 'skip' or 'stale'.
+ */
+const sendQueuedReminder = async ({ kind, item: itemId, reminder: reminderId, occurrence, dueAt }) => {
+  const { model, anchorField } = REMINDER_COLLECTIONS[kind];
+  const item = await model.findById(itemId).populate('user', 'email phoneNumber name settings'); // Populate user for contact info
+  const reminder = item && item.reminders.id(reminderId);
+  if (!reminder || !item.user || reminder.dismissedAt) return 'stale';
+
+  const now = new Date();
+  const snoozedTime = reminder.snoozedUntil ? reminder.snoozedUntil.toISOString() : null;
+  const set = {};
+  let delivery;
+
+  if (!occurrence) {
+    if (reminder.isSent || (snoozedTime || (reminder.time && reminder.time.toISOString())) !== dueAt) return 'stale';
+
+    delivery = await dispatchReminder(kind, item, reminder, item.user, now);
+    if (delivery.action === 'defer') {
+      set['reminders.$.snoozedUntil'] = delivery.until;
+    } else {
+      set['reminders.$.isSent'] = true; // A skipped reminder is not retried either
+      set['reminders.$.snoozedUntil'] = null;
+      if (delivery.action === 'send') set['reminders.$.sentAt'] = now;
+    }
+  } else {
+    const occurrenceDate = new Date(occurrence);
+    const isSnoozed = !!dueAt; // Occurrences only have a due time when they were snoozed or deferred
+    const isStale = isSnoozed
+      ? snoozedTime !== dueAt || reminder.snoozedOccurrence?.getTime() !== occurrenceDate.getTime()
+      : reminder.lastSentOccurrence && reminder.lastSentOccurrence >= occurrenceDate;
+    if (isStale) return 'stale';
+
+    const occurrenceView = { _id: item._id, title: item.title, priority: item.priority, occurrenceDate, [anchorField]: occurrenceDate };
+    delivery = await dispatchReminder(kind, occurrenceView, reminder, item.user, now);
+    if (delivery.action === 'defer') {
+      set['reminders.$.snoozedUntil'] = delivery.until;
+      set['reminders.$.snoozedOccurrence'] = occurrenceDate;
+    } else {
+      if (isSnoozed) {
+        set['reminders.$.snoozedUntil'] = null;
+        set['reminders.$.snoozedOccurrence'] = null;
       }
+      if (delivery.action === 'send') set['reminders.$.sentAt'] = now;
     }
   }
+
+  // lastSentOccurrence only moves forward, whichever occurrence's job finishes first
+  const update = { $set: set };
+  if (occurrence && !dueAt) update.$max = { 'reminders.$.lastSentOccurrence': new Date(occurrence) };
+  await model.updateOne({ _id: item._id, 'reminders._id': reminder._id }, update);
+
+  const outcome = { send: 'sent', defer: 'deferred until quiet hours end', skip: `skipped (${delivery.reason})` }[delivery.action];
+  console.log(`[Scheduler] Reminder for ${item.title}${occurrence ? ` occurrence ${occurrence}` : ''} (ID: ${reminder._id}) ${outcome}.`);
+  return delivery.action;
+};
+
+/**
+ * @function dispatchBudgetAlert
+ * @description Sends a budget alert through the budget's configured alert method, subject to the user's notification preferences.
+ * @param {Object} budget - The Budget document (with populated user).
+ * @param {Object} usage - The budget usage figures from calculateBudgetUsage.
+ * @param {string} level - 'threshold' or 'limit'.
+ * @param {Date} now - The current time.
+ * @returns {Promise<Object>} The delivery plan from deliverNotification.
+ */
+const dispatchBudgetAlert = async (budget, usage, level, now) => {
+  const user = budget.user;
+  const categoryLabel = budget.category === 'all' ? 'overall' : budget.category;
+  const timeSettings = getUserTimeSettings(user);
+  const period = `${formatDate(budget.startDate, timeSettings)} - ${formatDate(budget.endDate, timeSettings)}`;
+  const amounts = `${usage.spent.toFixed(2)} of ${getEffectiveLimit(budget).toFixed(2)} ${budget.currency}`;
+  const title = level === 'limit'
+    ? `Budget limit reached: ${categoryLabel}`
+    : `Budget alert: ${usage.percentUsed}% of ${categoryLabel} budget used`;
+  const alertText = level === 'limit'
+    ? `KIMELIA Omnia Budget Alert: You have reached your ${categoryLabel} budget for ${period} (spent ${amounts}).`
+    : `KIMELIA Omnia Budget Alert: You have used ${usage.percentUsed}% of your ${categoryLabel} budget for ${period} (spent ${amounts}).`;
+
+  return deliverNotification(user, 'budget', budget.alertMethod, {
+      subject: title,
+      html: `<p>${alertText}</p>`,
+      text: alertText,
+      appNotification: {
+          type: 'budget_alert',
+          title,
+          message: alertText,
+          relatedItem: { kind: 'Budget', item: budget._id },
+      },
+  }, { now });
+};
+
+/**
+ * @function checkBudgetAlerts
+ * @description Compares spending against every active budget and alerts the owner once when spending reaches
+ * `alertThreshold` percent and once more when it reaches 100% of the limit. An alertThreshold of 0 disables the
+ * threshold alert. Sent alerts are recorded in `budget.alerts` (reset when the budget is edited or rolls into a new period);
+ * alerts held back by the user's quiet hours are not, and go out once quiet hours end.
+ */
+const checkBudgetAlerts = async () => {
+  const now = new Date();
+  const budgets = await Budget.find({
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+    'alerts.limitSentAt': null, // Nothing left to send once the limit alert went out
+  }).populate('user', 'email phoneNumber name settings');
+  const rates = budgets.length ? await getExchangeRates() : {};
+
+  for (const budget of budgets) {
+    try {
+      const usage = calculateBudgetUsage(getEffectiveLimit(budget), await getBudgetSpending(budget, rates));
+
+      let level;
+      if (usage.percentUsed >= 100) {
+        level = 'limit';
+      } else if (budget.alertThreshold > 0 && usage.percentUsed >= budget.alertThreshold && !budget.alerts.thresholdSentAt) {
+        level = 'threshold';
+      } else {
+        continue;
+      }
+
+      const delivery = await dispatchBudgetAlert(budget, usage, level, now);
+      if (delivery.action === 'defer') {
+        continue; // Not recorded, so the alert goes out on the first check after the user's quiet hours
+      }
+      if (level === 'limit') {
+        budget.alerts.limitSentAt = now;
+        budget.alerts.thresholdSentAt = budget.alerts.thresholdSentAt || now; // The limit alert supersedes a pending threshold alert
+      } else {
+        budget.alerts.thresholdSentAt = now;
+      }
+
+      await budget.save();
+      console.log(delivery.action === 'send'
+        ? `[Scheduler] Sent budget alert for budget ${budget._id} (${usage.percentUsed}% used).`
+        : `[Scheduler] Skipped budget alert for budget ${budget._id}: ${delivery.reason}.`);
+    } catch (error) {
+      console.error(`[Scheduler] Error checking budget ${budget._id}:`, error);
+    }
+  }
+};
+
+/**
+ * @function cleanUp
+ * @description Hourly housekeeping: deletes expired data export archives, and accounts whose deletion grace period is over.
+ * Both steps run even if the other fails; the job fails (and is retried) if either did.
+ */
+const cleanUp = async () => {
+  const errors = [];
+
+  try {
+    const { expired, failed } = await cleanUpDataExports();
+    if (expired || failed) console.log(`[Scheduler] Data exports cleaned up: ${expired} expired, ${failed} interrupted.`);
+  } catch (err) {
+    console.error('[Scheduler] Error during data export cleanup:', err);
+    errors.push(err);
+  }
+
+  try {
+    const deletedCount = await purgeScheduledAccountDeletions();
+    if (deletedCount) console.log(`[Scheduler] Deleted ${deletedCount} account(s) scheduled for deletion.`);
+  } catch (err) {
+    console.error('[Scheduler] Error during scheduled account deletion:', err);
+    errors.push(err);
+  }
+
+  if (errors.length) throw errors[0];
+};
+
+/**
+ * @function scanIntegrationSyncs
+ * @description Queues a background Google Calendar sync for every user with Google connected, and a Gmail sync for
+ * every user with Gmail connected. The jobs are keyed per user and run, so a user is synced once per scan
+ * however many instances queue it, and a failed sync is retried (and dead-lettered) on its own.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} The number of sync jobs queued.
+ */
+const scanIntegrationSyncs = async (now = new Date()) => {
+  const [calendarUsers, gmailUsers] = await Promise.all([
+    User.find({ 'googleCalendar.refreshToken': { $ne: null } }).select('_id').lean(),
+    User.find({ 'gmail.connected': true, 'googleCalendar.refreshToken': { $ne: null } }).select('_id').lean(),
+  ]);
+
+  const syncs = [
+    ...calendarUsers.map(({ _id }) => [GOOGLE_CALENDAR_SYNC_JOB, _id]),
+    ...gmailUsers.map(({ _id }) => [GMAIL_SYNC_JOB, _id]),
+  ];
+  for (const [type, userId] of syncs) {
+    await enqueueJob(type, { userId: userId.toString() }, {
+      uniqueKey: getScheduleSlotKey(`${type}:${userId}`, now),
+      maxAttempts: 3,
+    });
+  }
+  return syncs.length;
+};
+
+// Background syncs of a user who disconnected Google after the scan have nothing to do
+const runGoogleCalendarSync = async ({ userId }) => {
+  if (!(await User.exists({ _id: userId, 'googleCalendar.refreshToken': { $ne: null } }))) return;
+  const report = await syncGoogleCalendar(userId);
+  console.log(`[Scheduler] Google Calendar sync for user ${userId}: ${summarizeSyncReport(report)}`);
+};
+
+const runGmailSync = async ({ userId }) => {
+  if (!(await User.exists({ _id: userId, 'gmail.connected': true }))) return;
+  const { message } = await fetchAndSummarizeGmailInbox(userId, GMAIL_SYNC_MAX_MESSAGES);
+  console.log(`[Scheduler] Gmail sync for user ${userId}: ${message}`);
+};
+
+/**
+ * @function scanDigests
+ * @description Queues the daily digest of every user for whom it is DIGEST_HOUR in their time zone, unless they
+ * paused notifications or allow no channel for digests. Keyed per user and local date, so it goes out once a day.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} The number of digests queued.
+ */
+const scanDigests = async (now = new Date()) => {
+  const users = await User.find({ 'settings.notifications.paused': { $ne: true } }).select('settings').lean();
+  let queued = 0;
+
+  for (const user of users) {
+    const date = getDigestDate(user, now, DIGEST_HOUR);
+    if (!date || getNotificationPreferences(user).channels.digest.length === 0) continue;
+    await enqueueJob(DIGEST_SEND_JOB, { userId: user._id.toString(), date }, { uniqueKey: `digest:${user._id}:${date}`, maxAttempts: 3 });
+    queued++;
+  }
+  return queued;
+};
+
+/**
+ * @function sendDailyDigest
+ * @description Job handler sending a user's digest of a day: the tasks due and the events (including occurrences of
+ * recurring events) on that day in their time zone. Nothing is sent for an empty day. A digest held back by quiet
+ * hours is queued again for when they end.
+ * @param {Object} payload - `{ userId, date }`, the user's local date ('YYYY-MM-DD').
+ * @param {Date} [now=new Date()]
+ */
+const sendDailyDigest = async ({ userId, date }, now = new Date()) => {
+  const user = await User.findById(userId).select('name email phoneNumber settings');
+  if (!user) return;
+
+  const { start, end } = getDigestDayRange(user, date);
+  const openTask = { user: user._id, status: { $nin: ['completed', 'cancelled'] } };
+  const [tasks, events, recurringTasks, recurringEvents] = await Promise.all([
+    Task.find({ ...openTask, 'recurrence.rule': null, dueDate: { $gte: start, $lt: end } }).select('title dueDate').lean(),
+    Event.find({ user: user._id, 'recurrence.rule': null, startTime: { $gte: start, $lt: end } }).select('title startTime').lean(),
+    Task.find({ ...openTask, 'recurrence.rule': { $ne: null }, dueDate: { $lt: end } }).select('title dueDate recurrence').lean(),
+    Event.find({ user: user._id, 'recurrence.rule': { $ne: null }, startTime: { $lt: end } }).select('title startTime recurrence').lean(),
+  ]);
+
+  // Occurrences starting on the day; the window end is inclusive, so the next day's midnight is left out
+  const occurrencesOnDay = (items, anchorField) => items.flatMap((item) => getOccurrences(item.recurrence, item[anchorField], start, new Date(end.getTime() - 1))
+    .map((occurrence) => ({ title: item.title, [anchorField]: occurrence })));
+
+  const digest = buildDigestMessage(user, {
+    tasks: [...tasks, ...occurrencesOnDay(recurringTasks, 'dueDate')],
+    events: [...events, ...occurrencesOnDay(recurringEvents, 'startTime')],
+  });
+  if (!digest) return;
+
+  const delivery = await deliverNotification(user, 'digest', 'app_notification', {
+    subject: `KIMELIA Omnia: ${digest.title}`,
+    html: digest.html,
+    text: digest.text,
+    appNotification: { type: 'system', title: digest.title, message: digest.text },
+  }, { now });
+
+  if (delivery.action === 'defer') {
+    await enqueueJob(DIGEST_SEND_JOB, { userId, date }, { runAt: delivery.until, uniqueKey: `digest:${userId}:${date}:deferred`, maxAttempts: 3 });
+  }
+};
+
+// Work done on a timetable. Each instance's timer only queues the job for the current minute, under a key shared by
+// all instances, so it runs once however many are running. A failed reminder scan is not retried: the next one covers it.
+const PERIODIC_JOBS = [
+  { type: REMINDER_SCAN_JOB, schedule: '* * * * *', maxAttempts: 1 }, // Every minute
+  { type: BUDGET_CHECK_JOB, schedule: '*/15 * * * *', maxAttempts: 3 }, // Budget rollover, then spending alerts
+  { type: CLEANUP_JOB, schedule: '0 * * * *', maxAttempts: 3 }, // Hourly
+  { type: INTEGRATION_SCAN_JOB, schedule: '*/30 * * * *', maxAttempts: 1 }, // Queues per-user Google Calendar and Gmail syncs
+  { type: DIGEST_SCAN_JOB, schedule: '0 * * * *', maxAttempts: 3 }, // Hourly, for the users whose digest hour it is
+];
+
+/**
+ * @function registerJobHandlers
+ * @description Registers the handlers of all scheduled and queued background work with the job queue.
+ */
+const registerJobHandlers = () => {
+  registerJobHandler(REMINDER_SCAN_JOB, async () => {
+    const queued = await scanDueReminders();
+    if (queued) console.log(`[Scheduler] Queued ${queued} due reminder(s).`);
+  });
+  registerJobHandler(REMINDER_SEND_JOB, sendQueuedReminder);
+  registerJobHandler(BUDGET_CHECK_JOB, async () => {
+    await rollOverDueBudgets();
+    await checkBudgetAlerts();
+  });
+  registerJobHandler(CLEANUP_JOB, cleanUp);
+  registerJobHandler(DATA_EXPORT_JOB, ({ exportId }) => processDataExport(exportId));
+  registerJobHandler(NOTIFICATION_DELIVERY_JOB, retryNotificationDelivery);
+  registerJobHandler(INTEGRATION_SCAN_JOB, async () => {
+    const queued = await scanIntegrationSyncs();
+    if (queued) console.log(`[Scheduler] Queued ${queued} integration sync(s).`);
+  });
+  registerJobHandler(GOOGLE_CALENDAR_SYNC_JOB, runGoogleCalendarSync);
+  registerJobHandler(GMAIL_SYNC_JOB, runGmailSync);
+  registerJobHandler(DIGEST_SCAN_JOB, async () => {
+    const queued = await scanDigests();
+    if (queued) console.log(`[Scheduler] Queued ${queued} daily digest(s).`);
+  });
+  registerJobHandler(DIGEST_SEND_JOB, (payload) => sendDailyDigest(payload));
 };
 
 /**
  * @function startReminderScheduler
- * @description Starts the cron job to check and send reminders every minute.
+ * @description Starts background work in this process: the timers that queue periodic jobs (reminder scans every
+ * minute, budget checks every 15 minutes, Google Calendar and Gmail syncs every 30 minutes, hourly cleanup and
+ * daily digests) and the job queue worker that runs queued jobs.
+ * Safe to start on every API instance.
  */
 const startReminderScheduler = () => {
-  if (reminderSchedulerJob) {
+  if (cronTasks.length) {
     console.log('Reminder scheduler is already running.');
     return;
   }
 
-  // Schedule to run every minute
-  reminderSchedulerJob = cron.schedule('* * * * *', () => {
-    console.log('[Scheduler] Running reminder check...');
-    checkAndSendReminders().catch(err => console.error('[Scheduler] Error during reminder check:', err));
-  });
+  registerJobHandlers();
+  cronTasks = PERIODIC_JOBS.map(({ type, schedule, maxAttempts }) => cron.schedule(schedule, () => {
+    enqueueJob(type, {}, { uniqueKey: getScheduleSlotKey(type), maxAttempts })
+      .catch(err => console.error(`[Scheduler] Error queuing ${type}:`, err));
+  }));
+  startJobWorker();
 
   console.log('Reminder scheduler started. Checking and sending reminders every minute.');
 };
 
 /**
  * @function stopReminderScheduler
- * @description Stops the cron job for reminders.
+ * @description Stops the timers and the job queue worker of this process. Queued jobs stay in the database.
  */
 const stopReminderScheduler = () => {
-  if (reminderSchedulerJob) {
-    reminderSchedulerJob.stop();
-    reminderSchedulerJob = null;
+  if (cronTasks.length) {
+    cronTasks.forEach((task) => task.stop());
+    cronTasks = [];
+    stopJobWorker();
     console.log('Reminder scheduler stopped.');
   }
 };
@@ -144,4 +574,9 @@ const stopReminderScheduler = () => {
 module.exports = {
   startReminderScheduler,
   stopReminderScheduler,
-};
\ No newline at end of file
+  scanDueReminders,
+  sendQueuedReminder,
+  scanIntegrationSyncs,
+  scanDigests,
+  sendDailyDigest,
+};
@@ -0,0 +1,149 @@
+const Task = require('../models/Task');
+const Event = require('../models/Event');
+const Message = require('../models/Message');
+const Goal = require('../models/Goal');
+const LearningResource = require('../models/LearningResource');
+const Project = require('../models/Project');
+const Expense = require('../models/Expense');
+const { projectMembershipFilter } = require('../utils/projectRoles');
+const { SEARCH_MODULES, parseSearchTerms, findHighlights, buildSnippet } = require('../utils/search');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [task, event, message, goal, learningResource, project, expense]
+ *           example: task
+ *         module:
+ *           type: string
+ *           enum: [tasks, events, messages, goals, learningResources, projects, expenses]
+ *           example: tasks
+ *         id:
+ *           type: string
+ *           example: 60d0fe4f5311236168a109ca
+ *         title:
+ *           type: string
+ *           description: The item's title (the subject of messages, the description of expenses).
+ *           example: Prepare quarterly budget review
+ *         snippet:
+ *           type: string
+ *           nullable: true
+ *           description: An excerpt of the item's text around the first match.
+ *           example: "…numbers from finance before the quarterly budget meeting on Friday."
+ *         highlights:
+ *           type: object
+ *           description: Character ranges `[start, end]` of the matches in `title` and `snippet`.
+ *           properties:
+ *             title:
+ *               type: array
+ *               items: { type: array, items: { type: integer }, minItems: 2, maxItems: 2 }
+ *               example: [[30, 36]]
+ *             snippet:
+ *               type: array
+ *               items: { type: array, items: { type: integer }, minItems: 2, maxItems: 2 }
+ *               example: [[44, 50]]
+ *         date:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: The date the `from`/`to` filters apply to (see the endpoint description).
+ *         tags:
+ *           type: array
+ *           items: { type: string }
+ *         score:
+ *           type: number
+ *           description: MongoDB text relevance; results are ranked by it.
+ *           example: 11.25
+ */
+
+// How each module is searched. `dateField` is what `from`/`to` filter on; modules without tags are skipped by `tag`.
+const MODULE_SEARCHES = {
+  tasks: { type: 'task', Model: Task, scope: (userId) => ({ user: userId }), titleField: 'title', textFields: ['description'], dateField: 'dueDate', tagged: true },
+  events: { type: 'event', Model: Event, scope: (userId) => ({ user: userId }), titleField: 'title', textFields: ['description', 'location'], dateField: 'startTime', tagged: false },
+  messages: { type: 'message', Model: Message, scope: (userId) => ({ user: userId }), titleField: 'subject', textFields: ['content'], dateField: 'createdAt', tagged: true },
+  goals: { type: 'goal', Model: Goal, scope: (userId) => ({ user: userId }), titleField: 'title', textFields: ['description', 'category'], dateField: 'targetDate', tagged: false },
+  learningResources: { type: 'learningResource', Model: LearningResource, scope: (userId) => ({ user: userId }), titleField: 'title', textFields: ['description', 'category'], dateField: 'createdAt', tagged: true },
+  projects: { type: 'project', Model: Project, scope: projectMembershipFilter, titleField: 'title', textFields: ['description'], dateField: 'startDate', tagged: true },
+  expenses: { type: 'expense', Model: Expense, scope: (userId) => ({ user: userId }), titleField: 'description', textFields: ['category'], dateField: 'date', tagged: true },
+};
+
+const toResult = (module, doc, terms) => {
+  const { type, titleField, textFields, dateField } = MODULE_SEARCHES[module];
+  const title = doc[titleField] || '';
+
+  // The snippet comes from the first text field with a match, or the first one with text
+  const snippets = textFields.map((field) => buildSnippet(doc[field], terms)).filter(Boolean);
+  const snippet = snippets.find((candidate) => candidate.highlights.length) || snippets[0] || null;
+
+  return {
+    type,
+    module,
+    id: doc._id,
+    title,
+    snippet: snippet ? snippet.text : null,
+    highlights: { title: findHighlights(title, terms), snippet: snippet ? snippet.highlights : [] },
+    date: doc[dateField] || null,
+    tags: doc.tags || [],
+    score: Math.round(doc.score * 10000) / 10000,
+  };
+};
+
+const searchModule = async (module, userId, { query, from, to, tag, limit }) => {
+  const { Model, scope, titleField, textFields, dateField } = MODULE_SEARCHES[module];
+  const filter = { ...scope(userId), $text: { $search: query } };
+  if (from || to) {
+    filter[dateField] = {};
+    if (from) filter[dateField].$gte = from;
+    if (to) filter[dateField].$lte = to;
+  }
+  if (tag) filter.tags = tag;
+
+  const projection = { score: { $meta: 'textScore' }, [titleField]: 1, [dateField]: 1, tags: 1 };
+  textFields.forEach((field) => { projection[field] = 1; });
+
+  const [docs, total] = await Promise.all([
+    Model.find(filter, projection).sort({ score: { $meta: 'textScore' } }).limit(limit).lean(),
+    Model.countDocuments(filter),
+  ]);
+  return { docs, total };
+};
+
+/**
+ * @function searchAll
+ * @description Full-text search over the user's tasks, events, messages, goals, learning resources, projects
+ * (owned or joined) and expenses, using each collection's text index. Results of all modules are ranked together by
+ * text score (ties go to the earlier module) and come with snippets and match positions for highlighting.
+ * @param {string} userId - The searching user's ID.
+ * @param {Object} options
+ * @param {string} options.query - The search string, in MongoDB `$text` syntax ("quoted phrases", -excluded words).
+ * @param {string[]} [options.modules] - The modules to search (default all of SEARCH_MODULES).
+ * @param {Date} [options.from] - Only items whose module date is on or after this.
+ * @param {Date} [options.to] - Only items whose module date is on or before this.
+ * @param {string} [options.tag] - Only items with this tag (modules without tags are skipped).
+ * @param {number} [options.limit=20] - Maximum number of results.
+ * @returns {Promise<Object>} `{ results, counts }`, with the number of matches per searched module in `counts`.
+ */
+const searchAll = async (userId, { query, modules = SEARCH_MODULES, from, to, tag, limit = 20 }) => {
+  const searched = SEARCH_MODULES.filter((module) => modules.includes(module) && (!tag || MODULE_SEARCHES[module].tagged));
+  const found = await Promise.all(searched.map((module) => searchModule(module, userId, { query, from, to, tag, limit })));
+
+  const terms = parseSearchTerms(query);
+  const counts = {};
+  const results = [];
+  searched.forEach((module, index) => {
+    counts[module] = found[index].total;
+    found[index].docs.forEach((doc) => results.push(toResult(module, doc, terms)));
+  });
+
+  results.sort((a, b) => b.score - a.score); // Stable, so modules keep their order on equal scores
+  return { results: results.slice(0, limit), counts };
+};
+
+module.exports = {
+  searchAll,
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { Types } = require('mongoose');
+const Session = require('../models/Session');
+const generateToken = require('../utils/generateToken');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000; // Avoid a write on every request
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are '<sessionId>.<secret>'; only the hash of the whole token is stored
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip,
+});
+
+/**
+ * @function startSession
+ * @description Signs a user in on a device: creates a session and issues an access token and a refresh token for it.
+ * @param {string} userId - The user's ID.
+ * @param {Object} req - Express request object (for the User-Agent and IP).
+ * @param {string} [deviceName] - Optional device name sent by the client.
+ * @returns {Promise<Object>} { token, refreshToken, sessionId }
+ */
+const startSession = async (userId, req, deviceName) => {
+  const session = new Session({
+    user: userId,
+    deviceName,
+    ...getClientInfo(req),
+    expiresAt: newRefreshExpiry(),
+  });
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+    sessionId: session._id,
+  };
+};
+
+/**
+ * @function refreshSession
+ * @description Exchanges a refresh token for a new access token and a new refresh token (the old one stops working).
+ * A refresh token that was already rotated out is treated as stolen: the whole session is revoked.
+ * @param {string} refreshToken - The refresh token.
+ * @param {Object} req - Express request object (for the User-Agent and IP).
+ * @returns {Promise<Object|null>} { token, refreshToken, sessionId, userId }, or null if the token is not valid.
+ */
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId] = refreshToken.split('.');
+  if (!Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash');
+  if (!session || !session.isActive()) return null;
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    console.warn(`Refresh token reuse detected for session ${session._id}; revoking it.`);
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  const newRefreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.expiresAt = newRefreshExpiry();
+  session.lastSeenAt = new Date();
+  session.ip = getClientInfo(req).ip;
+  await session.save();
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken: newRefreshToken,
+    sessionId: session._id,
+    userId: session.user,
+  };
+};
+
+/**
+ * @function getActiveSession
+ * @description Loads a session that can still be used, and records the request as activity on it.
+ * @param {string} sessionId - The session ID (the `sid` claim of an access token).
+ * @param {string} userId - The user the access token was issued to.
+ * @param {string} [ip] - The IP address of the request.
+ * @returns {Promise<Object|null>} The session, or null if it was revoked, expired or does not belong to the user.
+ */
+const getActiveSession = async (sessionId, userId, ip) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  if (!session || !session.isActive()) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ...(ip && { ip }) });
+  }
+  return session;
+};
+
+/**
+ * @function revokeSessions
+ * @description Revokes (signs out) sessions of a user.
+ * @param {string} userId - The user's ID.
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Only revoke this session.
+ * @param {string} [options.exceptSessionId] - Keep this session (e.g. the one making the request).
+ * @returns {Promise<number>} The number of sessions revoked.
+ */
+const revokeSessions = async (userId, { sessionId, exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (sessionId) filter._id = sessionId;
+  else if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+/**
+ * @function listActiveSessions
+ * @description Lists the sessions a user is signed in with, most recently used first.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<Array<Object>>} Lean session documents.
+ */
+const listActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+}).sort({ lastSeenAt: -1 }).lean();
+
+module.exports = {
+  startSession,
+  refreshSession,
+  getActiveSession,
+  revokeSessions,
+  listActiveSessions,
+};
@@ -203,17 +203,22 @@ const summarizeSlackChannel = async (userId, channelId, count = 50) => {
 
 /**
  * @function disconnectSlack
- * @description Disconnects Slack by clearing tokens.
+ * @description Disconnects Slack: revokes the bot token with Slack (best effort) and clears it.
  * @param {string} userId - The Omnia user ID.
  */
 const disconnectSlack = async (userId) => {
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select('+slack.accessToken');
     if (!user || !user.slack?.accessToken) {
         throw new Error('Slack integration not configured for this user.');
     }
 
-    // Slack doesn't have a simple token revoke endpoint for bot tokens in this context
-    // So clearing from DB is sufficient for user-side disconnection.
+    try {
+        await new WebClient(user.slack.accessToken).auth.revoke();
+        console.log(`Slack token revoked for user ${user.email}`);
+    } catch (error) {
+        console.warn(`Could not revoke Slack token for user ${user.email}:`, error.message);
+    }
+
     user.slack = undefined;
     await user.save();
     return { success: true, message: 'Slack disconnected successfully.' };
@@ -0,0 +1,59 @@
+// services/taskBoardService.js
+const Task = require('../models/Task');
+const { POSITION_STEP, groupTasksByColumn, getInsertPosition } = require('../utils/taskBoard');
+
+/**
+ * @function getProjectBoard
+ * @description Loads a project's tasks grouped into its board columns.
+ * @param {Object} project - The Project document.
+ * @returns {Promise<Array<Object>>} The columns `{ key, name, status, tasks }` in board order.
+ */
+const getProjectBoard = async (project) => {
+  const tasks = await Task.find({ project: project._id })
+    .populate('assignedTo', 'name email')
+    .lean();
+  return groupTasksByColumn(project.boardColumns, tasks);
+};
+
+/**
+ * @function moveTaskOnBoard
+ * @description Moves a task to `index` in a board column. The task's status, column and position are written
+ * in a single update, so the task is never left with the status of one column and the position of another.
+ * When there is no room between the new neighbours (or they were never ranked), the column is renumbered first.
+ * @param {Object} project - The Project document.
+ * @param {Object} task - The Task document (must belong to the project).
+ * @param {Object} target - The drop target.
+ * @param {Object} target.column - The board column (from `project.boardColumns`).
+ * @param {number} target.index - Zero-based index in the column, counted without the moved task.
+ * @returns {Promise<Object>} The updated task.
+ */
+const moveTaskOnBoard = async (project, task, { column, index }) => {
+  const otherTasks = await Task.find({ project: project._id, _id: { $ne: task._id } })
+    .select('status boardColumn boardPosition createdAt')
+    .lean();
+  const columnTasks = groupTasksByColumn(project.boardColumns, otherTasks)
+    .find((candidate) => candidate.key === column.key).tasks;
+
+  let position = getInsertPosition(columnTasks.map((columnTask) => columnTask.boardPosition), index);
+  if (position === null) {
+    const positions = columnTasks.map((columnTask, i) => (i + 1) * POSITION_STEP);
+    await Task.bulkWrite(columnTasks.map((columnTask, i) => ({
+      updateOne: {
+        filter: { _id: columnTask._id },
+        update: { $set: { boardColumn: column.key, boardPosition: positions[i] } },
+      },
+    })));
+    position = getInsertPosition(positions, index);
+  }
+
+  return Task.findOneAndUpdate(
+    { _id: task._id, project: project._id },
+    { $set: { status: column.status, boardColumn: column.key, boardPosition: position } },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = {
+  getProjectBoard,
+  moveTaskOnBoard,
+};
@@ -0,0 +1,98 @@
+const jwt = require('jsonwebtoken');
+const { Types } = require('mongoose');
+const LoginChallenge = require('../models/LoginChallenge');
+const { verifyTotp, hashBackupCode } = require('../utils/totp');
+
+const LOGIN_CHALLENGE_PURPOSE = '2fa_login';
+const LOGIN_CHALLENGE_EXPIRE_SECONDS = 5 * 60;
+const MAX_LOGIN_CHALLENGE_ATTEMPTS = 5; // Codes that may be tried with one challenge; then the password step is needed again
+
+// Fields a second-factor check needs; they are not selected by default
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.backupCodes';
+
+/**
+ * @function createLoginChallenge
+ * @description Issues the short-lived token that proves the password step of a login passed.
+ * It can only be exchanged at `/auth/login/2fa`, never used as an access token, and only once.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<string>} The signed challenge token.
+ */
+const createLoginChallenge = async (userId) => {
+  const challenge = await LoginChallenge.create({
+    user: userId,
+    expiresAt: new Date(Date.now() + LOGIN_CHALLENGE_EXPIRE_SECONDS * 1000),
+  });
+  return jwt.sign(
+    { id: userId, purpose: LOGIN_CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_EXPIRE_SECONDS, jwtid: challenge._id.toString() }
+  );
+};
+
+/**
+ * @function startLoginChallengeAttempt
+ * @description Verifies a login challenge token and counts a code attempt against its challenge. The attempt is
+ * counted before the code is checked, so codes sent in parallel cannot get past the limit.
+ * @param {string} challengeToken - The token from the password step.
+ * @returns {Promise<Object|null>} The LoginChallenge (with `user` and `attempts`), or null if the token is invalid,
+ * expired, already used, or out of attempts.
+ */
+const startLoginChallengeAttempt = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== LOGIN_CHALLENGE_PURPOSE || !Types.ObjectId.isValid(decoded.jti)) return null;
+
+  return LoginChallenge.findOneAndUpdate(
+    { _id: decoded.jti, user: decoded.id, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_LOGIN_CHALLENGE_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * @function endLoginChallenge
+ * @description Uses up a challenge (after the right code) or discards it (after its last wrong code).
+ * @param {Object} challenge - The LoginChallenge.
+ * @returns {Promise<boolean>} False if it was already gone, i.e. another request with the same token got there first.
+ */
+const endLoginChallenge = async (challenge) => (await LoginChallenge.deleteOne({ _id: challenge._id })).deletedCount === 1;
+
+/**
+ * @function verifySecondFactor
+ * @description Checks an authenticator code or a backup code for a user with 2FA enabled.
+ * On success the user document is updated (the code's time step is recorded, or the backup code is used up);
+ * the caller saves it.
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS.
+ * @param {string} code - A 6-digit authenticator code or a backup code.
+ * @returns {string|null} 'totp' or 'backup_code', or null if the code is wrong.
+ */
+const verifySecondFactor = (user, code) => {
+  const { twoFactor } = user;
+  if (!twoFactor?.enabled || !twoFactor.secret) return null;
+
+  const step = verifyTotp(twoFactor.secret, code, { lastUsedStep: twoFactor.lastUsedStep });
+  if (step !== null) {
+    twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hashed = hashBackupCode(code);
+  if ((twoFactor.backupCodes || []).includes(hashed)) {
+    twoFactor.backupCodes = twoFactor.backupCodes.filter((backupCode) => backupCode !== hashed);
+    return 'backup_code';
+  }
+  return null;
+};
+
+module.exports = {
+  TWO_FACTOR_SECRET_FIELDS,
+  MAX_LOGIN_CHALLENGE_ATTEMPTS,
+  createLoginChallenge,
+  startLoginChallengeAttempt,
+  endLoginChallenge,
+  verifySecondFactor,
+};
@@ -0,0 +1,82 @@
+// Helpers for the admin analytics time series. Buckets are UTC days ('YYYY-MM-DD') or UTC weeks starting on Monday.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function startOfUtcDay
+ * @param {Date} date
+ * @returns {Date} Midnight UTC of the day the date falls on.
+ */
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * @function startOfUtcWeek
+ * @param {Date} date
+ * @returns {Date} Midnight UTC of the Monday starting the week the date falls in.
+ */
+const startOfUtcWeek = (date) => {
+  const day = startOfUtcDay(date);
+  const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - daysSinceMonday * DAY_MS);
+};
+
+/**
+ * @function toDayKey
+ * @param {Date} date
+ * @returns {string} The UTC day as 'YYYY-MM-DD', the same format as `$dateToString` with '%Y-%m-%d'.
+ */
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * @function listBuckets
+ * @description Lists the buckets of a range, oldest first, so series have a point even where nothing happened.
+ * @param {Date} from - Start of the range.
+ * @param {Date} to - End of the range (its bucket is included).
+ * @param {string} [interval='day'] - 'day' or 'week'.
+ * @returns {string[]} Bucket keys ('YYYY-MM-DD' of the day, or of the Monday starting the week).
+ */
+const listBuckets = (from, to, interval = 'day') => {
+  const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+  const start = interval === 'week' ? startOfUtcWeek(from) : startOfUtcDay(from);
+  const keys = [];
+  for (let time = start.getTime(); time <= to.getTime(); time += step) {
+    keys.push(toDayKey(new Date(time)));
+  }
+  return keys;
+};
+
+/**
+ * @function fillSeries
+ * @description Turns aggregation results into a chartable series with one point per bucket.
+ * @param {string[]} buckets - Bucket keys from `listBuckets`.
+ * @param {Object[]} rows - Aggregation results, `{ _id: bucketKey, <field>: number }`.
+ * @param {string[]} [fields=['count']] - The numeric fields to copy; missing buckets get 0.
+ * @returns {Object[]} `[{ date: bucketKey, <field>: number }]`, oldest first.
+ */
+const fillSeries = (buckets, rows, fields = ['count']) => {
+  const byBucket = new Map(rows.map((row) => [row._id, row]));
+  return buckets.map((date) => {
+    const row = byBucket.get(date) || {};
+    const point = { date };
+    for (const field of fields) point[field] = row[field] || 0;
+    return point;
+  });
+};
+
+/**
+ * @function failureRate
+ * @param {number} calls
+ * @param {number} failures
+ * @returns {number} Failures as a share of calls (0-1, 4 decimals); 0 when there were no calls.
+ */
+const failureRate = (calls, failures) => (calls ? Math.round((failures / calls) * 10000) / 10000 : 0);
+
+module.exports = {
+  DAY_MS,
+  startOfUtcDay,
+  startOfUtcWeek,
+  toDayKey,
+  listBuckets,
+  fillSeries,
+  failureRate,
+};
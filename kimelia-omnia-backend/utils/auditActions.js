@@ -0,0 +1,34 @@
+// Actions recorded in the audit log ('<area>.<action>'), shared by the AuditLog model and the audit log filters
+const AUDIT_ACTIONS = [
+  // Authentication
+  'auth.login',
+  'auth.login_failed',
+  'auth.password_change',
+  'auth.password_reset',
+  'auth.2fa_enable',
+  'auth.2fa_disable',
+  // Accounts
+  'account.deletion_scheduled',
+  'account.deleted', // By the scheduler, once the grace period is over
+  // Administration of users
+  'user.update',
+  'user.role_change',
+  'user.delete',
+  // Integrations
+  'integration.connect',
+  'integration.disconnect',
+  // Project membership
+  'project.member_add',
+  'project.member_remove',
+  'project.member_role_change',
+  'project.ownership_transfer',
+  // Background jobs
+  'job.retry',
+];
+
+const AUDIT_TARGET_TYPES = ['User', 'Project', 'Integration', 'Job'];
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+};
@@ -0,0 +1,104 @@
+const { addDays, addMonths, startOfDay, startOfWeek, startOfMonth, startOfYear } = require('./timezone');
+
+// Period types that roll over automatically; 'custom' budgets keep their explicit dates.
+const ROLLING_PERIOD_TYPES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * @function isRollingPeriod
+ * @description Checks whether a budget period type renews automatically.
+ * @param {string} periodType - The budget's periodType.
+ * @returns {boolean} True for daily, weekly, monthly and yearly budgets.
+ */
+const isRollingPeriod = (periodType) => ROLLING_PERIOD_TYPES.includes(periodType);
+
+/**
+ * @function addPeriods
+ * @description Adds whole periods to a date in the budget owner's time zone, keeping its wall-clock time across DST
+ * changes. Month and year steps clamp to the last day of the target month, so Jan 31 + 1 month is Feb 28/29.
+ * @param {Date} date - The start date.
+ * @param {string} periodType - 'daily', 'weekly', 'monthly' or 'yearly'.
+ * @param {number} [count=1] - Number of periods to add.
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone (server local time if omitted).
+ * @returns {Date} The shifted date.
+ */
+const addPeriods = (date, periodType, count = 1, { timeZone } = {}) => {
+  switch (periodType) {
+    case 'daily':
+      return addDays(date, count, timeZone);
+    case 'weekly':
+      return addDays(date, 7 * count, timeZone);
+    case 'monthly':
+      return addMonths(date, count, timeZone);
+    case 'yearly':
+      return addMonths(date, 12 * count, timeZone);
+    default:
+      throw new Error(`Unsupported budget period type: ${periodType}`);
+  }
+};
+
+/**
+ * @function getPeriodEnd
+ * @description Returns the inclusive end of the period that starts at `startDate` (1 ms before the next period).
+ * @param {string} periodType - 'daily', 'weekly', 'monthly' or 'yearly'.
+ * @param {Date} startDate - The period start.
+ * @param {Object} [options] - `{ timeZone }`, as for addPeriods.
+ * @returns {Date} The period end.
+ */
+const getPeriodEnd = (periodType, startDate, options = {}) => new Date(addPeriods(startDate, periodType, 1, options).getTime() - 1);
+
+/**
+ * @function getPeriodRange
+ * @description Returns the calendar period containing a date in the owner's time zone: the day, the week (starting on
+ * their first day of the week, as in the insight reports), the month or the year.
+ * @param {string} periodType - 'daily', 'weekly', 'monthly' or 'yearly'.
+ * @param {Date} [referenceDate=new Date()] - A date inside the period.
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone (server local time if omitted).
+ * @param {number} [options.weekStart=0] - First day of the week, 0 (Sunday) to 6.
+ * @returns {{ startDate: Date, endDate: Date }} The period boundaries.
+ */
+const getPeriodRange = (periodType, referenceDate = new Date(), { timeZone, weekStart = 0 } = {}) => {
+  let startDate;
+
+  switch (periodType) {
+    case 'daily':
+      startDate = startOfDay(referenceDate, timeZone);
+      break;
+    case 'weekly':
+      startDate = startOfWeek(referenceDate, timeZone, weekStart);
+      break;
+    case 'monthly':
+      startDate = startOfMonth(referenceDate, timeZone);
+      break;
+    case 'yearly':
+      startDate = startOfYear(referenceDate, timeZone);
+      break;
+    default:
+      throw new Error(`Unsupported budget period type: ${periodType}`);
+  }
+
+  return { startDate, endDate: getPeriodEnd(periodType, startDate, { timeZone }) };
+};
+
+/**
+ * @function getNextPeriod
+ * @description Returns the period that follows the one starting at `startDate`.
+ * @param {string} periodType - 'daily', 'weekly', 'monthly' or 'yearly'.
+ * @param {Date} startDate - Start of the current period.
+ * @param {Object} [options] - `{ timeZone }`, as for addPeriods.
+ * @returns {{ startDate: Date, endDate: Date }} The next period boundaries.
+ */
+const getNextPeriod = (periodType, startDate, options = {}) => {
+  const nextStart = addPeriods(startDate, periodType, 1, options);
+  return { startDate: nextStart, endDate: getPeriodEnd(periodType, nextStart, options) };
+};
+
+module.exports = {
+  ROLLING_PERIOD_TYPES,
+  isRollingPeriod,
+  addPeriods,
+  getPeriodEnd,
+  getPeriodRange,
+  getNextPeriod,
+};
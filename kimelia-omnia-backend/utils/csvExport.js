@@ -0,0 +1,75 @@
+// Turns documents (lean Mongoose objects) into CSV for data exports: nested objects become dotted columns,
+// arrays are kept as JSON in one cell, ObjectIds as hex strings and dates as ISO 8601.
+
+// Cells a spreadsheet would run as a formula (CSV injection); they are prefixed with an apostrophe
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !Buffer.isBuffer(value)
+  && !value._bsontype;
+
+// Scalars as they should appear in a cell (also used inside arrays, so ObjectIds don't serialize as objects)
+const toPlainValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value?._bsontype) return value.toString(); // ObjectId, Decimal128
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toPlainValue(entry)]));
+  }
+  return value;
+};
+
+/**
+ * @function flattenDocument
+ * @description Flattens a document into one level: `{ a: { b: 1 } }` becomes `{ 'a.b': 1 }`.
+ * @param {Object} doc - The document.
+ * @param {string} [prefix=''] - Key prefix (used when recursing).
+ * @returns {Object} The flat object; arrays are JSON strings.
+ */
+const flattenDocument = (doc, prefix = '') => {
+  const flat = {};
+  for (const [key, value] of Object.entries(doc)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      Object.assign(flat, flattenDocument(value, column));
+    } else if (Array.isArray(value)) {
+      flat[column] = JSON.stringify(toPlainValue(value));
+    } else {
+      flat[column] = toPlainValue(value);
+    }
+  }
+  return flat;
+};
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @function toCsv
+ * @description Converts documents to CSV (RFC 4180, CRLF line endings). The header is the union of all
+ * flattened keys, in the order they first appear.
+ * @param {Array<Object>} docs - The documents.
+ * @returns {string} The CSV text (empty for no documents).
+ */
+const toCsv = (docs) => {
+  const rows = docs.map((doc) => flattenDocument(doc));
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  if (columns.length === 0) return '';
+
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const row of rows) lines.push(columns.map((column) => escapeCell(row[column])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  flattenDocument,
+  toCsv,
+};
@@ -0,0 +1,68 @@
+// Currency helpers for multi-currency expenses and budgets.
+// Exchange rates are stored relative to REFERENCE_CURRENCY: a rate is the number of units of a currency
+// worth one unit of the reference currency (e.g., { USD: 1, EUR: 0.92, RWF: 1300 }).
+
+const REFERENCE_CURRENCY = 'USD';
+// Currency of expenses and budgets recorded before currencies were tracked, and of users without a base currency
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || REFERENCE_CURRENCY).toUpperCase();
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/; // ISO 4217 alphabetic code
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @function getRate
+ * @description Looks up the rate of a currency, the reference currency always being 1.
+ * @param {string} currency - ISO 4217 code.
+ * @param {Object<string, number>} rates - Rates keyed by currency code.
+ * @returns {number|undefined} The rate, or undefined if the currency has no rate.
+ */
+const getRate = (currency, rates) => (currency === REFERENCE_CURRENCY ? 1 : rates[currency]);
+
+/**
+ * @function convertAmount
+ * @description Converts an amount between two currencies through the reference currency.
+ * @param {number} amount - The amount in `from`.
+ * @param {string} from - ISO 4217 code of the amount.
+ * @param {string} to - ISO 4217 code to convert to.
+ * @param {Object<string, number>} rates - Rates keyed by currency code.
+ * @returns {number|null} The converted amount (not rounded), or null if either currency has no rate.
+ */
+const convertAmount = (amount, from, to, rates) => {
+  if (from === to) return amount;
+  const fromRate = getRate(from, rates);
+  const toRate = getRate(to, rates);
+  if (!fromRate || !toRate) return null;
+  return (amount / fromRate) * toRate;
+};
+
+/**
+ * @function convertTotals
+ * @description Adds up per-currency totals in a single currency.
+ * @param {Array<{ currency: string, total: number }>} totals - Totals, one per currency.
+ * @param {string} to - ISO 4217 code to convert to.
+ * @param {Object<string, number>} rates - Rates keyed by currency code.
+ * @returns {{ total: number, unconvertedCurrencies: Array<string> }} The rounded total, and the currencies left out for lack of a rate.
+ */
+const convertTotals = (totals, to, rates) => {
+  let total = 0;
+  const unconvertedCurrencies = [];
+
+  totals.forEach(({ currency, total: amount }) => {
+    const converted = convertAmount(amount, currency || DEFAULT_CURRENCY, to, rates);
+    if (converted === null) {
+      if (!unconvertedCurrencies.includes(currency)) unconvertedCurrencies.push(currency);
+    } else {
+      total += converted;
+    }
+  });
+
+  return { total: roundAmount(total), unconvertedCurrencies };
+};
+
+module.exports = {
+  REFERENCE_CURRENCY,
+  DEFAULT_CURRENCY,
+  CURRENCY_CODE_PATTERN,
+  convertAmount,
+  convertTotals,
+};
@@ -0,0 +1,67 @@
+// Daily digest: a morning summary of the tasks due and events on a user's day, sent at a set local hour in the
+// user's time zone (so each user gets it in their own morning).
+const { getUserTimeSettings, getZonedParts, zonedTimeToUtc, addDays } = require('./timezone');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * @function getDigestDate
+ * @description The user's local date ('YYYY-MM-DD') when `now` falls in the digest hour of their time zone.
+ * @param {Object} user - The User document (with `settings`).
+ * @param {Date} now
+ * @param {number} hour - Local hour (0-23) at which digests go out.
+ * @returns {string|null} The date the digest is for, or null outside the digest hour.
+ */
+const getDigestDate = (user, now, hour) => {
+  const { year, month, day, hour: localHour } = getZonedParts(now, getUserTimeSettings(user).timeZone);
+  return localHour === hour ? `${year}-${pad(month)}-${pad(day)}` : null;
+};
+
+/**
+ * @function getDigestDayRange
+ * @description The instants a user's local calendar day starts and ends (the next day's start), across DST changes.
+ * @param {Object} user - The User document (with `settings`).
+ * @param {string} date - 'YYYY-MM-DD'.
+ * @returns {{ start: Date, end: Date }}
+ */
+const getDigestDayRange = (user, date) => {
+  const { timeZone } = getUserTimeSettings(user);
+  const [year, month, day] = date.split('-').map(Number);
+  const start = zonedTimeToUtc({ year, month, day }, timeZone);
+  return { start, end: addDays(start, 1, timeZone) };
+};
+
+/**
+ * @function buildDigestMessage
+ * @description Writes the digest of a day, with times in the user's time zone and locale.
+ * @param {Object} user - The User document (with `settings`).
+ * @param {Object} agenda
+ * @param {Array<Object>} agenda.tasks - `{ title, dueDate }` of the tasks due that day.
+ * @param {Array<Object>} agenda.events - `{ title, startTime }` of the events (or occurrences) that day.
+ * @returns {{ title: string, text: string, html: string }|null} Null when there is nothing on the day.
+ */
+const buildDigestMessage = (user, { tasks, events }) => {
+  if (tasks.length === 0 && events.length === 0) return null;
+
+  const { timeZone, locale } = getUserTimeSettings(user);
+  const formatTime = (date) => new Date(date).toLocaleTimeString(locale, { timeZone, hour: 'numeric', minute: '2-digit' });
+  const byTime = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+  const lines = [
+    ...[...events].sort(byTime('startTime')).map((event) => `${formatTime(event.startTime)} ${event.title}`),
+    ...[...tasks].sort(byTime('dueDate')).map((task) => `Due ${formatTime(task.dueDate)}: ${task.title}`),
+  ];
+  const title = `Your day: ${events.length} event(s), ${tasks.length} task(s) due`;
+
+  return {
+    title,
+    text: `KIMELIA Omnia - ${title}\n${lines.join('\n')}`,
+    html: `<p>${title}</p><ul>${lines.map((line) => `<li>${line}</li>`).join('')}</ul>`,
+  };
+};
+
+module.exports = {
+  getDigestDate,
+  getDigestDayRange,
+  buildDigestMessage,
+};
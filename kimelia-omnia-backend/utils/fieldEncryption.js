@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+// Field-level encryption for secrets stored on documents (third-party integration tokens).
+// Values are AES-256-GCM encrypted and stored as 'enc:<keyVersion>:<iv>:<authTag>:<ciphertext>' (base64 parts),
+// so each value names the key it was encrypted with and keys can be rotated without downtime:
+//   FIELD_ENCRYPTION_KEYS=v1:<base64 32-byte key>,v2:<base64 32-byte key>
+//   FIELD_ENCRYPTION_KEY_VERSION=v2   (the key new values are encrypted with; defaults to the last one listed)
+// Values without the prefix are legacy plaintext: they are read as-is until the migration encrypts them.
+
+const ENCRYPTED_PREFIX = 'enc:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let cachedKeyring = null;
+let warnedMissingKeys = false;
+
+const loadKeyring = () => {
+  if (cachedKeyring) return cachedKeyring;
+
+  const keys = new Map();
+  for (const entry of (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map((part) => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const version = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator < 1 || key.length !== 32) {
+      throw new Error(`FIELD_ENCRYPTION_KEYS entry '${version || entry}' must be '<version>:<base64 32-byte key>'.`);
+    }
+    keys.set(version, key);
+  }
+
+  const currentVersion = process.env.FIELD_ENCRYPTION_KEY_VERSION || [...keys.keys()].pop() || null;
+  if (currentVersion && !keys.has(currentVersion)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_VERSION '${currentVersion}' is not in FIELD_ENCRYPTION_KEYS.`);
+  }
+
+  cachedKeyring = { keys, currentVersion };
+  return cachedKeyring;
+};
+
+/**
+ * @function isEncrypted
+ * @description Whether a stored value is in the encrypted format.
+ * @param {*} value - The stored value.
+ * @returns {boolean} True if encrypted.
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * @function getKeyVersion
+ * @description The key version an encrypted value was encrypted with.
+ * @param {string} value - The stored value.
+ * @returns {string|null} The key version, or null for plaintext.
+ */
+const getKeyVersion = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+/**
+ * @function getCurrentKeyVersion
+ * @description The key version new values are encrypted with.
+ * @returns {string|null} The version, or null if no keys are configured.
+ */
+const getCurrentKeyVersion = () => loadKeyring().currentVersion;
+
+/**
+ * @function encryptValue
+ * @description Encrypts a string with the current key. Already-encrypted values and empty values are returned unchanged.
+ * Without configured keys, values are stored in plaintext outside production (with a warning); production refuses.
+ * @param {string} value - The plaintext.
+ * @returns {string} The encrypted value.
+ * @throws {Error} In production when no encryption key is configured.
+ */
+const encryptValue = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+
+  const { keys, currentVersion } = loadKeyring();
+  if (!currentVersion) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('FIELD_ENCRYPTION_KEYS must be set to store integration tokens.');
+    }
+    if (!warnedMissingKeys) {
+      console.warn('FIELD_ENCRYPTION_KEYS is not set: integration tokens are stored unencrypted.');
+      warnedMissingKeys = true;
+    }
+    return value;
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentVersion), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [
+    'enc',
+    currentVersion,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64'),
+  ].join(':');
+};
+
+/**
+ * @function decryptValue
+ * @description Decrypts a stored value with the key it names. Plaintext (legacy) values are returned unchanged.
+ * @param {string} value - The stored value.
+ * @returns {string} The plaintext.
+ * @throws {Error} If the value's key is not configured or the value was tampered with.
+ */
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, version, iv, authTag, ciphertext] = value.split(':');
+  const key = loadKeyring().keys.get(version);
+  if (!key) {
+    throw new Error(`Encryption key version '${version}' is not configured in FIELD_ENCRYPTION_KEYS.`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * @function reencryptValue
+ * @description Brings a stored value onto the current key (encrypting plaintext, re-encrypting older key versions).
+ * @param {string} value - The stored value.
+ * @returns {string} The value encrypted with the current key (unchanged if it already is).
+ */
+const reencryptValue = (value) => {
+  if (value === null || value === undefined || value === '') return value;
+  if (getKeyVersion(value) === getCurrentKeyVersion()) return value;
+  return encryptValue(decryptValue(value));
+};
+
+/**
+ * @function encryptedString
+ * @description Mongoose SchemaType options for a string stored encrypted: set on write, decrypted on read.
+ * @param {Object} [options] - Other SchemaType options (e.g. `select: false`).
+ * @returns {Object} The SchemaType definition.
+ */
+const encryptedString = (options = {}) => ({
+  type: String,
+  ...options,
+  set: encryptValue,
+  get: decryptValue,
+});
+
+// Lets tests and the rotation command pick up changed environment variables
+const resetKeyringCache = () => {
+  cachedKeyring = null;
+};
+
+module.exports = {
+  isEncrypted,
+  getKeyVersion,
+  getCurrentKeyVersion,
+  encryptValue,
+  decryptValue,
+  reencryptValue,
+  encryptedString,
+  resetKeyringCache,
+};
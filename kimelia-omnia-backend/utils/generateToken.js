@@ -1,18 +1,18 @@
- 
     const jwt = require('jsonwebtoken');
 
     /**
      * @function generateToken
-     * @description Generates a JSON Web Token (JWT) for a given user ID.
+     * @description Generates a short-lived JSON Web Token (JWT) access token for a given user ID.
+     * Tokens issued for a session carry its ID (`sid`) so that revoking the session invalidates them.
      * @param {string} id - The user's MongoDB `_id`.
+     * @param {string} [sessionId] - The session the token belongs to.
      * @returns {string} The signed JWT.
      */
-    const generateToken = (id) => {
-      return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE, // E.g., '1h', '7d'
+    const generateToken = (id, sessionId) => {
+      const payload = sessionId ? { id, sid: sessionId.toString() } : { id };
+      return jwt.sign(payload, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_EXPIRE || '15m', // E.g., '15m', '1h'
       });
     };
 
     module.exports = generateToken;
-
-   
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Background job states and retry timing, shared by the Job model, the job queue and the admin job filters.
+// A job is `pending` until a worker claims it (`running`), then `completed`, or back to `pending` for a retry after
+// a failure, and `dead` once it failed `maxAttempts` times (kept for admins to inspect and retry).
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * @function getRetryDelay
+ * @description Exponential backoff before retrying a failed job: 30s after the first attempt, then 1, 2, 4... minutes,
+ * capped at an hour.
+ * @param {number} attempts - Attempts made so far (at least 1).
+ * @returns {number} Milliseconds to wait.
+ */
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_DELAY_MS);
+
+/**
+ * @function getScheduleSlotKey
+ * @description The unique key of a periodic job for the minute it is due. Every instance's timer enqueues the
+ * same key, so the job is queued (and run) once however many instances are running.
+ * @param {string} type - The job type.
+ * @param {Date} [date=new Date()]
+ * @returns {string} E.g. 'reminders.scan@2024-11-15T10:01Z'.
+ */
+const getScheduleSlotKey = (type, date = new Date()) => `${type}@${new Date(date).toISOString().slice(0, 16)}Z`;
+
+module.exports = {
+  JOB_STATUSES,
+  getRetryDelay,
+  getScheduleSlotKey,
+};
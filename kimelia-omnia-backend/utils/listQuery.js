@@ -0,0 +1,202 @@
+const { Types } = require('mongoose');
+
+// Shared query layer of the list endpoints: cursor pagination, whitelisted sorting and sparse fieldsets.
+// Pages are read with a keyset (the sort field, then _id as a tiebreaker), so they stay stable while items are added.
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * @function encodeCursor
+ * @description Builds the opaque cursor pointing after an item.
+ * @param {*} sortValue - The item's value of the sort field.
+ * @param {string} id - The item's ID.
+ * @returns {string} A URL-safe cursor.
+ */
+const encodeCursor = (sortValue, id) => Buffer.from(JSON.stringify([sortValue ?? null, String(id)])).toString('base64url');
+
+/**
+ * @function decodeCursor
+ * @param {string} cursor - A cursor from `encodeCursor`.
+ * @returns {Array|null} `[sortValue, id]`, or null if the cursor is malformed.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && Types.ObjectId.isValid(decoded[1])) return decoded;
+  } catch (error) {
+    // Not base64url-encoded JSON
+  }
+  return null;
+};
+
+/**
+ * @function getSelectableFields
+ * @description Lists the top-level fields a client may pick with `fields`: everything but `__v`, the hidden fields,
+ * and fields holding anything that is not selected by default (e.g. integration tokens).
+ * @param {mongoose.Schema} schema - The model's schema.
+ * @param {string[]} [hiddenFields=[]] - Fields never returned by the endpoint.
+ * @returns {string[]}
+ */
+const getSelectableFields = (schema, hiddenFields = []) => {
+  const fields = new Set();
+  const unselectable = new Set(['__v', ...hiddenFields]);
+  schema.eachPath((path, schemaType) => {
+    const [field] = path.split('.');
+    fields.add(field);
+    if (schemaType.options?.select === false) unselectable.add(field);
+  });
+  return [...fields].filter((field) => !unselectable.has(field));
+};
+
+// Casts a sort value read from a cursor back to the type of the field
+const castSortValue = (schema, field, value) => {
+  if (value === null) return null;
+  const type = schema.path(field)?.instance;
+  if (type === 'Date') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error('"cursor" is invalid');
+    return date;
+  }
+  if (type === 'ObjectId') {
+    if (!Types.ObjectId.isValid(value)) throw new Error('"cursor" is invalid');
+    return new Types.ObjectId(value);
+  }
+  if (type === 'Number' && typeof value !== 'number') throw new Error('"cursor" is invalid');
+  return value;
+};
+
+/**
+ * @function parseListQuery
+ * @description Reads the pagination, sorting and field selection parameters of a list request.
+ * @param {Object} query - The request query (`limit`, `cursor`, `sort`, `fields`; other parameters are ignored).
+ * @param {Object} options
+ * @param {mongoose.Schema} options.schema - The schema of the listed model.
+ * @param {string[]} options.sortFields - Fields the list can be sorted by.
+ * @param {string} options.defaultSort - The sort without `sort`, e.g. '-createdAt' (a leading '-' means descending).
+ * @param {string[]} [options.hiddenFields] - Fields never returned by the endpoint.
+ * @param {string[]} [options.computedFields] - Fields the endpoint adds to the stored ones (picked with `pickFields`).
+ * @returns {Object} `{ limit, sort: { field, order }, after: { value, id } | null, fields: string[] | null }`.
+ * @throws {Error} With a message for the client if a parameter is invalid.
+ */
+const parseListQuery = (query, { schema, sortFields, defaultSort, hiddenFields = [], computedFields = [] }) => {
+  const limit = query.limit === undefined ? DEFAULT_LIST_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    throw new Error(`"limit" must be an integer between 1 and ${MAX_LIST_LIMIT}`);
+  }
+
+  const sortParam = query.sort || defaultSort;
+  const field = typeof sortParam === 'string' ? sortParam.replace(/^-/, '') : null;
+  if (!sortFields.includes(field)) {
+    throw new Error(`"sort" must be one of ${sortFields.map((name) => `${name}, -${name}`).join(', ')}`);
+  }
+  const sort = { field, order: sortParam.startsWith('-') ? -1 : 1 };
+
+  let after = null;
+  if (query.cursor !== undefined) {
+    const decoded = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+    if (!decoded) throw new Error('"cursor" is invalid');
+    after = { value: castSortValue(schema, field, decoded[0]), id: new Types.ObjectId(decoded[1]) };
+  }
+
+  let fields = null;
+  if (query.fields !== undefined) {
+    const selectable = [...getSelectableFields(schema, hiddenFields), ...computedFields];
+    fields = String(query.fields).split(',').map((name) => name.trim()).filter(Boolean);
+    const unknown = fields.filter((name) => name !== '_id' && !selectable.includes(name));
+    if (!fields.length || unknown.length) {
+      throw new Error(`"fields" must be a comma-separated list of ${selectable.join(', ')}`);
+    }
+  }
+
+  return { limit, sort, after, fields };
+};
+
+/**
+ * @function buildCursorFilter
+ * @description Matches the items that come after the cursor item in the sort order.
+ * Nulls (and missing values) sort first in ascending order and last in descending order, as in MongoDB.
+ * @param {Object} sort - `{ field, order }`.
+ * @param {Object} after - `{ value, id }` of the cursor item.
+ * @returns {Object} A MongoDB filter.
+ */
+const buildCursorFilter = ({ field, order }, { value, id }) => {
+  const operator = order === 1 ? '$gt' : '$lt';
+  const sameValueAfterId = { [field]: value, _id: { [operator]: id } };
+  if (value === null) {
+    return order === 1 ? { $or: [sameValueAfterId, { [field]: { $ne: null } }] } : sameValueAfterId;
+  }
+  const laterValue = { [field]: { [operator]: value } };
+  return order === 1 ? { $or: [laterValue, sameValueAfterId] } : { $or: [laterValue, sameValueAfterId, { [field]: null }] };
+};
+
+/**
+ * @function pickFields
+ * @description Keeps only the requested fields (and `_id`) of an object, for lists whose items are computed after the query.
+ * @param {Object} item - A plain object.
+ * @param {string[]|null} fields - The requested fields, or null for all of them.
+ * @returns {Object}
+ */
+const pickFields = (item, fields) => {
+  if (!fields) return item;
+  return Object.fromEntries(Object.entries(item).filter(([key]) => key === '_id' || fields.includes(key)));
+};
+
+/**
+ * @function findPage
+ * @description Reads one page of a list.
+ * @param {mongoose.Model} Model - The listed model.
+ * @param {Object} filter - The endpoint's filters.
+ * @param {Object} listQuery - From `parseListQuery` (set on `req.listQuery` by the `listQuery` middleware).
+ * @param {Object} [options]
+ * @param {string} [options.select] - Projection used when the client does not pick fields (e.g. to hide secrets).
+ * @param {*} [options.populate] - Passed to `Query#populate`.
+ * @param {boolean} [options.allFields=false] - Load whole documents even with `fields` (the caller picks them with `pickFields`).
+ * @returns {Promise<Object>} `{ data, pagination: { limit, sort, hasMore, nextCursor, total } }`.
+ */
+const findPage = async (Model, filter, { limit, sort, after, fields }, { select, populate, allFields = false } = {}) => {
+  let query = Model.find(after ? { $and: [filter, buildCursorFilter(sort, after)] } : filter)
+    .sort({ [sort.field]: sort.order, _id: sort.order })
+    .limit(limit + 1); // One more than the page tells whether there is a next page
+
+  if (fields && !allFields) query = query.select([...new Set([...fields, sort.field])].join(' '));
+  else if (select) query = query.select(select);
+  if (populate) query = query.populate(populate);
+
+  const [items, total] = await Promise.all([query, Model.countDocuments(filter)]);
+  const hasMore = items.length > limit;
+  const data = hasMore ? items.slice(0, limit) : items;
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    pagination: {
+      limit,
+      sort: `${sort.order === -1 ? '-' : ''}${sort.field}`,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(last.get(sort.field), last._id) : null,
+      total,
+    },
+  };
+};
+
+/**
+ * @function unpaginated
+ * @description Pagination metadata of a list returned whole (e.g. recurring items expanded over a date window).
+ * @param {Array} items - The list.
+ * @returns {Object} Metadata with the same shape as `findPage`'s.
+ */
+const unpaginated = (items) => ({ limit: null, sort: null, hasMore: false, nextCursor: null, total: items.length });
+
+module.exports = {
+  DEFAULT_LIST_LIMIT,
+  MAX_LIST_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  getSelectableFields,
+  parseListQuery,
+  buildCursorFilter,
+  pickFields,
+  findPage,
+  unpaginated,
+};
@@ -0,0 +1,57 @@
+// Email and SMS delivery attempts (NotificationDelivery): their states, and telling provider failures worth retrying
+// (timeouts, rate limits, provider outages) from ones that will fail again (bad address, rejected credentials).
+
+const DELIVERY_CHANNELS = ['email', 'sms'];
+const DELIVERY_STATUSES = ['sent', 'retrying', 'failed']; // `retrying`: this attempt failed and another one is queued
+const DELIVERY_CATEGORIES = ['task', 'event', 'goal', 'budget', 'digest', 'account', 'system'];
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ECONNECTION', 'ESOCKET', 'EDNS'];
+
+// The HTTP status of a provider error: Twilio sets `status`, SendGrid puts it in `code`. Twilio's own (5-digit)
+// error codes are not statuses.
+const getErrorStatus = (error) => [error.status, error.statusCode, error.code]
+  .find((value) => Number.isInteger(value) && value >= 100 && value < 600);
+
+/**
+ * @function isTransientDeliveryError
+ * @description Whether a failed send may succeed if tried again later: network errors, HTTP 408/429/5xx from an API
+ * provider, and 4xx replies from an SMTP server. A transport can decide for itself by setting `error.transient`.
+ * @param {Error} error - The error thrown by a transport.
+ * @returns {boolean}
+ */
+const isTransientDeliveryError = (error) => {
+  if (!error) return false;
+  if (typeof error.transient === 'boolean') return error.transient;
+  if (Number.isInteger(error.responseCode)) return error.responseCode >= 400 && error.responseCode < 500; // SMTP
+
+  const status = getErrorStatus(error);
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+};
+
+/**
+ * @function getProviderErrorResponse
+ * @description The parts of a provider error worth keeping on the delivery record (status, provider error code and
+ * response body), without the request and credentials some SDK errors carry.
+ * @param {Error} error - The error thrown by a transport.
+ * @returns {Object|null}
+ */
+const getProviderErrorResponse = (error) => {
+  const response = {
+    statusCode: getErrorStatus(error) ?? error.responseCode,
+    code: error.code,
+    body: error.response?.body, // SendGrid
+    moreInfo: error.moreInfo, // Twilio
+    reply: typeof error.response === 'string' ? error.response : undefined, // SMTP
+  };
+  Object.keys(response).forEach((key) => response[key] === undefined && delete response[key]);
+  return Object.keys(response).length > 0 ? response : null;
+};
+
+module.exports = {
+  DELIVERY_CHANNELS,
+  DELIVERY_STATUSES,
+  DELIVERY_CATEGORIES,
+  isTransientDeliveryError,
+  getProviderErrorResponse,
+};
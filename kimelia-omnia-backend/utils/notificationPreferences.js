@@ -0,0 +1,127 @@
+// Notification preferences (User.settings.notifications): which channels each category of notification may use,
+// quiet hours in the user's time zone, and a global pause. planDelivery applies them to a single message.
+const { getUserTimeSettings, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const NOTIFICATION_CATEGORIES = ['task', 'event', 'goal', 'budget', 'digest'];
+const NOTIFICATION_CHANNELS = ['app_notification', 'email', 'sms']; // Fallback order when a channel is not allowed
+const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/; // 'HH:mm', 24-hour
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00' };
+
+const parseClockTime = (value) => {
+  const match = CLOCK_TIME_PATTERN.exec(value || '');
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+};
+
+/**
+ * @function getNotificationPreferences
+ * @description Reads a user's notification preferences, with defaults for anything not set
+ * (every channel allowed, no quiet hours, not paused).
+ * @param {Object} [user] - A User document or plain object with `settings`.
+ * @returns {{ paused: boolean, channels: Object<string, Array<string>>, quietHours: { enabled: boolean, start: string, end: string } }}
+ */
+const getNotificationPreferences = (user) => {
+  const preferences = user?.settings?.notifications || {};
+  const channels = {};
+  for (const category of NOTIFICATION_CATEGORIES) {
+    const allowed = preferences.channels?.[category];
+    channels[category] = Array.isArray(allowed) ? NOTIFICATION_CHANNELS.filter((channel) => allowed.includes(channel)) : [...NOTIFICATION_CHANNELS];
+  }
+
+  const quietHours = { ...DEFAULT_QUIET_HOURS };
+  for (const key of Object.keys(DEFAULT_QUIET_HOURS)) {
+    if (preferences.quietHours?.[key] !== undefined && preferences.quietHours[key] !== null) quietHours[key] = preferences.quietHours[key];
+  }
+
+  return { paused: !!preferences.paused, channels, quietHours };
+};
+
+/**
+ * @function mergeNotificationPreferences
+ * @description Applies a partial update to notification preferences: categories and quiet-hours fields left out keep
+ * their current values.
+ * @param {Object} [current] - The stored `settings.notifications`.
+ * @param {Object} changes - The validated update.
+ * @returns {Object} The preferences to store.
+ */
+const mergeNotificationPreferences = (current, changes) => {
+  const { paused, channels, quietHours } = getNotificationPreferences({ settings: { notifications: current } });
+  return {
+    paused: changes.paused !== undefined ? changes.paused : paused,
+    channels: { ...channels, ...changes.channels },
+    quietHours: { ...quietHours, ...changes.quietHours },
+  };
+};
+
+/**
+ * @function getQuietHoursEnd
+ * @description When the user's quiet hours are on at `now`, the instant they end. Quiet hours are wall-clock times
+ * in the user's time zone and may span midnight ('22:00' to '07:00').
+ * @param {Object} user - The User document (with `settings`).
+ * @param {Date} [now=new Date()]
+ * @returns {Date|null} The end of the current quiet hours, or null outside quiet hours.
+ */
+const getQuietHoursEnd = (user, now = new Date()) => {
+  const { quietHours } = getNotificationPreferences(user);
+  const start = parseClockTime(quietHours.start);
+  const end = parseClockTime(quietHours.end);
+  if (!quietHours.enabled || !start || !end) return null;
+
+  const { timeZone } = getUserTimeSettings(user);
+  const { year, month, day, hour, minute } = getZonedParts(now, timeZone);
+  const current = hour * 60 + minute;
+  const startMinutes = start.hour * 60 + start.minute;
+  const endMinutes = end.hour * 60 + end.minute;
+  if (startMinutes === endMinutes) return null;
+
+  const spansMidnight = startMinutes > endMinutes;
+  const isQuiet = spansMidnight
+    ? current >= startMinutes || current < endMinutes
+    : current >= startMinutes && current < endMinutes;
+  if (!isQuiet) return null;
+
+  const endsTomorrow = spansMidnight && current >= startMinutes;
+  return zonedTimeToUtc({ year, month, day: day + (endsTomorrow ? 1 : 0), hour: end.hour, minute: end.minute }, timeZone);
+};
+
+/**
+ * @function planDelivery
+ * @description Decides how a notification is delivered under the user's preferences:
+ * - `skip` when notifications are paused or the category allows no channel;
+ * - `send` through the requested channel, or the first allowed one (in-app, email, SMS) if the user turned it off;
+ * - `defer` until quiet hours end, unless the message is urgent. A message is urgent when flagged so, or when its
+ *   item is due before quiet hours end (a reminder after the fact is no use).
+ * @param {Object} user - The User document (with `settings`).
+ * @param {string} category - One of NOTIFICATION_CATEGORIES.
+ * @param {string} method - The channel the item asks for ('email', 'sms' or 'app_notification').
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {boolean} [options.urgent=false]
+ * @param {Date} [options.deadline] - When the item the message is about is due or starts.
+ * @returns {{ action: 'send', method: string } | { action: 'defer', until: Date } | { action: 'skip', reason: string }}
+ */
+const planDelivery = (user, category, method, { now = new Date(), urgent = false, deadline } = {}) => {
+  const preferences = getNotificationPreferences(user);
+  if (preferences.paused) return { action: 'skip', reason: 'paused' };
+
+  const allowed = preferences.channels[category] || NOTIFICATION_CHANNELS;
+  const channel = allowed.includes(method) ? method : allowed[0];
+  if (!channel) return { action: 'skip', reason: 'channel_disabled' };
+
+  const quietHoursEnd = getQuietHoursEnd(user, now);
+  const isUrgent = urgent || (!!deadline && new Date(deadline) <= quietHoursEnd);
+  if (quietHoursEnd && !isUrgent) return { action: 'defer', until: quietHoursEnd };
+
+  return { action: 'send', method: channel };
+};
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  CLOCK_TIME_PATTERN,
+  DEFAULT_QUIET_HOURS,
+  getNotificationPreferences,
+  mergeNotificationPreferences,
+  getQuietHoursEnd,
+  planDelivery,
+};
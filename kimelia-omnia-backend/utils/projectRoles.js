@@ -0,0 +1,91 @@
+// Per-project roles. The owner is Project.owner; everyone else holds a role on their membership (Project.members[].role).
+// Each role includes the permissions of the roles below it:
+//   viewer - see the project, its board and its tasks
+//   editor - create, edit, move and delete the project's tasks
+//   admin  - edit the project and its board columns, manage editors and viewers
+//   owner  - delete the project, manage admins, transfer ownership
+
+const MEMBER_ROLES = ['admin', 'editor', 'viewer'];
+const PROJECT_ROLES = ['owner', ...MEMBER_ROLES];
+const DEFAULT_MEMBER_ROLE = 'editor';
+
+const ROLE_RANKS = { viewer: 1, editor: 2, admin: 3, owner: 4 };
+
+const toIdString = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * @function getProjectRole
+ * @description Finds a user's role in a project.
+ * @param {Object} project - The Project document.
+ * @param {string|Object} userId - The user ID (or user document).
+ * @returns {string|null} 'owner', 'admin', 'editor', 'viewer', or null for non-members.
+ */
+const getProjectRole = (project, userId) => {
+  const id = toIdString(userId);
+  if (toIdString(project.owner) === id) return 'owner';
+  const membership = project.members.find((member) => toIdString(member.user) === id);
+  return membership ? membership.role : null;
+};
+
+/**
+ * @function hasProjectRole
+ * @description Checks whether a role grants at least the permissions of another.
+ * @param {string|null} role - The role held.
+ * @param {string} minimumRole - The role required.
+ * @returns {boolean} True if `role` is `minimumRole` or above.
+ */
+const hasProjectRole = (role, minimumRole) => !!role && ROLE_RANKS[role] >= ROLE_RANKS[minimumRole];
+
+/**
+ * @function canManageMember
+ * @description Whether a user can add, remove or change the role of a member, given the member's current
+ * and requested roles. Admins manage editors and viewers; only the owner manages admins.
+ * @param {string|null} actorRole - The role of the user making the change.
+ * @param {...(string|null|undefined)} memberRoles - The member's current and/or requested role.
+ * @returns {boolean} True if allowed.
+ */
+const canManageMember = (actorRole, ...memberRoles) => {
+  if (actorRole === 'owner') return true;
+  if (actorRole !== 'admin') return false;
+  return memberRoles.every((role) => !role || ROLE_RANKS[role] < ROLE_RANKS.admin);
+};
+
+/**
+ * @function projectMembershipFilter
+ * @description MongoDB filter for the projects a user owns or is a member of.
+ * @param {string|Object} userId - The user ID.
+ * @returns {Object} The filter.
+ */
+const projectMembershipFilter = (userId) => ({
+  $or: [
+    { owner: userId },
+    { 'members.user': userId },
+    { members: userId }, // Membership lists saved before roles existed hold plain user IDs
+  ],
+});
+
+/**
+ * @function pickSuccessorOwner
+ * @description Chooses who takes over a project when its owner leaves for good (e.g. deletes their account):
+ * the member with the highest role, the longest-standing one among equals.
+ * @param {Object} project - The Project document.
+ * @returns {string|null} The successor's user ID, or null if the project has no members.
+ */
+const pickSuccessorOwner = (project) => {
+  const [successor] = [...project.members].sort((a, b) => (
+    ROLE_RANKS[b.role] - ROLE_RANKS[a.role]
+    || new Date(a.addedAt || 0) - new Date(b.addedAt || 0)
+  ));
+  return successor ? toIdString(successor.user) : null;
+};
+
+module.exports = {
+  MEMBER_ROLES,
+  PROJECT_ROLES,
+  DEFAULT_MEMBER_ROLE,
+  getProjectRole,
+  hasProjectRole,
+  canManageMember,
+  projectMembershipFilter,
+  pickSuccessorOwner,
+};
@@ -0,0 +1,182 @@
+const { RRule, RRuleSet } = require('rrule');
+
+// Hard cap on generated occurrences per request so an open-ended FREQ=MINUTELY rule cannot exhaust memory.
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * @function normalizeRecurrenceRule
+ * @description Strips an optional leading "RRULE:" prefix and surrounding whitespace from a rule string.
+ * @param {string} rule - The iCalendar RRULE string (e.g., "FREQ=WEEKLY;BYDAY=MO").
+ * @returns {string} The normalized rule without the "RRULE:" prefix.
+ */
+const normalizeRecurrenceRule = (rule) => String(rule || '').trim().replace(/^RRULE:/i, '');
+
+/**
+ * @function isValidRecurrenceRule
+ * @description Checks that a string is a parseable RRULE with a frequency and no embedded DTSTART.
+ * The series start is always taken from the item's own date field (dueDate/startTime).
+ * @param {string} rule - The iCalendar RRULE string.
+ * @returns {boolean} True if the rule can be used for recurrence expansion.
+ */
+const isValidRecurrenceRule = (rule) => {
+  try {
+    const options = RRule.parseString(normalizeRecurrenceRule(rule));
+    if (options.freq === undefined || options.dtstart) return false;
+    if (options.byweekday && options.byweekday.some((day) => day === undefined)) return false;
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @function buildRuleSet
+ * @description Builds an RRuleSet for a recurrence definition anchored at the given start date.
+ * @param {Object} recurrence - The recurrence definition ({ rule, exdates }).
+ * @param {Date} dtstart - The first occurrence of the series.
+ * @returns {RRuleSet} The rule set including EXDATE exceptions.
+ */
+const buildRuleSet = (recurrence, dtstart) => {
+  const ruleSet = new RRuleSet();
+  const options = RRule.parseString(normalizeRecurrenceRule(recurrence.rule));
+  ruleSet.rrule(new RRule({ ...options, dtstart: new Date(dtstart) }));
+  (recurrence.exdates || []).forEach((exdate) => ruleSet.exdate(new Date(exdate)));
+  return ruleSet;
+};
+
+/**
+ * @function getOccurrences
+ * @description Returns the occurrence dates of a series that fall within [windowStart, windowEnd] (inclusive).
+ * @param {Object} recurrence - The recurrence definition ({ rule, exdates }).
+ * @param {Date} dtstart - The first occurrence of the series.
+ * @param {Date} windowStart - Start of the window.
+ * @param {Date} windowEnd - End of the window.
+ * @returns {Array<Date>} Occurrence dates, in chronological order.
+ */
+const getOccurrences = (recurrence, dtstart, windowStart, windowEnd) => {
+  if (!recurrence?.rule || !dtstart) return [];
+  const ruleSet = buildRuleSet(recurrence, dtstart);
+  return ruleSet.between(new Date(windowStart), new Date(windowEnd), true, (date, index) => index < MAX_OCCURRENCES);
+};
+
+/**
+ * @function isOccurrenceOf
+ * @description Checks whether a date is an actual (non-excluded) occurrence of a series.
+ * @param {Object} recurrence - The recurrence definition ({ rule, exdates }).
+ * @param {Date} dtstart - The first occurrence of the series.
+ * @param {Date} date - The candidate occurrence date.
+ * @returns {boolean} True if the date is an occurrence.
+ */
+const isOccurrenceOf = (recurrence, dtstart, date) => {
+  const target = new Date(date);
+  return getOccurrences(recurrence, dtstart, target, target).some((occurrence) => occurrence.getTime() === target.getTime());
+};
+
+/**
+ * @function countOccurrencesBefore
+ * @description Counts occurrences of a series (EXDATEs ignored) strictly before a date, used to carry COUNT over when splitting.
+ * @param {Object} recurrence - The recurrence definition ({ rule }).
+ * @param {Date} dtstart - The first occurrence of the series.
+ * @param {Date} date - The split date.
+ * @returns {number} The number of occurrences before the date.
+ */
+const countOccurrencesBefore = (recurrence, dtstart, date) => {
+  const rule = buildRuleSet({ rule: recurrence.rule }, dtstart);
+  return rule.between(new Date(dtstart), new Date(date), true).filter((occurrence) => occurrence < new Date(date)).length;
+};
+
+/**
+ * @function endRuleBefore
+ * @description Returns a copy of the rule that stops just before the given date (UNTIL replaces any COUNT).
+ * @param {string} rule - The iCalendar RRULE string.
+ * @param {Date} date - The first date that must no longer be generated.
+ * @returns {string} The truncated rule.
+ */
+const endRuleBefore = (rule, date) => {
+  const options = RRule.parseString(normalizeRecurrenceRule(rule));
+  delete options.count;
+  options.until = new Date(new Date(date).getTime() - 1000);
+  return normalizeRecurrenceRule(RRule.optionsToString(options));
+};
+
+/**
+ * @function withRemainingCount
+ * @description Returns a copy of the rule whose COUNT is reduced by the occurrences already consumed.
+ * Rules without COUNT are returned unchanged.
+ * @param {string} rule - The iCalendar RRULE string.
+ * @param {number} consumed - The number of occurrences already generated by the original series.
+ * @returns {string} The adjusted rule.
+ */
+const withRemainingCount = (rule, consumed) => {
+  const options = RRule.parseString(normalizeRecurrenceRule(rule));
+  if (!options.count) return normalizeRecurrenceRule(rule);
+  options.count = Math.max(1, options.count - consumed);
+  return normalizeRecurrenceRule(RRule.optionsToString(options));
+};
+
+/**
+ * @function expandRecurringItem
+ * @description Expands a recurring Task or Event into virtual occurrence objects for a window.
+ * Each occurrence keeps the series `_id` (so it can be edited with a scope) and carries `occurrenceDate`.
+ * @param {Object} item - The Mongoose document or plain object of the series.
+ * @param {Object} options - Expansion options.
+ * @param {string} options.anchorField - The date field the series is anchored on ('dueDate' or 'startTime').
+ * @param {string} [options.endField] - Optional end date field shifted along with the anchor ('endTime').
+ * @param {Date} options.windowStart - Start of the window.
+ * @param {Date} options.windowEnd - End of the window.
+ * @returns {Array<Object>} Occurrence objects.
+ */
+const expandRecurringItem = (item, { anchorField, endField, windowStart, windowEnd }) => {
+  const source = typeof item.toObject === 'function' ? item.toObject() : item;
+  const anchor = new Date(source[anchorField]);
+  const durationMs = endField && source[endField] ? new Date(source[endField]).getTime() - anchor.getTime() : 0;
+
+  // An occurrence overlaps the window if it starts before windowEnd and ends after windowStart.
+  const searchStart = new Date(new Date(windowStart).getTime() - durationMs);
+
+  return getOccurrences(source.recurrence, anchor, searchStart, windowEnd).map((occurrence) => {
+    const deltaMs = occurrence.getTime() - anchor.getTime();
+    const expanded = {
+      ...source,
+      seriesId: source._id,
+      isOccurrence: true,
+      occurrenceDate: occurrence,
+      [anchorField]: occurrence,
+      reminders: (source.reminders || []).map((reminder) => ({
+        ...reminder,
+        time: new Date(new Date(reminder.time).getTime() + deltaMs),
+      })),
+    };
+    if (endField && source[endField]) {
+      expanded[endField] = new Date(occurrence.getTime() + durationMs);
+    }
+    return expanded;
+  });
+};
+
+/**
+ * @function expandItemsForWindow
+ * @description Replaces every recurring item in a list by its occurrences within a window and sorts the result.
+ * Non-recurring items are passed through as plain objects.
+ * @param {Array<Object>} items - Mongoose documents (recurring series and one-off items).
+ * @param {Object} options - Same options as expandRecurringItem.
+ * @returns {Array<Object>} Plain objects sorted by the anchor field.
+ */
+const expandItemsForWindow = (items, options) => items
+  .flatMap((item) => (item.recurrence?.rule
+    ? expandRecurringItem(item, options)
+    : [typeof item.toObject === 'function' ? item.toObject() : item]))
+  .sort((a, b) => new Date(a[options.anchorField]) - new Date(b[options.anchorField]));
+
+module.exports = {
+  MAX_OCCURRENCES,
+  normalizeRecurrenceRule,
+  isValidRecurrenceRule,
+  getOccurrences,
+  isOccurrenceOf,
+  countOccurrencesBefore,
+  endRuleBefore,
+  withRemainingCount,
+  expandRecurringItem,
+  expandItemsForWindow,
+};
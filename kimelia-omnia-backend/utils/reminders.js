@@ -0,0 +1,112 @@
+// Reminder scheduling helpers shared by Tasks, Events and Goals.
+// A reminder is either absolute (`time`) or relative to its item's date (`offsetMinutes` before the due date,
+// start time or target date); relative reminders get their `time` computed, and recomputed when the date moves.
+// Delivery is tracked the same way for all three: `isSent`/`sentAt`, plus snoozing and dismissal from the notification.
+
+const MINUTE_MS = 60 * 1000;
+const MAX_REMINDER_OFFSET_MINUTES = 366 * 24 * 60; // A year before
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60; // A week
+
+// The date each kind of item anchors its relative reminders on
+const REMINDER_ANCHOR_FIELDS = {
+  Task: 'dueDate',
+  Event: 'startTime',
+  Goal: 'targetDate',
+};
+
+const resetDelivery = (reminder) => {
+  reminder.isSent = false;
+  reminder.sentAt = null;
+  reminder.snoozedUntil = null;
+  reminder.snoozedOccurrence = null;
+  reminder.dismissedAt = null;
+};
+
+/**
+ * @function anchorReminders
+ * @description Sets the time of relative reminders from the item's date. A reminder whose time changes is
+ * scheduled afresh (unsent, not snoozed or dismissed), so moving an item re-arms its reminders.
+ * Relative reminders of an item without a date get no time and never fire.
+ * @param {Array<Object>} reminders - Reminder subdocuments or plain objects (updated in place).
+ * @param {Date|string|null} anchor - The item's due date, start time or target date.
+ * @returns {Array<Object>} The same reminders.
+ */
+const anchorReminders = (reminders, anchor) => {
+  const anchorTime = anchor ? new Date(anchor).getTime() : null;
+  for (const reminder of reminders || []) {
+    if (reminder.offsetMinutes === undefined || reminder.offsetMinutes === null) continue;
+
+    const time = anchorTime === null ? null : new Date(anchorTime - reminder.offsetMinutes * MINUTE_MS);
+    const previous = reminder.time ? new Date(reminder.time).getTime() : null;
+    if ((time ? time.getTime() : null) !== previous) {
+      reminder.time = time;
+      resetDelivery(reminder);
+    }
+  }
+  return reminders;
+};
+
+/**
+ * @function isReminderDue
+ * @description Whether a reminder of a one-off item should be sent now. Reminders go out up to the scheduler's
+ * buffer before their time, while snoozed reminders wait until the snooze is over.
+ * @param {Object} reminder
+ * @param {Date} now - Start of the reminder window.
+ * @param {Date} cutoff - End of the reminder window.
+ * @returns {boolean}
+ */
+const isReminderDue = (reminder, now, cutoff) => {
+  if (reminder.isSent || reminder.dismissedAt) return false;
+  if (reminder.snoozedUntil) return reminder.snoozedUntil <= now;
+  return !!reminder.time && reminder.time >= now && reminder.time <= cutoff;
+};
+
+const hasRelativeReminders = (reminders) => (reminders || []).some(
+  (reminder) => reminder.offsetMinutes !== undefined && reminder.offsetMinutes !== null
+);
+
+/**
+ * @function reminderAnchorPlugin
+ * @description Mongoose plugin keeping the times of relative reminders in line with the item's date,
+ * both when documents are saved and when they are updated with findOneAndUpdate/findByIdAndUpdate.
+ * @param {mongoose.Schema} schema - A schema with a `reminders` array.
+ * @param {Object} options
+ * @param {string} options.anchorField - The date relative reminders are counted back from.
+ */
+const reminderAnchorPlugin = (schema, { anchorField }) => {
+  schema.pre('validate', function(next) {
+    if (this.isNew || this.isModified(anchorField) || this.isModified('reminders')) {
+      anchorReminders(this.reminders, this[anchorField]);
+    }
+    next();
+  });
+
+  schema.pre('findOneAndUpdate', async function() {
+    const update = this.getUpdate();
+    // Fields may be given as-is or under $set (which also holds the timestamps)
+    const target = update.$set && update.$set.reminders !== undefined ? update.$set : update;
+    const read = (path) => (update.$set && update.$set[path] !== undefined ? update.$set[path] : update[path]);
+
+    let reminders = read('reminders');
+    let anchor = read(anchorField);
+    if (reminders === undefined && anchor === undefined) return;
+    if (reminders === undefined || anchor === undefined) {
+      const current = await this.model.findOne(this.getQuery()).select(`${anchorField} reminders`).lean();
+      if (!current) return;
+      if (reminders === undefined) reminders = current.reminders;
+      if (anchor === undefined) anchor = current[anchorField];
+    }
+    if (!hasRelativeReminders(reminders)) return;
+
+    target.reminders = anchorReminders(reminders.map((reminder) => ({ ...reminder })), anchor);
+  });
+};
+
+module.exports = {
+  MAX_REMINDER_OFFSET_MINUTES,
+  MAX_SNOOZE_MINUTES,
+  REMINDER_ANCHOR_FIELDS,
+  anchorReminders,
+  isReminderDue,
+  reminderAnchorPlugin,
+};
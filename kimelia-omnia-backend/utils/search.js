@@ -0,0 +1,102 @@
+// Helpers of the global search: searchable modules, query terms and highlighted snippets.
+
+// Modules searched by GET /api/v1/search, in the order their results win ties
+const SEARCH_MODULES = ['tasks', 'events', 'messages', 'goals', 'learningResources', 'projects', 'expenses'];
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40; // Characters kept before the first match
+
+// Rough English suffixes, so 'meetings' highlights 'meeting' as MongoDB's stemmed text search matches it
+const SUFFIXES = ['ing', 'ed', 'es', 's'];
+
+const stem = (term) => {
+  const suffix = SUFFIXES.find((ending) => term.length - ending.length >= 3 && term.endsWith(ending));
+  return suffix ? term.slice(0, -suffix.length) : term;
+};
+
+/**
+ * @function parseSearchTerms
+ * @description Reads the terms to highlight from a `$text` search string: quoted phrases and words, without negated ones.
+ * @param {string} query - The search string (e.g. 'budget "quarterly review" -draft').
+ * @returns {Object} `{ words: string[], phrases: string[] }`, lowercased; words are stemmed.
+ */
+const parseSearchTerms = (query) => {
+  const phrases = [];
+  const rest = query.replace(/(-?)"([^"]*)"/g, (match, negated, phrase) => {
+    if (!negated && phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+    return ' ';
+  });
+  const words = rest
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .map((word) => word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter((word) => word.length >= 2)
+    .map(stem);
+  return { words: [...new Set(words)], phrases: [...new Set(phrases)] };
+};
+
+/**
+ * @function findHighlights
+ * @description Finds where search terms occur in a text: words starting with a (stemmed) term, and whole phrases.
+ * @param {string} text
+ * @param {Object} terms - From `parseSearchTerms`.
+ * @returns {number[][]} Sorted, non-overlapping `[start, end]` character ranges.
+ */
+const findHighlights = (text, { words, phrases }) => {
+  const ranges = [];
+  const lower = text.toLowerCase();
+
+  for (const match of lower.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (words.some((word) => match[0].startsWith(word))) ranges.push([match.index, match.index + match[0].length]);
+  }
+  for (const phrase of phrases) {
+    for (let index = lower.indexOf(phrase); index !== -1; index = lower.indexOf(phrase, index + phrase.length)) {
+      ranges.push([index, index + phrase.length]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+};
+
+/**
+ * @function buildSnippet
+ * @description Cuts a text down to a snippet around its first match, with the matches' positions in the snippet.
+ * @param {string} text - The field's text (whitespace is collapsed).
+ * @param {Object} terms - From `parseSearchTerms`.
+ * @param {number} [maxLength=160] - Maximum snippet length, without the ellipses.
+ * @returns {Object|null} `{ text, highlights }`, or null for an empty text.
+ */
+const buildSnippet = (text, terms, maxLength = SNIPPET_LENGTH) => {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  if (!normalized) return null;
+
+  const highlights = findHighlights(normalized, terms);
+  if (normalized.length <= maxLength) return { text: normalized, highlights };
+
+  let start = highlights.length ? Math.max(0, highlights[0][0] - SNIPPET_CONTEXT) : 0;
+  if (start > 0) start = normalized.indexOf(' ', start) + 1 || start; // Do not start mid-word
+  let end = Math.min(normalized.length, start + maxLength);
+  if (end < normalized.length) end = normalized.lastIndexOf(' ', end) > start ? normalized.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < normalized.length ? '…' : '';
+  return {
+    text: `${prefix}${normalized.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]),
+  };
+};
+
+module.exports = {
+  SEARCH_MODULES,
+  parseSearchTerms,
+  findHighlights,
+  buildSnippet,
+};
@@ -0,0 +1,254 @@
+// Parsers for bank statement files (CSV exports and OFX/QFX downloads) used by the expense import.
+// Every parser returns "raw transactions": { rowNumber, date, amount, description, category?, paymentMethod?, externalId?, currency? }
+// where `amount` keeps the bank's sign (negative = money out), or an `error` for rows that could not be read.
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY'];
+
+// OFX transaction types mapped onto the Expense paymentMethod enum
+const OFX_PAYMENT_METHODS = {
+  POS: 'debit_card',
+  ATM: 'cash',
+  CASH: 'cash',
+  XFER: 'bank_transfer',
+  DIRECTDEBIT: 'bank_transfer',
+  DIRECTDEP: 'bank_transfer',
+  PAYMENT: 'bank_transfer',
+  REPEATPMT: 'bank_transfer',
+};
+
+/**
+ * @function parseCsv
+ * @description Splits CSV text into rows of cells (RFC 4180: quoted cells, doubled quotes, CRLF/LF line endings).
+ * @param {string} text - The CSV content.
+ * @param {string} [delimiter=','] - The cell delimiter.
+ * @returns {Array<Array<string>>} The rows, without empty lines.
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map((cells) => cells.map((value) => value.trim()))
+    .filter((cells) => cells.some((value) => value !== ''));
+};
+
+/**
+ * @function parseAmount
+ * @description Parses a bank amount such as "-1,234.56", "€12,50", "(12.34)" or "12.34-".
+ * @param {string} value - The raw amount.
+ * @param {string} [decimalSeparator='.'] - '.' or ','.
+ * @returns {number|null} The signed amount, or null if unreadable.
+ */
+const parseAmount = (value, decimalSeparator = '.') => {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) { // Accounting notation
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  text = text.replace(/[^\d.,]/g, '').split(thousandsSeparator).join('');
+  if (decimalSeparator === ',') text = text.replace(',', '.');
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+/**
+ * @function parseDate
+ * @description Parses a statement date in one of the supported formats. Dates are taken as UTC midnight
+ * so the same statement always yields the same dates.
+ * @param {string} value - The raw date.
+ * @param {string} [format='YYYY-MM-DD'] - One of DATE_FORMATS.
+ * @returns {Date|null} The date, or null if unreadable.
+ */
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+  const parts = String(value || '').trim().split(/[^\d]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) return null;
+
+  let year;
+  let month;
+  let day;
+  if (format === 'YYYY-MM-DD') [year, month, day] = parts;
+  else if (format === 'MM/DD/YYYY') [month, day, year] = parts;
+  else [day, month, year] = parts; // DD/MM/YYYY and DD.MM.YYYY
+  if (year < 100) year += 2000;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject overflowing values such as 31/02 instead of silently rolling them into the next month
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+};
+
+/**
+ * @function parseCsvStatement
+ * @description Reads transactions from a CSV statement using a column mapping.
+ * Columns are referenced by header name (when `hasHeader` is true) or by zero-based index.
+ * @param {string} content - The CSV content.
+ * @param {Object} options - Parsing options.
+ * @param {Object} options.mapping - `{ date, description, amount }` or `{ date, description, debit, credit }`, plus optional `category`, `reference`.
+ * @param {string} [options.delimiter=','] - Cell delimiter.
+ * @param {boolean} [options.hasHeader=true] - Whether the first row holds column names.
+ * @param {string} [options.dateFormat='YYYY-MM-DD'] - Date format of the date column.
+ * @param {string} [options.decimalSeparator='.'] - Decimal separator of amount columns.
+ * @returns {Array<Object>} Raw transactions.
+ */
+const parseCsvStatement = (content, { mapping, delimiter = ',', hasHeader = true, dateFormat = 'YYYY-MM-DD', decimalSeparator = '.' }) => {
+  const rows = parseCsv(content, delimiter);
+  const header = hasHeader ? rows.shift() || [] : [];
+
+  const columnIndex = (column) => {
+    if (column === undefined || column === null || column === '') return -1;
+    if (typeof column === 'number') return column;
+    const index = header.findIndex((name) => name.toLowerCase() === String(column).trim().toLowerCase());
+    if (index === -1) {
+      throw new Error(`Column "${column}" was not found in the CSV header.`);
+    }
+    return index;
+  };
+
+  const columns = {
+    date: columnIndex(mapping.date),
+    description: columnIndex(mapping.description),
+    amount: columnIndex(mapping.amount),
+    debit: columnIndex(mapping.debit),
+    credit: columnIndex(mapping.credit),
+    category: columnIndex(mapping.category),
+    reference: columnIndex(mapping.reference),
+  };
+  const cellAt = (cells, index) => (index >= 0 ? cells[index] : undefined);
+
+  return rows.map((cells, index) => {
+    const rowNumber = index + (hasHeader ? 2 : 1); // 1-based line number in the file
+    const date = parseDate(cellAt(cells, columns.date), dateFormat);
+
+    let amount;
+    if (columns.amount >= 0) {
+      amount = parseAmount(cellAt(cells, columns.amount), decimalSeparator);
+    } else {
+      // Separate debit/credit columns: debits are money out, whatever sign the bank writes them with
+      const debit = parseAmount(cellAt(cells, columns.debit), decimalSeparator);
+      const credit = parseAmount(cellAt(cells, columns.credit), decimalSeparator);
+      if (debit) amount = -Math.abs(debit);
+      else if (credit) amount = Math.abs(credit);
+      else amount = null;
+    }
+
+    const transaction = {
+      rowNumber,
+      date,
+      amount,
+      description: cellAt(cells, columns.description) || '',
+      category: cellAt(cells, columns.category),
+      externalId: cellAt(cells, columns.reference) || undefined,
+    };
+    if (!date) transaction.error = `Unreadable date "${cellAt(cells, columns.date) || ''}" (expected ${dateFormat}).`;
+    else if (amount === null) transaction.error = 'Unreadable amount.';
+    return transaction;
+  });
+};
+
+/**
+ * @function parseOfxDate
+ * @description Parses an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]), keeping only the calendar day.
+ * @param {string} value - The raw OFX date.
+ * @returns {Date|null} UTC midnight of the posted day.
+ */
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseDate(`${match[1]}-${match[2]}-${match[3]}`, 'YYYY-MM-DD');
+};
+
+/**
+ * @function parseOfxStatement
+ * @description Reads transactions from an OFX/QFX file. Handles both SGML (OFX 1.x, unclosed tags) and XML (OFX 2.x).
+ * @param {string} content - The OFX content.
+ * @returns {Array<Object>} Raw transactions.
+ */
+const parseOfxStatement = (content) => {
+  const blocks = String(content).split(/<STMTTRN>/i).slice(1);
+  if (blocks.length === 0 && !/<OFX>/i.test(content)) {
+    throw new Error('The file does not look like an OFX/QFX statement.');
+  }
+  const currencyMatch = /<CURDEF>\s*([A-Za-z]{3})/i.exec(content); // Statement default currency
+  const currency = currencyMatch ? currencyMatch[1].toUpperCase() : undefined;
+
+  return blocks.map((block, index) => {
+    const body = block.split(/<\/STMTTRN>/i)[0];
+    const field = (tag) => {
+      const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(body);
+      if (!match) return undefined;
+      return match[1].trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    };
+
+    const name = field('NAME');
+    const memo = field('MEMO');
+    const transaction = {
+      rowNumber: index + 1,
+      date: parseOfxDate(field('DTPOSTED')),
+      amount: parseAmount(field('TRNAMT')),
+      description: [name, memo && memo !== name ? memo : null].filter(Boolean).join(' - '),
+      paymentMethod: OFX_PAYMENT_METHODS[(field('TRNTYPE') || '').toUpperCase()],
+      externalId: field('FITID'),
+      currency,
+    };
+    if (!transaction.date) transaction.error = 'Missing or unreadable DTPOSTED.';
+    else if (transaction.amount === null) transaction.error = 'Missing or unreadable TRNAMT.';
+    return transaction;
+  });
+};
+
+module.exports = {
+  DATE_FORMATS,
+  parseCsv,
+  parseAmount,
+  parseDate,
+  parseCsvStatement,
+  parseOfxStatement,
+};
@@ -0,0 +1,111 @@
+// Helpers for project task boards: columns, placing tasks in them, and ranking tasks within a column.
+// A column maps to a Task status; a task shows in its saved column (Task.boardColumn) while that column still exists
+// and matches the task's status, otherwise in the first column for its status.
+
+const DEFAULT_BOARD_COLUMNS = [
+  { key: 'pending', name: 'Pending', status: 'pending' },
+  { key: 'in-progress', name: 'In Progress', status: 'in-progress' },
+  { key: 'completed', name: 'Completed', status: 'completed' },
+  { key: 'deferred', name: 'Deferred', status: 'deferred' },
+  { key: 'cancelled', name: 'Cancelled', status: 'cancelled' },
+];
+
+// Gap between consecutive task positions, leaving room to insert between two tasks without touching the others
+const POSITION_STEP = 1024;
+const MIN_POSITION_GAP = 1e-6;
+
+/**
+ * @function toColumnKey
+ * @description Builds a column key from a column name (e.g., "Needs Review" -> "needs-review").
+ * @param {string} name - The column name.
+ * @returns {string} The key.
+ */
+const toColumnKey = (name) => String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'column';
+
+/**
+ * @function normalizeBoardColumns
+ * @description Fills in missing column keys (from the name) and makes keys unique by suffixing repeats.
+ * @param {Array<Object>} columns - Columns `{ key?, name, status }` in board order.
+ * @returns {Array<Object>} Columns `{ key, name, status }`.
+ */
+const normalizeBoardColumns = (columns) => {
+  const usedKeys = new Set();
+  return columns.map(({ key, name, status }) => {
+    const baseKey = key ? toColumnKey(key) : toColumnKey(name);
+    let uniqueKey = baseKey;
+    for (let suffix = 2; usedKeys.has(uniqueKey); suffix++) uniqueKey = `${baseKey}-${suffix}`;
+    usedKeys.add(uniqueKey);
+    return { key: uniqueKey, name, status };
+  });
+};
+
+/**
+ * @function resolveTaskColumn
+ * @description Finds the column a task shows in.
+ * @param {Array<Object>} columns - The board columns.
+ * @param {Object} task - The task (`status`, `boardColumn`).
+ * @returns {Object|undefined} The column, or undefined for a board without columns.
+ */
+const resolveTaskColumn = (columns, task) => {
+  const savedColumn = columns.find((column) => column.key === task.boardColumn);
+  if (savedColumn && savedColumn.status === task.status) return savedColumn;
+  return columns.find((column) => column.status === task.status) || columns[0];
+};
+
+const compareBoardTasks = (a, b) => {
+  const aRanked = typeof a.boardPosition === 'number';
+  const bRanked = typeof b.boardPosition === 'number';
+  if (aRanked && bRanked && a.boardPosition !== b.boardPosition) return a.boardPosition - b.boardPosition;
+  if (aRanked !== bRanked) return aRanked ? -1 : 1; // Tasks never moved on the board go after ranked ones
+  return new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+/**
+ * @function groupTasksByColumn
+ * @description Groups tasks into board columns, each column ordered by board position
+ * (tasks without a position last, oldest first).
+ * @param {Array<Object>} columns - The board columns.
+ * @param {Array<Object>} tasks - The project's tasks.
+ * @returns {Array<Object>} The columns, each with a `tasks` array.
+ */
+const groupTasksByColumn = (columns, tasks) => {
+  const grouped = columns.map((column) => ({ key: column.key, name: column.name, status: column.status, tasks: [] }));
+  tasks.forEach((task) => {
+    const column = resolveTaskColumn(columns, task);
+    if (column) grouped.find((candidate) => candidate.key === column.key).tasks.push(task);
+  });
+  grouped.forEach((column) => column.tasks.sort(compareBoardTasks));
+  return grouped;
+};
+
+/**
+ * @function getInsertPosition
+ * @description Computes the position for a task dropped at `index` in a column, between its new neighbours.
+ * @param {Array<number|null|undefined>} positions - Positions of the other tasks in the column, in board order.
+ * @param {number} index - Zero-based target index (clamped to the column length).
+ * @returns {number|null} The position, or null when the column must be renumbered first
+ * (a neighbour has no position, or there is no room left between them).
+ */
+const getInsertPosition = (positions, index) => {
+  const target = Math.min(Math.max(index, 0), positions.length);
+  const before = target > 0 ? positions[target - 1] : undefined;
+  const after = target < positions.length ? positions[target] : undefined;
+  const isRanked = (value) => typeof value === 'number';
+
+  if ((target > 0 && !isRanked(before)) || (target < positions.length && !isRanked(after))) return null;
+  if (before === undefined && after === undefined) return POSITION_STEP;
+  if (before === undefined) return after - POSITION_STEP;
+  if (after === undefined) return before + POSITION_STEP;
+  if (after - before < MIN_POSITION_GAP * 2) return null;
+  return (before + after) / 2;
+};
+
+module.exports = {
+  DEFAULT_BOARD_COLUMNS,
+  POSITION_STEP,
+  toColumnKey,
+  normalizeBoardColumns,
+  resolveTaskColumn,
+  groupTasksByColumn,
+  getInsertPosition,
+};
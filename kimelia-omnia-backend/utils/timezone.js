@@ -0,0 +1,261 @@
+// Time zone helpers built on Intl (IANA zones with their DST rules), so date boundaries and displayed times follow
+// each user's settings instead of the server's clock. Without a time zone they fall back to the server's local time.
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const DEFAULT_LOCALE = 'en-US';
+const DEFAULT_WEEK_START = 0; // Sunday, as Date#getDay counts
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const partsFormatters = new Map(); // Creating Intl formatters is slow, so one per time zone is kept
+
+const getPartsFormatter = (timeZone) => {
+  const key = timeZone || '';
+  if (!partsFormatters.has(key)) {
+    partsFormatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return partsFormatters.get(key);
+};
+
+/**
+ * @function isValidTimeZone
+ * @description Checks that a string is an IANA time zone known to the runtime (e.g. 'Africa/Kigali').
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @function isValidLocale
+ * @description Checks that a string is a well-formed BCP 47 locale tag (e.g. 'en-GB', 'fr-RW').
+ * @param {string} locale
+ * @returns {boolean}
+ */
+const isValidLocale = (locale) => {
+  if (typeof locale !== 'string' || !locale) return false;
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @function getUserTimeSettings
+ * @description Reads a user's time zone, locale and first day of the week, with defaults for missing or invalid values.
+ * @param {Object} [user] - A User document or plain object with `settings`.
+ * @returns {{ timeZone: string, locale: string, weekStart: number }}
+ */
+const getUserTimeSettings = (user) => {
+  const settings = user?.settings || {};
+  return {
+    timeZone: isValidTimeZone(settings.timezone) ? settings.timezone : DEFAULT_TIME_ZONE,
+    locale: isValidLocale(settings.locale) ? settings.locale : DEFAULT_LOCALE,
+    weekStart: Number.isInteger(settings.weekStart) ? settings.weekStart : DEFAULT_WEEK_START,
+  };
+};
+
+/**
+ * @function getZonedParts
+ * @description Splits an instant into the calendar date and wall-clock time it has in a time zone.
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA time zone (server local time if omitted).
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ * `month` is 1-12 and `weekday` 0 (Sunday) to 6.
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
+
+// Milliseconds the time zone is ahead of UTC at an instant
+const getOffset = (timestamp, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(new Date(timestamp), timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - (timestamp - (((timestamp % 1000) + 1000) % 1000));
+};
+
+/**
+ * @function zonedTimeToUtc
+ * @description Finds the instant at which a time zone's clocks show a date and time. Out-of-range fields roll over
+ * (day 32 is the next month's 1st). A time skipped by a DST change resolves to the same time after the change.
+ * @param {Object} wallTime - `{ year, month (1-12), day, hour = 0, minute = 0, second = 0, millisecond = 0 }`.
+ * @param {string} [timeZone] - IANA time zone (server local time if omitted).
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const firstGuess = asUtc - getOffset(asUtc, timeZone);
+  const offset = getOffset(firstGuess, timeZone);
+  const secondGuess = asUtc - offset;
+  if (secondGuess === firstGuess) return new Date(firstGuess);
+
+  // Around a DST change the offset differs on either side; keep the guess whose clock shows the wall time,
+  // or for a skipped wall time the later one
+  return getOffset(secondGuess, timeZone) === offset ? new Date(secondGuess) : new Date(Math.max(firstGuess, secondGuess));
+};
+
+/**
+ * @function startOfDay
+ * @description The first instant of the day containing `date` in a time zone.
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+const startOfDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+};
+
+/**
+ * @function addDays
+ * @description Moves a date by whole calendar days in a time zone, keeping its wall-clock time across DST changes
+ * (so a day is not always 24 hours).
+ * @param {Date} date
+ * @param {number} days
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+const addDays = (date, days, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const millisecond = new Date(date).getMilliseconds();
+  return zonedTimeToUtc({ ...parts, day: parts.day + days, millisecond }, timeZone);
+};
+
+/**
+ * @function addMonths
+ * @description Moves a date by whole months in a time zone, keeping its wall-clock time. The day clamps to the last
+ * day of the target month, so Jan 31 + 1 month is Feb 28/29.
+ * @param {Date} date
+ * @param {number} months
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+const addMonths = (date, months, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const target = new Date(Date.UTC(parts.year, parts.month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  const millisecond = new Date(date).getMilliseconds();
+  return zonedTimeToUtc({
+    ...parts,
+    year: target.getUTCFullYear(),
+    month: target.getUTCMonth() + 1,
+    day: Math.min(parts.day, lastDay),
+    millisecond,
+  }, timeZone);
+};
+
+/**
+ * @function startOfWeek
+ * @description The first instant of the week containing `date` in a time zone.
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @param {number} [weekStart=0] - First day of the week, 0 (Sunday) to 6 (Saturday).
+ * @returns {Date}
+ */
+const startOfWeek = (date, timeZone, weekStart = DEFAULT_WEEK_START) => {
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: day - ((weekday - weekStart + 7) % 7) }, timeZone);
+};
+
+/**
+ * @function startOfMonth
+ * @description The first instant of the month containing `date` in a time zone.
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+const startOfMonth = (date, timeZone) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: 1 }, timeZone);
+};
+
+/**
+ * @function startOfYear
+ * @description The first instant of the year containing `date` in a time zone.
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+const startOfYear = (date, timeZone) => {
+  const { year } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month: 1, day: 1 }, timeZone);
+};
+
+/**
+ * @function formatDateTime
+ * @description Formats an instant for people, in their time zone and locale (e.g. 'Nov 15, 2024, 6:00 PM EST').
+ * @param {Date} date
+ * @param {Object} [settings] - From getUserTimeSettings.
+ * @returns {string}
+ */
+const formatDateTime = (date, { timeZone = DEFAULT_TIME_ZONE, locale = DEFAULT_LOCALE } = {}) => new Date(date).toLocaleString(locale, {
+  timeZone,
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short',
+});
+
+/**
+ * @function formatDate
+ * @description Formats the calendar date of an instant for people, in their time zone and locale (e.g. 'Nov 15, 2024').
+ * @param {Date} date
+ * @param {Object} [settings] - From getUserTimeSettings.
+ * @returns {string}
+ */
+const formatDate = (date, { timeZone = DEFAULT_TIME_ZONE, locale = DEFAULT_LOCALE } = {}) => new Date(date).toLocaleDateString(locale, {
+  timeZone,
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_LOCALE,
+  DEFAULT_WEEK_START,
+  isValidTimeZone,
+  isValidLocale,
+  getUserTimeSettings,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfDay,
+  addDays,
+  addMonths,
+  startOfWeek,
+  startOfMonth,
+  startOfYear,
+  formatDateTime,
+  formatDate,
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator, Authy, 1Password, etc.:
+// HMAC-SHA1, 6 digits, 30-second steps, secrets shared as base32.
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character in TOTP secret.');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+/**
+ * @function generateTotpSecret
+ * @description Generates a random 160-bit TOTP secret.
+ * @returns {string} The secret, base32 encoded.
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * @function buildOtpauthUri
+ * @description Builds the otpauth:// URI that authenticator apps read (usually from a QR code).
+ * @param {Object} options
+ * @param {string} options.secret - The base32 secret.
+ * @param {string} options.accountName - Shown in the app, e.g. the user's email.
+ * @param {string} [options.issuer='KIMELIA Omnia'] - Shown in the app above the account name.
+ * @returns {string} The URI.
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer = 'KIMELIA Omnia' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * @function generateTotp
+ * @description Computes the code for a time step (RFC 4226 HOTP over the step counter).
+ * @param {string} secret - The base32 secret.
+ * @param {number} [step] - The time step; defaults to the current one.
+ * @returns {string} The zero-padded code.
+ */
+const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * @function verifyTotp
+ * @description Checks a code against the current time step and its neighbours (to allow for clock drift).
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code entered by the user.
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - How many steps before and after the current one to accept.
+ * @param {number} [options.time] - The time to check at (ms); defaults to now.
+ * @param {number} [options.lastUsedStep] - The step of the last accepted code; it and earlier steps are rejected so a code can't be replayed.
+ * @returns {number|null} The matched time step (store it as `lastUsedStep`), or null if the code is wrong.
+ */
+const verifyTotp = (secret, code, { window = 1, time, lastUsedStep } = {}) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const currentStep = getTimeStep(time);
+  for (let step = currentStep - window; step <= currentStep + window; step += 1) {
+    if (lastUsedStep != null && step <= lastUsedStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+/**
+ * @function hashBackupCode
+ * @description Hashes a backup code for storage, ignoring case and dashes.
+ * @param {string} code - The backup code.
+ * @returns {string} The SHA-256 hex digest.
+ */
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * @function generateBackupCodes
+ * @description Generates one-time backup codes (formatted 'xxxxx-xxxxx').
+ * @param {number} [count=10] - How many codes.
+ * @returns {Array<string>} The codes, to show the user once.
+ */
+const generateBackupCodes = (count = 10) => Array.from({ length: count }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+module.exports = {
+  generateTotpSecret,
+  buildOtpauthUri,
+  generateTotp,
+  verifyTotp,
+  hashBackupCode,
+  generateBackupCodes,
+};
@@ -0,0 +1,96 @@
+const zlib = require('zlib');
+
+// Minimal ZIP writer (PKWARE APPNOTE): deflated entries, no ZIP64, so an archive must stay under 4 GB
+// and 65535 entries. Enough for data exports; opens with any unzip tool, Finder or Explorer.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * @function crc32
+ * @description CRC-32 checksum (as used by ZIP and gzip).
+ * @param {Buffer} buffer - The data.
+ * @returns {number} The unsigned checksum.
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * @function createZipArchive
+ * @description Builds a ZIP archive in memory.
+ * @param {Array<Object>} files - `{ name, content }` entries; `content` is a string (UTF-8) or a Buffer.
+ * @param {Date} [modifiedAt=new Date()] - Modification time recorded for every entry.
+ * @returns {Buffer} The archive.
+ */
+const createZipArchive = (files, modifiedAt = new Date()) => {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, content } of files) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    localHeader.writeUInt16LE(20, 4); // Version needed to extract (2.0)
+    localHeader.writeUInt16LE(0x0800, 6); // Flags: file name is UTF-8
+    localHeader.writeUInt16LE(8, 8); // Compression: deflate
+    localHeader.writeUInt16LE(time, 10);
+    localHeader.writeUInt16LE(date, 12);
+    localHeader.writeUInt32LE(checksum, 14);
+    localHeader.writeUInt32LE(compressed.length, 18);
+    localHeader.writeUInt32LE(data.length, 22);
+    localHeader.writeUInt16LE(nameBuffer.length, 26);
+    localHeader.writeUInt16LE(0, 28); // Extra field length
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+    centralHeader.writeUInt16LE(20, 4); // Version made by
+    centralHeader.writeUInt16LE(20, 6); // Version needed to extract
+    centralHeader.writeUInt16LE(0x0800, 8);
+    centralHeader.writeUInt16LE(8, 10);
+    centralHeader.writeUInt16LE(time, 12);
+    centralHeader.writeUInt16LE(date, 14);
+    centralHeader.writeUInt32LE(checksum, 16);
+    centralHeader.writeUInt32LE(compressed.length, 20);
+    centralHeader.writeUInt32LE(data.length, 24);
+    centralHeader.writeUInt16LE(nameBuffer.length, 28);
+    // Extra field, comment, disk number and attributes stay 0
+    centralHeader.writeUInt32LE(offset, 42); // Offset of the local header
+
+    localParts.push(localHeader, nameBuffer, compressed);
+    centralParts.push(centralHeader, nameBuffer);
+    offset += localHeader.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+  end.writeUInt16LE(files.length, 8); // Entries on this disk
+  end.writeUInt16LE(files.length, 10); // Entries in total
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16); // Offset of the central directory
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = {
+  crc32,
+  createZipArchive,
+};